@@ -105,11 +105,72 @@ const config = {
   payment: {
     expiryMinutes: parseInt(process.env.PAYMENT_EXPIRY_MINUTES, 10) || 15,
     retryMax: parseInt(process.env.PAYMENT_RETRY_MAX, 10) || 3,
+    defaultProvider: process.env.PAYMENT_DEFAULT_PROVIDER || 'PESAPAL', // Used when no route matches
+    simulator: {
+      // Local fake gateway for development and tests: opt-in, and never on in production
+      enabled: process.env.NODE_ENV !== 'production' && process.env.PAYMENT_SIMULATOR_ENABLED === 'true',
+      webhookSecret: process.env.PAYMENT_SIMULATOR_SECRET,
+    },
+    reconciliation: {
+      staleMinutes: parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES, 10) || 10, // PENDING this long without a webhook
+      intervalSeconds: parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_SECONDS, 10) || 300,
+      batchSize: parseInt(process.env.PAYMENT_RECONCILE_BATCH_SIZE, 10) || 100,
+      lookbackHours: parseInt(process.env.PAYMENT_RECONCILE_LOOKBACK_HOURS, 10) || 72, // Older payments are left alone
+    },
+    installments: {
+      reminderDays: parseInt(process.env.INSTALLMENT_REMINDER_DAYS, 10) || 3, // Reminder sent this long before each due date
+      graceHours: parseInt(process.env.INSTALLMENT_GRACE_HOURS, 10) || 24, // Bookings are cancelled this long after a missed due date
+      intervalSeconds: parseInt(process.env.INSTALLMENT_SWEEP_INTERVAL_SECONDS, 10) || 3600,
+      batchSize: parseInt(process.env.INSTALLMENT_SWEEP_BATCH_SIZE, 10) || 100,
+    },
   },
   
   ticket: {
     validityHours: parseInt(process.env.TICKET_VALIDITY_HOURS, 10) || 24,
     qrCodeSecret: process.env.QR_CODE_SECRET || 'change-this-qr-secret',
+    transferOfferHours: parseInt(process.env.TICKET_TRANSFER_OFFER_HOURS, 10) || 72,
+  },
+
+  booking: {
+    expirySweepIntervalSeconds: parseInt(process.env.BOOKING_EXPIRY_SWEEP_INTERVAL_SECONDS, 10) || 60,
+  },
+
+  seating: {
+    holdSeconds: parseInt(process.env.SEAT_HOLD_SECONDS, 10) || 600,
+  },
+
+  waitlist: {
+    reservationMinutes: parseInt(process.env.WAITLIST_RESERVATION_MINUTES, 10) || 30,
+    sweepIntervalSeconds: parseInt(process.env.WAITLIST_SWEEP_INTERVAL_SECONDS, 10) || 60,
+  },
+
+  idempotency: {
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 86400, // How long responses are replayed
+    lockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS, 10) || 60, // Longest a request may hold its key
+  },
+
+  sessions: {
+    entryWindowMinutes: parseInt(process.env.SESSION_ENTRY_WINDOW_MINUTES, 10) || 60, // Doors open this long before a session; late entry when it has no end time
+  },
+
+  invoice: {
+    prefix: process.env.INVOICE_PREFIX || 'INV',
+    taxRate: parseFloat(process.env.INVOICE_TAX_RATE) || 0, // Percent, already included in ticket prices
+    taxLabel: process.env.INVOICE_TAX_LABEL || 'VAT',
+  },
+
+  calendar: {
+    eventDurationHours: parseFloat(process.env.CALENDAR_EVENT_DURATION_HOURS) || 3, // Used when an event has no end time
+  },
+
+  exports: {
+    syncRowLimit: parseInt(process.env.EXPORT_SYNC_ROW_LIMIT, 10) || 2000, // Larger exports run in the background
+    batchSize: parseInt(process.env.EXPORT_BATCH_SIZE, 10) || 500,
+    linkTtlHours: parseInt(process.env.EXPORT_LINK_TTL_HOURS, 10) || 72,
+  },
+
+  guestCheckout: {
+    linkTtlDays: parseInt(process.env.GUEST_LINK_TTL_DAYS, 10) || 90, // Lifetime of guest booking links
   },
 };
 
@@ -145,6 +206,11 @@ const validateConfig = () => {
   if (missingConfigs.length > 0 && !config.app.isProduction) {
     console.warn(`Warning: Missing configuration: ${missingConfigs.join(', ')}`);
   }
+
+  // Simulated webhooks are only as trustworthy as their signing secret
+  if (config.payment.simulator.enabled && !config.payment.simulator.webhookSecret) {
+    throw new Error('Missing required configuration: payment.simulator.webhookSecret');
+  }
 };
 
 validateConfig();
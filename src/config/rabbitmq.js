@@ -14,6 +14,7 @@ export const QUEUES = {
   NOTIFICATIONS: `${config.rabbitmq.queuePrefix}notifications`,
   ANALYTICS: `${config.rabbitmq.queuePrefix}analytics`,
   BOOKING_CONFIRMATION: `${config.rabbitmq.queuePrefix}booking_confirmation`,
+  EXPORTS: `${config.rabbitmq.queuePrefix}exports`,
   DEAD_LETTER: `${config.rabbitmq.queuePrefix}dead_letter`, // Queue for failed jobs
 };
 
@@ -28,6 +29,13 @@ export const ROUTING_KEYS = {
   EMAIL_BOOKING: 'email.booking',
   EMAIL_PAYMENT: 'email.payment',
   EMAIL_MANAGER_INVITATION: 'email.manager.invitation',
+  EMAIL_WAITLIST: 'email.waitlist',
+  EMAIL_TICKET_TRANSFER: 'email.ticket.transfer',
+  EMAIL_RESALE: 'email.resale',
+  EMAIL_EXPORT: 'email.export',
+  EMAIL_GUEST_ACCESS: 'email.guest.access',
+  EMAIL_BOOKING_CHALLENGE: 'email.booking.challenge',
+  EMAIL_REFUND: 'email.refund',
   PDF_TICKET: 'pdf.ticket',
   PDF_INVOICE: 'pdf.invoice',
   PAYMENT_PROCESS: 'payment.process',
@@ -37,8 +45,21 @@ export const ROUTING_KEYS = {
   NOTIFICATION_PUSH: 'notification.push',
   BOOKING_CONFIRM: 'booking.confirm',
   ANALYTICS_UPDATE: 'analytics.update',
+  EXPORT_ATTENDEES: 'export.attendees',
 };
 
+// Routing-key pattern each queue is bound with
+const QUEUE_BINDINGS = [
+  [QUEUES.EMAIL, 'email.#'],
+  [QUEUES.PDF_GENERATION, 'pdf.*'],
+  [QUEUES.PAYMENT_PROCESSING, 'payment.*'],
+  [QUEUES.FINANCE_UPDATES, 'finance.*'],
+  [QUEUES.NOTIFICATIONS, 'notification.*'],
+  [QUEUES.BOOKING_CONFIRMATION, 'booking.*'],
+  [QUEUES.ANALYTICS, 'analytics.*'],
+  [QUEUES.EXPORTS, 'export.*'],
+];
+
 // Initialize RabbitMQ connection
 export const connect = async () => {
   try {
@@ -81,13 +102,9 @@ export const connect = async () => {
     }
     
     // Bind queues to exchange with routing keys
-    await channel.bindQueue(QUEUES.EMAIL, EXCHANGE, 'email.#');
-    await channel.bindQueue(QUEUES.PDF_GENERATION, EXCHANGE, 'pdf.*');
-    await channel.bindQueue(QUEUES.PAYMENT_PROCESSING, EXCHANGE, 'payment.*');
-    await channel.bindQueue(QUEUES.FINANCE_UPDATES, EXCHANGE, 'finance.*');
-    await channel.bindQueue(QUEUES.NOTIFICATIONS, EXCHANGE, 'notification.*');
-    await channel.bindQueue(QUEUES.BOOKING_CONFIRMATION, EXCHANGE, 'booking.*');
-    await channel.bindQueue(QUEUES.ANALYTICS, EXCHANGE, 'analytics.*');
+    for (const [queueName, pattern] of QUEUE_BINDINGS) {
+      await channel.bindQueue(queueName, EXCHANGE, pattern);
+    }
     
     // Handle connection events
     connection.on('error', (error) => {
@@ -122,13 +139,15 @@ export const getChannel = async () => {
 // Publish message to exchange
 export const publishMessage = async (routingKey, message, options = {}) => {
   try {
-    const channel = await getChannel();
-    
-    const messageBuffer = Buffer.from(JSON.stringify({
+    const content = {
       ...message,
       timestamp: new Date().toISOString(),
       correlationId: options.correlationId || generateCorrelationId(),
-    }));
+    };
+
+    const channel = await getChannel();
+    
+    const messageBuffer = Buffer.from(JSON.stringify(content));
     
     const publishOptions = {
       persistent: true,
@@ -262,6 +281,102 @@ export const emailQueue = {
       data: userData,
     });
   },
+
+  sendWaitlistNotification: async (waitlistData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_WAITLIST, {
+      type: 'WAITLIST_NOTIFICATION',
+      to: waitlistData.customerEmail,
+      data: waitlistData,
+    });
+  },
+
+  sendTicketTransferOffer: async (transferData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_TICKET_TRANSFER, {
+      type: 'TICKET_TRANSFER_OFFER',
+      to: transferData.recipientEmail,
+      data: transferData,
+    });
+  },
+
+  sendResaleNotification: async (resaleData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_RESALE, {
+      type: 'RESALE_NOTIFICATION',
+      to: resaleData.recipientEmail,
+      data: resaleData,
+    });
+  },
+
+  sendTicketTransferAccepted: async (transferData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_TICKET_TRANSFER, {
+      type: 'TICKET_TRANSFER_ACCEPTED',
+      to: transferData.senderEmail,
+      data: transferData,
+    });
+  },
+
+  sendExportReady: async (exportData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_EXPORT, {
+      type: 'EXPORT_READY',
+      to: exportData.recipientEmail,
+      data: exportData,
+    });
+  },
+
+  sendGuestAccessLink: async (accessData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_GUEST_ACCESS, {
+      type: 'GUEST_ACCESS_LINK',
+      to: accessData.email,
+      data: accessData,
+    });
+  },
+
+  sendAccountClaim: async (claimData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_GUEST_ACCESS, {
+      type: 'ACCOUNT_CLAIM',
+      to: claimData.email,
+      data: claimData,
+    });
+  },
+
+  sendBookingChallenge: async (challengeData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_BOOKING_CHALLENGE, {
+      type: 'BOOKING_CHALLENGE',
+      to: challengeData.email,
+      data: challengeData,
+    });
+  },
+
+  sendBookingCancelled: async (cancellationData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_BOOKING, {
+      type: 'BOOKING_CANCELLED',
+      to: cancellationData.customerEmail,
+      data: cancellationData,
+    });
+  },
+
+  sendRefundRequestNotification: async (refundData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_REFUND, {
+      type: 'REFUND_REQUEST_NOTIFICATION',
+      to: refundData.recipientEmail,
+      data: refundData,
+    });
+  },
+
+  sendRefundStatus: async (refundData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_REFUND, {
+      type: 'REFUND_STATUS',
+      to: refundData.customerEmail,
+      data: refundData,
+    });
+  },
+
+  sendInstallmentNotice: async (installmentData) => {
+    return publishMessage(ROUTING_KEYS.EMAIL_PAYMENT, {
+      type: 'INSTALLMENT_NOTICE',
+      to: installmentData.customerEmail,
+      data: installmentData,
+    });
+  },
 };
 
 // PDF queue helpers
@@ -314,6 +429,47 @@ export const bookingQueue = {
       paymentId,
     });
   },
+
+  confirmOrder: async (orderId, paymentId) => {
+    return publishMessage(ROUTING_KEYS.BOOKING_CONFIRM, {
+      type: 'CONFIRM_ORDER',
+      orderId,
+      paymentId,
+    });
+  },
+
+  recordInstallment: async (installmentId, paymentId) => {
+    return publishMessage(ROUTING_KEYS.BOOKING_CONFIRM, {
+      type: 'RECORD_INSTALLMENT',
+      installmentId,
+      paymentId,
+    });
+  },
+
+  completeResale: async (resaleListingId, paymentId) => {
+    return publishMessage(ROUTING_KEYS.BOOKING_CONFIRM, {
+      type: 'COMPLETE_RESALE',
+      resaleListingId,
+      paymentId,
+    });
+  },
+
+  issueComp: async (bookingId) => {
+    return publishMessage(ROUTING_KEYS.BOOKING_CONFIRM, {
+      type: 'ISSUE_COMP',
+      bookingId,
+    });
+  },
+};
+
+// Export queue helpers
+export const exportQueue = {
+  exportAttendees: async (exportJobId) => {
+    return publishMessage(ROUTING_KEYS.EXPORT_ATTENDEES, {
+      type: 'ATTENDEES',
+      exportJobId,
+    });
+  },
 };
 
 // Finance queue helpers
@@ -372,4 +528,5 @@ export default {
   paymentQueue,
   financeQueue,
   bookingQueue,
+  exportQueue,
 };
\ No newline at end of file
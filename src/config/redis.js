@@ -639,6 +639,45 @@ export const lock = {
     const result = await redis.eval(script, 1, key, token);
     return result === 1;
   },
+
+  // Check that a lock is still held with the given token
+  isHeldBy: async (resource, token) => {
+    const key = `lock:${resource}`;
+    return (await redis.get(key)) === token;
+  },
+
+  // Check which of the given resources are currently locked
+  areLocked: async (resources) => {
+    if (resources.length === 0) return [];
+    const values = await redis.mget(resources.map(resource => `lock:${resource}`));
+    return values.map(value => value !== null);
+  },
+};
+
+// Idempotency-Key records: a short in-progress marker, then the stored response
+export const idempotencyStore = {
+  // Claim a key. Returns null when claimed, otherwise the existing record.
+  begin: async (key, fingerprint, ttl = 60) => {
+    const redisKey = `idempotency:${key}`;
+    const result = await redis.set(redisKey, JSON.stringify({ state: 'IN_PROGRESS', fingerprint }), 'EX', ttl, 'NX');
+
+    if (result === 'OK') {
+      return null;
+    }
+
+    const existing = await redis.get(redisKey);
+    return existing ? JSON.parse(existing) : null;
+  },
+
+  // Store the response to replay for retries
+  complete: async (key, record, ttl = 86400) => {
+    await redis.setex(`idempotency:${key}`, ttl, JSON.stringify({ state: 'COMPLETED', ...record }));
+  },
+
+  // Give the key up so the request can be retried
+  release: async (key) => {
+    await redis.del(`idempotency:${key}`);
+  },
 };
 
 // Graceful shutdown
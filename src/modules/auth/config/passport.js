@@ -52,6 +52,7 @@ passport.use(
                 googleId,
                 lastLoginAt: new Date(),
                 profilePicture: photos?.[0]?.value || existingUser.profilePicture,
+                isGuest: false, // Google has verified the email, so a guest account is claimed
               },
             });
             
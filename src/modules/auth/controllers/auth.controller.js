@@ -40,10 +40,17 @@ export const register = async (req, res) => {
     where: { email },
   });
 
-  if (existingUser) {
+  if (existingUser && !existingUser.isGuest) {
     throw new ConflictError('User with this email already exists');
   }
 
+  // A guest account with this email (guest checkout, comps, box office) is
+  // claimed through a link sent to that address; the password is only chosen
+  // once the link proves the registrant owns the email.
+  if (existingUser) {
+    return await claimGuestAccount(existingUser, res);
+  }
+
   // Hash password
   const hashedPassword = await bcrypt.hash(password, 12);
   const verificationToken = generateSecureToken(32);
@@ -115,6 +122,45 @@ export const register = async (req, res) => {
   });
 };
 
+/**
+ * Email a guest a link to set a password, turning the guest into a full
+ * account that keeps its bookings
+ */
+const claimGuestAccount = async (guest, res) => {
+  const claimToken = generateSecureToken(32);
+
+  await prisma.user.update({
+    where: { id: guest.id },
+    data: {
+      passwordResetToken: claimToken,
+      passwordResetExpiry: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+    },
+  });
+
+  await emailQueue.sendAccountClaim({
+    email: guest.email,
+    firstName: guest.firstName,
+    claimUrl: `${config.app.frontendUrl}/reset-password?token=${claimToken}`,
+  });
+
+  await prisma.auditLog.create({
+    data: {
+      userId: guest.id,
+      action: 'GUEST_CLAIM_REQUESTED',
+      entity: 'User',
+      entityId: guest.id,
+      metadata: { method: 'email_password' },
+    },
+  });
+
+  logger.info('Guest account claim link sent', { userId: guest.id });
+
+  res.status(202).json({
+    success: true,
+    message: 'This email already has bookings with us. We have sent a link to it to set your password; your bookings will be added to your account.',
+  });
+};
+
 /**
  * Login with email/password
  */
@@ -143,6 +189,11 @@ export const login = async (req, res) => {
     throw new AuthenticationError('Invalid email or password');
   }
 
+  // A guest account opens once a password is set through the emailed link
+  if (user.isGuest) {
+    throw new AuthenticationError('Please use the link we emailed you to set your password');
+  }
+
   // Update last login
   await prisma.user.update({
     where: { id: user.id },
@@ -396,6 +447,8 @@ export const resetPassword = async (req, res) => {
       passwordResetToken: null,
       passwordResetExpiry: null,
       lastLoginAt: new Date(),
+      isGuest: false, // The reset link proves the guest owns the email
+      ...(user.isGuest && { isEmailVerified: true, emailVerifiedAt: new Date() }),
     },
   });
 
@@ -9,9 +9,16 @@ import {
   InventoryError 
 } from '../../../shared/errors/AppError.js';
 import { generateUniqueId } from '../../../shared/utils/encryption.js';
+import { toCSV } from '../../../shared/utils/csv.js';
 import config from '../../../config/index.js';
 import bookingService from '../services/bookingService.js';
 import bookingAnalyticsService from '../services/bookingAnalyticsService.js';
+import walletService from '../../finance/services/walletService.js';
+import invoiceService from '../services/invoiceService.js';
+import calendarService from '../services/calendarService.js';
+import attendeeExportService from '../services/attendeeExportService.js';
+import fraudScreeningService from '../services/fraudScreeningService.js';
+import { renderInvoicePDF } from '../../../shared/services/pdfService.js';
 
 /**
  * Create a new booking using enhanced booking service
@@ -22,7 +29,7 @@ export const createBooking = async (req, res) => {
 
   try {
     // Use enhanced booking service
-    const booking = await bookingService.createBooking(userId, bookingData);
+    const booking = await bookingService.createBooking(userId, bookingData, fraudScreeningService.requestContext(req));
 
     // Log audit event
     await prisma.auditLog.create({
@@ -33,9 +40,12 @@ export const createBooking = async (req, res) => {
         entityId: booking.id,
         metadata: {
           campaignId: bookingData.campaignId,
+          sessionId: booking.sessionId,
           ticketType: bookingData.ticketType,
           quantity: bookingData.quantity,
           totalAmount: booking.totalAmount,
+          creditApplied: booking.creditApplied,
+          paymentPlanId: bookingData.paymentPlanId,
         },
       },
     });
@@ -45,8 +55,13 @@ export const createBooking = async (req, res) => {
       message: 'Booking created successfully',
       data: {
         booking,
-        paymentRequired: true,
+        paymentRequired: !booking.creditPayment,
+        // Only the deposit is due now on a payment plan
+        amountDue: booking.installments
+          ? Number(booking.installments[0].amount)
+          : Number(booking.totalAmount) - Number(booking.creditApplied || 0),
         paymentDeadline: booking.paymentDeadline,
+        installments: booking.installments,
       },
     });
   } catch (error) {
@@ -55,6 +70,91 @@ export const createBooking = async (req, res) => {
   }
 };
 
+/**
+ * Create a multi-item order across ticket types
+ */
+export const createOrder = async (req, res) => {
+  const userId = req.user.id;
+  const orderData = req.body;
+
+  try {
+    const order = await bookingService.createOrder(userId, orderData, fraudScreeningService.requestContext(req));
+
+    // Log audit event
+    await prisma.auditLog.create({
+      data: {
+        userId,
+        action: 'ORDER_CREATED',
+        entity: 'Order',
+        entityId: order.id,
+        metadata: {
+          items: orderData.items,
+          totalAmount: order.totalAmount,
+          bookingIds: order.bookings.map(booking => booking.id),
+        },
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: {
+        order,
+        paymentRequired: true,
+        paymentDeadline: order.paymentDeadline,
+      },
+    });
+  } catch (error) {
+    logger.error('Order creation failed:', { userId, orderData, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get order details
+ */
+export const getOrderById = async (req, res) => {
+  const { orderId } = req.params;
+  const userId = req.user.id;
+
+  const order = await bookingService.getOrder(orderId, userId);
+
+  res.status(200).json({
+    success: true,
+    data: { order },
+  });
+};
+
+/**
+ * Cancel an unpaid order
+ */
+export const cancelOrder = async (req, res) => {
+  const { orderId } = req.params;
+  const { reason } = req.body;
+  const userId = req.user.id;
+
+  const order = await bookingService.cancelOrder(orderId, userId, reason);
+
+  // Log audit event
+  await prisma.auditLog.create({
+    data: {
+      userId,
+      action: 'ORDER_CANCELLED',
+      entity: 'Order',
+      entityId: orderId,
+      metadata: { reason },
+    },
+  });
+
+  logger.info('Order cancelled', { orderId, userId, reason });
+
+  res.status(200).json({
+    success: true,
+    message: 'Order cancelled successfully',
+    data: { order },
+  });
+};
+
 /**
  * Get user's bookings with enhanced filtering
  */
@@ -75,6 +175,50 @@ export const getUserBookings = async (req, res) => {
   }
 };
 
+/**
+ * Get tickets owned by the user
+ */
+export const getMyTickets = async (req, res) => {
+  const result = await bookingService.getUserTickets(req.user.id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+};
+
+/**
+ * Update the named attendee on one of the user's tickets
+ */
+export const updateTicketAttendee = async (req, res) => {
+  const { ticketId } = req.params;
+  const userId = req.user.id;
+
+  const ticket = await bookingService.updateTicketAttendee(ticketId, userId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId,
+      action: 'TICKET_ATTENDEE_UPDATED',
+      entity: 'Ticket',
+      entityId: ticketId,
+      metadata: { attendeeName: ticket.attendeeName },
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Attendee details updated. A new ticket PDF is being generated.',
+    data: {
+      id: ticket.id,
+      ticketNumber: ticket.ticketNumber,
+      attendeeName: ticket.attendeeName,
+      attendeeEmail: ticket.attendeeEmail,
+      attendeeAnswers: ticket.attendeeAnswers
+    }
+  });
+};
+
 /**
  * Get booking by ID
  */
@@ -86,6 +230,7 @@ export const getBookingById = async (req, res) => {
     where: { id: bookingId },
     include: {
       campaign: true,
+      session: true,
       customer: {
         select: {
           id: true,
@@ -95,6 +240,10 @@ export const getBookingById = async (req, res) => {
         },
       },
       payment: true,
+      installments: {
+        include: { payment: { select: { id: true, status: true, transactionRef: true } } },
+        orderBy: { sequence: 'asc' },
+      },
       tickets: {
         include: {
           validations: {
@@ -121,6 +270,99 @@ export const getBookingById = async (req, res) => {
   });
 };
 
+/**
+ * Download a booking's invoice as PDF, or as JSON with ?format=json
+ */
+export const getBookingInvoice = async (req, res) => {
+  const { bookingId } = req.params;
+
+  const invoice = await invoiceService.getBookingInvoice(bookingId, req.user);
+
+  if (req.query.format === 'json') {
+    return res.status(200).json({
+      success: true,
+      data: { invoice },
+    });
+  }
+
+  const pdfBuffer = await renderInvoicePDF(invoice);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+  res.send(pdfBuffer);
+};
+
+/**
+ * Download a confirmed booking as an .ics calendar entry
+ */
+export const getBookingCalendar = async (req, res) => {
+  const { bookingId } = req.params;
+
+  const calendar = await calendarService.getBookingCalendar(bookingId, req.user.id);
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="booking-${bookingId}.ics"`);
+  res.status(200).send(calendar);
+};
+
+/**
+ * Create (or replace) the signed-in customer's private calendar feed URL
+ */
+export const createCalendarFeed = async (req, res) => {
+  const userId = req.user.id;
+
+  const feed = await calendarService.createFeed(userId);
+
+  await prisma.auditLog.create({
+    data: {
+      userId,
+      action: 'CALENDAR_FEED_CREATED',
+      entity: 'User',
+      entityId: userId,
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed created. Any previous feed URL no longer works.',
+    data: feed,
+  });
+};
+
+/**
+ * Turn off the signed-in customer's calendar feed
+ */
+export const revokeCalendarFeed = async (req, res) => {
+  const userId = req.user.id;
+
+  await calendarService.revokeFeed(userId);
+
+  await prisma.auditLog.create({
+    data: {
+      userId,
+      action: 'CALENDAR_FEED_REVOKED',
+      entity: 'User',
+      entityId: userId,
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar feed revoked',
+  });
+};
+
+/**
+ * iCal subscription feed; the token in the URL is the only credential
+ */
+export const getCalendarFeed = async (req, res) => {
+  const calendar = await calendarService.getFeed(req.params.token);
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, max-age=900');
+  res.status(200).send(calendar);
+};
+
 /**
  * Cancel booking
  */
@@ -129,73 +371,88 @@ export const cancelBooking = async (req, res) => {
   const { reason } = req.body;
   const customerId = req.user.id;
 
-  // Begin transaction
-  const result = await prisma.$transaction(async (tx) => {
-    // Get booking with lock
-    const booking = await tx.booking.findUnique({
-      where: { id: bookingId },
-      include: {
-        campaign: true,
-        payment: true,
-      },
-    });
+  const target = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: { campaignId: true, ticketType: true },
+  });
 
-    if (!booking) {
-      throw new NotFoundError('Booking');
-    }
+  if (!target) {
+    throw new NotFoundError('Booking');
+  }
 
-    // Verify ownership
-    if (booking.customerId !== customerId) {
-      throw new BookingError('You can only cancel your own bookings');
-    }
+  // Begin transaction, under the inventory lock
+  const result = await bookingService._withInventoryLock(target.campaignId, target.ticketType, async () => {
+    return await prisma.$transaction(async (tx) => {
+      // Get booking with lock
+      const booking = await tx.booking.findUnique({
+        where: { id: bookingId },
+        include: {
+          campaign: true,
+          payment: true,
+        },
+      });
 
-    // Check if booking can be cancelled
-    if (booking.status !== 'PENDING') {
-      throw new BookingError('Only pending bookings can be cancelled');
-    }
+      if (!booking) {
+        throw new NotFoundError('Booking');
+      }
 
-    // Check if payment has been made
-    if (booking.payment && booking.payment.status === 'SUCCESS') {
-      throw new BookingError('Cannot cancel paid bookings. Please request a refund instead.');
-    }
+      // Verify ownership
+      if (booking.customerId !== customerId) {
+        throw new BookingError('You can only cancel your own bookings');
+      }
 
-    // Restore inventory
-    const campaign = await tx.ticketCampaign.findUnique({
-      where: { id: booking.campaignId },
-    });
+      // Check if booking can be cancelled
+      if (booking.status !== 'PENDING') {
+        throw new BookingError('Only pending bookings can be cancelled');
+      }
 
-    const ticketTypes = campaign.ticketTypes;
-    ticketTypes[booking.ticketType].sold -= booking.quantity;
+      // Order lines share one payment and are cancelled together
+      if (booking.orderId) {
+        throw new BookingError('This booking is part of an order. Cancel the order instead.');
+      }
 
-    await tx.ticketCampaign.update({
-      where: { id: booking.campaignId },
-      data: {
-        ticketTypes,
-        soldQuantity: campaign.soldQuantity - booking.quantity,
-      },
-    });
+      // Check if payment has been made
+      if (booking.payment && booking.payment.status === 'SUCCESS') {
+        throw new BookingError('Cannot cancel paid bookings. Please request a refund instead.');
+      }
 
-    // Update booking status
-    const updatedBooking = await tx.booking.update({
-      where: { id: bookingId },
-      data: {
-        status: 'CANCELLED',
-        cancelledAt: new Date(),
-        cancellationReason: reason,
-      },
-    });
+      // Restore inventory (held for the waitlist first)
+      const waitlistHolds = await bookingService._restoreInventory(tx, booking);
 
-    // Update analytics
-    await tx.campaignAnalytics.update({
-      where: { campaignId: booking.campaignId },
-      data: {
-        cancelledBookings: { increment: 1 },
-      },
-    });
+      // Release promo code redemption
+      await bookingService._releasePromoCodeUsage(tx, bookingId);
+
+      // Return any store credit applied at checkout
+      await walletService.releaseBookingCredit(tx, booking);
 
-    return updatedBooking;
+      // A payment plan whose deposit was never paid
+      await bookingService._cancelOpenInstallments(tx, bookingId, 'Booking cancelled');
+
+      // Update booking status
+      const updatedBooking = await tx.booking.update({
+        where: { id: bookingId },
+        data: {
+          status: 'CANCELLED',
+          cancelledAt: new Date(),
+          cancellationReason: reason,
+        },
+      });
+
+      // Update analytics
+      await tx.campaignAnalytics.update({
+        where: { campaignId: booking.campaignId },
+        data: {
+          cancelledBookings: { increment: 1 },
+        },
+      });
+
+      return { updatedBooking, waitlistHolds };
+    });
   });
 
+  // Tell waitlisted customers about the tickets held for them
+  await bookingService._notifyWaitlistUsers(result.waitlistHolds);
+
   // Log audit event
   await prisma.auditLog.create({
     data: {
@@ -212,7 +469,7 @@ export const cancelBooking = async (req, res) => {
   res.status(200).json({
     success: true,
     message: 'Booking cancelled successfully',
-    data: { booking: result },
+    data: { booking: result.updatedBooking },
   });
 };
 
@@ -446,7 +703,7 @@ export const requestRefund = async (req, res) => {
         action: 'REFUND_REQUESTED',
         entity: 'Booking',
         entityId: bookingId,
-        metadata: { refundRequestId: refundRequest.id, amount: refundRequest.amount }
+        metadata: { refundRequestId: refundRequest.id, amount: refundRequest.amount, refundTo: refundRequest.refundTo }
       }
     });
 
@@ -494,6 +751,198 @@ export const addToWaitlist = async (req, res) => {
   }
 };
 
+/**
+ * Get current user's waitlist entries
+ */
+export const getMyWaitlistEntries = async (req, res) => {
+  const userId = req.user.id;
+
+  const entries = await bookingService.getUserWaitlistEntries(userId, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: { entries }
+  });
+};
+
+/**
+ * Leave a waitlist
+ */
+export const leaveWaitlist = async (req, res) => {
+  const userId = req.user.id;
+  const { entryId } = req.params;
+
+  try {
+    const waitlistEntry = await bookingService.leaveWaitlist(entryId, userId);
+
+    // Log audit event
+    await prisma.auditLog.create({
+      data: {
+        userId,
+        action: 'WAITLIST_LEFT',
+        entity: 'Campaign',
+        entityId: waitlistEntry.campaignId,
+        metadata: { waitlistEntryId: entryId, ticketType: waitlistEntry.ticketType }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully left the waitlist',
+      data: waitlistEntry
+    });
+  } catch (error) {
+    logger.error('Leave waitlist failed:', { userId, entryId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get waitlist queue for a campaign (Seller only)
+ */
+export const getCampaignWaitlist = async (req, res) => {
+  const { campaignId } = req.params;
+  const sellerId = req.user.id;
+
+  const waitlist = await bookingService.getCampaignWaitlist(campaignId, sellerId);
+
+  res.status(200).json({
+    success: true,
+    data: waitlist
+  });
+};
+
+/**
+ * Issue complimentary tickets for a campaign
+ */
+export const issueCompTickets = async (req, res) => {
+  const { campaignId } = req.params;
+  const sellerId = req.user.id;
+
+  const bookings = await bookingService.issueCompTickets(sellerId, campaignId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: 'COMP_TICKETS_ISSUED',
+      entity: 'TicketCampaign',
+      entityId: campaignId,
+      metadata: {
+        ticketType: req.body.ticketType,
+        note: req.body.note,
+        bookings: bookings.map(booking => ({
+          bookingId: booking.id,
+          email: booking.customer.email,
+          quantity: booking.quantity
+        })),
+      },
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Comp tickets issued. Recipients will receive their tickets by email.',
+    data: {
+      bookings: bookings.map(booking => ({
+        id: booking.id,
+        bookingRef: booking.bookingRef,
+        email: booking.customer.email,
+        ticketType: booking.ticketType,
+        quantity: booking.quantity
+      }))
+    }
+  });
+};
+
+/**
+ * Seller attendee list for a campaign, as JSON or CSV (?format=csv)
+ */
+export const getCampaignAttendees = async (req, res) => {
+  const { campaignId } = req.params;
+  const sellerId = req.user.id;
+
+  const result = await bookingService.getCampaignAttendees(campaignId, sellerId, req.query);
+
+  if (req.query.format === 'csv') {
+    const columns = attendeeExportService.columns(result.questions);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="attendees-${campaignId}.csv"`);
+    return res.status(200).send(toCSV(columns, result.attendees));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+};
+
+/**
+ * Export the guest list of a campaign's confirmed bookings as CSV or XLSX.
+ * Large exports are built in the background and the link is emailed.
+ */
+export const exportCampaignAttendees = async (req, res) => {
+  const { campaignId } = req.params;
+  const sellerId = req.user.id;
+  const { format = 'CSV', ticketType, checkedIn } = req.query;
+  const filters = { ticketType, checkedIn };
+
+  const { job, rowCount } = await attendeeExportService.requestExport(campaignId, sellerId, { format, ...filters });
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: 'ATTENDEES_EXPORTED',
+      entity: 'TicketCampaign',
+      entityId: campaignId,
+      metadata: { format, filters, rowCount, exportJobId: job?.id },
+    },
+  });
+
+  if (job) {
+    return res.status(202).json({
+      success: true,
+      message: `This export has ${rowCount} tickets. We will email you a download link when it is ready.`,
+      data: { export: job },
+    });
+  }
+
+  if (format === 'XLSX') {
+    const file = await attendeeExportService.buildFile(campaignId, sellerId, filters, format);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    return res.status(200).send(file.content);
+  }
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="attendees-${campaignId}.csv"`);
+  res.status(200);
+  await attendeeExportService.streamCSV(campaignId, sellerId, filters, chunk => res.write(chunk));
+  res.end();
+};
+
+/**
+ * Status of a background attendee export
+ */
+export const getAttendeeExport = async (req, res) => {
+  const job = await attendeeExportService.getExport(req.params.exportId, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { export: job },
+  });
+};
+
+/**
+ * Download a finished background export
+ */
+export const downloadAttendeeExport = async (req, res) => {
+  const url = await attendeeExportService.getDownloadUrl(req.params.exportId, req.user.id);
+
+  res.redirect(302, url);
+};
+
 /**
  * Get enhanced booking analytics for campaign
  */
@@ -596,7 +1045,8 @@ export const enhancedCancelBooking = async (req, res) => {
         metadata: {
           reason: cancellationData.reason,
           refundRequested: cancellationData.requestRefund,
-          refundAmount: result.refundAmount
+          refundAmount: result.refundAmount,
+          refundTo: result.refundTo
         }
       }
     });
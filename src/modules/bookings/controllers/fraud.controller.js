@@ -0,0 +1,53 @@
+import prisma from '../../../config/database.js';
+import fraudScreeningService from '../services/fraudScreeningService.js';
+
+/**
+ * Current booking fraud screening thresholds
+ */
+export const getFraudSettings = async (req, res) => {
+  const settings = await fraudScreeningService.getSettings();
+
+  res.status(200).json({
+    success: true,
+    data: { settings },
+  });
+};
+
+/**
+ * Tune the booking fraud screening thresholds
+ */
+export const updateFraudSettings = async (req, res) => {
+  const adminId = req.user.id;
+
+  const { before, after } = await fraudScreeningService.updateSettings(adminId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: adminId,
+      action: 'FRAUD_SETTINGS_UPDATED',
+      entity: 'FraudSettings',
+      entityId: 'default',
+      changes: { before, after },
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Fraud screening settings updated successfully',
+    data: { settings: after },
+  });
+};
+
+/**
+ * Review challenged and blocked booking attempts
+ */
+export const getFlaggedBookingAttempts = async (req, res) => {
+  const { action, userId, limit, cursor } = req.query;
+
+  const result = await fraudScreeningService.getFlaggedAttempts({ action, userId, limit, cursor });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+};
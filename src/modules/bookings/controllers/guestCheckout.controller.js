@@ -0,0 +1,99 @@
+import prisma from '../../../config/database.js';
+import guestCheckoutService from '../services/guestCheckoutService.js';
+import fraudScreeningService from '../services/fraudScreeningService.js';
+
+/**
+ * Book without an account: creates a guest customer, the booking and its payment
+ */
+export const guestCheckout = async (req, res) => {
+  const result = await guestCheckoutService.checkout(req.body, fraudScreeningService.requestContext(req));
+  const { guest, booking, payment, amountDue, accessToken } = result;
+
+  await prisma.auditLog.create({
+    data: {
+      userId: guest.id,
+      action: 'GUEST_BOOKING_CREATED',
+      entity: 'Booking',
+      entityId: booking.id,
+      metadata: {
+        campaignId: req.body.campaignId,
+        sessionId: booking.sessionId,
+        ticketType: req.body.ticketType,
+        quantity: req.body.quantity,
+        totalAmount: booking.totalAmount,
+        paymentId: payment?.payment.id,
+      },
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Booking created successfully',
+    data: {
+      booking,
+      accessToken,
+      paymentRequired: Boolean(payment),
+      amountDue,
+      paymentDeadline: booking.paymentDeadline,
+      paymentLink: payment?.paymentLink || null,
+      paymentReference: payment?.payment.transactionRef || null,
+    },
+  });
+};
+
+/**
+ * View the booking behind a magic link
+ */
+export const getGuestBooking = async (req, res) => {
+  const booking = await guestCheckoutService.getBooking(req.params.token);
+
+  res.status(200).json({
+    success: true,
+    data: { booking },
+  });
+};
+
+/**
+ * Download a ticket PDF through a magic link
+ */
+export const downloadGuestTicket = async (req, res) => {
+  const { token, ticketId } = req.params;
+
+  const url = await guestCheckoutService.getTicketDownloadUrl(token, ticketId);
+
+  res.redirect(302, url);
+};
+
+/**
+ * Get (or restart) the payment link of a pending guest booking
+ */
+export const resumeGuestPayment = async (req, res) => {
+  const result = await guestCheckoutService.resumePayment(req.params.token, { currency: req.body.currency });
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment initialized successfully',
+    data: {
+      paymentId: result.payment.id,
+      paymentLink: result.paymentLink,
+      reference: result.payment.transactionRef,
+      amount: result.payment.amount,
+      currency: result.payment.currency,
+      existing: result.existing || false,
+    },
+  });
+};
+
+/**
+ * Email a new magic link for a guest booking
+ */
+export const requestGuestAccessLink = async (req, res) => {
+  const { email, bookingRef } = req.body;
+
+  await guestCheckoutService.sendAccessLink(email, bookingRef);
+
+  res.status(200).json({
+    success: true,
+    message: 'If a guest booking matches these details, a link to it has been emailed',
+  });
+};
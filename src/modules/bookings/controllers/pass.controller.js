@@ -0,0 +1,129 @@
+import prisma from '../../../config/database.js';
+import passService from '../services/passService.js';
+
+/**
+ * Define a season pass or multi-event bundle
+ */
+export const createPass = async (req, res) => {
+  const sellerId = req.user.id;
+
+  const pass = await passService.createPass(sellerId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: 'PASS_CREATED',
+      entity: 'Pass',
+      entityId: pass.id,
+      metadata: {
+        name: pass.name,
+        price: pass.price,
+        quantity: pass.quantity,
+        campaignIds: [...new Set(pass.items.map(item => item.campaignId))],
+      },
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Pass created successfully',
+    data: pass,
+  });
+};
+
+/**
+ * Change a pass's details or take it off sale
+ */
+export const updatePass = async (req, res) => {
+  const { passId } = req.params;
+  const sellerId = req.user.id;
+
+  const { before, after } = await passService.updatePass(sellerId, passId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: 'PASS_UPDATED',
+      entity: 'Pass',
+      entityId: passId,
+      changes: {
+        before: { name: before.name, price: before.price, quantity: before.quantity, isActive: before.isActive },
+        after: req.body,
+      },
+    },
+  });
+
+  res.json({
+    success: true,
+    message: 'Pass updated successfully',
+    data: after,
+  });
+};
+
+/**
+ * The seller's passes
+ */
+export const getSellerPasses = async (req, res) => {
+  const result = await passService.getSellerPasses(req.user.id, req.query);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+};
+
+/**
+ * Public pass details
+ */
+export const getPass = async (req, res) => {
+  const pass = await passService.getPass(req.params.passId);
+
+  res.json({
+    success: true,
+    data: pass,
+  });
+};
+
+/**
+ * Buy a pass; pay for the returned order to activate it
+ */
+export const purchasePass = async (req, res) => {
+  const { passId } = req.params;
+  const userId = req.user.id;
+
+  const order = await passService.purchasePass(userId, passId);
+
+  await prisma.auditLog.create({
+    data: {
+      userId,
+      action: 'PASS_PURCHASED',
+      entity: 'PassPurchase',
+      entityId: order.passPurchase.id,
+      metadata: {
+        passId,
+        orderId: order.id,
+        orderRef: order.orderRef,
+        totalAmount: order.totalAmount,
+        bookingIds: order.bookings.map(booking => booking.id),
+      },
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Pass reserved. Complete payment for the order to activate it.',
+    data: order,
+  });
+};
+
+/**
+ * The signed-in customer's passes
+ */
+export const getMyPasses = async (req, res) => {
+  const passes = await passService.getMyPasses(req.user.id);
+
+  res.json({
+    success: true,
+    data: passes,
+  });
+};
@@ -0,0 +1,84 @@
+import prisma from '../../../config/database.js';
+import resaleService from '../services/resaleService.js';
+
+/**
+ * List one of the user's tickets for resale
+ */
+export const createListing = async (req, res) => {
+  const { ticketId } = req.params;
+  const userId = req.user.id;
+
+  const listing = await resaleService.createListing(userId, ticketId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId,
+      action: 'RESALE_LISTING_CREATED',
+      entity: 'Ticket',
+      entityId: ticketId,
+      metadata: {
+        listingId: listing.id,
+        price: listing.price,
+        faceValue: listing.faceValue,
+        royaltyAmount: listing.royaltyAmount,
+      },
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Ticket listed for resale',
+    data: listing,
+  });
+};
+
+/**
+ * Withdraw a resale listing
+ */
+export const withdrawListing = async (req, res) => {
+  const { listingId } = req.params;
+  const userId = req.user.id;
+
+  const listing = await resaleService.withdrawListing(listingId, userId);
+
+  await prisma.auditLog.create({
+    data: {
+      userId,
+      action: 'RESALE_LISTING_WITHDRAWN',
+      entity: 'Ticket',
+      entityId: listing.ticketId,
+      metadata: { listingId },
+    },
+  });
+
+  res.json({
+    success: true,
+    message: 'Resale listing withdrawn',
+  });
+};
+
+/**
+ * Resale tickets available for a campaign
+ */
+export const getCampaignListings = async (req, res) => {
+  const { campaignId } = req.params;
+
+  const result = await resaleService.getCampaignListings(campaignId, req.query);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+};
+
+/**
+ * The user's own resale listings
+ */
+export const getMyListings = async (req, res) => {
+  const listings = await resaleService.getUserListings(req.user.id);
+
+  res.json({
+    success: true,
+    data: listings,
+  });
+};
@@ -0,0 +1,107 @@
+import prisma from '../../../config/database.js';
+import ticketTransferService from '../services/ticketTransferService.js';
+
+/**
+ * Offer a ticket to another customer
+ */
+export const initiateTransfer = async (req, res) => {
+  const { ticketId } = req.params;
+  const userId = req.user.id;
+
+  const transfer = await ticketTransferService.initiateTransfer(ticketId, userId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId,
+      action: 'TICKET_TRANSFER_INITIATED',
+      entity: 'Ticket',
+      entityId: ticketId,
+      metadata: {
+        transferId: transfer.id,
+        toEmail: transfer.toEmail,
+        expiresAt: transfer.expiresAt,
+      },
+    },
+  });
+
+  const { tokenHash, ...data } = transfer;
+
+  res.status(201).json({
+    success: true,
+    message: 'Transfer offer sent to the recipient',
+    data,
+  });
+};
+
+/**
+ * Accept a ticket transfer with the emailed token
+ */
+export const acceptTransfer = async (req, res) => {
+  const { token } = req.body;
+
+  const { transfer, ticket } = await ticketTransferService.acceptTransfer(token, req.user);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'TICKET_TRANSFERRED',
+      entity: 'Ticket',
+      entityId: ticket.id,
+      changes: {
+        before: { customerId: transfer.fromUserId },
+        after: { customerId: req.user.id },
+      },
+      metadata: { transferId: transfer.id, ticketNumber: ticket.ticketNumber },
+    },
+  });
+
+  res.json({
+    success: true,
+    message: 'Ticket transferred to your account. A new ticket PDF is being generated.',
+    data: {
+      ticket: {
+        id: ticket.id,
+        ticketNumber: ticket.ticketNumber,
+        ticketType: ticket.ticketType,
+        status: ticket.status,
+      },
+    },
+  });
+};
+
+/**
+ * Cancel a pending transfer offer
+ */
+export const cancelTransfer = async (req, res) => {
+  const { transferId } = req.params;
+  const userId = req.user.id;
+
+  const transfer = await ticketTransferService.cancelTransfer(transferId, userId);
+
+  await prisma.auditLog.create({
+    data: {
+      userId,
+      action: 'TICKET_TRANSFER_CANCELLED',
+      entity: 'Ticket',
+      entityId: transfer.ticketId,
+      metadata: { transferId },
+    },
+  });
+
+  res.json({
+    success: true,
+    message: 'Transfer cancelled',
+  });
+};
+
+/**
+ * List the user's sent and incoming transfers
+ */
+export const getMyTransfers = async (req, res) => {
+  const result = await ticketTransferService.getUserTransfers(req.user);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+};
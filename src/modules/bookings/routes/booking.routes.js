@@ -1,38 +1,142 @@
 import express from 'express';
 import { asyncHandler } from '../../../shared/middleware/errorHandler.js';
+import { idempotency } from '../../../shared/middleware/idempotency.js';
 import { ensureAuthenticated, ensureRoles } from '../../auth/middleware/auth.middleware.js';
 import {
   createBooking,
+  createOrder,
+  getOrderById,
+  cancelOrder,
   getUserBookings,
+  getMyTickets,
+  updateTicketAttendee,
   getBookingById,
+  getBookingInvoice,
+  getBookingCalendar,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed,
   cancelBooking,
   // confirmBooking,
   getCampaignBookingStats,
   modifyBooking,
   requestRefund,
   addToWaitlist,
+  getMyWaitlistEntries,
+  leaveWaitlist,
+  getCampaignWaitlist,
+  getCampaignAttendees,
+  exportCampaignAttendees,
+  getAttendeeExport,
+  downloadAttendeeExport,
+  issueCompTickets,
   getEnhancedCampaignBookingAnalytics,
   getSellerBookingAnalytics,
   getPlatformBookingAnalytics,
   getRealTimeBookingMetrics,
   enhancedCancelBooking,
 } from '../controllers/booking.controller.js';
+import {
+  initiateTransfer,
+  acceptTransfer,
+  cancelTransfer,
+  getMyTransfers,
+} from '../controllers/ticketTransfer.controller.js';
+import {
+  createListing,
+  withdrawListing,
+  getCampaignListings,
+  getMyListings,
+} from '../controllers/resale.controller.js';
+import {
+  createPass,
+  updatePass,
+  getSellerPasses,
+  getPass,
+  purchasePass,
+  getMyPasses,
+} from '../controllers/pass.controller.js';
+import {
+  guestCheckout,
+  getGuestBooking,
+  downloadGuestTicket,
+  resumeGuestPayment,
+  requestGuestAccessLink,
+} from '../controllers/guestCheckout.controller.js';
+import {
+  getFraudSettings,
+  updateFraudSettings,
+  getFlaggedBookingAttempts,
+} from '../controllers/fraud.controller.js';
 import {
   validateBooking,
+  validateOrder,
   validateBookingModification,
   validateRefundRequest,
   validateWaitlistEntry,
   validateEnhancedBooking,
-  validateEnhancedCancellation
+  validateEnhancedCancellation,
+  validateTicketTransfer,
+  validateTransferAcceptance,
+  validateResaleListing,
+  validateAttendeeUpdate,
+  validateCompIssue,
+  validatePass,
+  validatePassUpdate,
+  validateAttendeeExport,
+  validateGuestCheckout,
+  validateGuestAccessLink,
+  validateFraudSettings,
+  validateFlaggedAttempts
 } from '../validators/booking.validator.js';
 
 const router = express.Router();
 
+// Guests have no session: their retry keys are scoped to the buyer's email, and
+// the magic-link token is never replayed to whoever presents the same key
+const guestIdempotency = {
+  scope: (req) => typeof req.body?.email === 'string' && `guest:${req.body.email.trim().toLowerCase()}`,
+  omit: ['accessToken'],
+};
+
 // Customer routes
-router.post('/', ensureAuthenticated, validateBooking, asyncHandler(createBooking));
-router.post('/enhanced', ensureAuthenticated, validateEnhancedBooking, asyncHandler(createBooking));
+router.post('/', ensureAuthenticated, idempotency(), validateBooking, asyncHandler(createBooking));
+router.post('/enhanced', ensureAuthenticated, idempotency(), validateEnhancedBooking, asyncHandler(createBooking));
+router.post('/orders', ensureAuthenticated, idempotency(), validateOrder, asyncHandler(createOrder));
+router.get('/orders/:orderId', ensureAuthenticated, asyncHandler(getOrderById));
+router.post('/orders/:orderId/cancel', ensureAuthenticated, asyncHandler(cancelOrder));
 router.get('/my-bookings', ensureAuthenticated, asyncHandler(getUserBookings));
+router.get('/my-tickets', ensureAuthenticated, asyncHandler(getMyTickets));
+router.get('/my-waitlist', ensureAuthenticated, asyncHandler(getMyWaitlistEntries));
+router.get('/transfers', ensureAuthenticated, asyncHandler(getMyTransfers));
+router.post('/transfers/accept', ensureAuthenticated, validateTransferAcceptance, asyncHandler(acceptTransfer));
+router.post('/transfers/:transferId/cancel', ensureAuthenticated, asyncHandler(cancelTransfer));
+router.put('/tickets/:ticketId/attendee', ensureAuthenticated, validateAttendeeUpdate, asyncHandler(updateTicketAttendee));
+router.post('/tickets/:ticketId/transfer', ensureAuthenticated, validateTicketTransfer, asyncHandler(initiateTransfer));
+router.get('/resale/my-listings', ensureAuthenticated, asyncHandler(getMyListings));
+router.get('/resale/campaign/:campaignId', asyncHandler(getCampaignListings));
+router.post('/tickets/:ticketId/resale', ensureAuthenticated, validateResaleListing, asyncHandler(createListing));
+router.delete('/resale/:listingId', ensureAuthenticated, asyncHandler(withdrawListing));
+router.post('/passes', ensureRoles('SELLER'), validatePass, asyncHandler(createPass));
+router.get('/passes/seller', ensureRoles('SELLER'), asyncHandler(getSellerPasses));
+router.patch('/passes/:passId', ensureRoles('SELLER'), validatePassUpdate, asyncHandler(updatePass));
+router.get('/passes/:passId', asyncHandler(getPass));
+router.post('/passes/:passId/purchase', ensureAuthenticated, idempotency(), asyncHandler(purchasePass));
+router.get('/my-passes', ensureAuthenticated, asyncHandler(getMyPasses));
+router.post('/calendar/feed', ensureAuthenticated, asyncHandler(createCalendarFeed));
+router.delete('/calendar/feed', ensureAuthenticated, asyncHandler(revokeCalendarFeed));
+router.get('/calendar/feed/:token.ics', asyncHandler(getCalendarFeed));
+
+// Guest checkout (no account; the booking is reached through a magic link)
+router.post('/guest/checkout', idempotency(guestIdempotency), validateGuestCheckout, asyncHandler(guestCheckout));
+router.post('/guest/access-link', validateGuestAccessLink, asyncHandler(requestGuestAccessLink));
+router.get('/guest/:token', asyncHandler(getGuestBooking));
+router.post('/guest/:token/payment', asyncHandler(resumeGuestPayment));
+router.get('/guest/:token/tickets/:ticketId/download', asyncHandler(downloadGuestTicket));
+
 router.get('/:bookingId', ensureAuthenticated, asyncHandler(getBookingById));
+router.get('/:bookingId/invoice', ensureAuthenticated, asyncHandler(getBookingInvoice));
+router.get('/:bookingId/calendar.ics', ensureAuthenticated, asyncHandler(getBookingCalendar));
 router.post('/:bookingId/cancel', ensureAuthenticated, asyncHandler(cancelBooking));
 
 // System routes (called after payment verification)
@@ -43,14 +147,26 @@ router.put('/:bookingId/modify', ensureAuthenticated, validateBookingModificatio
 router.post('/:bookingId/refund', ensureAuthenticated, validateRefundRequest, asyncHandler(requestRefund));
 router.post('/:bookingId/cancel-enhanced', ensureAuthenticated, validateEnhancedCancellation, asyncHandler(enhancedCancelBooking));
 router.post('/waitlist/:campaignId', ensureAuthenticated, validateWaitlistEntry, asyncHandler(addToWaitlist));
+router.delete('/waitlist/:entryId', ensureAuthenticated, asyncHandler(leaveWaitlist));
 
 // Analytics routes
 router.get('/analytics/real-time', ensureRoles('SUPER_ADMIN', 'SELLER'), asyncHandler(getRealTimeBookingMetrics));
 router.get('/analytics/seller', ensureRoles('SELLER'), asyncHandler(getSellerBookingAnalytics));
 router.get('/analytics/platform', ensureRoles('SUPER_ADMIN'), asyncHandler(getPlatformBookingAnalytics));
+
+// Fraud screening (admin)
+router.get('/fraud/settings', ensureRoles('SUPER_ADMIN'), asyncHandler(getFraudSettings));
+router.patch('/fraud/settings', ensureRoles('SUPER_ADMIN'), validateFraudSettings, asyncHandler(updateFraudSettings));
+router.get('/fraud/attempts', ensureRoles('SUPER_ADMIN'), validateFlaggedAttempts, asyncHandler(getFlaggedBookingAttempts));
 router.get('/campaign/:campaignId/analytics-enhanced', ensureRoles('SELLER'), asyncHandler(getEnhancedCampaignBookingAnalytics));
 
 // Seller routes
 router.get('/campaign/:campaignId/stats', ensureRoles('SELLER'), asyncHandler(getCampaignBookingStats));
+router.get('/campaign/:campaignId/waitlist', ensureRoles('SELLER'), asyncHandler(getCampaignWaitlist));
+router.get('/campaign/:campaignId/attendees', ensureRoles('SELLER'), asyncHandler(getCampaignAttendees));
+router.get('/campaign/:campaignId/attendees/export', ensureRoles('SELLER'), validateAttendeeExport, asyncHandler(exportCampaignAttendees));
+router.get('/exports/:exportId', ensureRoles('SELLER'), asyncHandler(getAttendeeExport));
+router.get('/exports/:exportId/download', ensureRoles('SELLER'), asyncHandler(downloadAttendeeExport));
+router.post('/campaign/:campaignId/comps', ensureRoles('SELLER'), validateCompIssue, asyncHandler(issueCompTickets));
 
 export default router;
@@ -0,0 +1,296 @@
+import { v2 as cloudinary } from 'cloudinary';
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import config from '../../../config/index.js';
+import { emailQueue, exportQueue } from '../../../config/rabbitmq.js';
+import { toCSV, toCSVRows } from '../../../shared/utils/csv.js';
+import { toXLSX } from '../../../shared/utils/xlsx.js';
+import bookingService from './bookingService.js';
+import { NotFoundError, AuthorizationError, ConflictError } from '../../../shared/errors/AppError.js';
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: config.cloudinary.cloudName,
+  api_key: config.cloudinary.apiKey,
+  api_secret: config.cloudinary.apiSecret,
+});
+
+const CONTENT_TYPES = {
+  CSV: 'text/csv',
+  XLSX: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Guest list exports for sellers: every ticket from a campaign's confirmed
+ * bookings as CSV or XLSX.
+ *
+ * Exports up to `config.exports.syncRowLimit` rows are downloaded directly.
+ * Larger ones become an ExportJob: the export worker builds the file, stores
+ * it privately and emails the seller a download link.
+ */
+class AttendeeExportService {
+  /**
+   * Columns shared by the attendee CSV and the exports
+   */
+  columns(questions = []) {
+    return [
+      { header: 'Ticket Number', value: row => row.ticketNumber },
+      { header: 'Ticket Type', value: row => row.ticketType },
+      { header: 'Status', value: row => row.status },
+      { header: 'Admissions', value: row => row.admissions },
+      { header: 'Booking Ref', value: row => row.bookingRef },
+      { header: 'Attendee Name', value: row => row.attendeeName || row.holderName },
+      { header: 'Attendee Email', value: row => row.attendeeEmail || row.holderEmail },
+      { header: 'Ticket Holder', value: row => row.holderName },
+      { header: 'Holder Email', value: row => row.holderEmail },
+      { header: 'Price Paid', value: row => row.pricePaid },
+      { header: 'Promo Code', value: row => row.promoCode },
+      { header: 'Scan Count', value: row => row.scanCount },
+      { header: 'First Scan', value: row => row.firstScanAt },
+      { header: 'Last Scan', value: row => row.lastScanAt },
+      { header: 'Seats', value: row => row.seats.join('; ') },
+      ...questions.map(question => ({ header: question.label, value: row => row.answers[question.id] })),
+    ];
+  }
+
+  /**
+   * Decide how to deliver an export: directly when small, otherwise as a
+   * background job. Returns `{ job }` for background exports, `{ job: null }`
+   * when the caller should download it now.
+   */
+  async requestExport(campaignId, sellerId, { format, ticketType, checkedIn }) {
+    const filters = this._filters({ ticketType, checkedIn });
+
+    // Ownership check
+    await bookingService.getCampaignAttendees(campaignId, sellerId, { ...filters, take: 1 });
+
+    const rowCount = await prisma.ticket.count({
+      where: bookingService._attendeeWhere(campaignId, filters)
+    });
+
+    if (rowCount <= config.exports.syncRowLimit) {
+      return { job: null, rowCount };
+    }
+
+    const job = await prisma.exportJob.create({
+      data: {
+        requestedById: sellerId,
+        campaignId,
+        format,
+        filters
+      }
+    });
+
+    await exportQueue.exportAttendees(job.id);
+
+    logger.info('Attendee export queued', { exportJobId: job.id, campaignId, sellerId, rowCount });
+
+    return { job, rowCount };
+  }
+
+  /**
+   * Write a CSV export to `write` one batch at a time
+   */
+  async streamCSV(campaignId, sellerId, filters, write) {
+    let rowCount = 0;
+
+    for await (const { questions, attendees } of this._batches(campaignId, sellerId, this._filters(filters))) {
+      const columns = this.columns(questions);
+
+      if (rowCount === 0) {
+        write(toCSV(columns, []));
+      }
+
+      if (attendees.length > 0) {
+        write(`\r\n${toCSVRows(columns, attendees)}`);
+      }
+
+      rowCount += attendees.length;
+    }
+
+    return rowCount;
+  }
+
+  /**
+   * Build a complete export file in memory
+   */
+  async buildFile(campaignId, sellerId, filters, format) {
+    const rows = [];
+    let questions = [];
+    let campaign = null;
+
+    for await (const batch of this._batches(campaignId, sellerId, this._filters(filters))) {
+      rows.push(...batch.attendees);
+      questions = batch.questions;
+      campaign = batch.campaign;
+    }
+
+    const columns = this.columns(questions);
+    const extension = format === 'XLSX' ? 'xlsx' : 'csv';
+
+    return {
+      content: format === 'XLSX' ? toXLSX(columns, rows, { sheetName: 'Attendees' }) : Buffer.from(toCSV(columns, rows)),
+      fileName: `attendees-${this._slug(campaign.title)}-${new Date().toISOString().slice(0, 10)}.${extension}`,
+      contentType: CONTENT_TYPES[format] || CONTENT_TYPES.CSV,
+      rowCount: rows.length
+    };
+  }
+
+  /**
+   * Build a queued export, store it and email the link. Run by the export worker.
+   */
+  async processExport(exportJobId) {
+    const job = await prisma.exportJob.findUnique({
+      where: { id: exportJobId },
+      include: {
+        requestedBy: { select: { email: true, firstName: true, lastName: true } },
+        campaign: { select: { title: true } }
+      }
+    });
+
+    if (!job) {
+      logger.warn('Export job not found', { exportJobId });
+      return;
+    }
+
+    if (job.status === 'COMPLETED') {
+      logger.warn('Export job already completed, skipping.', { exportJobId });
+      return;
+    }
+
+    await prisma.exportJob.update({
+      where: { id: exportJobId },
+      data: { status: 'PROCESSING', error: null }
+    });
+
+    try {
+      const file = await this.buildFile(job.campaignId, job.requestedById, job.filters, job.format);
+      const fileKey = await this._upload(job, file);
+
+      const completed = await prisma.exportJob.update({
+        where: { id: exportJobId },
+        data: {
+          status: 'COMPLETED',
+          rowCount: file.rowCount,
+          fileKey,
+          fileName: file.fileName,
+          completedAt: new Date(),
+          expiresAt: new Date(Date.now() + config.exports.linkTtlHours * 60 * 60 * 1000)
+        }
+      });
+
+      await emailQueue.sendExportReady({
+        recipientEmail: job.requestedBy.email,
+        recipientName: `${job.requestedBy.firstName} ${job.requestedBy.lastName}`,
+        campaignTitle: job.campaign.title,
+        format: job.format,
+        rowCount: file.rowCount,
+        downloadUrl: `${config.app.url}/api/${config.app.apiVersion}/bookings/exports/${job.id}/download`,
+        expiresAt: completed.expiresAt
+      });
+
+      logger.info('Attendee export completed', { exportJobId, rowCount: file.rowCount });
+    } catch (error) {
+      await prisma.exportJob.update({
+        where: { id: exportJobId },
+        data: { status: 'FAILED', error: error.message }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * An export job of the seller's
+   */
+  async getExport(exportJobId, sellerId) {
+    const { fileKey, ...job } = await this._getOwnedJob(exportJobId, sellerId);
+    return job;
+  }
+
+  /**
+   * Short-lived signed URL for a finished export
+   */
+  async getDownloadUrl(exportJobId, sellerId) {
+    const job = await this._getOwnedJob(exportJobId, sellerId);
+
+    if (job.status !== 'COMPLETED') {
+      throw new ConflictError(`Export is ${job.status.toLowerCase()}`);
+    }
+
+    if (job.expiresAt < new Date()) {
+      throw new ConflictError('This export has expired. Request a new one.');
+    }
+
+    return cloudinary.utils.private_download_url(job.fileKey, '', {
+      resource_type: 'raw',
+      type: 'private',
+      attachment: true,
+      expires_at: Math.floor(Date.now() / 1000) + 5 * 60
+    });
+  }
+
+  // Private helper methods
+  async _getOwnedJob(exportJobId, sellerId) {
+    const job = await prisma.exportJob.findUnique({ where: { id: exportJobId } });
+
+    if (!job) {
+      throw new NotFoundError('Export');
+    }
+
+    if (job.requestedById !== sellerId) {
+      throw new AuthorizationError('You can only access your own exports');
+    }
+
+    return job;
+  }
+
+  async *_batches(campaignId, sellerId, filters) {
+    let cursor;
+
+    while (true) {
+      const batch = await bookingService.getCampaignAttendees(campaignId, sellerId, {
+        ...filters,
+        cursor,
+        take: config.exports.batchSize
+      });
+
+      yield batch;
+
+      if (batch.attendees.length < config.exports.batchSize) return;
+      cursor = batch.attendees[batch.attendees.length - 1].ticketId;
+    }
+  }
+
+  // Exports only cover confirmed bookings
+  _filters({ ticketType, checkedIn } = {}) {
+    return {
+      ...(ticketType && { ticketType }),
+      ...(checkedIn !== undefined && checkedIn !== null && { checkedIn: String(checkedIn) }),
+      confirmedOnly: true
+    };
+  }
+
+  async _upload(job, file) {
+    const result = await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream(
+        {
+          resource_type: 'raw',
+          type: 'private',
+          public_id: `exports/${job.id}/${file.fileName}`,
+        },
+        (error, uploaded) => {
+          if (error) reject(error);
+          else resolve(uploaded);
+        }
+      ).end(file.content);
+    });
+
+    return result.public_id;
+  }
+
+  _slug(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'campaign';
+  }
+}
+
+export default new AttendeeExportService();
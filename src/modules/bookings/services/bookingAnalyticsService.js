@@ -569,12 +569,11 @@
 
 // export default new BookingAnalyticsService();
 
-import { PrismaClient, Prisma } from '@prisma/client';
+import { Prisma } from '@prisma/client';
+import prisma from '../../../config/database.js';
 import { cache } from '../../../config/redis.js';
 import logger from '../../../config/logger.js';
 
-const prisma = new PrismaClient();
-
 /**
  * Booking Analytics Service
  * * Features:
@@ -750,18 +749,27 @@ class BookingAnalyticsService {
    * Uses 'aggregate' for efficient database-side summation
    */
   async _getBookingSummary(whereClause) {
+    // Comps are reported separately so they do not inflate sales or conversion
+    const salesWhere = { ...whereClause, channel: { not: 'COMP' } };
+
     const summary = await prisma.booking.aggregate({
-      where: whereClause,
+      where: salesWhere,
       _count: { id: true },
       _sum: { quantity: true, totalAmount: true }
     });
 
     const confirmed = await prisma.booking.aggregate({
-      where: { ...whereClause, status: 'CONFIRMED' },
+      where: { ...salesWhere, status: 'CONFIRMED' },
       _count: { id: true },
       _sum: { quantity: true, totalAmount: true }
     });
 
+    const comps = await prisma.booking.aggregate({
+      where: { ...whereClause, channel: 'COMP', status: 'CONFIRMED' },
+      _count: { id: true },
+      _sum: { quantity: true }
+    });
+
     const totalCount = summary._count.id || 0;
     const confirmedCount = confirmed._count.id || 0;
 
@@ -772,7 +780,9 @@ class BookingAnalyticsService {
       confirmedBookings: confirmedCount,
       confirmedTickets: confirmed._sum.quantity || 0,
       confirmedRevenue: Number(confirmed._sum.totalAmount || 0),
-      conversionRate: totalCount ? (confirmedCount / totalCount * 100) : 0
+      conversionRate: totalCount ? (confirmedCount / totalCount * 100) : 0,
+      compBookings: comps._count.id || 0,
+      compTickets: comps._sum.quantity || 0
     };
   }
 
@@ -904,7 +914,7 @@ class BookingAnalyticsService {
         SUM("quantity")::int as tickets,
         SUM("totalAmount")::float as revenue
       FROM "bookings"
-      WHERE ${rawWhere} AND "status" = 'CONFIRMED'
+      WHERE ${rawWhere} AND "status" = 'CONFIRMED' AND "channel" <> 'COMP'
       GROUP BY DATE("createdAt")
       ORDER BY date DESC
       LIMIT 30
@@ -939,7 +949,7 @@ class BookingAnalyticsService {
         SUM(b."totalAmount")::float as revenue
       FROM "bookings" b
       JOIN "ticket_campaigns" c ON b."campaignId" = c.id
-      WHERE ${rawWhere} AND b."status" = 'CONFIRMED'
+      WHERE ${rawWhere} AND b."status" = 'CONFIRMED' AND b."channel" <> 'COMP'
       GROUP BY DATE_TRUNC(${Prisma.sql`${safePeriod}`}, b."createdAt")
       ORDER BY date DESC
       LIMIT 30
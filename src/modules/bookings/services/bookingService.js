@@ -1,15 +1,28 @@
 import prisma from '../../../config/database.js';
 import { cache, bookingCounters, lock } from '../../../config/redis.js';
-import { pdfQueue, emailQueue, paymentQueue } from '../../../config/rabbitmq.js';
+import { pdfQueue, emailQueue, paymentQueue, bookingQueue } from '../../../config/rabbitmq.js';
 import logger from '../../../config/logger.js';
-import { generateUniqueId } from '../../../shared/utils/encryption.js';
+import config from '../../../config/index.js';
+import { generateUniqueId, generateSecureToken } from '../../../shared/utils/encryption.js';
+import seatMapService from '../../campaigns/services/seatMapService.js';
+import refundPolicyService from '../../campaigns/services/refundPolicyService.js';
+import checkoutQuestionService from '../../campaigns/services/checkoutQuestionService.js';
+import paymentPlanService from '../../campaigns/services/paymentPlanService.js';
+import sessionService from '../../campaigns/services/sessionService.js';
+import resaleService from './resaleService.js';
+import walletService from '../../finance/services/walletService.js';
+import fraudScreeningService from './fraudScreeningService.js';
 import { 
   ValidationError, 
   NotFoundError, 
+  AuthorizationError,
   BookingError,
+  ConflictError,
   InventoryError 
 } from '../../../shared/errors/AppError.js';
 
+const MAX_COMP_TICKETS_PER_REQUEST = 200;
+
 /**
  * Enhanced Booking Service with comprehensive business logic
  */
@@ -17,8 +30,21 @@ class BookingService {
   /**
    * Create a booking with advanced inventory management
    */
-  async createBooking(userId, bookingData) {
-    const { campaignId, ticketType, quantity, issuanceType, promoCode, groupBookingInfo } = bookingData;
+  async createBooking(userId, bookingData, context = {}) {
+    const {
+      campaignId,
+      ticketType,
+      quantity,
+      issuanceType,
+      promoCode,
+      groupBookingInfo,
+      seatIds,
+      attendees,
+      sessionId,
+      useStoreCredit = false,
+      storeCreditAmount,
+      paymentPlanId
+    } = bookingData;
 
     // Validate basic constraints
     if (quantity < 1 || quantity > 20) {
@@ -29,6 +55,12 @@ class BookingService {
       throw new ValidationError('Invalid issuance type. Must be SINGLE or SEPARATE');
     }
 
+    if (paymentPlanId && useStoreCredit) {
+      throw new ValidationError('Store credit cannot be combined with a payment plan');
+    }
+
+    await fraudScreeningService.screen(userId, { campaignId, quantity }, context);
+
     // Acquire distributed lock
     const lockKey = `booking:lock:${campaignId}:${ticketType}`;
     const lockToken = await lock.acquire(lockKey, 10);
@@ -37,6 +69,8 @@ class BookingService {
       throw new BookingError('System is busy. Please try again.');
     }
 
+    let waitlistHolds = [];
+
     try {
       const booking = await prisma.$transaction(async (tx) => {
         // Get campaign with all necessary data
@@ -56,18 +90,32 @@ class BookingService {
         // Validate campaign availability
         await this._validateCampaignBookability(campaign);
 
+        // Tickets held for this customer from the waitlist count towards availability
+        const reservation = await this._findWaitlistReservation(tx, userId, campaignId, ticketType);
+
         // Validate ticket type and check inventory
-        const ticketTypeInfo = await this._validateTicketType(campaign, ticketType, quantity);
+        const campaignTicketType = await this._validateTicketType(campaign, ticketType, quantity, reservation?.quantity || 0);
+
+        // Multi-session campaigns are booked per session, at the session's price
+        const session = await sessionService.reserveSession(tx, campaign, sessionId, quantity);
+        const ticketTypeInfo = sessionService.applyPriceOverride(session, ticketType, campaignTicketType);
+
+        // Named attendees and answers to the campaign's checkout questions
+        const attendeeDetails = checkoutQuestionService.collectAttendees(campaign, { ticketType, quantity, issuanceType, attendees });
 
         // Check customer booking limits
         await this._checkCustomerBookingLimits(tx, userId, campaignId, quantity, campaign.maxPerCustomer);
 
         // Apply promo code if provided
-        const discountInfo = promoCode ? await this._applyPromoCode(tx, promoCode, campaignId, userId) : null;
+        const discountInfo = promoCode ? await this._applyPromoCode(tx, promoCode, campaign, userId, ticketType) : null;
 
         // Calculate final pricing
         const pricingInfo = await this._calculateBookingPrice(ticketTypeInfo, quantity, discountInfo);
 
+        const paymentPlan = paymentPlanId
+          ? paymentPlanService.getPlan(campaign, paymentPlanId, { ticketType, amount: pricingInfo.totalAmount })
+          : null;
+
         // Create booking record
         const booking = await this._createBookingRecord(tx, {
           userId,
@@ -78,11 +126,41 @@ class BookingService {
           pricingInfo,
           discountInfo,
           groupBookingInfo,
-          campaign
+          attendees: attendeeDetails,
+          campaign,
+          session,
+          paymentPlan
         });
 
+        // Deposit now and the rest on the plan's schedule; tickets are issued once it is all paid
+        if (paymentPlan) {
+          booking.installments = await this._createInstallments(tx, booking, paymentPlan, session?.startsAt || campaign.eventDate);
+        }
+
+        // Redeem promo code against the total usage cap
+        if (discountInfo) {
+          await this._recordPromoCodeUsage(tx, discountInfo, booking, userId, pricingInfo.discountAmount);
+        }
+
+        // Store credit pays for some or all of the booking; the rest goes through the gateway
+        if (useStoreCredit && pricingInfo.totalAmount > 0) {
+          booking.creditApplied = await walletService.applyToBooking(tx, userId, booking, storeCreditAmount);
+
+          if (booking.creditApplied >= pricingInfo.totalAmount) {
+            booking.creditPayment = await this._createStoreCreditPayment(tx, booking);
+          }
+        }
+
+        // Reserve the customer's held seats for seated ticket types
+        await this._reserveSeats(tx, { userId, campaignId, ticketType, quantity, seatIds, bookingId: booking.id });
+
         // Update inventory
-        await this._updateInventory(tx, campaign, ticketType, quantity);
+        await this._updateInventory(tx, campaign, ticketType, quantity, reservation);
+
+        // Convert the waitlist reservation into this booking
+        if (reservation) {
+          waitlistHolds = await this._claimWaitlistReservation(tx, reservation, booking);
+        }
 
         // Update analytics
         await this._updateBookingAnalytics(tx, campaignId, booking);
@@ -93,6 +171,14 @@ class BookingService {
       // Release lock
       await lock.release(lockKey, lockToken);
 
+      // Seats are now reserved in the database, the Redis holds are no longer needed
+      if (seatIds?.length) {
+        await seatMapService.releaseHolds(userId, campaignId, seatIds);
+      }
+
+      // Unused reserved tickets may have moved to the next waitlist entry
+      await this._notifyWaitlistUsers(waitlistHolds);
+
       // Trigger post-booking processes
       await this._triggerPostBookingProcesses(booking, userId);
 
@@ -107,6 +193,455 @@ class BookingService {
     }
   }
 
+  /**
+   * Create a multi-item order across ticket types (and campaigns of one seller).
+   * Every line is locked, validated and taken from inventory in one transaction
+   * and becomes a Booking under the order, paid with a single payment.
+   */
+  async createOrder(userId, orderData, context = {}) {
+    const { items, issuanceType = 'SEPARATE', promoCode } = orderData;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('Order must contain at least one item');
+    }
+
+    if (!['SINGLE', 'SEPARATE'].includes(issuanceType)) {
+      throw new ValidationError('Invalid issuance type. Must be SINGLE or SEPARATE');
+    }
+
+    const lines = this._mergeOrderItems(items);
+
+    for (const line of lines) {
+      if (line.quantity < 1 || line.quantity > 20) {
+        throw new ValidationError(`Quantity for ${line.ticketType} must be between 1 and 20`);
+      }
+    }
+
+    // Screened per campaign, like the single bookings the order replaces
+    const campaignQuantities = new Map();
+    for (const line of lines) {
+      campaignQuantities.set(line.campaignId, (campaignQuantities.get(line.campaignId) || 0) + line.quantity);
+    }
+
+    for (const [campaignId, quantity] of campaignQuantities) {
+      await fraudScreeningService.screen(userId, { campaignId, quantity }, context);
+    }
+
+    // Lock every ticket type in a stable order so concurrent orders cannot deadlock
+    const lockKeys = [...new Set(lines.map(line => `booking:lock:${line.campaignId}:${line.ticketType}`))].sort();
+    const heldLocks = [];
+    let waitlistHolds = [];
+
+    try {
+      for (const lockKey of lockKeys) {
+        const lockToken = await lock.acquire(lockKey, 10);
+        if (!lockToken) {
+          throw new BookingError('System is busy. Please try again.');
+        }
+        heldLocks.push({ lockKey, lockToken });
+      }
+
+      const order = await prisma.$transaction(async (tx) => {
+        const campaignIds = [...new Set(lines.map(line => line.campaignId))];
+        const campaigns = await tx.ticketCampaign.findMany({
+          where: { id: { in: campaignIds } }
+        });
+
+        if (campaigns.length !== campaignIds.length) {
+          throw new NotFoundError('Campaign');
+        }
+
+        const sellerIds = new Set(campaigns.map(campaign => campaign.sellerId));
+        if (sellerIds.size > 1) {
+          throw new BookingError('All items in an order must be from the same seller');
+        }
+
+        const sellerId = campaigns[0].sellerId;
+        const campaignsById = new Map(campaigns.map(campaign => [campaign.id, campaign]));
+
+        // Validate campaigns and per-customer limits across all lines of a campaign
+        for (const campaign of campaigns) {
+          await this._validateCampaignBookability(campaign);
+
+          const campaignQuantity = lines
+            .filter(line => line.campaignId === campaign.id)
+            .reduce((sum, line) => sum + line.quantity, 0);
+          await this._checkCustomerBookingLimits(tx, userId, campaign.id, campaignQuantity, campaign.maxPerCustomer);
+        }
+
+        // Validate ticket types and inventory for every line
+        const pricedLines = [];
+        for (const line of lines) {
+          const campaign = campaignsById.get(line.campaignId);
+          const reservation = await this._findWaitlistReservation(tx, userId, line.campaignId, line.ticketType);
+          const campaignTicketType = await this._validateTicketType(campaign, line.ticketType, line.quantity, reservation?.quantity || 0);
+          const session = await sessionService.reserveSession(tx, campaign, line.sessionId, line.quantity);
+          const ticketTypeInfo = sessionService.applyPriceOverride(session, line.ticketType, campaignTicketType);
+          const attendees = checkoutQuestionService.collectAttendees(campaign, { ...line, issuanceType });
+
+          pricedLines.push({ ...line, campaign, session, reservation, ticketTypeInfo, attendees });
+        }
+
+        // Price lines, spreading the promo code over the lines it applies to
+        const discountInfo = promoCode ? await this._findPromoCode(tx, promoCode, sellerId, userId, campaignIds) : null;
+        await this._priceOrderLines(pricedLines, discountInfo);
+
+        const subtotal = pricedLines.reduce((sum, line) => sum + line.pricingInfo.subtotal, 0);
+        const discountAmount = pricedLines.reduce((sum, line) => sum + line.pricingInfo.discountAmount, 0);
+
+        // One deadline for the whole order, the strictest of its campaigns
+        const deadlineMinutes = Math.min(...campaigns.map(campaign => campaign.paymentDeadlineMinutes || 30));
+        const paymentDeadline = new Date(Date.now() + deadlineMinutes * 60 * 1000);
+
+        const order = await tx.order.create({
+          data: {
+            orderRef: generateUniqueId('ORD'),
+            customerId: userId,
+            sellerId,
+            status: 'PENDING',
+            subtotal,
+            discountAmount,
+            totalAmount: subtotal - discountAmount,
+            paymentDeadline,
+            metadata: {
+              promoCode: discountInfo?.code,
+              itemCount: pricedLines.length
+            }
+          }
+        });
+
+        const bookings = [];
+        for (const line of pricedLines) {
+          const booking = await this._createBookingRecord(tx, {
+            userId,
+            campaignId: line.campaignId,
+            ticketType: line.ticketType,
+            quantity: line.quantity,
+            issuanceType,
+            pricingInfo: line.pricingInfo,
+            discountInfo: line.pricingInfo.discountAmount > 0 ? discountInfo : null,
+            attendees: line.attendees,
+            campaign: line.campaign,
+            session: line.session,
+            orderId: order.id,
+            paymentDeadline
+          });
+
+          await this._reserveSeats(tx, {
+            userId,
+            campaignId: line.campaignId,
+            ticketType: line.ticketType,
+            quantity: line.quantity,
+            seatIds: line.seatIds,
+            bookingId: booking.id
+          });
+
+          // Re-read the campaign so several lines of it do not overwrite each other
+          const campaign = await tx.ticketCampaign.findUnique({
+            where: { id: line.campaignId }
+          });
+          await this._updateInventory(tx, campaign, line.ticketType, line.quantity, line.reservation);
+
+          if (line.reservation) {
+            waitlistHolds.push(...await this._claimWaitlistReservation(tx, line.reservation, booking));
+          }
+
+          await this._updateBookingAnalytics(tx, line.campaignId, booking);
+
+          bookings.push(booking);
+        }
+
+        // A promo code is redeemed once per order, recorded on the first discounted line
+        if (discountInfo) {
+          const discountedBooking = bookings.find(booking => Number(booking.metadata.discountAmount) > 0);
+          await this._recordPromoCodeUsage(tx, discountInfo, discountedBooking, userId, discountAmount);
+        }
+
+        return { ...order, bookings };
+      });
+
+      for (const line of lines.filter(line => line.seatIds.length > 0)) {
+        await seatMapService.releaseHolds(userId, line.campaignId, line.seatIds);
+      }
+
+      await this._notifyWaitlistUsers(waitlistHolds);
+
+      logger.info('Order created successfully', {
+        orderId: order.id,
+        customerId: userId,
+        itemCount: order.bookings.length,
+        totalAmount: order.totalAmount
+      });
+
+      return order;
+    } finally {
+      for (const { lockKey, lockToken } of heldLocks) {
+        await lock.release(lockKey, lockToken);
+      }
+    }
+  }
+
+  /**
+   * Issue complimentary tickets (guest list, sponsors) to a list of recipients.
+   * Comps come out of inventory like any booking but are never paid: each
+   * recipient gets a COMP booking that the booking worker confirms, sending the
+   * usual ticket PDFs and confirmation email. Unknown emails get a customer
+   * account without a password.
+   */
+  async issueCompTickets(sellerId, campaignId, compData) {
+    const { ticketType, recipients, issuanceType = 'SEPARATE', note, sessionId } = compData;
+
+    if (!['SINGLE', 'SEPARATE'].includes(issuanceType)) {
+      throw new ValidationError('Invalid issuance type. Must be SINGLE or SEPARATE');
+    }
+
+    const mergedRecipients = this._mergeCompRecipients(recipients);
+    const totalQuantity = mergedRecipients.reduce((sum, recipient) => sum + recipient.quantity, 0);
+
+    if (totalQuantity < 1 || totalQuantity > MAX_COMP_TICKETS_PER_REQUEST) {
+      throw new ValidationError(`Between 1 and ${MAX_COMP_TICKETS_PER_REQUEST} comp tickets can be issued at a time`);
+    }
+
+    const lockKey = `booking:lock:${campaignId}:${ticketType}`;
+    const lockToken = await lock.acquire(lockKey, 10);
+
+    if (!lockToken) {
+      throw new BookingError('System is busy. Please try again.');
+    }
+
+    let bookings;
+
+    try {
+      bookings = await prisma.$transaction(async (tx) => {
+        const campaign = await tx.ticketCampaign.findUnique({
+          where: { id: campaignId }
+        });
+
+        if (!campaign) {
+          throw new NotFoundError('Campaign');
+        }
+
+        if (campaign.sellerId !== sellerId) {
+          throw new AuthorizationError('You can only issue comp tickets for your own campaigns');
+        }
+
+        await this._validateCampaignBookability(campaign);
+
+        const seatedTypes = await seatMapService.getSeatedTicketTypes(campaignId, tx);
+        if (seatedTypes[ticketType]) {
+          throw new BookingError('Comp tickets cannot be issued for reserved seating ticket types');
+        }
+
+        await this._validateTicketType(campaign, ticketType, totalQuantity);
+        const session = await sessionService.reserveSession(tx, campaign, sessionId, totalQuantity);
+
+        const pricingInfo = { unitPrice: 0, subtotal: 0, discountAmount: 0, totalAmount: 0 };
+        const created = [];
+
+        for (const recipient of mergedRecipients) {
+          const customer = await this._findOrCreateCustomer(tx, recipient);
+
+          const booking = await this._createBookingRecord(tx, {
+            userId: customer.id,
+            campaignId,
+            ticketType,
+            quantity: recipient.quantity,
+            issuanceType,
+            pricingInfo,
+            campaign,
+            session,
+            comp: { issuedBy: sellerId, note },
+            // Nothing to pay; the deadline only keeps the expiry sweeper away
+            paymentDeadline: campaign.eventDate
+          });
+
+          created.push({ ...booking, customer: { id: customer.id, email: customer.email } });
+        }
+
+        await this._updateInventory(tx, campaign, ticketType, totalQuantity);
+
+        return created;
+      });
+    } finally {
+      await lock.release(lockKey, lockToken);
+    }
+
+    for (const booking of bookings) {
+      await bookingQueue.issueComp(booking.id);
+    }
+
+    logger.info('Comp tickets issued', {
+      campaignId,
+      sellerId,
+      ticketType,
+      recipients: bookings.length,
+      quantity: totalQuantity
+    });
+
+    return bookings;
+  }
+
+  /**
+   * Mark a booking confirmed, generate its tickets and update campaign analytics.
+   * Runs inside the caller's transaction; the booking must include its campaign.
+   */
+  async issueBookingTickets(tx, booking) {
+    const updatedBooking = await tx.booking.update({
+      where: { id: booking.id },
+      data: { status: 'CONFIRMED', confirmedAt: new Date() }
+    });
+
+    const tickets = [];
+    const ticketCount = booking.issuanceType === 'SINGLE' ? 1 : booking.quantity;
+    for (let i = 0; i < ticketCount; i++) {
+      const attendee = booking.attendees?.[i];
+      const ticket = await tx.ticket.create({
+        data: {
+          ticketNumber: generateUniqueId('TKT'),
+          bookingId: booking.id,
+          campaignId: booking.campaignId,
+          sessionId: booking.sessionId,
+          customerId: booking.customerId,
+          ticketType: booking.ticketType,
+          qrCode: '',
+          qrSecurityKey: generateSecureToken(16),
+          status: 'VALID',
+          maxScans: booking.campaign.isMultiScan ? booking.campaign.maxScansPerTicket : 1,
+          validFrom: booking.campaign.startDate,
+          validUntil: booking.campaign.endDate,
+          ...(attendee && {
+            attendeeName: attendee.name,
+            attendeeEmail: attendee.email,
+            attendeeAnswers: attendee.answers
+          })
+        }
+      });
+      tickets.push(ticket);
+    }
+
+    // Reserved seats move onto the issued tickets: one seat per ticket, or all
+    // seats on the single group ticket
+    const seats = await tx.seat.findMany({
+      where: { bookingId: booking.id },
+      orderBy: [{ section: 'asc' }, { row: 'asc' }, { number: 'asc' }]
+    });
+    for (const [index, seat] of seats.entries()) {
+      await tx.seat.update({
+        where: { id: seat.id },
+        data: { status: 'SOLD', ticketId: tickets[Math.min(index, tickets.length - 1)].id }
+      });
+    }
+
+    // Comps are admissions, not sales
+    await tx.campaignAnalytics.update({
+      where: { campaignId: booking.campaignId },
+      data: booking.channel === 'COMP'
+        ? { compTickets: { increment: booking.quantity } }
+        : {
+          completedBookings: { increment: 1 },
+          totalRevenue: { increment: booking.totalAmount }
+        }
+    });
+
+    return { booking: updatedBooking, tickets };
+  }
+
+  /**
+   * Get an order with its line items
+   */
+  async getOrder(orderId, userId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        bookings: {
+          include: {
+            campaign: {
+              select: {
+                title: true,
+                eventDate: true,
+                venue: true,
+                venueCity: true
+              }
+            },
+            tickets: {
+              select: {
+                id: true,
+                ticketNumber: true,
+                ticketType: true,
+                status: true,
+                pdfUrl: true
+              }
+            }
+          }
+        },
+        payment: {
+          select: {
+            id: true,
+            status: true,
+            amount: true,
+            currency: true,
+            transactionRef: true
+          }
+        }
+      }
+    });
+
+    if (!order || order.customerId !== userId) {
+      throw new NotFoundError('Order');
+    }
+
+    return {
+      ...order,
+      needsPayment: order.status === 'PENDING' && new Date() < order.paymentDeadline
+    };
+  }
+
+  /**
+   * Cancel an unpaid order and release inventory for all of its lines
+   */
+  async cancelOrder(orderId, userId, reason) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { bookings: true, payment: true }
+    });
+
+    if (!order || order.customerId !== userId) {
+      throw new NotFoundError('Order');
+    }
+
+    if (order.status !== 'PENDING') {
+      throw new BookingError('Only pending orders can be cancelled');
+    }
+
+    if (order.payment?.status === 'SUCCESS') {
+      throw new BookingError('Cannot cancel paid orders. Please request a refund instead.');
+    }
+
+    const result = await this._closePendingOrder(order, 'CANCELLED', { reason });
+    if (!result) {
+      throw new BookingError('Order is no longer pending');
+    }
+
+    return result.order;
+  }
+
+  /**
+   * Expire an unpaid order past its payment deadline
+   */
+  async expireOrder(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { bookings: true }
+    });
+
+    if (!order || order.status !== 'PENDING') {
+      return null;
+    }
+
+    const result = await this._closePendingOrder(order, 'EXPIRED');
+    return result ? result.order : null;
+  }
+
   /**
    * Get user bookings with advanced filtering
    */
@@ -150,7 +685,8 @@ class BookingService {
               venue: true,
               venueCity: true,
               coverImage: true,
-              eventType: true
+              eventType: true,
+              refundPolicy: true
             }
           },
           payment: {
@@ -162,6 +698,8 @@ class BookingService {
             }
           },
           tickets: {
+            // Tickets transferred away no longer belong to the buyer
+            where: { customerId: userId },
             select: {
               id: true,
               ticketNumber: true,
@@ -202,116 +740,317 @@ class BookingService {
   }
 
   /**
-   * Modify an existing booking
+   * Get tickets the user currently owns, including tickets transferred to them
    */
-  async modifyBooking(bookingId, userId, modifications) {
-    const { newTicketType, newQuantity, reason } = modifications;
+  async getUserTickets(userId, filters = {}) {
+    const { status, page = 1, limit = 20 } = filters;
+    const skip = (page - 1) * limit;
 
-    const booking = await prisma.booking.findUnique({
-      where: { id: bookingId },
+    const where = {
+      customerId: userId,
+      ...(status && { status })
+    };
+
+    const [tickets, total] = await Promise.all([
+      prisma.ticket.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' },
+        select: {
+          id: true,
+          ticketNumber: true,
+          ticketType: true,
+          status: true,
+          pdfUrl: true,
+          scanCount: true,
+          maxScans: true,
+          bookingId: true,
+          campaign: {
+            select: {
+              id: true,
+              title: true,
+              eventDate: true,
+              venue: true,
+              venueCity: true,
+              coverImage: true,
+              allowTransfers: true
+            }
+          },
+          attendeeName: true,
+          attendeeEmail: true,
+          attendeeAnswers: true,
+          seats: {
+            select: { section: true, row: true, number: true }
+          },
+          resaleListings: {
+            where: { status: { in: ['ACTIVE', 'RESERVED'] } },
+            select: { id: true, price: true, status: true }
+          }
+        }
+      }),
+      prisma.ticket.count({ where })
+    ]);
+
+    return {
+      tickets,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Update the named attendee and answers on one of the user's tickets.
+   * The ticket PDF is regenerated with the new details.
+   */
+  async updateTicketAttendee(ticketId, userId, details) {
+    const ticket = await prisma.ticket.findUnique({
+      where: { id: ticketId },
       include: {
         campaign: true,
-        payment: true
+        session: true,
+        customer: { select: { firstName: true, lastName: true } }
       }
     });
 
-    if (!booking) {
-      throw new NotFoundError('Booking');
+    if (!ticket) {
+      throw new NotFoundError('Ticket');
     }
 
-    if (booking.customerId !== userId) {
-      throw new BookingError('You can only modify your own bookings');
+    if (ticket.customerId !== userId) {
+      throw new AuthorizationError('You can only update your own tickets');
     }
 
-    if (!this._canModifyBooking(booking)) {
-      throw new BookingError('This booking cannot be modified');
+    if (ticket.status !== 'VALID' || ticket.scanCount > 0 || new Date(ticket.session?.startsAt || ticket.campaign.eventDate) <= new Date()) {
+      throw new BookingError('Attendee details can only be changed on unused tickets before the event');
     }
 
-    // Create modification request if paid booking
-    if (booking.status === 'CONFIRMED') {
-      return await this._createModificationRequest(booking, modifications, reason);
-    }
+    // Fields left out keep their current values
+    const currentAnswers = Object.fromEntries(
+      (ticket.attendeeAnswers || []).map(({ questionId, answer }) => [questionId, answer])
+    );
 
-    // Direct modification for pending bookings
-    return await this._executeBookingModification(booking, modifications);
+    const attendee = checkoutQuestionService.validateAttendee(ticket.campaign, ticket.ticketType, {
+      name: details.name ?? ticket.attendeeName,
+      email: details.email ?? ticket.attendeeEmail,
+      answers: { ...currentAnswers, ...details.answers }
+    });
+
+    const updatedTicket = await prisma.ticket.update({
+      where: { id: ticketId },
+      data: {
+        attendeeName: attendee.name,
+        attendeeEmail: attendee.email,
+        attendeeAnswers: attendee.answers
+      }
+    });
+
+    await pdfQueue.generateTicket({
+      ticketId,
+      ticketNumber: ticket.ticketNumber,
+      customerName: `${ticket.customer.firstName} ${ticket.customer.lastName}`
+    });
+
+    logger.info('Ticket attendee updated', { ticketId, userId });
+
+    return updatedTicket;
   }
 
   /**
-   * Cancel booking with refund handling
+   * Seller's attendee list for a campaign: one row per issued ticket.
+   * Exports page through it with `cursor` (last ticket ID) and `take`.
    */
-  async cancelBooking(bookingId, userId, cancellationData = {}) {
-    const { reason, requestRefund = false } = cancellationData;
+  async getCampaignAttendees(campaignId, sellerId, filters = {}) {
+    const { cursor, take } = filters;
 
-    const result = await prisma.$transaction(async (tx) => {
-      const booking = await tx.booking.findUnique({
-        where: { id: bookingId },
-        include: {
-          campaign: true,
-          payment: true,
-          tickets: true
+    const campaign = await prisma.ticketCampaign.findUnique({
+      where: { id: campaignId },
+      select: { id: true, sellerId: true, title: true, checkoutQuestions: true }
+    });
+
+    if (!campaign) {
+      throw new NotFoundError('Campaign');
+    }
+
+    if (campaign.sellerId !== sellerId) {
+      throw new AuthorizationError('You can only view attendees for your own campaigns');
+    }
+
+    const tickets = await prisma.ticket.findMany({
+      where: this._attendeeWhere(campaignId, filters),
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      ...(take && { take: parseInt(take) }),
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      include: {
+        booking: {
+          select: {
+            bookingRef: true,
+            issuanceType: true,
+            quantity: true,
+            totalAmount: true,
+            metadata: true
+          }
+        },
+        customer: { select: { firstName: true, lastName: true, email: true } },
+        seats: {
+          select: { section: true, row: true, number: true },
+          orderBy: [{ section: 'asc' }, { row: 'asc' }, { number: 'asc' }]
         }
-      });
+      }
+    });
+
+    // First and last successful scan of each ticket
+    const scans = tickets.length > 0
+      ? await prisma.ticketValidation.groupBy({
+          by: ['ticketId'],
+          where: { ticketId: { in: tickets.map(ticket => ticket.id) }, isValid: true },
+          _min: { createdAt: true },
+          _max: { createdAt: true }
+        })
+      : [];
+    const scansByTicket = new Map(scans.map(scan => [scan.ticketId, scan]));
+
+    const attendees = tickets.map(ticket => {
+      const admissions = ticket.booking.issuanceType === 'SINGLE' ? ticket.booking.quantity : 1;
+      const scan = scansByTicket.get(ticket.id);
+
+      return {
+        ticketId: ticket.id,
+        ticketNumber: ticket.ticketNumber,
+        ticketType: ticket.ticketType,
+        status: ticket.status,
+        admissions,
+        scanCount: ticket.scanCount,
+        firstScanAt: scan?._min.createdAt || null,
+        lastScanAt: scan?._max.createdAt || null,
+        bookingRef: ticket.booking.bookingRef,
+        pricePaid: Math.round(Number(ticket.booking.totalAmount) * admissions / ticket.booking.quantity * 100) / 100,
+        promoCode: ticket.booking.metadata?.promoCode || null,
+        holderName: `${ticket.customer.firstName} ${ticket.customer.lastName}`,
+        holderEmail: ticket.customer.email,
+        attendeeName: ticket.attendeeName,
+        attendeeEmail: ticket.attendeeEmail,
+        seats: ticket.seats.map(seat => seatMapService.formatSeat(seat)),
+        answers: Object.fromEntries(
+          (ticket.attendeeAnswers || []).map(({ questionId, type, answer }) => [questionId, type === 'WAIVER' ? 'Accepted' : answer])
+        )
+      };
+    });
+
+    return {
+      campaign: { id: campaign.id, title: campaign.title },
+      questions: (campaign.checkoutQuestions || []).map(({ id, label, type }) => ({ id, label, type })),
+      attendees,
+      total: attendees.length
+    };
+  }
+
+  /**
+   * Modify an existing booking
+   */
+  async modifyBooking(bookingId, userId, modifications) {
+    const { newTicketType, newQuantity, reason } = modifications;
 
-      if (!booking) {
-        throw new NotFoundError('Booking');
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: {
+        campaign: true,
+        session: true,
+        payment: true
       }
+    });
 
+    if (!booking) {
+      throw new NotFoundError('Booking');
+    }
+
+    if (booking.customerId !== userId) {
+      throw new BookingError('You can only modify your own bookings');
+    }
+
+    if (!this._canModifyBooking(booking)) {
+      throw new BookingError('This booking cannot be modified');
+    }
+
+    // The instalment schedule was fixed for the original amount
+    if (booking.metadata?.paymentPlan) {
+      throw new BookingError('Bookings on a payment plan cannot be modified');
+    }
+
+    // Create modification request if paid booking
+    if (booking.status === 'CONFIRMED') {
+      return await this._createModificationRequest(booking, modifications, reason);
+    }
+
+    // Direct modification for pending bookings
+    return await this._executeBookingModification(booking, modifications);
+  }
+
+  /**
+   * Cancel booking with refund handling
+   */
+  async cancelBooking(bookingId, userId, cancellationData = {}) {
+    const { requestRefund = false } = cancellationData;
+
+    return await this._cancelBooking(bookingId, cancellationData, async (booking) => {
       if (booking.customerId !== userId) {
         throw new BookingError('You can only cancel your own bookings');
       }
 
-      // Validate cancellation policy
-      await this._validateCancellationPolicy(booking);
-
-      // Calculate refund amount if applicable
-      const refundAmount = requestRefund ? await this._calculateRefundAmount(booking) : 0;
-
-      // Update booking status
-      const updatedBooking = await tx.booking.update({
-        where: { id: bookingId },
-        data: {
-          status: 'CANCELLED',
-          cancelledAt: new Date(),
-          cancellationReason: reason,
-          metadata: {
-            ...booking.metadata,
-            refundRequested: requestRefund,
-            refundAmount: refundAmount
-          }
-        }
-      });
+      if (booking.orderId && booking.status === 'PENDING') {
+        throw new BookingError('This booking is part of an order. Cancel the order instead.');
+      }
 
-      // Restore inventory
-      await this._restoreInventory(tx, booking);
+      if (this._hasTransferredTickets(booking)) {
+        throw new BookingError('Tickets from this booking have been transferred and it can no longer be cancelled');
+      }
 
-      // Update analytics
-      await this._updateCancellationAnalytics(tx, booking);
+      if (booking.channel === 'PASS') {
+        throw new BookingError('This booking is included in a pass and cannot be cancelled on its own');
+      }
 
-      // Create refund request if needed
-      if (requestRefund && refundAmount > 0) {
-        await this._createRefundRequest(tx, booking, refundAmount, reason);
+      // Door sales were paid in cash or on the seller's terminal
+      if (requestRefund && booking.channel === 'BOX_OFFICE') {
+        throw new BookingError('Box-office purchases are refunded by the organiser at the venue');
       }
 
-      return { booking: updatedBooking, refundAmount };
+      // Validate cancellation policy
+      await this._validateCancellationPolicy(booking);
     });
+  }
 
-    // Trigger post-cancellation processes
-    await this._triggerPostCancellationProcesses(result.booking, requestRefund);
+  /**
+   * Cancel a payment-plan booking whose instalment was not paid in time. The
+   * customer is refunded what the refund policy allows on the instalments paid.
+   */
+  async cancelForMissedInstallment(bookingId) {
+    const cancellationData = { reason: 'An instalment was not paid by its due date', requestRefund: true };
 
-    return result;
+    return await this._cancelBooking(bookingId, cancellationData, async (booking) => {
+      if (booking.status !== 'PARTIALLY_PAID') {
+        throw new BookingError('Only bookings part-way through a payment plan are cancelled for a missed instalment');
+      }
+    });
   }
 
   /**
    * Request refund for confirmed booking
    */
   async requestRefund(bookingId, userId, refundData) {
-    const { reason, amount } = refundData;
+    const { reason, amount, refundTo: requestedRefundTo } = refundData;
 
     const booking = await prisma.booking.findUnique({
       where: { id: bookingId },
       include: {
         campaign: true,
-        payment: true
+        session: true,
+        payment: true,
+        order: { select: { payment: true } },
+        tickets: { select: { customerId: true } }
       }
     });
 
@@ -323,32 +1062,59 @@ class BookingService {
       throw new BookingError('You can only request refunds for your own bookings');
     }
 
+    const openRequest = await prisma.refundRequest.findFirst({
+      where: { bookingId, status: { in: ['PENDING', 'APPROVED', 'FAILED'] } }
+    });
+    if (openRequest) {
+      throw new ConflictError('A refund request for this booking is already being handled');
+    }
+
     if (booking.status !== 'CONFIRMED') {
       throw new BookingError('Only confirmed bookings can be refunded');
     }
 
+    if (this._hasTransferredTickets(booking)) {
+      throw new BookingError('Tickets from this booking have been transferred and can no longer be refunded');
+    }
+
+    if (booking.channel === 'BOX_OFFICE') {
+      throw new BookingError('Box-office purchases are refunded by the organiser at the venue');
+    }
+
+    if (booking.channel === 'PASS') {
+      throw new BookingError('This booking is included in a pass and cannot be refunded on its own');
+    }
+
     // Validate refund eligibility
     const maxRefundAmount = await this._calculateRefundAmount(booking);
+    if (maxRefundAmount <= 0) {
+      throw new BookingError('This booking is not eligible for a refund under the event refund policy');
+    }
+
     const requestAmount = amount || maxRefundAmount;
 
     if (requestAmount > maxRefundAmount) {
       throw new BookingError(`Maximum refundable amount is ${maxRefundAmount}`);
     }
 
+    const refundTo = this._resolveRefundDestination(refundPolicyService.getPolicy(booking.campaign).refundTo, requestedRefundTo);
+
     // Create refund request
     const refundRequest = await prisma.refundRequest.create({
       data: {
         bookingId,
         customerId: userId,
+        paymentId: (booking.payment || booking.order?.payment)?.id,
         amount: requestAmount,
+        refundTo,
         reason,
         status: 'PENDING',
         requestedAt: new Date()
       }
     });
 
-    // Notify administrators
-    await this._notifyRefundRequest(booking, refundRequest);
+    // Tell the customer it was received and ask the seller and admins to review it
+    await this._notifyRefundRequest(bookingId, refundRequest, { notifyCustomer: true });
 
     logger.info('Refund requested', {
       bookingId,
@@ -391,7 +1157,7 @@ class BookingService {
         userId,
         campaignId,
         ticketType,
-        status: 'ACTIVE'
+        status: { in: ['ACTIVE', 'NOTIFIED'] }
       }
     });
 
@@ -423,14 +1189,162 @@ class BookingService {
   }
 
   /**
-   * Process waitlist when tickets become available
+   * Process waitlist when tickets become available (e.g. after a capacity increase).
+   * Unsold tickets are held for queued entries and those customers are notified.
    */
   async processWaitlist(campaignId, ticketType, availableQuantity) {
-    const waitlistEntries = await prisma.waitlistEntry.findMany({
+    const holds = await this._withInventoryLock(campaignId, ticketType, async () => {
+      return await prisma.$transaction(async (tx) => {
+        const campaign = await tx.ticketCampaign.findUnique({
+          where: { id: campaignId }
+        });
+
+        const ticketTypeInfo = campaign?.ticketTypes?.[ticketType];
+        if (!ticketTypeInfo) {
+          return [];
+        }
+
+        const unsold = ticketTypeInfo.quantity - (ticketTypeInfo.sold || 0);
+        const offered = Math.min(availableQuantity, unsold);
+        if (offered <= 0) {
+          return [];
+        }
+
+        const entries = await this._holdForWaitlist(tx, campaignId, ticketType, offered);
+        const heldQuantity = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+
+        if (heldQuantity > 0) {
+          // Held tickets are taken off sale like a pending booking
+          const ticketTypes = { ...campaign.ticketTypes };
+          ticketTypes[ticketType].sold = (ticketTypes[ticketType].sold || 0) + heldQuantity;
+          ticketTypes[ticketType].held = (ticketTypes[ticketType].held || 0) + heldQuantity;
+
+          await tx.ticketCampaign.update({
+            where: { id: campaignId },
+            data: {
+              ticketTypes,
+              soldQuantity: campaign.soldQuantity + heldQuantity
+            }
+          });
+        }
+
+        return entries;
+      });
+    });
+
+    await this._notifyWaitlistUsers(holds);
+
+    return {
+      notifiedCount: holds.length,
+      remainingQuantity: availableQuantity - holds.reduce((sum, entry) => sum + entry.quantity, 0)
+    };
+  }
+
+  /**
+   * Get the current user's waitlist entries with queue position
+   */
+  async getUserWaitlistEntries(userId, filters = {}) {
+    const { status } = filters;
+
+    const entries = await prisma.waitlistEntry.findMany({
+      where: {
+        userId,
+        ...(status && { status })
+      },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        campaign: {
+          select: {
+            id: true,
+            title: true,
+            eventDate: true,
+            venue: true,
+            venueCity: true
+          }
+        }
+      }
+    });
+
+    return await Promise.all(entries.map(async (entry) => ({
+      ...entry,
+      position: entry.status === 'ACTIVE' ? await this._getWaitlistPosition(entry) : null
+    })));
+  }
+
+  /**
+   * Leave a waitlist. Tickets held for the entry are passed to the next in line.
+   */
+  async leaveWaitlist(entryId, userId) {
+    const entry = await prisma.waitlistEntry.findUnique({
+      where: { id: entryId }
+    });
+
+    if (!entry || entry.userId !== userId) {
+      throw new NotFoundError('Waitlist entry');
+    }
+
+    if (!['ACTIVE', 'NOTIFIED'].includes(entry.status)) {
+      throw new BookingError(`Cannot leave a waitlist entry that is ${entry.status.toLowerCase()}`);
+    }
+
+    const { updatedEntry, holds } = await this._withInventoryLock(entry.campaignId, entry.ticketType, async () => {
+      return await prisma.$transaction(async (tx) => {
+        const cancelled = await tx.waitlistEntry.updateMany({
+          where: { id: entryId, status: entry.status },
+          data: {
+            status: 'CANCELLED',
+            cancelledAt: new Date()
+          }
+        });
+
+        if (cancelled.count === 0) {
+          throw new BookingError('Waitlist entry has changed, please try again');
+        }
+
+        // Give up the reservation held for this entry
+        const holds = entry.status === 'NOTIFIED'
+          ? await this._releaseInventory(tx, entry.campaignId, entry.ticketType, entry.quantity, entry.quantity)
+          : [];
+
+        const updatedEntry = await tx.waitlistEntry.findUnique({ where: { id: entryId } });
+
+        return { updatedEntry, holds };
+      });
+    });
+
+    await this._notifyWaitlistUsers(holds);
+
+    logger.info('User left waitlist', {
+      entryId,
+      userId,
+      campaignId: entry.campaignId,
+      releasedReservation: entry.status === 'NOTIFIED'
+    });
+
+    return updatedEntry;
+  }
+
+  /**
+   * Seller view of the waitlist queue for each ticket type
+   */
+  async getCampaignWaitlist(campaignId, sellerId) {
+    const campaign = await prisma.ticketCampaign.findUnique({
+      where: { id: campaignId },
+      select: { id: true, sellerId: true, title: true, ticketTypes: true }
+    });
+
+    if (!campaign) {
+      throw new NotFoundError('Campaign');
+    }
+
+    if (campaign.sellerId !== sellerId) {
+      throw new AuthorizationError('You can only view waitlists for your own campaigns');
+    }
+
+    const entries = await prisma.waitlistEntry.findMany({
       where: {
         campaignId,
-        ticketType,
-        status: 'ACTIVE'
+        status: { in: ['ACTIVE', 'NOTIFIED'] }
       },
       orderBy: [
         { priority: 'desc' },
@@ -448,38 +1362,209 @@ class BookingService {
       }
     });
 
-    let remainingQuantity = availableQuantity;
-    const notifiedUsers = [];
+    const ticketTypes = Object.entries(campaign.ticketTypes).map(([ticketType, info]) => {
+      const queue = entries.filter(entry => entry.ticketType === ticketType);
 
-    for (const entry of waitlistEntries) {
-      if (remainingQuantity <= 0) break;
+      return {
+        ticketType,
+        available: info.quantity - (info.sold || 0),
+        held: info.held || 0,
+        waitingCount: queue.filter(entry => entry.status === 'ACTIVE').length,
+        waitingQuantity: queue
+          .filter(entry => entry.status === 'ACTIVE')
+          .reduce((sum, entry) => sum + entry.quantity, 0),
+        notifiedCount: queue.filter(entry => entry.status === 'NOTIFIED').length,
+        queue: queue.map((entry, index) => ({
+          id: entry.id,
+          position: index + 1,
+          status: entry.status,
+          quantity: entry.quantity,
+          priority: entry.priority,
+          reservationExpiry: entry.reservationExpiry,
+          createdAt: entry.createdAt,
+          customer: entry.user
+        }))
+      };
+    });
 
-      if (entry.quantity <= remainingQuantity) {
-        // Notify user about available tickets
-        await this._notifyWaitlistUser(entry);
-        
-        // Mark as notified
-        await prisma.waitlistEntry.update({
-          where: { id: entry.id },
+    return {
+      campaignId,
+      title: campaign.title,
+      ticketTypes
+    };
+  }
+
+  /**
+   * Expire unclaimed waitlist reservations and pass the tickets down the queue
+   */
+  async expireWaitlistReservations() {
+    const expiredEntries = await prisma.waitlistEntry.findMany({
+      where: {
+        status: 'NOTIFIED',
+        reservationExpiry: { lt: new Date() }
+      },
+      orderBy: { reservationExpiry: 'asc' },
+      take: 100
+    });
+
+    let expiredCount = 0;
+    let passedOnCount = 0;
+
+    for (const entry of expiredEntries) {
+      try {
+        const holds = await this._withInventoryLock(entry.campaignId, entry.ticketType, async () => {
+          return await prisma.$transaction(async (tx) => {
+            // Skip entries claimed or cancelled since the sweep started
+            const expired = await tx.waitlistEntry.updateMany({
+              where: { id: entry.id, status: 'NOTIFIED' },
+              data: {
+                status: 'EXPIRED',
+                expiredAt: new Date()
+              }
+            });
+
+            if (expired.count === 0) {
+              return null;
+            }
+
+            return await this._releaseInventory(tx, entry.campaignId, entry.ticketType, entry.quantity, entry.quantity);
+          });
+        });
+
+        if (holds) {
+          expiredCount++;
+          passedOnCount += holds.length;
+          await this._notifyWaitlistUsers(holds);
+        }
+      } catch (error) {
+        logger.error('Failed to expire waitlist reservation', {
+          entryId: entry.id,
+          error: error.message
+        });
+      }
+    }
+
+    return { expiredCount, passedOnCount };
+  }
+
+  /**
+   * Expire an unpaid PENDING booking and give its tickets back.
+   * Returns null if the booking is no longer pending (e.g. it was just paid).
+   */
+  async expireBooking(bookingId) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId }
+    });
+
+    if (!booking || booking.status !== 'PENDING') {
+      return null;
+    }
+
+    // Order lines expire together with their order
+    if (booking.orderId) {
+      return await this.expireOrder(booking.orderId) ? booking : null;
+    }
+
+    const result = await this._withInventoryLock(booking.campaignId, booking.ticketType, async () => {
+      return await prisma.$transaction(async (tx) => {
+        // Guard against a payment confirmation racing the expiry
+        const expired = await tx.booking.updateMany({
+          where: { id: bookingId, status: 'PENDING' },
+          data: { status: 'EXPIRED' }
+        });
+
+        if (expired.count === 0) {
+          return null;
+        }
+
+        const waitlistHolds = await this._restoreInventory(tx, booking);
+
+        await this._releasePromoCodeUsage(tx, booking.id);
+        await walletService.releaseBookingCredit(tx, booking);
+
+        await tx.campaignAnalytics.update({
+          where: { campaignId: booking.campaignId },
           data: {
-            status: 'NOTIFIED',
-            notifiedAt: new Date(),
-            reservationExpiry: new Date(Date.now() + 30 * 60 * 1000) // 30 min reservation
+            pendingBookings: { decrement: 1 }
           }
         });
 
-        remainingQuantity -= entry.quantity;
-        notifiedUsers.push(entry.user);
+        await tx.payment.updateMany({
+          where: { bookingId, status: 'PENDING' },
+          data: {
+            status: 'EXPIRED',
+            failureReason: 'Payment deadline passed'
+          }
+        });
+
+        await this._cancelOpenInstallments(tx, bookingId, 'Payment deadline passed');
+
+        return { waitlistHolds };
+      });
+    });
+
+    if (!result) {
+      return null;
+    }
+
+    await bookingCounters.decrement(booking.campaignId);
+    await this._notifyWaitlistUsers(result.waitlistHolds);
+
+    logger.info('Booking expired', {
+      bookingId,
+      bookingRef: booking.bookingRef,
+      campaignId: booking.campaignId,
+      quantity: booking.quantity
+    });
+
+    return booking;
+  }
+
+  /**
+   * Expire all PENDING bookings past their payment deadline
+   */
+  async expireOverdueBookings(batchSize = 100) {
+    const overdueBookings = await prisma.booking.findMany({
+      where: {
+        status: 'PENDING',
+        channel: { not: 'COMP' },
+        paymentDeadline: { lt: new Date() }
+      },
+      orderBy: { paymentDeadline: 'asc' },
+      take: batchSize,
+      select: { id: true }
+    });
+
+    let expiredCount = 0;
+
+    for (const { id } of overdueBookings) {
+      try {
+        if (await this.expireBooking(id)) {
+          expiredCount++;
+        }
+      } catch (error) {
+        logger.error('Failed to expire booking', {
+          bookingId: id,
+          error: error.message
+        });
       }
     }
 
+    return { scannedCount: overdueBookings.length, expiredCount };
+  }
+
+  // Private helper methods
+  // Attendee filters: ticket type, ticket status, check-in state, confirmed bookings only
+  _attendeeWhere(campaignId, { ticketType, status, checkedIn, confirmedOnly } = {}) {
     return {
-      notifiedCount: notifiedUsers.length,
-      remainingQuantity
+      campaignId,
+      ...(ticketType && { ticketType }),
+      ...(status ? { status } : { status: { not: 'CANCELLED' } }),
+      ...(checkedIn !== undefined && { scanCount: String(checkedIn) === 'true' ? { gt: 0 } : 0 }),
+      ...(confirmedOnly && { booking: { status: 'CONFIRMED' } })
     };
   }
 
-  // Private helper methods
   async _validateCampaignBookability(campaign) {
     if (campaign.status !== 'ACTIVE') {
       throw new BookingError('Campaign is not active');
@@ -495,14 +1580,14 @@ class BookingService {
     }
   }
 
-  async _validateTicketType(campaign, ticketType, quantity) {
+  async _validateTicketType(campaign, ticketType, quantity, reservedQuantity = 0) {
     const ticketTypes = campaign.ticketTypes;
     if (!ticketTypes[ticketType]) {
       throw new ValidationError('Invalid ticket type');
     }
 
     const ticketTypeInfo = ticketTypes[ticketType];
-    const availableQuantity = ticketTypeInfo.quantity - (ticketTypeInfo.sold || 0);
+    const availableQuantity = ticketTypeInfo.quantity - (ticketTypeInfo.sold || 0) + reservedQuantity;
     
     if (availableQuantity < quantity) {
       throw new InventoryError(`Only ${availableQuantity} tickets available for ${ticketType}`);
@@ -516,7 +1601,7 @@ class BookingService {
       where: {
         customerId: userId,
         campaignId,
-        status: { in: ['PENDING', 'CONFIRMED'] }
+        status: { in: ['PENDING', 'PARTIALLY_PAID', 'CONFIRMED'] }
       }
     });
 
@@ -526,37 +1611,297 @@ class BookingService {
     }
   }
 
-  async _applyPromoCode(tx, promoCode, campaignId, userId) {
+  async _applyPromoCode(tx, promoCode, campaign, userId, ticketType) {
+    const promo = await this._findPromoCode(tx, promoCode, campaign.sellerId, userId, [campaign.id]);
+
+    if (!this._isPromoCodeApplicable(promo, campaign.id, ticketType)) {
+      throw new ValidationError(`Promo code is not valid for ${ticketType} tickets`);
+    }
+
+    return promo;
+  }
+
+  async _findPromoCode(tx, promoCode, sellerId, userId, campaignIds) {
+    const now = new Date();
     const promo = await tx.promoCode.findFirst({
       where: {
         code: promoCode.toUpperCase(),
+        sellerId,
         isActive: true,
-        validFrom: { lte: new Date() },
-        validUntil: { gte: new Date() },
+        validFrom: { lte: now },
+        validUntil: { gte: now },
+        OR: [
+          { campaignId: { in: campaignIds } },
+          { campaignId: null } // Seller-wide promo codes
+        ]
+      }
+    });
+
+    if (!promo) {
+      throw new ValidationError('Invalid or expired promo code');
+    }
+
+    if (promo.maxUses !== null && promo.usageCount >= promo.maxUses) {
+      throw new ValidationError('Promo code usage limit reached');
+    }
+
+    // Check per-user usage limits
+    const usageCount = await tx.promoCodeUsage.count({
+      where: {
+        promoCodeId: promo.id,
+        userId
+      }
+    });
+
+    if (usageCount >= promo.maxUsesPerUser) {
+      throw new ValidationError('Promo code usage limit exceeded');
+    }
+
+    return {
+      id: promo.id,
+      code: promo.code,
+      type: promo.type,
+      value: Number(promo.value),
+      campaignId: promo.campaignId,
+      ticketTypes: promo.ticketTypes
+    };
+  }
+
+  _isPromoCodeApplicable(discountInfo, campaignId, ticketType) {
+    if (discountInfo.campaignId && discountInfo.campaignId !== campaignId) return false;
+    return discountInfo.ticketTypes.length === 0 || discountInfo.ticketTypes.includes(ticketType);
+  }
+
+  async _recordPromoCodeUsage(tx, discountInfo, booking, userId, discountAmount) {
+    // Conditional increment so concurrent checkouts cannot exceed maxUses
+    const redeemed = await tx.promoCode.updateMany({
+      where: {
+        id: discountInfo.id,
         OR: [
-          { campaignId },
-          { campaignId: null } // Global promo codes
+          { maxUses: null },
+          { usageCount: { lt: tx.promoCode.fields.maxUses } }
         ]
+      },
+      data: { usageCount: { increment: 1 } }
+    });
+
+    if (redeemed.count === 0) {
+      throw new ValidationError('Promo code usage limit reached');
+    }
+
+    await tx.promoCodeUsage.create({
+      data: {
+        promoCodeId: discountInfo.id,
+        userId,
+        bookingId: booking.id,
+        discountAmount
+      }
+    });
+  }
+
+  async _releasePromoCodeUsage(tx, bookingId) {
+    const usage = await tx.promoCodeUsage.findUnique({
+      where: { bookingId }
+    });
+
+    if (!usage) return;
+
+    await tx.promoCodeUsage.delete({ where: { id: usage.id } });
+    await tx.promoCode.update({
+      where: { id: usage.promoCodeId },
+      data: { usageCount: { decrement: 1 } }
+    });
+  }
+
+  _mergeOrderItems(items) {
+    const merged = new Map();
+
+    for (const item of items) {
+      const key = `${item.campaignId}:${item.ticketType}:${item.sessionId || ''}`;
+      const existing = merged.get(key);
+      if (existing) {
+        existing.quantity += Number(item.quantity);
+        existing.seatIds.push(...(item.seatIds || []));
+        existing.attendees.push(...(item.attendees || []));
+      } else {
+        merged.set(key, {
+          campaignId: item.campaignId,
+          ticketType: item.ticketType,
+          sessionId: item.sessionId,
+          quantity: Number(item.quantity),
+          seatIds: [...(item.seatIds || [])],
+          attendees: [...(item.attendees || [])]
+        });
+      }
+    }
+
+    return [...merged.values()];
+  }
+
+  _mergeCompRecipients(recipients = []) {
+    const merged = new Map();
+
+    for (const recipient of recipients) {
+      const email = recipient.email.trim().toLowerCase();
+      const quantity = Number(recipient.quantity || 1);
+      const existing = merged.get(email);
+
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        merged.set(email, {
+          email,
+          firstName: recipient.firstName,
+          lastName: recipient.lastName,
+          quantity
+        });
       }
+    }
+
+    return [...merged.values()];
+  }
+
+  // Comp recipients and box-office buyers get a passwordless guest account
+  async _findOrCreateCustomer(tx, { email, firstName, lastName }) {
+    const existing = await tx.user.findUnique({ where: { email } });
+    if (existing) {
+      return existing;
+    }
+
+    return await tx.user.create({
+      data: { email, firstName, lastName, role: 'CUSTOMER', isGuest: true }
     });
+  }
+
+  async _priceOrderLines(lines, discountInfo) {
+    // Fixed amounts are a budget for the whole order; percentages apply per line
+    let remainingFixed = discountInfo?.type === 'FIXED_AMOUNT' ? discountInfo.value : 0;
+    let discountedLines = 0;
+
+    for (const line of lines) {
+      let lineDiscount = null;
+
+      if (discountInfo && this._isPromoCodeApplicable(discountInfo, line.campaignId, line.ticketType)) {
+        lineDiscount = discountInfo.type === 'FIXED_AMOUNT'
+          ? { ...discountInfo, value: remainingFixed }
+          : discountInfo;
+        discountedLines++;
+      }
+
+      line.pricingInfo = await this._calculateBookingPrice(line.ticketTypeInfo, line.quantity, lineDiscount);
+
+      if (lineDiscount && discountInfo.type === 'FIXED_AMOUNT') {
+        remainingFixed -= line.pricingInfo.discountAmount;
+      }
+    }
+
+    if (discountInfo && discountedLines === 0) {
+      throw new ValidationError('Promo code is not valid for any item in this order');
+    }
+  }
+
+  async _closePendingOrder(order, status, { reason } = {}) {
+    const lockKeys = [...new Set(order.bookings.map(booking => `booking:lock:${booking.campaignId}:${booking.ticketType}`))].sort();
+    const heldLocks = [];
+
+    try {
+      for (const lockKey of lockKeys) {
+        const lockToken = await lock.acquire(lockKey, 10);
+        if (!lockToken) {
+          throw new BookingError('System is busy. Please try again.');
+        }
+        heldLocks.push({ lockKey, lockToken });
+      }
+
+      const result = await prisma.$transaction(async (tx) => {
+        // Guard against a payment confirmation racing the close
+        const closed = await tx.order.updateMany({
+          where: { id: order.id, status: 'PENDING' },
+          data: {
+            status,
+            ...(status === 'CANCELLED' && { cancelledAt: new Date(), cancellationReason: reason })
+          }
+        });
+
+        if (closed.count === 0) {
+          return null;
+        }
+
+        const waitlistHolds = [];
+        const closedBookings = [];
+
+        for (const booking of order.bookings) {
+          const updated = await tx.booking.updateMany({
+            where: { id: booking.id, status: 'PENDING' },
+            data: {
+              status,
+              ...(status === 'CANCELLED' && { cancelledAt: new Date(), cancellationReason: reason })
+            }
+          });
+
+          if (updated.count === 0) continue;
+
+          waitlistHolds.push(...await this._restoreInventory(tx, booking));
+          await this._releasePromoCodeUsage(tx, booking.id);
+
+          await tx.campaignAnalytics.update({
+            where: { campaignId: booking.campaignId },
+            data: {
+              pendingBookings: { decrement: 1 },
+              ...(status === 'CANCELLED' && { cancelledBookings: { increment: 1 } })
+            }
+          });
+
+          closedBookings.push(booking);
+        }
+
+        await tx.payment.updateMany({
+          where: { orderId: order.id, status: 'PENDING' },
+          data: {
+            status: status === 'EXPIRED' ? 'EXPIRED' : 'FAILED',
+            failureReason: status === 'EXPIRED' ? 'Payment deadline passed' : 'Order cancelled'
+          }
+        });
+
+        // An unpaid pass purchase gives its pass back
+        const passPurchase = await tx.passPurchase.findUnique({ where: { orderId: order.id } });
+        if (passPurchase?.status === 'PENDING') {
+          await tx.passPurchase.update({
+            where: { id: passPurchase.id },
+            data: { status: status === 'EXPIRED' ? 'EXPIRED' : 'CANCELLED' }
+          });
+          await tx.pass.updateMany({
+            where: { id: passPurchase.passId, sold: { gt: 0 } },
+            data: { sold: { decrement: 1 } }
+          });
+        }
 
-    if (!promo) {
-      throw new ValidationError('Invalid or expired promo code');
-    }
+        const updatedOrder = await tx.order.findUnique({ where: { id: order.id } });
 
-    // Check usage limits
-    const usageCount = await tx.promoCodeUsage.count({
-      where: {
-        promoCodeId: promo.id,
-        userId
+        return { order: updatedOrder, closedBookings, waitlistHolds };
+      });
+
+      if (!result) {
+        return null;
       }
-    });
 
-    if (usageCount >= promo.maxUsesPerUser) {
-      throw new ValidationError('Promo code usage limit exceeded');
-    }
+      for (const booking of result.closedBookings) {
+        await bookingCounters.decrement(booking.campaignId);
+      }
+      await this._notifyWaitlistUsers(result.waitlistHolds);
 
-    return promo;
+      logger.info(`Order ${status.toLowerCase()}`, {
+        orderId: order.id,
+        orderRef: order.orderRef,
+        bookingCount: result.closedBookings.length
+      });
+
+      return result;
+    } finally {
+      for (const { lockKey, lockToken } of heldLocks) {
+        await lock.release(lockKey, lockToken);
+      }
+    }
   }
 
   async _calculateBookingPrice(ticketTypeInfo, quantity, discountInfo) {
@@ -592,31 +1937,44 @@ class BookingService {
       pricingInfo,
       discountInfo,
       groupBookingInfo,
-      campaign
+      attendees = null,
+      comp = null,
+      channel = comp ? 'COMP' : 'ONLINE',
+      campaign,
+      session = null,
+      orderId = null,
+      paymentPlan = null,
+      paymentDeadline = new Date(Date.now() + (campaign.paymentDeadlineMinutes || 30) * 60 * 1000)
     } = bookingData;
 
     const bookingRef = generateUniqueId('BKG');
-    const paymentDeadline = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
 
     return await tx.booking.create({
       data: {
         bookingRef,
         customerId: userId,
         campaignId,
+        orderId,
+        sessionId: session?.id,
         ticketType,
         quantity,
         unitPrice: pricingInfo.unitPrice,
         totalAmount: pricingInfo.totalAmount,
         issuanceType,
+        channel,
         paymentDeadline,
         status: 'PENDING',
+        ...(attendees && { attendees }),
         metadata: {
           subtotal: pricingInfo.subtotal,
           discountAmount: pricingInfo.discountAmount,
           promoCode: discountInfo?.code,
           groupBookingInfo,
+          ...(comp && { bookingType: 'COMP', comp }),
           campaignTitle: campaign.title,
-          eventDate: campaign.eventDate,
+          eventDate: session?.startsAt || campaign.eventDate,
+          ...(session?.label && { sessionLabel: session.label }),
+          ...(paymentPlan && { paymentPlan: { id: paymentPlan.id, name: paymentPlan.name } }),
           venue: campaign.venue
         }
       },
@@ -634,19 +1992,59 @@ class BookingService {
     });
   }
 
-  async _updateInventory(tx, campaign, ticketType, quantity) {
+  async _createInstallments(tx, booking, paymentPlan, eventDate) {
+    const schedule = paymentPlanService.buildSchedule(paymentPlan, booking.totalAmount, {
+      bookedAt: booking.createdAt,
+      depositDueDate: booking.paymentDeadline,
+      eventDate
+    });
+
+    await tx.paymentInstallment.createMany({
+      data: schedule.map(installment => ({ bookingId: booking.id, ...installment }))
+    });
+
+    return schedule;
+  }
+
+  async _updateInventory(tx, campaign, ticketType, quantity, reservation = null) {
+    // Reserved tickets are already counted as sold, so only the remainder is new
+    const fromReservation = reservation ? Math.min(reservation.quantity, quantity) : 0;
     const ticketTypes = { ...campaign.ticketTypes };
-    ticketTypes[ticketType].sold = (ticketTypes[ticketType].sold || 0) + quantity;
+    ticketTypes[ticketType].sold = (ticketTypes[ticketType].sold || 0) + quantity - fromReservation;
+    if (fromReservation > 0) {
+      ticketTypes[ticketType].held = Math.max(0, (ticketTypes[ticketType].held || 0) - fromReservation);
+    }
 
     await tx.ticketCampaign.update({
       where: { id: campaign.id },
       data: {
         ticketTypes,
-        soldQuantity: campaign.soldQuantity + quantity
+        soldQuantity: campaign.soldQuantity + quantity - fromReservation
       }
     });
   }
 
+  /**
+   * Seated ticket types must be booked with exactly one held seat per ticket;
+   * other ticket types must not name seats.
+   */
+  async _reserveSeats(tx, { userId, campaignId, ticketType, quantity, seatIds = [], bookingId }) {
+    const seatedTypes = await seatMapService.getSeatedTicketTypes(campaignId, tx);
+
+    if (!seatedTypes[ticketType]) {
+      if (seatIds.length > 0) {
+        throw new ValidationError(`Ticket type ${ticketType} does not use reserved seating`);
+      }
+      return;
+    }
+
+    if (new Set(seatIds).size !== Number(quantity) || seatIds.length !== Number(quantity)) {
+      throw new ValidationError(`Select ${quantity} seat(s) for ${ticketType} tickets`);
+    }
+
+    await seatMapService.reserveHeldSeats(tx, { userId, campaignId, ticketType, seatIds, bookingId });
+  }
+
   async _updateBookingAnalytics(tx, campaignId, booking) {
     await tx.campaignAnalytics.update({
       where: { campaignId },
@@ -660,14 +2058,21 @@ class BookingService {
   }
 
   async _triggerPostBookingProcesses(booking, userId) {
-    // Initialize payment
-    await paymentQueue.processPayment({
-      bookingId: booking.id,
-      bookingRef: booking.bookingRef,
-      customerId: userId,
-      amount: booking.totalAmount,
-      currency: 'UGX'
-    });
+    // Fully paid with store credit: confirm straight away
+    if (booking.creditPayment) {
+      await bookingQueue.confirmBooking(booking.id, booking.creditPayment.id);
+    } else {
+      // Initialize payment (just the deposit on a payment plan)
+      await paymentQueue.processPayment({
+        bookingId: booking.id,
+        bookingRef: booking.bookingRef,
+        customerId: userId,
+        amount: booking.installments
+          ? Number(booking.installments[0].amount)
+          : Number(booking.totalAmount) - Number(booking.creditApplied || 0),
+        currency: 'UGX'
+      });
+    }
 
     // Send booking confirmation email
     // await emailQueue.sendBookingCreated({
@@ -684,59 +2089,91 @@ class BookingService {
     });
   }
 
+  // Cancellation, modification and refund rules come from the campaign's refund policy
   _canCancelBooking(booking) {
-    if (booking.status === 'CANCELLED') return false;
-    if (booking.status === 'PENDING') return true;
-    
-    // Check cancellation policy for confirmed bookings
-    const eventDate = new Date(booking.campaign.eventDate);
-    const hoursUntilEvent = (eventDate - new Date()) / (1000 * 60 * 60);
-    
-    return hoursUntilEvent > 24; // Allow cancellation up to 24 hours before event
+    return refundPolicyService.canCancel(booking, booking.campaign);
   }
 
   _canModifyBooking(booking) {
-    if (['CANCELLED', 'COMPLETED'].includes(booking.status)) return false;
-    
-    const eventDate = new Date(booking.campaign.eventDate);
-    const hoursUntilEvent = (eventDate - new Date()) / (1000 * 60 * 60);
-    
-    return hoursUntilEvent > 48; // Allow modifications up to 48 hours before event
+    return refundPolicyService.canModify(booking, booking.campaign);
   }
 
   async _calculateRefundAmount(booking) {
-    const campaign = booking.campaign;
-    const eventDate = new Date(campaign.eventDate);
-    const hoursUntilEvent = (eventDate - new Date()) / (1000 * 60 * 60);
-    
-    // Refund policy based on time until event
-    let refundPercentage = 0;
-    if (hoursUntilEvent > 168) { // 7 days
-      refundPercentage = 100;
-    } else if (hoursUntilEvent > 72) { // 3 days
-      refundPercentage = 75;
-    } else if (hoursUntilEvent > 24) { // 1 day
-      refundPercentage = 50;
+    return refundPolicyService.calculateRefund(booking, booking.campaign).amount;
+  }
+
+  // The buyer cannot cancel or refund tickets that now belong to someone else
+  _hasTransferredTickets(booking) {
+    return booking.tickets.some(ticket => ticket.customerId !== booking.customerId);
+  }
+
+  async _validateCancellationPolicy(booking) {
+    if (this._canCancelBooking(booking)) return;
+
+    if (['CANCELLED', 'EXPIRED', 'COMPLETED', 'REFUNDED'].includes(booking.status)) {
+      throw new BookingError(`Booking is already ${booking.status.toLowerCase()}`);
     }
-    
-    return (booking.totalAmount * refundPercentage) / 100;
+
+    const { cancellationCutoffHours } = refundPolicyService.getPolicy(booking.campaign);
+    throw new BookingError(`Bookings for this event can no longer be cancelled (cancellations close ${cancellationCutoffHours} hours before the event)`);
+  }
+
+  /**
+   * Give a booking's tickets back: they can no longer be used or resold, and
+   * their places return to inventory. The booking must include its tickets.
+   */
+  async _returnTickets(tx, booking) {
+    if (booking.tickets.length > 0) {
+      await resaleService.cancelListingsForTickets(tx, booking.tickets.map(ticket => ticket.id));
+      await tx.ticket.updateMany({
+        where: { bookingId: booking.id, status: { not: 'CANCELLED' } },
+        data: { status: 'CANCELLED' }
+      });
+    }
+
+    return await this._restoreInventory(tx, booking);
   }
 
   async _restoreInventory(tx, booking) {
+    // Reserved seats go straight back on sale; the waitlist holds quantities, not seats
+    await tx.seat.updateMany({
+      where: { bookingId: booking.id },
+      data: { status: 'AVAILABLE', bookingId: null, ticketId: null }
+    });
+
+    await sessionService.releaseSession(tx, booking.sessionId, booking.quantity);
+
+    return await this._releaseInventory(tx, booking.campaignId, booking.ticketType, booking.quantity);
+  }
+
+  /**
+   * Return tickets to inventory. Tickets go to the waitlist first and stay off
+   * sale as `held` until the notified customer books or the reservation expires.
+   * `heldQuantity` is the part of `quantity` currently counted as held.
+   * Returns the entries that received a reservation so they can be notified.
+   */
+  async _releaseInventory(tx, campaignId, ticketType, quantity, heldQuantity = 0) {
     const campaign = await tx.ticketCampaign.findUnique({
-      where: { id: booking.campaignId }
+      where: { id: campaignId }
     });
 
+    const entries = await this._holdForWaitlist(tx, campaignId, ticketType, quantity);
+    const reheldQuantity = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+    const releasedQuantity = quantity - reheldQuantity;
+
     const ticketTypes = { ...campaign.ticketTypes };
-    ticketTypes[booking.ticketType].sold -= booking.quantity;
+    ticketTypes[ticketType].sold -= releasedQuantity;
+    ticketTypes[ticketType].held = Math.max(0, (ticketTypes[ticketType].held || 0) - heldQuantity + reheldQuantity);
 
     await tx.ticketCampaign.update({
-      where: { id: booking.campaignId },
+      where: { id: campaignId },
       data: {
         ticketTypes,
-        soldQuantity: campaign.soldQuantity - booking.quantity
+        soldQuantity: campaign.soldQuantity - releasedQuantity
       }
     });
+
+    return entries;
   }
 
   async _updateCancellationAnalytics(tx, booking) {
@@ -744,7 +2181,51 @@ class BookingService {
       where: { campaignId: booking.campaignId },
       data: {
         cancelledBookings: { increment: 1 },
-        ...(booking.status === 'PENDING' && { pendingBookings: { decrement: 1 } })
+        ...(['PENDING', 'PARTIALLY_PAID'].includes(booking.status) && { pendingBookings: { decrement: 1 } })
+      }
+    });
+  }
+
+  // Customers may take store credit instead of waiting on the gateway; a
+  // store-credit policy leaves no choice
+  _resolveRefundDestination(policyRefundTo, requestedRefundTo) {
+    return policyRefundTo === 'STORE_CREDIT' || requestedRefundTo === 'STORE_CREDIT'
+      ? 'STORE_CREDIT'
+      : 'ORIGINAL_PAYMENT';
+  }
+
+  /**
+   * Refund a cancelled booking. Store credit is paid out immediately, as is any
+   * credit used at checkout; the rest goes to a refund request for the gateway.
+   */
+  async _issueCancellationRefund(tx, booking, { amount, refundTo, reason }) {
+    const walletAmount = refundTo === 'STORE_CREDIT'
+      ? amount
+      : Math.min(amount, Number(booking.creditApplied || 0));
+
+    if (walletAmount > 0) {
+      await walletService.refundToWallet(tx, booking, walletAmount);
+    }
+
+    const gatewayAmount = Math.round((amount - walletAmount) * 100) / 100;
+    if (gatewayAmount > 0) {
+      return await this._createRefundRequest(tx, booking, gatewayAmount, reason);
+    }
+
+    return null;
+  }
+
+  async _createStoreCreditPayment(tx, booking) {
+    return await tx.payment.create({
+      data: {
+        bookingId: booking.id,
+        customerId: booking.customerId,
+        transactionRef: generateUniqueId('PAY'),
+        provider: 'STORE_CREDIT',
+        paymentMethod: 'STORE_CREDIT',
+        amount: booking.creditApplied,
+        status: 'SUCCESS',
+        verifiedAt: new Date()
       }
     });
   }
@@ -754,6 +2235,7 @@ class BookingService {
       data: {
         bookingId: booking.id,
         customerId: booking.customerId,
+        paymentId: booking.payment?.id,
         amount: refundAmount,
         reason,
         status: 'PENDING',
@@ -762,22 +2244,144 @@ class BookingService {
     });
   }
 
-  async _triggerPostCancellationProcesses(booking, requestRefund) {
+  // Shared by customer and missed-instalment cancellations; `validate` throws
+  // when this booking may not be cancelled
+  async _cancelBooking(bookingId, cancellationData, validate) {
+    const { reason, requestRefund = false } = cancellationData;
+
+    const target = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: { campaignId: true, ticketType: true }
+    });
+
+    if (!target) {
+      throw new NotFoundError('Booking');
+    }
+
+    const result = await this._withInventoryLock(target.campaignId, target.ticketType, async () => {
+      return await prisma.$transaction(async (tx) => {
+        const booking = await tx.booking.findUnique({
+          where: { id: bookingId },
+          include: {
+            campaign: true,
+            session: true,
+            payment: true,
+            installments: true,
+            tickets: true
+          }
+        });
+
+        if (!booking) {
+          throw new NotFoundError('Booking');
+        }
+
+        await validate(booking);
+
+        // Only paid bookings are refunded, on what was paid so far; unpaid ones just give back any credit applied
+        const refund = requestRefund && ['CONFIRMED', 'PARTIALLY_PAID'].includes(booking.status)
+          ? refundPolicyService.calculateRefund(booking, booking.campaign, this._amountPaid(booking))
+          : null;
+        const refundAmount = refund ? refund.amount : 0;
+        const refundTo = refund && this._resolveRefundDestination(refund.refundTo, cancellationData.refundTo);
+
+        // Update booking status
+        const updatedBooking = await tx.booking.update({
+          where: { id: bookingId },
+          data: {
+            status: 'CANCELLED',
+            cancelledAt: new Date(),
+            cancellationReason: reason,
+            metadata: {
+              ...booking.metadata,
+              refundRequested: requestRefund,
+              refundAmount: refundAmount,
+              ...(refund && { refundTo, refundPercentage: refund.percentage })
+            }
+          }
+        });
+
+        // Cancel the tickets and restore inventory (held for the waitlist first)
+        const waitlistHolds = await this._returnTickets(tx, booking);
+
+        // Unpaid bookings give their promo code redemption and store credit back
+        if (booking.status === 'PENDING') {
+          await this._releasePromoCodeUsage(tx, booking.id);
+          await walletService.releaseBookingCredit(tx, booking);
+        }
+
+        await this._cancelOpenInstallments(tx, booking.id, 'Booking cancelled');
+
+        // Update analytics
+        await this._updateCancellationAnalytics(tx, booking);
+
+        const refundRequest = refundAmount > 0
+          ? await this._issueCancellationRefund(tx, booking, { amount: refundAmount, refundTo, reason })
+          : null;
+
+        return { booking: updatedBooking, refundAmount, refundTo, refundRequest, waitlistHolds };
+      });
+    });
+
+    // Trigger post-cancellation processes
+    await this._triggerPostCancellationProcesses(result.booking, requestRefund, result.waitlistHolds);
+
+    if (result.refundRequest) {
+      await this._notifyRefundRequest(result.booking.id, result.refundRequest);
+    }
+
+    return { booking: result.booking, refundAmount: result.refundAmount, refundTo: result.refundTo };
+  }
+
+  // A payment-plan booking has only paid its settled instalments
+  _amountPaid(booking) {
+    if (!booking.installments?.length) {
+      return Number(booking.totalAmount);
+    }
+
+    return booking.installments
+      .filter(installment => installment.status === 'PAID')
+      .reduce((sum, installment) => sum + Number(installment.amount), 0);
+  }
+
+  // Instalments left unpaid when a booking ends, and their open checkouts
+  async _cancelOpenInstallments(tx, bookingId, failureReason) {
+    await tx.paymentInstallment.updateMany({
+      where: { bookingId, status: 'PENDING' },
+      data: { status: 'CANCELLED' }
+    });
+
+    await tx.payment.updateMany({
+      where: { installment: { bookingId }, status: 'PENDING' },
+      data: { status: 'EXPIRED', failureReason }
+    });
+  }
+
+  async _triggerPostCancellationProcesses(booking, requestRefund, waitlistHolds = []) {
+    // Tell waitlisted customers about the tickets held for them
+    await this._notifyWaitlistUsers(waitlistHolds);
+
     // Send cancellation email
+    const cancelled = await prisma.booking.findUnique({
+      where: { id: booking.id },
+      include: {
+        customer: { select: { email: true, firstName: true, lastName: true } },
+        campaign: { select: { title: true } },
+        payment: { select: { currency: true } }
+      }
+    });
+
     await emailQueue.sendBookingCancelled({
       bookingId: booking.id,
-      refundRequested: requestRefund
+      customerEmail: cancelled.customer.email,
+      customerName: `${cancelled.customer.firstName} ${cancelled.customer.lastName}`,
+      bookingRef: cancelled.bookingRef,
+      eventTitle: cancelled.campaign.title,
+      refundRequested: requestRefund,
+      refundAmount: booking.metadata?.refundAmount || 0,
+      refundTo: booking.metadata?.refundTo,
+      currency: cancelled.payment?.currency || 'UGX'
     });
 
-    // Process waitlist if applicable
-    if (booking.campaign) {
-      await this.processWaitlist(
-        booking.campaignId,
-        booking.ticketType,
-        booking.quantity
-      );
-    }
-
     logger.info('Booking cancelled', {
       bookingId: booking.id,
       reason: booking.cancellationReason,
@@ -790,23 +2394,207 @@ class BookingService {
     return 1; // Default priority
   }
 
+  async _holdForWaitlist(tx, campaignId, ticketType, availableQuantity) {
+    const waitlistEntries = await tx.waitlistEntry.findMany({
+      where: {
+        campaignId,
+        ticketType,
+        status: 'ACTIVE'
+      },
+      orderBy: [
+        { priority: 'desc' },
+        { createdAt: 'asc' }
+      ],
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true
+          }
+        },
+        campaign: {
+          select: {
+            title: true,
+            eventDate: true,
+            venue: true
+          }
+        }
+      }
+    });
+
+    let remainingQuantity = availableQuantity;
+    const heldEntries = [];
+
+    for (const entry of waitlistEntries) {
+      if (remainingQuantity <= 0) break;
+
+      // Entries wanting more than is left keep their place for the next release
+      if (entry.quantity <= remainingQuantity) {
+        const notifiedAt = new Date();
+        const reservationExpiry = new Date(notifiedAt.getTime() + config.waitlist.reservationMinutes * 60 * 1000);
+
+        await tx.waitlistEntry.update({
+          where: { id: entry.id },
+          data: {
+            status: 'NOTIFIED',
+            notifiedAt,
+            reservationExpiry
+          }
+        });
+
+        remainingQuantity -= entry.quantity;
+        heldEntries.push({ ...entry, status: 'NOTIFIED', notifiedAt, reservationExpiry });
+      }
+    }
+
+    return heldEntries;
+  }
+
+  async _findWaitlistReservation(tx, userId, campaignId, ticketType) {
+    return await tx.waitlistEntry.findFirst({
+      where: {
+        userId,
+        campaignId,
+        ticketType,
+        status: 'NOTIFIED',
+        reservationExpiry: { gt: new Date() }
+      }
+    });
+  }
+
+  async _claimWaitlistReservation(tx, reservation, booking) {
+    await tx.waitlistEntry.update({
+      where: { id: reservation.id },
+      data: {
+        status: 'CLAIMED',
+        claimedAt: new Date(),
+        bookingId: booking.id
+      }
+    });
+
+    // Reserved tickets the customer did not book go back out
+    const unusedQuantity = reservation.quantity - booking.quantity;
+    if (unusedQuantity > 0) {
+      return await this._releaseInventory(tx, booking.campaignId, booking.ticketType, unusedQuantity, unusedQuantity);
+    }
+
+    return [];
+  }
+
+  async _getWaitlistPosition(entry) {
+    const ahead = await prisma.waitlistEntry.count({
+      where: {
+        campaignId: entry.campaignId,
+        ticketType: entry.ticketType,
+        status: 'ACTIVE',
+        OR: [
+          { priority: { gt: entry.priority } },
+          { priority: entry.priority, createdAt: { lt: entry.createdAt } }
+        ]
+      }
+    });
+
+    return ahead + 1;
+  }
+
+  async _withInventoryLock(campaignId, ticketType, callback) {
+    // Same lock as createBooking so held inventory is not oversold
+    const lockKey = `booking:lock:${campaignId}:${ticketType}`;
+    const lockToken = await lock.acquire(lockKey, 10);
+
+    if (!lockToken) {
+      throw new BookingError('System is busy. Please try again.');
+    }
+
+    try {
+      return await callback();
+    } finally {
+      await lock.release(lockKey, lockToken);
+    }
+  }
+
+  async _notifyWaitlistUsers(entries = []) {
+    for (const entry of entries) {
+      try {
+        await this._notifyWaitlistUser(entry);
+      } catch (error) {
+        logger.error('Failed to notify waitlist user', {
+          entryId: entry.id,
+          error: error.message
+        });
+      }
+    }
+  }
+
   async _notifyWaitlistUser(entry) {
     await emailQueue.sendWaitlistNotification({
+      entryId: entry.id,
       userId: entry.userId,
+      customerEmail: entry.user?.email,
+      customerName: entry.user ? `${entry.user.firstName} ${entry.user.lastName}` : undefined,
       campaignId: entry.campaignId,
+      eventTitle: entry.campaign?.title,
+      eventDate: entry.campaign?.eventDate,
+      venue: entry.campaign?.venue,
       ticketType: entry.ticketType,
       quantity: entry.quantity,
       reservationExpiry: entry.reservationExpiry
     });
   }
 
-  async _notifyRefundRequest(booking, refundRequest) {
-    // Notify administrators about refund request
-    await emailQueue.sendRefundRequestNotification({
-      bookingId: booking.id,
-      refundRequestId: refundRequest.id,
-      amount: refundRequest.amount
+  async _notifyRefundRequest(bookingId, refundRequest, { notifyCustomer = false } = {}) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: {
+        customer: { select: { email: true, firstName: true, lastName: true } },
+        campaign: {
+          select: {
+            title: true,
+            seller: { select: { email: true, firstName: true } }
+          }
+        },
+        payment: { select: { currency: true } }
+      }
     });
+
+    const details = {
+      bookingId,
+      refundRequestId: refundRequest.id,
+      bookingRef: booking.bookingRef,
+      eventTitle: booking.campaign.title,
+      amount: refundRequest.amount,
+      currency: booking.payment?.currency || 'UGX',
+      refundTo: refundRequest.refundTo,
+      reason: refundRequest.reason
+    };
+
+    if (notifyCustomer) {
+      await emailQueue.sendRefundStatus({
+        ...details,
+        status: 'PENDING',
+        customerEmail: booking.customer.email,
+        customerName: booking.customer.firstName
+      });
+    }
+
+    // The seller reviews refunds for their events; admins can step in
+    const reviewers = [
+      { email: booking.campaign.seller.email, name: booking.campaign.seller.firstName },
+      ...config.auth.superAdminEmails.map(email => ({ email }))
+    ];
+
+    for (const reviewer of reviewers) {
+      await emailQueue.sendRefundRequestNotification({
+        ...details,
+        recipientEmail: reviewer.email,
+        recipientName: reviewer.name,
+        customerName: `${booking.customer.firstName} ${booking.customer.lastName}`,
+        customerEmail: booking.customer.email,
+        reviewUrl: `${config.app.frontendUrl}/refunds/${refundRequest.id}`
+      });
+    }
   }
 }
 
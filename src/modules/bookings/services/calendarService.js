@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import config from '../../../config/index.js';
+import { generateSecureToken } from '../../../shared/utils/encryption.js';
+import { toICal } from '../../../shared/utils/ical.js';
+import { NotFoundError, BookingError } from '../../../shared/errors/AppError.js';
+
+const BOOKING_EVENT_INCLUDE = {
+  campaign: {
+    select: {
+      id: true,
+      title: true,
+      status: true,
+      eventDate: true,
+      venue: true,
+      venueAddress: true,
+      venueCity: true,
+      updatedAt: true
+    }
+  },
+  session: true
+};
+
+/**
+ * Calendar exports for bookings: a .ics file per booking and a private iCal
+ * subscription feed per customer.
+ *
+ * Events are built from the booking's session, or the campaign's eventDate, when
+ * the calendar is requested, and keep a stable UID per booking. Calendar apps
+ * polling the feed therefore pick up rescheduled and cancelled events.
+ */
+class CalendarService {
+  /**
+   * .ics for one of the customer's confirmed bookings
+   */
+  async getBookingCalendar(bookingId, userId) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: BOOKING_EVENT_INCLUDE
+    });
+
+    if (!booking || booking.customerId !== userId) {
+      throw new NotFoundError('Booking');
+    }
+
+    if (booking.status !== 'CONFIRMED') {
+      throw new BookingError('Only confirmed bookings can be added to a calendar');
+    }
+
+    return toICal([this._bookingEvent(booking)], { prodId: this._prodId() });
+  }
+
+  /**
+   * .ics for a confirmation email: the booking, or every booking of the order.
+   * Returns null when there is nothing to add.
+   */
+  async getConfirmationCalendar({ bookingId, orderId }) {
+    if (!bookingId && !orderId) return null;
+
+    const bookings = await prisma.booking.findMany({
+      where: orderId ? { orderId } : { id: bookingId },
+      include: BOOKING_EVENT_INCLUDE
+    });
+
+    if (bookings.length === 0) return null;
+
+    return toICal(bookings.map(booking => this._bookingEvent(booking)), { prodId: this._prodId() });
+  }
+
+  /**
+   * Create the customer's subscription feed URL. Any previous URL stops working.
+   */
+  async createFeed(userId) {
+    const token = generateSecureToken(32);
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { calendarFeedTokenHash: this._hashToken(token) }
+    });
+
+    logger.info('Calendar feed created', { userId });
+
+    return { url: this._feedUrl(token) };
+  }
+
+  /**
+   * Turn off the customer's subscription feed
+   */
+  async revokeFeed(userId) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { calendarFeedTokenHash: null }
+    });
+
+    logger.info('Calendar feed revoked', { userId });
+  }
+
+  /**
+   * Feed of the token owner's confirmed bookings
+   */
+  async getFeed(token) {
+    const user = await prisma.user.findUnique({
+      where: { calendarFeedTokenHash: this._hashToken(token) },
+      select: { id: true, isActive: true }
+    });
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('Calendar feed');
+    }
+
+    const bookings = await prisma.booking.findMany({
+      where: { customerId: user.id, status: 'CONFIRMED' },
+      include: BOOKING_EVENT_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+      take: 500
+    });
+
+    return toICal(bookings.map(booking => this._bookingEvent(booking)), {
+      name: config.app.name,
+      prodId: this._prodId()
+    });
+  }
+
+  // Private helper methods
+  _bookingEvent(booking) {
+    const { campaign, session } = booking;
+    const start = new Date(session?.startsAt || campaign.eventDate);
+    const end = session?.endsAt || new Date(start.getTime() + config.calendar.eventDurationHours * 60 * 60 * 1000);
+    const cancelled = campaign.status === 'CANCELLED' || session?.status === 'CANCELLED';
+
+    return {
+      uid: `booking-${booking.id}@${new URL(config.app.url).hostname}`,
+      start,
+      end,
+      summary: session?.label ? `${campaign.title} - ${session.label}` : campaign.title,
+      description: `Booking ${booking.bookingRef}: ${booking.quantity} x ${booking.ticketType}`,
+      location: [campaign.venue, campaign.venueAddress, campaign.venueCity].filter(Boolean).join(', '),
+      url: `${config.app.frontendUrl}/bookings/${booking.id}`,
+      lastModified: session && session.updatedAt > campaign.updatedAt ? session.updatedAt : campaign.updatedAt,
+      status: cancelled ? 'CANCELLED' : 'CONFIRMED'
+    };
+  }
+
+  _feedUrl(token) {
+    return `${config.app.url}/api/${config.app.apiVersion}/bookings/calendar/feed/${token}.ics`;
+  }
+
+  _prodId() {
+    return `-//${config.app.name}//Bookings//EN`;
+  }
+
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+export default new CalendarService();
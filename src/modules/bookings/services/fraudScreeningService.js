@@ -0,0 +1,306 @@
+import crypto from 'crypto';
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import { cache, rateLimiter } from '../../../config/redis.js';
+import { emailQueue } from '../../../config/rabbitmq.js';
+import { generateSecureToken } from '../../../shared/utils/encryption.js';
+import {
+  BookingError,
+  BookingChallengeError,
+  ValidationError
+} from '../../../shared/errors/AppError.js';
+
+const SETTINGS_ID = 'default';
+const SETTINGS_CACHE_KEY = 'fraud:settings';
+const CHALLENGE_TTL_SECONDS = 10 * 60;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Points are added to the score when a signal goes over its limit
+const DEFAULT_RULES = {
+  ipVelocity: { limit: 10, windowMinutes: 10, points: 30 }, // Booking attempts from one IP
+  deviceVelocity: { limit: 5, windowMinutes: 10, points: 30 }, // Booking attempts from one device (X-Device-Id)
+  phoneVelocity: { limit: 5, windowMinutes: 60, points: 25 }, // Booking attempts by accounts with one phone number
+  sharedPhone: { limit: 3, points: 30 }, // Accounts registered with the customer's phone number
+  sharedPaymentAccount: { limit: 3, points: 35 }, // Accounts that paid with one of the customer's cards or wallets
+  newAccount: { maxAgeHours: 24, points: 15 }, // Accounts younger than this
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  challengeScore: 40,
+  blockScore: 70,
+  rules: DEFAULT_RULES
+};
+
+/**
+ * Risk screening of booking attempts, run before inventory is reserved.
+ *
+ * Each attempt is scored from velocity counters (per IP, device and phone) and
+ * account signals (shared phone numbers and payment accounts, account age).
+ * Below `challengeScore` it goes ahead; from `challengeScore` the customer must
+ * enter a code emailed to them and retry; from `blockScore` it is refused.
+ * Challenged and blocked attempts are written to the audit log for review.
+ */
+class FraudScreeningService {
+  /**
+   * Request details used for screening
+   */
+  requestContext(req) {
+    return {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      deviceId: req.get('x-device-id'),
+      challengeId: req.body?.challengeId,
+      challengeCode: req.body?.challengeCode
+    };
+  }
+
+  /**
+   * Score a booking attempt. Throws when it is blocked or needs a challenge.
+   */
+  async screen(userId, { campaignId, quantity }, context = {}) {
+    const settings = await this.getSettings();
+
+    if (!settings.enabled) {
+      return { decision: 'ALLOW', score: 0, signals: [] };
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, firstName: true, phone: true, createdAt: true }
+    });
+
+    const signals = await this._collectSignals(user, context, settings.rules);
+    const score = Math.min(100, signals.reduce((total, signal) => total + signal.points, 0));
+    const assessment = { score, signals, campaignId, quantity };
+
+    if (score >= settings.blockScore) {
+      await this._audit('BOOKING_BLOCKED', userId, assessment, context);
+      logger.warn('Booking blocked by fraud screening', { userId, campaignId, score });
+      throw new BookingError('We could not complete this booking. Please contact support if you think this is a mistake.', 403);
+    }
+
+    if (score >= settings.challengeScore) {
+      if (await this._passChallenge(userId, context)) {
+        logger.info('Booking challenge passed', { userId, campaignId, score });
+        return { decision: 'CHALLENGE_PASSED', score, signals };
+      }
+
+      const challengeId = await this._issueChallenge(user);
+      await this._audit('BOOKING_CHALLENGED', userId, assessment, context);
+      throw new BookingChallengeError('Please enter the verification code we emailed you to continue', { challengeId });
+    }
+
+    return { decision: 'ALLOW', score, signals };
+  }
+
+  /**
+   * Current thresholds, falling back to the defaults
+   */
+  async getSettings() {
+    const cached = await cache.get(SETTINGS_CACHE_KEY);
+    if (cached) return cached;
+
+    const stored = await prisma.fraudSettings.findUnique({ where: { id: SETTINGS_ID } });
+    const settings = this._withDefaults(stored);
+
+    await cache.set(SETTINGS_CACHE_KEY, settings, 60);
+
+    return settings;
+  }
+
+  /**
+   * Tune the thresholds. Rules are merged per signal.
+   */
+  async updateSettings(adminId, { enabled, challengeScore, blockScore, rules = {} }) {
+    const before = await this.getSettings();
+
+    const unknownRules = Object.keys(rules).filter(name => !before.rules[name]);
+    if (unknownRules.length > 0) {
+      throw new ValidationError(`Unknown fraud rules: ${unknownRules.join(', ')}`);
+    }
+
+    const mergedRules = Object.fromEntries(
+      Object.entries(before.rules).map(([name, rule]) => [name, { ...rule, ...rules[name] }])
+    );
+
+    const after = {
+      enabled: enabled ?? before.enabled,
+      challengeScore: challengeScore ?? before.challengeScore,
+      blockScore: blockScore ?? before.blockScore,
+      rules: mergedRules
+    };
+
+    if (after.challengeScore >= after.blockScore) {
+      throw new ValidationError('The challenge score must be lower than the block score');
+    }
+
+    await prisma.fraudSettings.upsert({
+      where: { id: SETTINGS_ID },
+      create: { id: SETTINGS_ID, ...after, updatedById: adminId },
+      update: { ...after, updatedById: adminId }
+    });
+
+    await cache.delete(SETTINGS_CACHE_KEY);
+
+    logger.info('Fraud screening settings updated', { adminId });
+
+    return { before, after };
+  }
+
+  /**
+   * Recent challenged and blocked attempts, newest first
+   */
+  async getFlaggedAttempts({ action, userId, limit = 50, cursor } = {}) {
+    const take = Math.min(Number(limit) || 50, 200);
+
+    const attempts = await prisma.auditLog.findMany({
+      where: {
+        action: action ? action : { in: ['BOOKING_BLOCKED', 'BOOKING_CHALLENGED'] },
+        ...(userId && { userId })
+      },
+      include: { user: { select: { id: true, email: true, phone: true, createdAt: true } } },
+      orderBy: { createdAt: 'desc' },
+      take: take + 1,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    const hasMore = attempts.length > take;
+    const page = attempts.slice(0, take);
+
+    return { attempts: page, nextCursor: hasMore ? page[page.length - 1].id : null };
+  }
+
+  // Private helper methods
+  async _collectSignals(user, context, rules) {
+    const signals = [];
+    const add = (signal, rule, detail) => signals.push({ signal, points: rule.points, ...detail });
+
+    const velocity = async (signal, identifier) => {
+      const rule = rules[signal];
+      const result = await rateLimiter.checkLimit(`fraud:${signal}:${identifier}`, rule.limit, rule.windowMinutes * 60);
+      if (!result.allowed) add(signal, rule, { limit: rule.limit, windowMinutes: rule.windowMinutes });
+    };
+
+    if (context.ipAddress) await velocity('ipVelocity', context.ipAddress);
+    if (context.deviceId) await velocity('deviceVelocity', context.deviceId);
+
+    if (user.phone) {
+      await velocity('phoneVelocity', user.phone);
+
+      const accounts = await prisma.user.count({ where: { phone: user.phone } });
+      if (accounts > rules.sharedPhone.limit) {
+        add('sharedPhone', rules.sharedPhone, { accounts });
+      }
+    }
+
+    const paymentAccounts = await prisma.payment.findMany({
+      where: { customerId: user.id, status: 'SUCCESS', paymentAccount: { not: null } },
+      select: { paymentAccount: true },
+      distinct: ['paymentAccount'],
+      take: 20
+    });
+
+    if (paymentAccounts.length > 0) {
+      const payers = await prisma.payment.findMany({
+        where: { status: 'SUCCESS', paymentAccount: { in: paymentAccounts.map(payment => payment.paymentAccount) } },
+        select: { customerId: true },
+        distinct: ['customerId'],
+        take: rules.sharedPaymentAccount.limit + 1
+      });
+
+      if (payers.length > rules.sharedPaymentAccount.limit) {
+        add('sharedPaymentAccount', rules.sharedPaymentAccount, { accounts: payers.length });
+      }
+    }
+
+    const ageHours = (Date.now() - user.createdAt.getTime()) / (60 * 60 * 1000);
+    if (ageHours < rules.newAccount.maxAgeHours) {
+      add('newAccount', rules.newAccount, { ageHours: Math.round(ageHours * 10) / 10 });
+    }
+
+    return signals;
+  }
+
+  async _issueChallenge(user) {
+    const challengeId = generateSecureToken(16);
+    const code = String(crypto.randomInt(100000, 1000000));
+
+    await cache.set(`fraud:challenge:${challengeId}`, {
+      userId: user.id,
+      codeHash: this._hash(code),
+      attempts: 0
+    }, CHALLENGE_TTL_SECONDS);
+
+    await emailQueue.sendBookingChallenge({
+      email: user.email,
+      firstName: user.firstName,
+      code,
+      expiresInMinutes: CHALLENGE_TTL_SECONDS / 60
+    });
+
+    return challengeId;
+  }
+
+  // True for a correct code; a wrong one is rejected without sending another
+  async _passChallenge(userId, { challengeId, challengeCode }) {
+    if (!challengeId || !challengeCode) return false;
+
+    const key = `fraud:challenge:${challengeId}`;
+    const challenge = await cache.get(key);
+
+    if (!challenge || challenge.userId !== userId) return false;
+
+    if (challenge.codeHash === this._hash(String(challengeCode))) {
+      await cache.delete(key);
+      return true;
+    }
+
+    challenge.attempts += 1;
+    if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+      await cache.delete(key);
+      return false;
+    }
+
+    await cache.set(key, challenge, CHALLENGE_TTL_SECONDS);
+    throw new BookingChallengeError('The verification code is incorrect', { challengeId });
+  }
+
+  async _audit(action, userId, { score, signals, campaignId, quantity }, context) {
+    await prisma.auditLog.create({
+      data: {
+        userId,
+        action,
+        entity: 'Booking',
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        metadata: {
+          campaignId,
+          quantity,
+          score,
+          signals,
+          ...(context.deviceId && { deviceId: context.deviceId })
+        }
+      }
+    });
+  }
+
+  _withDefaults(stored) {
+    if (!stored) return DEFAULT_SETTINGS;
+
+    return {
+      enabled: stored.enabled,
+      challengeScore: stored.challengeScore,
+      blockScore: stored.blockScore,
+      rules: Object.fromEntries(
+        Object.entries(DEFAULT_RULES).map(([name, rule]) => [name, { ...rule, ...stored.rules?.[name] }])
+      )
+    };
+  }
+
+  _hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+export default new FraudScreeningService();
@@ -0,0 +1,209 @@
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import config from '../../../config/index.js';
+import { emailQueue } from '../../../config/rabbitmq.js';
+import { generateBookingAccessToken, verifySpecialToken } from '../../../shared/utils/token.utils.js';
+import bookingService from './bookingService.js';
+import paymentService from '../../payments/services/paymentService.js';
+import {
+  NotFoundError,
+  ConflictError,
+  AuthenticationError
+} from '../../../shared/errors/AppError.js';
+
+/**
+ * Checkout without an account.
+ *
+ * The buyer gives an email, name and phone; a passwordless guest User is
+ * created (or reused) to own the booking. The buyer then reaches the booking
+ * through a signed magic link scoped to that one booking. Registering with the
+ * same email emails a link to set a password, which turns the guest into a
+ * full account that keeps its bookings; after that the magic links stop
+ * working and the customer signs in instead.
+ */
+class GuestCheckoutService {
+  /**
+   * Create a booking for a guest and start its payment
+   */
+  async checkout({ email, firstName, lastName, phone, currency, ...bookingData }, context = {}) {
+    const guest = await this._findOrCreateGuest({ email, firstName, lastName, phone });
+
+    // Guests have no wallet
+    const { useStoreCredit, storeCreditAmount, ...data } = bookingData;
+    const booking = await bookingService.createBooking(guest.id, data, context);
+
+    // Only the deposit is due now on a payment plan
+    const amountDue = booking.installments
+      ? Number(booking.installments[0].amount)
+      : Number(booking.totalAmount) - Number(booking.creditApplied || 0);
+    const payment = amountDue > 0
+      ? await paymentService.initializePayment(booking.id, guest.id, { currency })
+      : null;
+
+    logger.info('Guest checkout started', { bookingId: booking.id, userId: guest.id });
+
+    return {
+      guest,
+      booking,
+      payment,
+      amountDue,
+      accessToken: generateBookingAccessToken(guest.id, guest.email, booking.id)
+    };
+  }
+
+  /**
+   * Magic link for a guest's booking, or null when the customer has an account
+   */
+  accessUrl(bookingId, customer) {
+    if (!customer?.isGuest) return null;
+
+    const token = generateBookingAccessToken(customer.id, customer.email, bookingId);
+    return `${config.app.frontendUrl}/guest/bookings?token=${token}`;
+  }
+
+  /**
+   * The booking a magic link grants access to
+   */
+  async getBooking(token) {
+    const { bookingId, userId } = await this._resolve(token);
+
+    return await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: {
+        campaign: {
+          select: {
+            id: true,
+            title: true,
+            eventDate: true,
+            venue: true,
+            venueAddress: true,
+            venueCity: true,
+            status: true
+          }
+        },
+        session: true,
+        customer: { select: { email: true, firstName: true, lastName: true, phone: true } },
+        payment: { select: { status: true, amount: true, currency: true, transactionRef: true } },
+        // Tickets transferred or resold since belong to someone else
+        tickets: {
+          where: { customerId: userId },
+          select: {
+            id: true,
+            ticketNumber: true,
+            ticketType: true,
+            status: true,
+            attendeeName: true,
+            attendeeEmail: true,
+            pdfUrl: true
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * PDF URL of one of the link's tickets
+   */
+  async getTicketDownloadUrl(token, ticketId) {
+    const { bookingId, userId } = await this._resolve(token);
+
+    const ticket = await prisma.ticket.findFirst({
+      where: { id: ticketId, bookingId, customerId: userId },
+      select: { pdfUrl: true }
+    });
+
+    if (!ticket) {
+      throw new NotFoundError('Ticket');
+    }
+
+    if (!ticket.pdfUrl) {
+      throw new ConflictError('Your ticket is still being generated. Please try again shortly.');
+    }
+
+    return ticket.pdfUrl;
+  }
+
+  /**
+   * Resume payment of a pending guest booking
+   */
+  async resumePayment(token, { currency } = {}) {
+    const { bookingId, userId } = await this._resolve(token);
+    return await paymentService.initializePayment(bookingId, userId, { currency });
+  }
+
+  /**
+   * Email a fresh magic link for a guest booking. Stays silent about unknown
+   * bookings so it cannot be used to look up who booked what.
+   */
+  async sendAccessLink(email, bookingRef) {
+    const booking = await prisma.booking.findUnique({
+      where: { bookingRef },
+      include: {
+        customer: true,
+        campaign: { select: { title: true } }
+      }
+    });
+
+    if (!booking || !booking.customer.isGuest || booking.customer.email.toLowerCase() !== email.toLowerCase()) {
+      logger.info('Guest access link not sent', { bookingRef });
+      return;
+    }
+
+    await emailQueue.sendGuestAccessLink({
+      email: booking.customer.email,
+      firstName: booking.customer.firstName,
+      bookingRef: booking.bookingRef,
+      eventTitle: booking.campaign.title,
+      accessUrl: this.accessUrl(booking.id, booking.customer)
+    });
+
+    logger.info('Guest access link sent', { bookingId: booking.id });
+  }
+
+  // Private helper methods
+  async _findOrCreateGuest({ email, firstName, lastName, phone }) {
+    const existing = await prisma.user.findUnique({ where: { email } });
+
+    if (existing && !existing.isGuest) {
+      throw new ConflictError('An account with this email already exists. Please log in to book.');
+    }
+
+    if (existing) {
+      if (!existing.isActive) {
+        throw new AuthenticationError('This account has been deactivated');
+      }
+
+      // Anyone can type a guest's email, so the details on file are kept as they are
+      return existing;
+    }
+
+    return await prisma.user.create({
+      data: { email, firstName, lastName, phone, role: 'CUSTOMER', isGuest: true }
+    });
+  }
+
+  async _resolve(token) {
+    const { valid, payload } = verifySpecialToken(token, 'booking_access', 'booking-access');
+
+    if (!valid) {
+      throw new AuthenticationError('This booking link is invalid or has expired');
+    }
+
+    const booking = await prisma.booking.findUnique({
+      where: { id: payload.bookingId },
+      select: { id: true, customerId: true, customer: { select: { isGuest: true, isActive: true } } }
+    });
+
+    if (!booking || booking.customerId !== payload.id || !booking.customer.isActive) {
+      throw new AuthenticationError('This booking link is invalid or has expired');
+    }
+
+    if (!booking.customer.isGuest) {
+      throw new AuthenticationError('This booking belongs to a registered account. Please log in to view it.');
+    }
+
+    return { bookingId: booking.id, userId: booking.customerId };
+  }
+}
+
+export default new GuestCheckoutService();
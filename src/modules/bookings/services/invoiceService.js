@@ -0,0 +1,217 @@
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import config from '../../../config/index.js';
+import { NotFoundError, AuthorizationError } from '../../../shared/errors/AppError.js';
+
+/**
+ * Invoices for confirmed sales.
+ *
+ * Every paid booking (or multi-item order) gets one invoice when it is confirmed,
+ * numbered sequentially per seller. Seller business details, the customer and the
+ * lines are copied onto the invoice so later edits do not change issued invoices.
+ * Ticket prices include tax at `config.invoice.taxRate`; anything the customer
+ * paid above the tickets' total is shown as fees.
+ */
+class InvoiceService {
+  /**
+   * Issue the invoice for a confirmed single booking. Runs inside the
+   * confirmation transaction; `booking` must include its campaign and session.
+   */
+  async issueForBooking(tx, booking, { payment = null, paymentMethod = null, paymentRef = null } = {}) {
+    return await this._issue(tx, {
+      sellerId: booking.campaign.sellerId,
+      customerId: booking.customerId,
+      bookingId: booking.id,
+      lineItems: [this._bookingLine(booking)],
+      subtotal: Number(booking.metadata?.subtotal ?? booking.totalAmount),
+      discountAmount: Number(booking.metadata?.discountAmount || 0),
+      totalAmount: Number(booking.totalAmount),
+      payment,
+      paymentMethod,
+      paymentRef
+    });
+  }
+
+  /**
+   * Issue one invoice for a confirmed order. `order.bookings` must include
+   * their campaign and session.
+   */
+  async issueForOrder(tx, order, { payment = null } = {}) {
+    // A pass is sold as one product, whatever its share of each event
+    const lineItems = order.metadata?.passId
+      ? [{
+          description: `${order.metadata.passName} (${order.bookings.length} events)`,
+          quantity: 1,
+          unitPrice: Number(order.subtotal),
+          discount: Number(order.discountAmount),
+          total: Number(order.totalAmount)
+        }]
+      : order.bookings.map(booking => this._bookingLine(booking));
+
+    return await this._issue(tx, {
+      sellerId: order.sellerId,
+      customerId: order.customerId,
+      orderId: order.id,
+      lineItems,
+      subtotal: Number(order.subtotal),
+      discountAmount: Number(order.discountAmount),
+      totalAmount: Number(order.totalAmount),
+      payment
+    });
+  }
+
+  /**
+   * Invoice of a booking, for its customer, its seller or an admin. Bookings
+   * from an order share the order's invoice.
+   */
+  async getBookingInvoice(bookingId, user) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: {
+        id: true,
+        orderId: true,
+        customerId: true,
+        campaign: { select: { sellerId: true } }
+      }
+    });
+
+    if (!booking) {
+      throw new NotFoundError('Booking');
+    }
+
+    const canView = booking.customerId === user.id
+      || booking.campaign.sellerId === user.id
+      || user.role === 'SUPER_ADMIN';
+
+    if (!canView) {
+      throw new AuthorizationError('You can only view invoices for your own bookings');
+    }
+
+    const invoice = await prisma.invoice.findUnique({
+      where: booking.orderId ? { orderId: booking.orderId } : { bookingId }
+    });
+
+    if (!invoice) {
+      throw new NotFoundError('Invoice');
+    }
+
+    return invoice;
+  }
+
+  // Private helper methods
+  async _issue(tx, { sellerId, customerId, bookingId = null, orderId = null, lineItems, subtotal, discountAmount, totalAmount, payment, paymentMethod, paymentRef }) {
+    const paidAmount = payment ? Number(payment.amount) : totalAmount;
+    const feeAmount = this._round(Math.max(0, paidAmount - totalAmount));
+    const invoiceTotal = this._round(totalAmount + feeAmount);
+    const taxRate = config.invoice.taxRate;
+
+    const [sellerDetails, customer] = await Promise.all([
+      this._sellerDetails(tx, sellerId),
+      tx.user.findUnique({
+        where: { id: customerId },
+        select: { firstName: true, lastName: true, email: true, phone: true }
+      })
+    ]);
+
+    const sequence = await this._nextSequence(tx, sellerId);
+
+    const invoice = await tx.invoice.create({
+      data: {
+        invoiceNumber: this._formatNumber(sellerId, sequence),
+        sellerId,
+        sequence,
+        customerId,
+        bookingId,
+        orderId,
+        currency: payment?.currency || 'UGX',
+        subtotal,
+        discountAmount,
+        feeAmount,
+        taxAmount: this._round(invoiceTotal * taxRate / (100 + taxRate)),
+        totalAmount: invoiceTotal,
+        taxRate,
+        lineItems,
+        sellerDetails,
+        customerDetails: {
+          name: [customer.firstName, customer.lastName].filter(Boolean).join(' ') || customer.email,
+          email: customer.email,
+          phone: customer.phone
+        },
+        paymentMethod: paymentMethod || payment?.paymentMethod || payment?.provider || null,
+        paymentRef: paymentRef || payment?.transactionRef || null
+      }
+    });
+
+    logger.info('Invoice issued', { invoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber, bookingId, orderId });
+
+    return invoice;
+  }
+
+  // Atomic per-seller counter; the first invoice creates the row
+  async _nextSequence(tx, sellerId) {
+    const [row] = await tx.$queryRaw`
+      INSERT INTO "invoice_sequences" ("sellerId", "lastNumber", "updatedAt")
+      VALUES (${sellerId}, 1, NOW())
+      ON CONFLICT ("sellerId")
+      DO UPDATE SET "lastNumber" = "invoice_sequences"."lastNumber" + 1, "updatedAt" = NOW()
+      RETURNING "lastNumber"
+    `;
+
+    return row.lastNumber;
+  }
+
+  // e.g. INV-7K2QXA-000042: prefix, seller code, sequence
+  _formatNumber(sellerId, sequence) {
+    const sellerCode = sellerId.slice(-6).toUpperCase();
+    return `${config.invoice.prefix}-${sellerCode}-${String(sequence).padStart(6, '0')}`;
+  }
+
+  async _sellerDetails(tx, sellerId) {
+    const seller = await tx.user.findUnique({
+      where: { id: sellerId },
+      select: {
+        firstName: true,
+        lastName: true,
+        email: true,
+        phone: true,
+        sellerApplication: {
+          select: {
+            businessName: true,
+            businessAddress: true,
+            businessPhone: true,
+            businessEmail: true,
+            taxId: true
+          }
+        }
+      }
+    });
+
+    const business = seller.sellerApplication;
+
+    return {
+      name: business?.businessName || [seller.firstName, seller.lastName].filter(Boolean).join(' ') || seller.email,
+      address: business?.businessAddress || null,
+      phone: business?.businessPhone || seller.phone || null,
+      email: business?.businessEmail || seller.email,
+      taxId: business?.taxId || null
+    };
+  }
+
+  _bookingLine(booking) {
+    const session = booking.session ? ` (${booking.session.label || new Date(booking.session.startsAt).toISOString().slice(0, 10)})` : '';
+
+    return {
+      description: `${booking.campaign.title}${session} - ${booking.ticketType}`,
+      quantity: booking.quantity,
+      unitPrice: Number(booking.unitPrice),
+      discount: Number(booking.metadata?.discountAmount || 0),
+      total: Number(booking.totalAmount)
+    };
+  }
+
+  _round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+export default new InvoiceService();
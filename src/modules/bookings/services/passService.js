@@ -0,0 +1,531 @@
+import prisma from '../../../config/database.js';
+import { lock } from '../../../config/redis.js';
+import logger from '../../../config/logger.js';
+import config from '../../../config/index.js';
+import { generateUniqueId, generatePassQRData } from '../../../shared/utils/encryption.js';
+import bookingService from './bookingService.js';
+import seatMapService from '../../campaigns/services/seatMapService.js';
+import sessionService from '../../campaigns/services/sessionService.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+  BookingError,
+  InventoryError
+} from '../../../shared/errors/AppError.js';
+
+/**
+ * Season passes and multi-event bundles.
+ *
+ * A seller defines a pass over a set of their campaigns (or sessions of
+ * multi-session campaigns). Buying one creates an order with a PASS booking per
+ * included event, so every event's inventory is taken up front and the pass
+ * price is split across the campaigns' analytics by face value. Once paid, the
+ * customer gets a single pass QR code; each event's ticket is admitted once when
+ * that code is scanned there.
+ */
+class PassService {
+  /**
+   * Define a pass over the seller's campaigns
+   */
+  async createPass(sellerId, passData) {
+    const { name, description, price, quantity, salesEndAt, items } = passData;
+
+    const resolvedItems = await this._resolveItems(sellerId, items);
+
+    const pass = await prisma.pass.create({
+      data: {
+        sellerId,
+        name,
+        description,
+        price,
+        quantity,
+        salesEndAt: salesEndAt ? new Date(salesEndAt) : null,
+        items: {
+          create: resolvedItems.map(item => ({
+            campaignId: item.campaignId,
+            sessionId: item.sessionId,
+            ticketType: item.ticketType
+          }))
+        }
+      },
+      include: { items: true }
+    });
+
+    logger.info('Pass created', { passId: pass.id, sellerId, items: pass.items.length });
+
+    return pass;
+  }
+
+  /**
+   * Change a pass's details. The included events are fixed once created.
+   */
+  async updatePass(sellerId, passId, updates) {
+    const pass = await this._getOwnedPass(sellerId, passId);
+
+    const { name, description, price, quantity, salesEndAt, isActive } = updates;
+
+    if (quantity !== undefined && quantity < pass.sold) {
+      throw new ValidationError(`Quantity cannot be below the ${pass.sold} passes already sold`);
+    }
+
+    const updated = await prisma.pass.update({
+      where: { id: passId },
+      data: {
+        name,
+        description,
+        price,
+        quantity,
+        isActive,
+        ...(salesEndAt !== undefined && { salesEndAt: salesEndAt ? new Date(salesEndAt) : null })
+      },
+      include: { items: true }
+    });
+
+    return { before: pass, after: updated };
+  }
+
+  /**
+   * The seller's passes with sales counts
+   */
+  async getSellerPasses(sellerId, filters = {}) {
+    const { isActive, page = 1, limit = 20 } = filters;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      sellerId,
+      ...(isActive !== undefined && { isActive: isActive === 'true' || isActive === true })
+    };
+
+    const [passes, total] = await Promise.all([
+      prisma.pass.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' },
+        include: {
+          items: { include: this._itemEventInclude() },
+          _count: { select: { purchases: { where: { status: 'ACTIVE' } } } }
+        }
+      }),
+      prisma.pass.count({ where })
+    ]);
+
+    return {
+      passes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Public pass details with its events and availability
+   */
+  async getPass(passId) {
+    const pass = await prisma.pass.findUnique({
+      where: { id: passId },
+      include: {
+        items: { include: this._itemEventInclude() },
+        seller: { select: { id: true, firstName: true, lastName: true } }
+      }
+    });
+
+    if (!pass) {
+      throw new NotFoundError('Pass');
+    }
+
+    const events = pass.items
+      .map(item => ({ ...item, startsAt: this._itemStart(item) }))
+      .sort((a, b) => a.startsAt - b.startsAt);
+
+    return {
+      ...pass,
+      items: events,
+      available: Math.max(0, pass.quantity - pass.sold),
+      onSale: this._isOnSale(pass, events)
+    };
+  }
+
+  /**
+   * Buy a pass. Creates a pending order, paid like any other order; the pass is
+   * activated when the order is confirmed.
+   */
+  async purchasePass(userId, passId) {
+    const pass = await prisma.pass.findUnique({
+      where: { id: passId },
+      include: { items: true }
+    });
+
+    if (!pass || !pass.isActive) {
+      throw new NotFoundError('Pass');
+    }
+
+    // Lock every ticket type in a stable order, as orders do
+    const lockKeys = [...new Set(pass.items.map(item => `booking:lock:${item.campaignId}:${item.ticketType}`))].sort();
+    const heldLocks = [];
+
+    try {
+      for (const lockKey of lockKeys) {
+        const lockToken = await lock.acquire(lockKey, 10);
+        if (!lockToken) {
+          throw new BookingError('System is busy. Please try again.');
+        }
+        heldLocks.push({ lockKey, lockToken });
+      }
+
+      const result = await prisma.$transaction(async (tx) => {
+        const claimed = await tx.$executeRaw`
+          UPDATE "passes"
+          SET "sold" = "sold" + 1, "updatedAt" = NOW()
+          WHERE "id" = ${passId} AND "isActive" = true AND "sold" < "quantity"
+        `;
+
+        if (claimed === 0) {
+          throw new InventoryError('This pass is sold out');
+        }
+
+        const campaignIds = [...new Set(pass.items.map(item => item.campaignId))];
+        const campaigns = await tx.ticketCampaign.findMany({
+          where: { id: { in: campaignIds } }
+        });
+        const campaignsById = new Map(campaigns.map(campaign => [campaign.id, campaign]));
+
+        for (const campaign of campaigns) {
+          await bookingService._validateCampaignBookability(campaign);
+
+          const campaignQuantity = pass.items.filter(item => item.campaignId === campaign.id).length;
+          await bookingService._checkCustomerBookingLimits(tx, userId, campaign.id, campaignQuantity, campaign.maxPerCustomer);
+        }
+
+        // Take a place at every event and price it at face value
+        const lines = [];
+        for (const item of pass.items) {
+          const campaign = campaignsById.get(item.campaignId);
+          const campaignTicketType = await bookingService._validateTicketType(campaign, item.ticketType, 1);
+          const session = await sessionService.reserveSession(tx, campaign, item.sessionId, 1);
+          const ticketTypeInfo = sessionService.applyPriceOverride(session, item.ticketType, campaignTicketType);
+
+          lines.push({ item, campaign, session, faceValue: Number(ticketTypeInfo.price) || 0 });
+        }
+
+        if (!this._isOnSale(pass, lines.map(line => ({ startsAt: line.session?.startsAt || line.campaign.eventDate })))) {
+          throw new BookingError('Sales for this pass have closed');
+        }
+
+        const shares = this._splitPrice(Number(pass.price), lines.map(line => line.faceValue));
+
+        const deadlineMinutes = Math.min(...campaigns.map(campaign => campaign.paymentDeadlineMinutes || 30));
+        const paymentDeadline = new Date(Date.now() + deadlineMinutes * 60 * 1000);
+
+        const order = await tx.order.create({
+          data: {
+            orderRef: generateUniqueId('ORD'),
+            customerId: userId,
+            sellerId: pass.sellerId,
+            status: 'PENDING',
+            subtotal: pass.price,
+            discountAmount: 0,
+            totalAmount: pass.price,
+            paymentDeadline,
+            metadata: {
+              passId: pass.id,
+              passName: pass.name,
+              itemCount: lines.length
+            }
+          }
+        });
+
+        const purchase = await tx.passPurchase.create({
+          data: {
+            passNumber: generateUniqueId('PASS'),
+            passId: pass.id,
+            customerId: userId,
+            orderId: order.id
+          }
+        });
+
+        const bookings = [];
+        for (const [index, line] of lines.entries()) {
+          const share = shares[index];
+
+          const booking = await bookingService._createBookingRecord(tx, {
+            userId,
+            campaignId: line.item.campaignId,
+            ticketType: line.item.ticketType,
+            quantity: 1,
+            issuanceType: 'SEPARATE',
+            pricingInfo: { unitPrice: share, subtotal: share, discountAmount: 0, totalAmount: share },
+            campaign: line.campaign,
+            session: line.session,
+            channel: 'PASS',
+            orderId: order.id,
+            paymentDeadline
+          });
+
+          // Re-read the campaign so several events of it do not overwrite each other
+          const campaign = await tx.ticketCampaign.findUnique({
+            where: { id: line.item.campaignId }
+          });
+          await bookingService._updateInventory(tx, campaign, line.item.ticketType, 1);
+          await bookingService._updateBookingAnalytics(tx, line.item.campaignId, booking);
+
+          bookings.push(booking);
+        }
+
+        return { ...order, bookings, passPurchase: purchase };
+      });
+
+      logger.info('Pass purchase created', {
+        passId,
+        passPurchaseId: result.passPurchase.id,
+        orderId: result.id,
+        customerId: userId
+      });
+
+      return result;
+    } finally {
+      for (const { lockKey, lockToken } of heldLocks) {
+        await lock.release(lockKey, lockToken);
+      }
+    }
+  }
+
+  /**
+   * Activate the pass bought with a confirmed order and attach the order's
+   * tickets to it. Runs inside the order confirmation transaction; returns null
+   * for orders that are not pass purchases.
+   */
+  async activatePurchase(tx, orderId, tickets) {
+    const purchase = await tx.passPurchase.findUnique({
+      where: { orderId },
+      include: { pass: { select: { name: true } } }
+    });
+
+    if (!purchase) return null;
+
+    await tx.ticket.updateMany({
+      where: { id: { in: tickets.map(ticket => ticket.id) } },
+      data: { passPurchaseId: purchase.id }
+    });
+
+    return await tx.passPurchase.update({
+      where: { id: purchase.id },
+      data: {
+        status: 'ACTIVE',
+        activatedAt: new Date(),
+        qrCode: generatePassQRData(purchase)
+      },
+      include: { pass: { select: { name: true } } }
+    });
+  }
+
+  /**
+   * The customer's passes with their QR codes and per-event admission status
+   */
+  async getMyPasses(userId) {
+    const purchases = await prisma.passPurchase.findMany({
+      where: { customerId: userId, status: { in: ['PENDING', 'ACTIVE'] } },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        pass: { select: { id: true, name: true, description: true } },
+        order: { select: { id: true, orderRef: true, status: true, paymentDeadline: true } },
+        tickets: {
+          select: {
+            id: true,
+            ticketNumber: true,
+            ticketType: true,
+            status: true,
+            scanCount: true,
+            campaign: { select: { id: true, title: true, eventDate: true, venue: true } },
+            session: { select: { id: true, startsAt: true, label: true } }
+          }
+        }
+      }
+    });
+
+    return purchases.map(purchase => ({
+      ...purchase,
+      tickets: purchase.tickets.sort((a, b) => this._itemStart(a) - this._itemStart(b))
+    }));
+  }
+
+  /**
+   * The ticket a scanned pass admits at this event. Scanners can name the
+   * session or campaign they are checking in; otherwise the pass's event
+   * happening now is used.
+   */
+  async resolveAdmissionTicket(passPurchaseId, qrData, context = {}) {
+    const purchase = await prisma.passPurchase.findUnique({
+      where: { id: passPurchaseId },
+      include: {
+        tickets: {
+          include: {
+            campaign: { select: { id: true, eventDate: true } },
+            session: true
+          }
+        }
+      }
+    });
+
+    if (!purchase) {
+      throw new NotFoundError('Pass');
+    }
+
+    if (purchase.qrCode !== qrData) {
+      throw new ConflictError('This pass has been revoked or re-issued. Please use the latest pass.');
+    }
+
+    if (purchase.status !== 'ACTIVE') {
+      throw new ConflictError(`Pass is ${purchase.status}`);
+    }
+
+    let candidates = purchase.tickets;
+    if (context.sessionId) {
+      candidates = candidates.filter(ticket => ticket.sessionId === context.sessionId);
+    } else if (context.campaignId) {
+      candidates = candidates.filter(ticket => ticket.campaignId === context.campaignId);
+    }
+
+    if (candidates.length > 1 || (!context.sessionId && !context.campaignId)) {
+      candidates = candidates.filter(ticket => this._isHappeningNow(ticket));
+    }
+
+    if (candidates.length === 0) {
+      throw new ConflictError('This pass does not cover this event');
+    }
+
+    if (candidates.length > 1) {
+      throw new ValidationError('This pass covers several events right now. Choose the event being checked in.');
+    }
+
+    return candidates[0].id;
+  }
+
+  // Private helper methods
+  async _resolveItems(sellerId, items) {
+    const campaignIds = [...new Set(items.map(item => item.campaignId))];
+    const campaigns = await prisma.ticketCampaign.findMany({
+      where: { id: { in: campaignIds } },
+      include: { sessions: { where: { status: 'SCHEDULED' }, select: { id: true } } }
+    });
+    const campaignsById = new Map(campaigns.map(campaign => [campaign.id, campaign]));
+
+    const seen = new Set();
+    const resolved = [];
+
+    for (const item of items) {
+      const campaign = campaignsById.get(item.campaignId);
+
+      if (!campaign) {
+        throw new NotFoundError('Campaign');
+      }
+
+      if (campaign.sellerId !== sellerId) {
+        throw new AuthorizationError('Passes can only include your own campaigns');
+      }
+
+      if (['ENDED', 'CANCELLED'].includes(campaign.status)) {
+        throw new ValidationError(`${campaign.title} is ${campaign.status.toLowerCase()}`);
+      }
+
+      if (!campaign.ticketTypes[item.ticketType]) {
+        throw new ValidationError(`Invalid ticket type ${item.ticketType} for ${campaign.title}`);
+      }
+
+      // A pass holds one place per event, never a specific seat
+      const seatedTypes = await seatMapService.getSeatedTicketTypes(campaign.id);
+      if (seatedTypes[item.ticketType]) {
+        throw new ValidationError(`Reserved seating ticket types cannot be included in a pass (${campaign.title})`);
+      }
+
+      if (campaign.isMultiSession) {
+        if (!campaign.sessions.some(session => session.id === item.sessionId)) {
+          throw new ValidationError(`Choose a scheduled session of ${campaign.title}`);
+        }
+      } else if (item.sessionId) {
+        throw new ValidationError(`${campaign.title} is not sold by session`);
+      }
+
+      const key = `${item.campaignId}:${item.sessionId || ''}`;
+      if (seen.has(key)) {
+        throw new ValidationError(`${campaign.title} is included more than once`);
+      }
+      seen.add(key);
+
+      resolved.push({ campaignId: item.campaignId, sessionId: item.sessionId || null, ticketType: item.ticketType });
+    }
+
+    return resolved;
+  }
+
+  async _getOwnedPass(sellerId, passId) {
+    const pass = await prisma.pass.findUnique({ where: { id: passId } });
+
+    if (!pass) {
+      throw new NotFoundError('Pass');
+    }
+
+    if (pass.sellerId !== sellerId) {
+      throw new AuthorizationError('You can only manage your own passes');
+    }
+
+    return pass;
+  }
+
+  _itemEventInclude() {
+    return {
+      campaign: { select: { id: true, title: true, eventDate: true, venue: true, venueCity: true } },
+      session: { select: { id: true, startsAt: true, endsAt: true, label: true, status: true } }
+    };
+  }
+
+  _itemStart(item) {
+    return new Date(item.session?.startsAt || item.campaign.eventDate);
+  }
+
+  // On sale until salesEndAt or the first included event starts
+  _isOnSale(pass, events) {
+    const now = new Date();
+    if (!pass.isActive || pass.sold >= pass.quantity) return false;
+    if (pass.salesEndAt && now > pass.salesEndAt) return false;
+    return events.every(event => new Date(event.startsAt) > now);
+  }
+
+  // Split the pass price in proportion to face values; rounding goes to the last event
+  _splitPrice(price, faceValues) {
+    const totalFaceValue = faceValues.reduce((sum, value) => sum + value, 0);
+    const weights = totalFaceValue > 0 ? faceValues : faceValues.map(() => 1);
+    const totalWeight = weights.reduce((sum, value) => sum + value, 0);
+
+    const shares = weights.map(weight => Math.floor((price * weight / totalWeight) * 100) / 100);
+    const allocated = shares.reduce((sum, share) => sum + share, 0);
+    shares[shares.length - 1] = Math.round((shares[shares.length - 1] + price - allocated) * 100) / 100;
+
+    return shares;
+  }
+
+  // Doors-open window of a session, or the event day of a single-date campaign
+  _isHappeningNow(ticket) {
+    const now = new Date();
+
+    if (ticket.session) {
+      try {
+        sessionService.assertAdmissible(ticket.session, null, now);
+        return true;
+      } catch {
+        return false;
+      }
+    }
+
+    const windowMs = config.sessions.entryWindowMinutes * 60 * 1000;
+    const eventDate = new Date(ticket.campaign.eventDate);
+    return now >= new Date(eventDate.getTime() - windowMs) && eventDate.toDateString() === now.toDateString();
+  }
+}
+
+export default new PassService();
@@ -0,0 +1,310 @@
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+  BookingError
+} from '../../../shared/errors/AppError.js';
+
+const OPEN_STATUSES = ['ACTIVE', 'RESERVED'];
+
+/**
+ * Official resale marketplace.
+ *
+ * Holders list a valid ticket at up to the campaign's price cap. A buyer reserves
+ * the listing while paying through the normal payment flow; the booking worker
+ * completes the sale (ownership, QR re-issue, payouts) once the payment succeeds.
+ * A ticket with an open listing cannot be scanned, transferred or cancelled.
+ */
+class ResaleService {
+  /**
+   * List a ticket for resale
+   */
+  async createListing(userId, ticketId, { price }) {
+    const ticket = await prisma.ticket.findUnique({
+      where: { id: ticketId },
+      include: {
+        campaign: true,
+        session: true,
+        booking: { select: { status: true, issuanceType: true, quantity: true, channel: true } }
+      }
+    });
+
+    if (!ticket) {
+      throw new NotFoundError('Ticket');
+    }
+
+    if (ticket.customerId !== userId) {
+      throw new AuthorizationError('You can only resell your own tickets');
+    }
+
+    this._assertResellable(ticket);
+
+    const faceValue = this._faceValue(ticket);
+    const maxPrice = Math.floor(faceValue * ticket.campaign.resalePriceCapPercent) / 100;
+    const listPrice = Number(price);
+
+    if (listPrice > maxPrice) {
+      throw new ValidationError(`Resale price cannot exceed ${maxPrice} for this ticket`);
+    }
+
+    const [openListing, pendingTransfer] = await Promise.all([
+      this.getOpenListing(ticketId),
+      prisma.ticketTransfer.findFirst({
+        where: { ticketId, status: 'PENDING', expiresAt: { gt: new Date() } }
+      })
+    ]);
+
+    if (openListing) {
+      throw new ConflictError('This ticket is already listed for resale');
+    }
+
+    if (pendingTransfer) {
+      throw new ConflictError('This ticket has a pending transfer. Cancel it before listing.');
+    }
+
+    const royaltyAmount = Math.round(listPrice * Number(ticket.campaign.resaleRoyaltyPercent)) / 100;
+
+    const listing = await prisma.resaleListing.create({
+      data: {
+        ticketId,
+        campaignId: ticket.campaignId,
+        listedById: userId,
+        price: listPrice,
+        faceValue,
+        royaltyAmount
+      }
+    });
+
+    logger.info('Resale listing created', { listingId: listing.id, ticketId, userId, price: listPrice });
+
+    return { ...listing, payoutAmount: listPrice - royaltyAmount };
+  }
+
+  /**
+   * Withdraw a listing. Not possible while a buyer is paying for it.
+   */
+  async withdrawListing(listingId, userId) {
+    const listing = await prisma.resaleListing.findUnique({
+      where: { id: listingId }
+    });
+
+    if (!listing || listing.listedById !== userId) {
+      throw new NotFoundError('Resale listing');
+    }
+
+    const result = await prisma.resaleListing.updateMany({
+      where: {
+        id: listingId,
+        OR: [
+          { status: 'ACTIVE' },
+          { status: 'RESERVED', reservedUntil: { lt: new Date() } }
+        ]
+      },
+      data: { status: 'WITHDRAWN', withdrawnAt: new Date(), buyerId: null, reservedUntil: null }
+    });
+
+    if (result.count === 0) {
+      throw new ConflictError(listing.status === 'RESERVED'
+        ? 'A buyer is currently paying for this ticket'
+        : `Listing is already ${listing.status.toLowerCase()}`);
+    }
+
+    logger.info('Resale listing withdrawn', { listingId, userId });
+
+    return { ...listing, status: 'WITHDRAWN' };
+  }
+
+  /**
+   * Listings available to buy for a campaign
+   */
+  async getCampaignListings(campaignId, filters = {}) {
+    const { ticketType, page = 1, limit = 20 } = filters;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      campaignId,
+      ...this._availableWhere(),
+      ...(ticketType && { ticket: { ticketType } })
+    };
+
+    const [listings, total] = await Promise.all([
+      prisma.resaleListing.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { price: 'asc' },
+        select: {
+          id: true,
+          price: true,
+          faceValue: true,
+          currency: true,
+          createdAt: true,
+          ticket: {
+            select: {
+              ticketType: true,
+              seats: { select: { section: true, row: true, number: true } }
+            }
+          }
+        }
+      }),
+      prisma.resaleListing.count({ where })
+    ]);
+
+    return {
+      listings,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * The holder's listings
+   */
+  async getUserListings(userId) {
+    return await prisma.resaleListing.findMany({
+      where: { listedById: userId },
+      orderBy: { createdAt: 'desc' },
+      take: 50,
+      include: {
+        ticket: {
+          select: {
+            ticketNumber: true,
+            ticketType: true,
+            campaign: { select: { id: true, title: true, eventDate: true } }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Hold a listing for a buyer while they pay. A lapsed reservation can be
+   * taken over by the next buyer.
+   */
+  async reserveListing(listingId, buyerId) {
+    const listing = await prisma.resaleListing.findUnique({
+      where: { id: listingId },
+      include: {
+        campaign: true,
+        ticket: {
+          include: {
+            campaign: true,
+            session: true,
+            booking: { select: { status: true, issuanceType: true, quantity: true, channel: true } }
+          }
+        }
+      }
+    });
+
+    if (!listing) {
+      throw new NotFoundError('Resale listing');
+    }
+
+    if (listing.listedById === buyerId) {
+      throw new BookingError('You cannot buy your own listing');
+    }
+
+    this._assertResellable(listing.ticket);
+
+    // Keep the existing reservation when the same buyer retries payment
+    if (listing.status === 'RESERVED' && listing.buyerId === buyerId && listing.reservedUntil > new Date()) {
+      return listing;
+    }
+
+    const reservedUntil = new Date(Date.now() + (listing.campaign.paymentDeadlineMinutes || 30) * 60 * 1000);
+
+    const result = await prisma.resaleListing.updateMany({
+      where: { id: listingId, ...this._availableWhere() },
+      data: { status: 'RESERVED', buyerId, reservedUntil }
+    });
+
+    if (result.count === 0) {
+      throw new ConflictError('This ticket is no longer available');
+    }
+
+    logger.info('Resale listing reserved', { listingId, buyerId, reservedUntil });
+
+    return { ...listing, status: 'RESERVED', buyerId, reservedUntil };
+  }
+
+  async getOpenListing(ticketId, client = prisma) {
+    return await client.resaleListing.findFirst({
+      where: { ticketId, status: { in: OPEN_STATUSES } }
+    });
+  }
+
+  /**
+   * Close open listings for tickets that are being cancelled
+   */
+  async cancelListingsForTickets(tx, ticketIds) {
+    const reserved = await tx.resaleListing.count({
+      where: { ticketId: { in: ticketIds }, status: 'RESERVED', reservedUntil: { gt: new Date() } }
+    });
+
+    if (reserved > 0) {
+      throw new BookingError('A ticket from this booking is being bought on resale and cannot be cancelled right now');
+    }
+
+    await tx.resaleListing.updateMany({
+      where: { ticketId: { in: ticketIds }, status: { in: OPEN_STATUSES } },
+      data: { status: 'CANCELLED' }
+    });
+  }
+
+  // Private helper methods
+  _assertResellable(ticket) {
+    const { campaign } = ticket;
+
+    if (!campaign.allowResale) {
+      throw new BookingError('Resale is not enabled for this event');
+    }
+
+    if (ticket.booking.status !== 'CONFIRMED') {
+      throw new BookingError('Only tickets from confirmed bookings can be resold');
+    }
+
+    if (ticket.booking.channel === 'COMP') {
+      throw new BookingError('Complimentary tickets cannot be resold');
+    }
+
+    if (ticket.passPurchaseId) {
+      throw new BookingError('Tickets included in a pass cannot be resold');
+    }
+
+    if (ticket.status !== 'VALID' || ticket.scanCount > 0) {
+      throw new BookingError('Only unused, valid tickets can be resold');
+    }
+
+    // Resales change owner, so they close with the transfer window
+    const startsAt = ticket.session?.startsAt || campaign.eventDate;
+    const lockAt = new Date(new Date(startsAt).getTime() - (campaign.transferLockHours || 0) * 60 * 60 * 1000);
+    if (new Date() >= lockAt) {
+      throw new BookingError(`Resale for this event closed at ${lockAt.toISOString()}`);
+    }
+  }
+
+  // A group ticket is worth every admission it covers
+  _faceValue(ticket) {
+    const unitPrice = Number(ticket.session?.priceOverrides?.[ticket.ticketType] ?? ticket.campaign.ticketTypes[ticket.ticketType]?.price ?? 0);
+    const admissions = ticket.booking.issuanceType === 'SINGLE' ? ticket.booking.quantity : 1;
+    return unitPrice * admissions;
+  }
+
+  _availableWhere() {
+    return {
+      OR: [
+        { status: 'ACTIVE' },
+        { status: 'RESERVED', reservedUntil: { lt: new Date() } }
+      ]
+    };
+  }
+}
+
+export default new ResaleService();
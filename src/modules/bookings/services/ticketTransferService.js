@@ -0,0 +1,305 @@
+import crypto from 'crypto';
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import config from '../../../config/index.js';
+import { emailQueue, pdfQueue } from '../../../config/rabbitmq.js';
+import { generateQRData, generateSecureToken } from '../../../shared/utils/encryption.js';
+import resaleService from './resaleService.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+  BookingError
+} from '../../../shared/errors/AppError.js';
+
+/**
+ * Ticket ownership transfers between customers.
+ *
+ * The owner offers a ticket to an email address; the recipient accepts with the
+ * emailed token while signed in with that address. Accepting moves the ticket
+ * and re-issues its QR code so the previous owner's copy is rejected at the door.
+ */
+class TicketTransferService {
+  /**
+   * Offer a ticket to another customer by email
+   */
+  async initiateTransfer(ticketId, userId, { recipientEmail, message }) {
+    const toEmail = recipientEmail.trim().toLowerCase();
+
+    const ticket = await prisma.ticket.findUnique({
+      where: { id: ticketId },
+      include: {
+        campaign: true,
+        session: true,
+        booking: { select: { status: true } },
+        customer: { select: { email: true, firstName: true, lastName: true } }
+      }
+    });
+
+    if (!ticket) {
+      throw new NotFoundError('Ticket');
+    }
+
+    if (ticket.customerId !== userId) {
+      throw new AuthorizationError('You can only transfer your own tickets');
+    }
+
+    if (ticket.customer.email.toLowerCase() === toEmail) {
+      throw new ValidationError('You cannot transfer a ticket to yourself');
+    }
+
+    this._assertTransferable(ticket);
+
+    if (await resaleService.getOpenListing(ticketId)) {
+      throw new ConflictError('This ticket is listed for resale. Withdraw the listing before transferring it.');
+    }
+
+    const pending = await prisma.ticketTransfer.findFirst({
+      where: { ticketId, status: 'PENDING', expiresAt: { gt: new Date() } }
+    });
+
+    if (pending) {
+      throw new ConflictError('This ticket already has a pending transfer. Cancel it first.');
+    }
+
+    const token = generateSecureToken(32);
+    const expiresAt = this._offerExpiry(ticket.campaign, ticket.session);
+
+    const transfer = await prisma.ticketTransfer.create({
+      data: {
+        ticketId,
+        fromUserId: userId,
+        toEmail,
+        tokenHash: this._hashToken(token),
+        message,
+        expiresAt
+      }
+    });
+
+    await emailQueue.sendTicketTransferOffer({
+      transferId: transfer.id,
+      recipientEmail: toEmail,
+      senderName: `${ticket.customer.firstName} ${ticket.customer.lastName}`,
+      eventTitle: ticket.campaign.title,
+      eventDate: ticket.session?.startsAt || ticket.campaign.eventDate,
+      venue: ticket.campaign.venue,
+      ticketType: ticket.ticketType,
+      message,
+      acceptToken: token,
+      expiresAt
+    });
+
+    logger.info('Ticket transfer initiated', { transferId: transfer.id, ticketId, fromUserId: userId });
+
+    return transfer;
+  }
+
+  /**
+   * Accept a transfer. The signed-in user's email must match the offer.
+   */
+  async acceptTransfer(token, user) {
+    const transfer = await prisma.ticketTransfer.findUnique({
+      where: { tokenHash: this._hashToken(token) }
+    });
+
+    if (!transfer) {
+      throw new NotFoundError('Ticket transfer');
+    }
+
+    if (transfer.toEmail !== user.email.toLowerCase()) {
+      throw new AuthorizationError('This transfer was sent to a different email address');
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Claim the offer first so two accepts cannot both succeed
+      const claimed = await tx.ticketTransfer.updateMany({
+        where: { id: transfer.id, status: 'PENDING', expiresAt: { gt: new Date() } },
+        data: { status: 'ACCEPTED', toUserId: user.id, acceptedAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        throw new ConflictError('This transfer is no longer available');
+      }
+
+      const ticket = await tx.ticket.findUnique({
+        where: { id: transfer.ticketId },
+        include: {
+          campaign: true,
+          session: true,
+          booking: { select: { status: true } },
+          customer: { select: { email: true, firstName: true, lastName: true } }
+        }
+      });
+
+      if (ticket.customerId !== transfer.fromUserId) {
+        throw new ConflictError('Ticket has changed owner since the transfer was offered');
+      }
+
+      this._assertTransferable(ticket);
+
+      if (await resaleService.getOpenListing(ticket.id, tx)) {
+        throw new ConflictError('This ticket has since been listed for resale');
+      }
+
+      const history = ticket.metadata?.transferHistory || [];
+
+      // A fresh QR invalidates every copy of the ticket issued to the previous owner
+      const updatedTicket = await tx.ticket.update({
+        where: { id: ticket.id },
+        data: {
+          customerId: user.id,
+          qrCode: generateQRData(ticket),
+          qrSecurityKey: generateSecureToken(16),
+          pdfUrl: null,
+          // A named ticket is now for the recipient
+          ...(ticket.attendeeName && {
+            attendeeName: `${user.firstName} ${user.lastName}`,
+            attendeeEmail: user.email
+          }),
+          metadata: {
+            ...ticket.metadata,
+            transferHistory: [
+              ...history,
+              { transferId: transfer.id, fromUserId: transfer.fromUserId, toUserId: user.id, at: new Date() }
+            ]
+          }
+        }
+      });
+
+      return { ticket: updatedTicket, campaign: ticket.campaign, sender: ticket.customer };
+    });
+
+    const recipientName = `${user.firstName} ${user.lastName}`;
+
+    await pdfQueue.generateTicket({
+      ticketId: result.ticket.id,
+      ticketNumber: result.ticket.ticketNumber,
+      customerName: recipientName
+    });
+
+    await emailQueue.sendTicketTransferAccepted({
+      transferId: transfer.id,
+      senderEmail: result.sender.email,
+      senderName: `${result.sender.firstName} ${result.sender.lastName}`,
+      recipientName,
+      eventTitle: result.campaign.title,
+      ticketNumber: result.ticket.ticketNumber
+    });
+
+    logger.info('Ticket transfer accepted', {
+      transferId: transfer.id,
+      ticketId: transfer.ticketId,
+      fromUserId: transfer.fromUserId,
+      toUserId: user.id
+    });
+
+    return { transfer: { ...transfer, status: 'ACCEPTED', toUserId: user.id }, ticket: result.ticket };
+  }
+
+  /**
+   * Withdraw a pending transfer offer
+   */
+  async cancelTransfer(transferId, userId) {
+    const transfer = await prisma.ticketTransfer.findUnique({
+      where: { id: transferId }
+    });
+
+    if (!transfer || transfer.fromUserId !== userId) {
+      throw new NotFoundError('Ticket transfer');
+    }
+
+    const result = await prisma.ticketTransfer.updateMany({
+      where: { id: transferId, status: 'PENDING' },
+      data: { status: 'CANCELLED', cancelledAt: new Date() }
+    });
+
+    if (result.count === 0) {
+      throw new ConflictError(`Transfer is already ${transfer.status.toLowerCase()}`);
+    }
+
+    logger.info('Ticket transfer cancelled', { transferId, userId });
+
+    return { ...transfer, status: 'CANCELLED' };
+  }
+
+  /**
+   * Transfers sent by the user and pending offers addressed to them
+   */
+  async getUserTransfers(user) {
+    const include = {
+      ticket: {
+        select: {
+          ticketNumber: true,
+          ticketType: true,
+          campaign: { select: { id: true, title: true, eventDate: true, venue: true } }
+        }
+      }
+    };
+
+    const [sent, received] = await Promise.all([
+      prisma.ticketTransfer.findMany({
+        where: { fromUserId: user.id },
+        include,
+        orderBy: { createdAt: 'desc' },
+        take: 50
+      }),
+      prisma.ticketTransfer.findMany({
+        where: { toEmail: user.email.toLowerCase(), status: 'PENDING', expiresAt: { gt: new Date() } },
+        include,
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
+
+    const withoutToken = ({ tokenHash, ...transfer }) => transfer;
+
+    return {
+      sent: sent.map(withoutToken),
+      received: received.map(withoutToken)
+    };
+  }
+
+  // Private helper methods
+  _assertTransferable(ticket) {
+    if (!ticket.campaign.allowTransfers) {
+      throw new BookingError('Tickets for this event cannot be transferred');
+    }
+
+    if (ticket.booking.status !== 'CONFIRMED') {
+      throw new BookingError('Only tickets from confirmed bookings can be transferred');
+    }
+
+    // Pass tickets are admitted with the holder's pass QR code
+    if (ticket.passPurchaseId) {
+      throw new BookingError('Tickets included in a pass cannot be transferred');
+    }
+
+    if (ticket.status !== 'VALID' || ticket.scanCount > 0) {
+      throw new BookingError('Only unused, valid tickets can be transferred');
+    }
+
+    const lockAt = this._transferLockTime(ticket.campaign, ticket.session);
+    if (new Date() >= lockAt) {
+      throw new BookingError(`Transfers for this event closed at ${lockAt.toISOString()}`);
+    }
+  }
+
+  // Session tickets lock relative to their own session
+  _transferLockTime(campaign, session = null) {
+    const startsAt = session?.startsAt || campaign.eventDate;
+    return new Date(new Date(startsAt).getTime() - (campaign.transferLockHours || 0) * 60 * 60 * 1000);
+  }
+
+  // Offers never outlive the transfer window
+  _offerExpiry(campaign, session = null) {
+    const expiry = new Date(Date.now() + config.ticket.transferOfferHours * 60 * 60 * 1000);
+    const lockAt = this._transferLockTime(campaign, session);
+    return expiry < lockAt ? expiry : lockAt;
+  }
+
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+export default new TicketTransferService();
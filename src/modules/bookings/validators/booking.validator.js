@@ -31,6 +31,37 @@ export const validateBooking = [
     .notEmpty().withMessage('Issuance type is required')
     .isIn(['SINGLE', 'SEPARATE']).withMessage('Issuance type must be SINGLE or SEPARATE'),
   
+  body('seatIds')
+    .optional()
+    .isArray({ min: 1, max: 20 }).withMessage('Seat IDs must be an array of 1 to 20 seats'),
+  
+  body('attendees')
+    .optional()
+    .isArray({ min: 1, max: 20 }).withMessage('Attendees must be an array with one entry per ticket'),
+  
+  body('attendees.*.email')
+    .optional({ checkFalsy: true })
+    .isEmail().withMessage('Attendee email must be valid'),
+  
+  body('sessionId')
+    .optional()
+    .isString().trim().notEmpty().withMessage('Invalid session ID'),
+  
+  body('useStoreCredit')
+    .optional()
+    .isBoolean().withMessage('Use store credit must be boolean')
+    .toBoolean(),
+  
+  body('storeCreditAmount')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Store credit amount must be greater than zero')
+    .toFloat(),
+  
+  body('paymentPlanId')
+    .optional()
+    .isString().trim()
+    .isLength({ min: 1, max: 50 }).withMessage('Invalid payment plan ID'),
+  
   handleValidationErrors,
 ];
 
@@ -60,7 +91,7 @@ export const validateConfirmBooking = [
 export const validateBookingQuery = [
   query('status')
     .optional()
-    .isIn(['PENDING', 'CONFIRMED', 'CANCELLED', 'EXPIRED', 'COMPLETED'])
+    .isIn(['PENDING', 'PARTIALLY_PAID', 'CONFIRMED', 'CANCELLED', 'EXPIRED', 'COMPLETED'])
     .withMessage('Invalid booking status'),
   
   query('page')
@@ -74,6 +105,52 @@ export const validateBookingQuery = [
   handleValidationErrors,
 ];
 
+/**
+ * Validate multi-item order creation
+ */
+export const validateOrder = [
+  body('items')
+    .isArray({ min: 1, max: 10 }).withMessage('Order must contain between 1 and 10 items'),
+  
+  body('items.*.campaignId')
+    .trim()
+    .notEmpty().withMessage('Campaign ID is required for each item'),
+  
+  body('items.*.ticketType')
+    .trim()
+    .notEmpty().withMessage('Ticket type is required for each item')
+    .isLength({ min: 1, max: 50 }).withMessage('Ticket type must be between 1 and 50 characters'),
+  
+  body('items.*.quantity')
+    .notEmpty().withMessage('Quantity is required for each item')
+    .isInt({ min: 1, max: 20 }).withMessage('Quantity must be between 1 and 20')
+    .toInt(),
+  
+  body('items.*.seatIds')
+    .optional()
+    .isArray({ min: 1, max: 20 }).withMessage('Seat IDs must be an array of 1 to 20 seats'),
+  
+  body('items.*.attendees')
+    .optional()
+    .isArray({ min: 1, max: 20 }).withMessage('Attendees must be an array with one entry per ticket'),
+  
+  body('items.*.sessionId')
+    .optional()
+    .isString().trim().notEmpty().withMessage('Invalid session ID'),
+  
+  body('issuanceType')
+    .optional()
+    .isIn(['SINGLE', 'SEPARATE']).withMessage('Issuance type must be SINGLE or SEPARATE'),
+  
+  body('promoCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 20 }).withMessage('Promo code must be between 3 and 20 characters')
+    .isAlphanumeric().withMessage('Promo code must contain only letters and numbers'),
+  
+  handleValidationErrors,
+];
+
 /**
  * Validate booking modification request
  */
@@ -114,6 +191,10 @@ export const validateRefundRequest = [
     .optional()
     .isFloat({ min: 0 }).withMessage('Refund amount must be a positive number'),
   
+  body('refundTo')
+    .optional()
+    .isIn(['ORIGINAL_PAYMENT', 'STORE_CREDIT']).withMessage('Refund destination must be ORIGINAL_PAYMENT or STORE_CREDIT'),
+  
   handleValidationErrors,
 ];
 
@@ -122,7 +203,8 @@ export const validateRefundRequest = [
  */
 export const validateWaitlistEntry = [
   param('campaignId')
-    .isUUID().withMessage('Invalid campaign ID'),
+    .trim()
+    .notEmpty().withMessage('Campaign ID is required'),
   
   body('ticketType')
     .trim()
@@ -211,5 +293,312 @@ export const validateEnhancedCancellation = [
     .optional()
     .isBoolean().withMessage('Request refund must be boolean'),
   
+  body('refundTo')
+    .optional()
+    .isIn(['ORIGINAL_PAYMENT', 'STORE_CREDIT']).withMessage('Refund destination must be ORIGINAL_PAYMENT or STORE_CREDIT'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validate ticket transfer offer
+ */
+export const validateTicketTransfer = [
+  body('recipientEmail')
+    .trim()
+    .notEmpty().withMessage('Recipient email is required')
+    .isEmail().withMessage('Recipient email must be valid'),
+  
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 280 }).withMessage('Message must be at most 280 characters')
+    .escape(),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validate ticket transfer acceptance
+ */
+export const validateTransferAcceptance = [
+  body('token')
+    .trim()
+    .notEmpty().withMessage('Transfer token is required')
+    .isHexadecimal().withMessage('Invalid transfer token'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validate resale listing creation
+ */
+export const validateResaleListing = [
+  body('price')
+    .notEmpty().withMessage('Resale price is required')
+    .isFloat({ gt: 0 }).withMessage('Resale price must be greater than 0')
+    .toFloat(),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validate attendee details update for a ticket
+ */
+export const validateAttendeeUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Attendee name must be between 1 and 100 characters'),
+  
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail().withMessage('Attendee email must be valid'),
+  
+  body('answers')
+    .optional()
+    .isObject().withMessage('Answers must be an object keyed by question id'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validate comp ticket issuance
+ */
+export const validateCompIssue = [
+  body('ticketType')
+    .trim()
+    .notEmpty().withMessage('Ticket type is required')
+    .isLength({ min: 1, max: 50 }).withMessage('Ticket type must be between 1 and 50 characters'),
+  
+  body('recipients')
+    .isArray({ min: 1, max: 100 }).withMessage('Recipients must be an array of 1 to 100 entries'),
+  
+  body('recipients.*.email')
+    .trim()
+    .notEmpty().withMessage('Recipient email is required')
+    .isEmail().withMessage('Recipient email must be valid'),
+  
+  body('recipients.*.quantity')
+    .optional()
+    .isInt({ min: 1, max: 20 }).withMessage('Quantity per recipient must be between 1 and 20')
+    .toInt(),
+  
+  body('recipients.*.firstName')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('First name must be at most 50 characters'),
+  
+  body('recipients.*.lastName')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Last name must be at most 50 characters'),
+  
+  body('issuanceType')
+    .optional()
+    .isIn(['SINGLE', 'SEPARATE']).withMessage('Issuance type must be SINGLE or SEPARATE'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Note must be at most 200 characters'),
+  
+  body('sessionId')
+    .optional()
+    .isString().trim().notEmpty().withMessage('Invalid session ID'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validate season pass creation
+ */
+export const validatePass = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Pass name is required')
+    .isLength({ min: 3, max: 100 }).withMessage('Pass name must be between 3 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+  
+  body('price')
+    .isFloat({ min: 0.01 }).withMessage('Price must be greater than 0')
+    .toFloat(),
+  
+  body('quantity')
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    .toInt(),
+  
+  body('salesEndAt')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Sales end must be a valid date'),
+  
+  body('items')
+    .isArray({ min: 2, max: 100 }).withMessage('A pass must include between 2 and 100 events'),
+  
+  body('items.*.campaignId')
+    .trim()
+    .notEmpty().withMessage('Campaign ID is required for each event'),
+  
+  body('items.*.ticketType')
+    .trim()
+    .notEmpty().withMessage('Ticket type is required for each event')
+    .isLength({ min: 1, max: 50 }).withMessage('Ticket type must be between 1 and 50 characters'),
+  
+  body('items.*.sessionId')
+    .optional()
+    .isString().trim().notEmpty().withMessage('Invalid session ID'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validate season pass update
+ */
+export const validatePassUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 }).withMessage('Pass name must be between 3 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+  
+  body('price')
+    .optional()
+    .isFloat({ min: 0.01 }).withMessage('Price must be greater than 0')
+    .toFloat(),
+  
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    .toInt(),
+  
+  body('salesEndAt')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Sales end must be a valid date'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+    .toBoolean(),
+  
+  body('items')
+    .not().exists().withMessage('The events included in a pass cannot be changed'),
+  
+  handleValidationErrors,
+];
+
+/**
+ * Validate attendee export query
+ */
+export const validateAttendeeExport = [
+  query('format')
+    .optional()
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(['CSV', 'XLSX']).withMessage('Format must be csv or xlsx'),
+  
+  query('ticketType')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('Ticket type must be between 1 and 50 characters'),
+  
+  query('checkedIn')
+    .optional()
+    .isIn(['true', 'false']).withMessage('checkedIn must be true or false'),
+  
+  handleValidationErrors,
+];
+
+export const validateGuestCheckout = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Email must be valid'),
+  
+  body('firstName')
+    .trim()
+    .notEmpty().withMessage('First name is required')
+    .isLength({ max: 50 }).withMessage('First name must be at most 50 characters'),
+  
+  body('lastName')
+    .trim()
+    .notEmpty().withMessage('Last name is required')
+    .isLength({ max: 50 }).withMessage('Last name must be at most 50 characters'),
+  
+  body('phone')
+    .trim()
+    .notEmpty().withMessage('Phone number is required')
+    .matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please enter a valid phone number'),
+  
+  body('campaignId')
+    .trim()
+    .notEmpty().withMessage('Campaign ID is required'),
+  
+  body('currency')
+    .optional()
+    .isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  
+  ...validateBooking,
+];
+
+export const validateGuestAccessLink = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Email must be valid'),
+  
+  body('bookingRef')
+    .trim()
+    .notEmpty().withMessage('Booking reference is required'),
+  
+  handleValidationErrors,
+];
+
+export const validateFraudSettings = [
+  body('enabled')
+    .optional()
+    .isBoolean().withMessage('Enabled must be boolean')
+    .toBoolean(),
+  
+  body(['challengeScore', 'blockScore'])
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Scores must be between 1 and 100')
+    .toInt(),
+  
+  body('rules')
+    .optional()
+    .isObject().withMessage('Rules must be an object keyed by signal'),
+  
+  body('rules.*')
+    .isObject().withMessage('Each rule must be an object'),
+  
+  body(['rules.*.limit', 'rules.*.windowMinutes', 'rules.*.maxAgeHours'])
+    .optional()
+    .isInt({ min: 1 }).withMessage('Rule limits and windows must be positive whole numbers')
+    .toInt(),
+  
+  body('rules.*.points')
+    .optional()
+    .isInt({ min: 0, max: 100 }).withMessage('Rule points must be between 0 and 100')
+    .toInt(),
+  
+  handleValidationErrors,
+];
+
+export const validateFlaggedAttempts = [
+  query('action')
+    .optional()
+    .isIn(['BOOKING_BLOCKED', 'BOOKING_CHALLENGED']).withMessage('Action must be BOOKING_BLOCKED or BOOKING_CHALLENGED'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  
   handleValidationErrors,
 ];
@@ -10,6 +10,11 @@ import {
 import { generateUniqueId } from '../../../shared/utils/encryption.js';
 import searchService from '../services/searchService.js';
 import imageService from '../services/imageService.js';
+import seatMapService from '../services/seatMapService.js';
+import refundPolicyService from '../services/refundPolicyService.js';
+import checkoutQuestionService from '../services/checkoutQuestionService.js';
+import paymentPlanService from '../services/paymentPlanService.js';
+import sessionService from '../services/sessionService.js';
 import { validateRequest } from '../../../shared/middleware/validation.js';
 import { 
   createCampaignSchema,
@@ -40,6 +45,16 @@ export const createCampaign = async (req, res) => {
     images,
     isMultiScan,
     maxScansPerTicket,
+    paymentDeadlineMinutes,
+    allowTransfers,
+    transferLockHours,
+    allowResale,
+    resalePriceCapPercent,
+    resaleRoyaltyPercent,
+    refundPolicy,
+    requireAttendeeDetails,
+    checkoutQuestions,
+    paymentPlans,
     tags,
     metadata,
   } = req.body;
@@ -81,6 +96,16 @@ export const createCampaign = async (req, res) => {
       status: 'DRAFT',
       isMultiScan: isMultiScan || false,
       maxScansPerTicket: maxScansPerTicket || 1,
+      paymentDeadlineMinutes: paymentDeadlineMinutes || 30,
+      allowTransfers: allowTransfers ?? true,
+      transferLockHours: transferLockHours || 0,
+      allowResale: allowResale || false,
+      resalePriceCapPercent: resalePriceCapPercent || 100,
+      resaleRoyaltyPercent: resaleRoyaltyPercent || 0,
+      refundPolicy: refundPolicyService.normalize(refundPolicy),
+      requireAttendeeDetails: requireAttendeeDetails || false,
+      checkoutQuestions: checkoutQuestionService.normalize(checkoutQuestions, ticketTypes),
+      paymentPlans: paymentPlanService.normalize(paymentPlans, ticketTypes),
       tags: tags || [],
       metadata: metadata || {},
     },
@@ -138,6 +163,7 @@ export const getAllCampaigns = async (req, res) => {
     priceMax,
     dateFrom,
     dateTo,
+    sessionDate,
     tags,
     availability
   } = req.query;
@@ -152,6 +178,7 @@ export const getAllCampaigns = async (req, res) => {
       priceMax: priceMax ? parseFloat(priceMax) : undefined,
       dateFrom,
       dateTo,
+      sessionDate,
       tags: tags ? (Array.isArray(tags) ? tags : tags.split(',')) : undefined,
       availability,
       sortBy,
@@ -228,9 +255,21 @@ export const getCampaignById = async (req, res) => {
     },
   });
 
+  // Multi-session campaigns list their upcoming sessions to book from
+  const sessions = campaign.isMultiSession
+    ? await sessionService.getCampaignSessions(campaignId)
+    : undefined;
+
   res.status(200).json({
     success: true,
-    data: { campaign },
+    data: {
+      campaign: {
+        ...campaign,
+        refundPolicy: refundPolicyService.present(campaign),
+        paymentPlans: paymentPlanService.present(campaign),
+        sessions,
+      },
+    },
   });
 };
 
@@ -257,12 +296,47 @@ export const updateCampaign = async (req, res) => {
   }
 
   // Don't allow updates to active campaigns
-  if (campaign.status === 'ACTIVE' && !['status', 'endDate'].includes(Object.keys(updates)[0])) {
+  if (campaign.status === 'ACTIVE' && ![
+    'status',
+    'endDate',
+    'allowTransfers',
+    'transferLockHours',
+    'allowResale',
+    'resalePriceCapPercent',
+    'resaleRoyaltyPercent',
+    'paymentPlans', // Bookings keep the schedule they were made with
+  ].includes(Object.keys(updates)[0])) {
     throw new ConflictError('Cannot update active campaign details');
   }
 
+  // The event date of a multi-session campaign follows its sessions
+  if (campaign.isMultiSession && updates.eventDate !== undefined) {
+    throw new ConflictError('Reschedule the campaign\'s sessions instead of its event date');
+  }
+
+  if (updates.refundPolicy !== undefined) {
+    updates.refundPolicy = refundPolicyService.normalize(updates.refundPolicy);
+  }
+
+  if (updates.checkoutQuestions !== undefined) {
+    updates.checkoutQuestions = checkoutQuestionService.normalize(
+      updates.checkoutQuestions,
+      updates.ticketTypes || campaign.ticketTypes
+    );
+  }
+
+  if (updates.paymentPlans !== undefined) {
+    updates.paymentPlans = paymentPlanService.normalize(
+      updates.paymentPlans,
+      updates.ticketTypes || campaign.ticketTypes
+    );
+  }
+
   // Recalculate total quantity if ticket types are updated
   if (updates.ticketTypes) {
+    // Seated tiers are sized by the seat map, not by the seller's quantity
+    updates.ticketTypes = await seatMapService.applySeatCounts(campaignId, updates.ticketTypes);
+
     let totalQuantity = 0;
     for (const type of Object.values(updates.ticketTypes)) {
       totalQuantity += type.quantity;
@@ -820,6 +894,7 @@ export const searchCampaigns = async (req, res) => {
     priceMax,
     dateFrom,
     dateTo,
+    sessionDate,
     tags,
     sortBy = 'eventDate',
     sortOrder = 'asc',
@@ -836,6 +911,7 @@ export const searchCampaigns = async (req, res) => {
       priceMax: priceMax ? parseFloat(priceMax) : undefined,
       dateFrom,
       dateTo,
+      sessionDate,
       tags: tags ? (Array.isArray(tags) ? tags : tags.split(',')) : undefined,
       availability,
       sortBy,
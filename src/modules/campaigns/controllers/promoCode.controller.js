@@ -0,0 +1,121 @@
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import promoCodeService from '../services/promoCodeService.js';
+
+/**
+ * Create a promo code for a campaign
+ */
+export const createPromoCode = async (req, res) => {
+  const { campaignId } = req.params;
+  const sellerId = req.user.id;
+
+  const promoCode = await promoCodeService.createPromoCode(sellerId, campaignId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: 'PROMO_CODE_CREATED',
+      entity: 'PromoCode',
+      entityId: promoCode.id,
+      metadata: {
+        campaignId,
+        code: promoCode.code,
+        type: promoCode.type,
+        value: promoCode.value,
+        scope: promoCode.campaignId ? 'CAMPAIGN' : 'GLOBAL',
+      },
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Promo code created successfully',
+    data: promoCode,
+  });
+};
+
+/**
+ * List promo codes applicable to a campaign
+ */
+export const getCampaignPromoCodes = async (req, res) => {
+  const { campaignId } = req.params;
+  const sellerId = req.user.id;
+
+  const result = await promoCodeService.getCampaignPromoCodes(sellerId, campaignId, req.query);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+};
+
+/**
+ * Get promo code details with usage statistics
+ */
+export const getPromoCode = async (req, res) => {
+  const { campaignId, promoCodeId } = req.params;
+  const sellerId = req.user.id;
+
+  const result = await promoCodeService.getPromoCode(sellerId, campaignId, promoCodeId);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+};
+
+/**
+ * Update a promo code
+ */
+export const updatePromoCode = async (req, res) => {
+  const { campaignId, promoCodeId } = req.params;
+  const sellerId = req.user.id;
+
+  const { before, after } = await promoCodeService.updatePromoCode(sellerId, campaignId, promoCodeId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: 'PROMO_CODE_UPDATED',
+      entity: 'PromoCode',
+      entityId: promoCodeId,
+      changes: { before, after },
+    },
+  });
+
+  res.json({
+    success: true,
+    message: 'Promo code updated successfully',
+    data: after,
+  });
+};
+
+/**
+ * Delete (or deactivate, if already redeemed) a promo code
+ */
+export const deletePromoCode = async (req, res) => {
+  const { campaignId, promoCodeId } = req.params;
+  const sellerId = req.user.id;
+
+  const result = await promoCodeService.deletePromoCode(sellerId, campaignId, promoCodeId);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: result.deleted ? 'PROMO_CODE_DELETED' : 'PROMO_CODE_DEACTIVATED',
+      entity: 'PromoCode',
+      entityId: promoCodeId,
+      metadata: { campaignId },
+    },
+  });
+
+  logger.info('Promo code removed', { promoCodeId, sellerId, ...result });
+
+  res.json({
+    success: true,
+    message: result.deleted
+      ? 'Promo code deleted successfully'
+      : 'Promo code has been redeemed and was deactivated instead',
+    data: result,
+  });
+};
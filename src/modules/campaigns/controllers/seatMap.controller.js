@@ -0,0 +1,101 @@
+import prisma from '../../../config/database.js';
+import seatMapService from '../services/seatMapService.js';
+
+/**
+ * Create or replace a campaign's seat map
+ */
+export const createSeatMap = async (req, res) => {
+  const { campaignId } = req.params;
+  const sellerId = req.user.id;
+
+  const result = await seatMapService.createSeatMap(sellerId, campaignId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: 'SEAT_MAP_CREATED',
+      entity: 'SeatMap',
+      entityId: result.seatMap.id,
+      metadata: {
+        campaignId,
+        totalSeats: result.totalSeats,
+        seatCounts: result.seatCounts,
+      },
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Seat map created successfully',
+    data: result,
+  });
+};
+
+/**
+ * Get live seat availability for a campaign
+ */
+export const getSeatMap = async (req, res) => {
+  const { campaignId } = req.params;
+
+  const result = await seatMapService.getSeatAvailability(campaignId);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+};
+
+/**
+ * Delete a campaign's seat map
+ */
+export const deleteSeatMap = async (req, res) => {
+  const { campaignId } = req.params;
+  const sellerId = req.user.id;
+
+  const seatMap = await seatMapService.deleteSeatMap(sellerId, campaignId);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: 'SEAT_MAP_DELETED',
+      entity: 'SeatMap',
+      entityId: seatMap.id,
+      metadata: { campaignId },
+    },
+  });
+
+  res.json({
+    success: true,
+    message: 'Seat map deleted successfully',
+  });
+};
+
+/**
+ * Hold seats while the customer completes checkout
+ */
+export const holdSeats = async (req, res) => {
+  const { campaignId } = req.params;
+
+  const result = await seatMapService.holdSeats(req.user.id, campaignId, req.body.seatIds);
+
+  res.json({
+    success: true,
+    message: 'Seats held successfully',
+    data: result,
+  });
+};
+
+/**
+ * Release held seats
+ */
+export const releaseSeats = async (req, res) => {
+  const { campaignId } = req.params;
+
+  const result = await seatMapService.releaseHolds(req.user.id, campaignId, req.body?.seatIds);
+
+  res.json({
+    success: true,
+    message: 'Seats released successfully',
+    data: result,
+  });
+};
@@ -0,0 +1,98 @@
+import prisma from '../../../config/database.js';
+import sessionService from '../services/sessionService.js';
+
+/**
+ * Add sessions to a campaign
+ */
+export const createSessions = async (req, res) => {
+  const { campaignId } = req.params;
+  const sellerId = req.user.id;
+
+  const sessions = await sessionService.createSessions(sellerId, campaignId, req.body.sessions);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: 'CAMPAIGN_SESSIONS_CREATED',
+      entity: 'TicketCampaign',
+      entityId: campaignId,
+      metadata: {
+        sessionIds: sessions.map(session => session.id),
+        count: sessions.length,
+      },
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${sessions.length} session(s) added`,
+    data: sessions,
+  });
+};
+
+/**
+ * Upcoming sessions of a campaign with availability
+ */
+export const getCampaignSessions = async (req, res) => {
+  const { campaignId } = req.params;
+
+  const sessions = await sessionService.getCampaignSessions(campaignId, req.query);
+
+  res.json({
+    success: true,
+    data: sessions,
+  });
+};
+
+/**
+ * Reschedule or change a session
+ */
+export const updateSession = async (req, res) => {
+  const { campaignId, sessionId } = req.params;
+  const sellerId = req.user.id;
+
+  const session = await sessionService.updateSession(sellerId, campaignId, sessionId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: 'CAMPAIGN_SESSION_UPDATED',
+      entity: 'CampaignSession',
+      entityId: sessionId,
+      changes: req.body,
+      metadata: { campaignId },
+    },
+  });
+
+  res.json({
+    success: true,
+    message: 'Session updated successfully',
+    data: session,
+  });
+};
+
+/**
+ * Cancel a session without active bookings
+ */
+export const cancelSession = async (req, res) => {
+  const { campaignId, sessionId } = req.params;
+  const sellerId = req.user.id;
+
+  const session = await sessionService.cancelSession(sellerId, campaignId, sessionId);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: sellerId,
+      action: 'CAMPAIGN_SESSION_CANCELLED',
+      entity: 'CampaignSession',
+      entityId: sessionId,
+      metadata: { campaignId, startsAt: session.startsAt },
+    },
+  });
+
+  res.json({
+    success: true,
+    message: 'Session cancelled successfully',
+    data: session,
+  });
+};
@@ -19,7 +19,36 @@ import {
   getSearchSuggestions,
   getNearbyCampaigns,
 } from '../controllers/campaign.controller.js';
-import { validateCampaign, validateCampaignUpdate } from '../validators/campaign.validator.js';
+import {
+  createPromoCode,
+  getCampaignPromoCodes,
+  getPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+} from '../controllers/promoCode.controller.js';
+import {
+  createSeatMap,
+  getSeatMap,
+  deleteSeatMap,
+  holdSeats,
+  releaseSeats,
+} from '../controllers/seatMap.controller.js';
+import {
+  createSessions,
+  getCampaignSessions,
+  updateSession,
+  cancelSession,
+} from '../controllers/session.controller.js';
+import {
+  validateCampaign,
+  validateCampaignUpdate,
+  validatePromoCode,
+  validatePromoCodeUpdate,
+  validateSeatMap,
+  validateSeatHold,
+  validateSessions,
+  validateSessionUpdate,
+} from '../validators/campaign.validator.js';
 // import { upload } from '../../../shared/middleware/multer.js'; 
 
 const router = express.Router();
@@ -32,6 +61,8 @@ router.get('/suggestions', asyncHandler(getSearchSuggestions));
 router.get('/nearby', asyncHandler(getNearbyCampaigns));
 router.get('/:campaignId', asyncHandler(getCampaignById));
 router.get('/:campaignId/analytics', asyncHandler(getCampaignAnalytics));
+router.get('/:campaignId/seat-map', asyncHandler(getSeatMap));
+router.get('/:campaignId/sessions', asyncHandler(getCampaignSessions));
 
 // Protected routes (Seller only)
 router.post('/', ensureApprovedSeller, validateCampaign, asyncHandler(createCampaign));
@@ -41,6 +72,26 @@ router.patch('/:campaignId/status', ensureApprovedSeller, asyncHandler(updateCam
 router.post('/:campaignId/managers', ensureApprovedSeller, asyncHandler(assignManagers));
 router.delete('/:campaignId', ensureApprovedSeller, asyncHandler(deleteCampaign));
 
+// Promo code routes (Seller only)
+router.post('/:campaignId/promo-codes', ensureApprovedSeller, validatePromoCode, asyncHandler(createPromoCode));
+router.get('/:campaignId/promo-codes', ensureApprovedSeller, asyncHandler(getCampaignPromoCodes));
+router.get('/:campaignId/promo-codes/:promoCodeId', ensureApprovedSeller, asyncHandler(getPromoCode));
+router.put('/:campaignId/promo-codes/:promoCodeId', ensureApprovedSeller, validatePromoCodeUpdate, asyncHandler(updatePromoCode));
+router.delete('/:campaignId/promo-codes/:promoCodeId', ensureApprovedSeller, asyncHandler(deletePromoCode));
+
+// Seat map routes (Seller only)
+router.post('/:campaignId/seat-map', ensureApprovedSeller, validateSeatMap, asyncHandler(createSeatMap));
+router.delete('/:campaignId/seat-map', ensureApprovedSeller, asyncHandler(deleteSeatMap));
+
+// Session routes (Seller only)
+router.post('/:campaignId/sessions', ensureApprovedSeller, validateSessions, asyncHandler(createSessions));
+router.put('/:campaignId/sessions/:sessionId', ensureApprovedSeller, validateSessionUpdate, asyncHandler(updateSession));
+router.delete('/:campaignId/sessions/:sessionId', ensureApprovedSeller, asyncHandler(cancelSession));
+
+// Seat hold routes (Authenticated customers)
+router.post('/:campaignId/seats/hold', ensureAuthenticated, validateSeatHold, asyncHandler(holdSeats));
+router.delete('/:campaignId/seats/hold', ensureAuthenticated, asyncHandler(releaseSeats));
+
 // // Image upload routes 
 // router.post('/:campaignId/cover-image', ensureApprovedSeller, upload.single('coverImage'), asyncHandler(uploadCoverImage));
 // router.post('/:campaignId/gallery-images', ensureApprovedSeller, upload.array('galleryImages', 10), asyncHandler(uploadGalleryImages));
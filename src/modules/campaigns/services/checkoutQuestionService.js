@@ -0,0 +1,195 @@
+import { ValidationError } from '../../../shared/errors/AppError.js';
+
+export const QUESTION_TYPES = ['TEXT', 'CHOICE', 'WAIVER'];
+
+const MAX_QUESTIONS = 20;
+const MAX_TEXT_ANSWER = 500;
+
+/**
+ * Named attendees and seller-defined checkout questions.
+ *
+ * Questions are asked once per issued ticket:
+ * - TEXT: free-text answer
+ * - CHOICE: one of the question's options
+ * - WAIVER: terms the attendee must accept (`true`)
+ *
+ * A question may be limited to some ticket types. Answers are stored with the
+ * question's label so later edits to the campaign do not change them.
+ */
+class CheckoutQuestionService {
+  /**
+   * Validate seller-supplied questions and fill in defaults. When the campaign's
+   * ticket types are given, questions may only be limited to those.
+   */
+  normalize(questions, ticketTypes = null) {
+    if (!questions) {
+      return [];
+    }
+
+    if (!Array.isArray(questions) || questions.length > MAX_QUESTIONS) {
+      throw new ValidationError(`Checkout questions must be an array of at most ${MAX_QUESTIONS} questions`);
+    }
+
+    const ids = new Set();
+
+    return questions.map((question, index) => {
+      const label = typeof question.label === 'string' ? question.label.trim() : '';
+      if (label.length < 2 || label.length > 200) {
+        throw new ValidationError(`Question ${index + 1} needs a label between 2 and 200 characters`);
+      }
+
+      const type = question.type || 'TEXT';
+      if (!QUESTION_TYPES.includes(type)) {
+        throw new ValidationError(`Question type must be one of ${QUESTION_TYPES.join(', ')}`);
+      }
+
+      const id = String(question.id || this._slug(label));
+      if (!/^[a-z0-9_-]{1,50}$/i.test(id) || ids.has(id)) {
+        throw new ValidationError(`Question "${label}" needs a unique id of letters, numbers, - or _`);
+      }
+      ids.add(id);
+
+      const normalized = {
+        id,
+        label,
+        type,
+        // Waivers are required unless the seller says otherwise
+        required: question.required ?? type === 'WAIVER',
+        ticketTypes: Array.isArray(question.ticketTypes) ? question.ticketTypes.map(String) : null
+      };
+
+      const unknownTypes = ticketTypes ? (normalized.ticketTypes || []).filter(tier => !ticketTypes[tier]) : [];
+      if (unknownTypes.length > 0) {
+        throw new ValidationError(`Question "${label}" refers to unknown ticket type(s): ${unknownTypes.join(', ')}`);
+      }
+
+      if (type === 'CHOICE') {
+        const options = Array.isArray(question.options) ? question.options.map(option => String(option).trim()) : [];
+        if (options.length < 2 || options.length > 20 || options.some(option => !option)) {
+          throw new ValidationError(`Question "${label}" needs between 2 and 20 options`);
+        }
+        normalized.options = options;
+      }
+
+      if (type === 'WAIVER') {
+        if (typeof question.text !== 'string' || !question.text.trim()) {
+          throw new ValidationError(`Waiver "${label}" needs its terms text`);
+        }
+        normalized.text = question.text.trim();
+      }
+
+      return normalized;
+    });
+  }
+
+  /**
+   * Questions asked for a ticket type
+   */
+  getQuestions(campaign, ticketType) {
+    return (campaign?.checkoutQuestions || []).filter(
+      question => !question.ticketTypes || question.ticketTypes.includes(ticketType)
+    );
+  }
+
+  /**
+   * Validate the attendee details submitted with a booking. Returns one entry
+   * per ticket that will be issued, or null when nothing was collected.
+   */
+  collectAttendees(campaign, { ticketType, quantity, issuanceType, attendees }) {
+    const questions = this.getQuestions(campaign, ticketType);
+    const ticketCount = issuanceType === 'SINGLE' ? 1 : quantity;
+    const detailsRequired = campaign.requireAttendeeDetails || questions.some(question => question.required);
+
+    if (!attendees || attendees.length === 0) {
+      if (detailsRequired) {
+        throw new ValidationError(`Attendee details are required for ${ticketType} tickets`);
+      }
+      return null;
+    }
+
+    if (!Array.isArray(attendees) || attendees.length !== ticketCount) {
+      throw new ValidationError(`Provide attendee details for each of the ${ticketCount} ${ticketType} ticket(s)`);
+    }
+
+    return attendees.map((attendee, index) => this.validateAttendee(campaign, ticketType, attendee, index + 1));
+  }
+
+  /**
+   * Validate one attendee's name, email and answers
+   */
+  validateAttendee(campaign, ticketType, attendee = {}, position = 1) {
+    const name = typeof attendee.name === 'string' ? attendee.name.trim() : '';
+    const email = typeof attendee.email === 'string' ? attendee.email.trim().toLowerCase() : '';
+
+    if (campaign.requireAttendeeDetails && (!name || !email)) {
+      throw new ValidationError(`Attendee ${position} needs a name and email`);
+    }
+
+    if (name.length > 100) {
+      throw new ValidationError(`Attendee ${position} name must be at most 100 characters`);
+    }
+
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new ValidationError(`Attendee ${position} email must be valid`);
+    }
+
+    const questions = this.getQuestions(campaign, ticketType);
+    const submitted = attendee.answers || {};
+
+    if (typeof submitted !== 'object' || Array.isArray(submitted)) {
+      throw new ValidationError(`Attendee ${position} answers must be an object keyed by question id`);
+    }
+
+    const unknown = Object.keys(submitted).filter(id => !questions.some(question => question.id === id));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown checkout question(s): ${unknown.join(', ')}`);
+    }
+
+    const answers = [];
+    for (const question of questions) {
+      const answer = this._validateAnswer(question, submitted[question.id], position);
+      if (answer !== null) {
+        answers.push({ questionId: question.id, label: question.label, type: question.type, answer });
+      }
+    }
+
+    return { name: name || null, email: email || null, answers };
+  }
+
+  /**
+   * "Label: answer" lines for tickets and exports
+   */
+  formatAnswers(answers) {
+    return (answers || []).map(({ label, type, answer }) => `${label}: ${type === 'WAIVER' ? 'Accepted' : answer}`);
+  }
+
+  // Private helper methods
+  _validateAnswer(question, value, position) {
+    const missing = value === undefined || value === null || value === '' || (question.type === 'WAIVER' && value !== true);
+
+    if (missing) {
+      if (question.required) {
+        throw new ValidationError(question.type === 'WAIVER'
+          ? `Attendee ${position} must accept "${question.label}"`
+          : `Attendee ${position} must answer "${question.label}"`);
+      }
+      return null;
+    }
+
+    if (question.type === 'CHOICE' && !question.options.includes(String(value))) {
+      throw new ValidationError(`"${value}" is not an option for "${question.label}"`);
+    }
+
+    if (question.type === 'TEXT' && String(value).length > MAX_TEXT_ANSWER) {
+      throw new ValidationError(`Answer to "${question.label}" must be at most ${MAX_TEXT_ANSWER} characters`);
+    }
+
+    return question.type === 'WAIVER' ? true : String(value).trim();
+  }
+
+  _slug(label) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 50) || 'question';
+  }
+}
+
+export default new CheckoutQuestionService();
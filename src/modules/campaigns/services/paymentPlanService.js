@@ -0,0 +1,185 @@
+import { ValidationError } from '../../../shared/errors/AppError.js';
+
+const MAX_PLANS = 5;
+const MAX_INSTALLMENTS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Seller-defined deposit and instalment plans for expensive tickets.
+ *
+ * A plan splits the amount due into percentages. The first instalment is the
+ * deposit, due by the booking's payment deadline; each later one is due a
+ * number of days after booking (`dueDaysAfterBooking`) or before the event
+ * (`dueDaysBeforeEvent`). A plan may be limited to some ticket types and to
+ * bookings of at least `minAmount`.
+ */
+class PaymentPlanService {
+  /**
+   * Validate seller-supplied plans. When the campaign's ticket types are
+   * given, plans may only be limited to those.
+   */
+  normalize(plans, ticketTypes = null) {
+    if (!plans) {
+      return [];
+    }
+
+    if (!Array.isArray(plans) || plans.length > MAX_PLANS) {
+      throw new ValidationError(`Payment plans must be an array of at most ${MAX_PLANS} plans`);
+    }
+
+    const ids = new Set();
+
+    return plans.map((plan, index) => {
+      const name = typeof plan.name === 'string' ? plan.name.trim() : '';
+      if (name.length < 2 || name.length > 100) {
+        throw new ValidationError(`Payment plan ${index + 1} needs a name between 2 and 100 characters`);
+      }
+
+      const id = String(plan.id || `plan-${index + 1}`);
+      if (!/^[a-z0-9_-]{1,50}$/i.test(id) || ids.has(id)) {
+        throw new ValidationError(`Payment plan "${name}" needs a unique id of letters, numbers, - or _`);
+      }
+      ids.add(id);
+
+      const planTicketTypes = Array.isArray(plan.ticketTypes) ? plan.ticketTypes.map(String) : null;
+      const unknownTypes = ticketTypes ? (planTicketTypes || []).filter(tier => !ticketTypes[tier]) : [];
+      if (unknownTypes.length > 0) {
+        throw new ValidationError(`Payment plan "${name}" refers to unknown ticket type(s): ${unknownTypes.join(', ')}`);
+      }
+
+      const minAmount = plan.minAmount === undefined || plan.minAmount === null ? 0 : Number(plan.minAmount);
+      if (!Number.isFinite(minAmount) || minAmount < 0) {
+        throw new ValidationError(`Payment plan "${name}" minimum amount must be zero or more`);
+      }
+
+      return {
+        id,
+        name,
+        ticketTypes: planTicketTypes,
+        minAmount,
+        installments: this._normalizeInstallments(plan.installments, name)
+      };
+    });
+  }
+
+  /**
+   * Plans a booking of this ticket type and amount may use
+   */
+  getPlans(campaign, { ticketType, amount }) {
+    return (campaign?.paymentPlans || []).filter(plan =>
+      (!plan.ticketTypes || plan.ticketTypes.includes(ticketType)) &&
+      Number(amount) > 0 &&
+      Number(amount) >= plan.minAmount
+    );
+  }
+
+  /**
+   * The plan a customer picked at checkout
+   */
+  getPlan(campaign, planId, { ticketType, amount }) {
+    const plan = this.getPlans(campaign, { ticketType, amount }).find(candidate => candidate.id === planId);
+
+    if (!plan) {
+      throw new ValidationError(`Payment plan ${planId} is not available for this booking`);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Due dates and amounts for a booking. The deposit is due at `depositDueDate`;
+   * the last instalment absorbs rounding. A plan whose dates no longer fit
+   * before the event cannot be used.
+   */
+  buildSchedule(plan, amount, { bookedAt = new Date(), depositDueDate, eventDate }) {
+    const total = Number(amount);
+    const eventTime = new Date(eventDate).getTime();
+    let allocated = 0;
+    let previousDue = new Date(depositDueDate).getTime();
+
+    return plan.installments.map((installment, index) => {
+      const isLast = index === plan.installments.length - 1;
+      const share = isLast
+        ? Math.round((total - allocated) * 100) / 100
+        : Math.round(total * installment.percentage) / 100;
+      allocated += share;
+
+      let dueTime = previousDue;
+      if (index > 0) {
+        dueTime = installment.dueDaysBeforeEvent !== undefined
+          ? eventTime - installment.dueDaysBeforeEvent * DAY_MS
+          : new Date(bookedAt).getTime() + installment.dueDaysAfterBooking * DAY_MS;
+
+        if (dueTime <= previousDue || dueTime > eventTime) {
+          throw new ValidationError(`The "${plan.name}" payment plan is no longer available for this event. Please pay in full.`);
+        }
+      }
+      previousDue = dueTime;
+
+      return { sequence: index + 1, amount: share, dueDate: new Date(dueTime) };
+    });
+  }
+
+  /**
+   * Customer-facing summary of a plan
+   */
+  describe(plan) {
+    return plan.installments.map((installment, index) => {
+      if (index === 0) return `${installment.percentage}% deposit at checkout`;
+      if (installment.dueDaysBeforeEvent !== undefined) {
+        return `${installment.percentage}% due ${installment.dueDaysBeforeEvent} day(s) before the event`;
+      }
+      return `${installment.percentage}% due ${installment.dueDaysAfterBooking} day(s) after booking`;
+    });
+  }
+
+  /**
+   * Plans with their summaries, for API responses
+   */
+  present(campaign) {
+    return (campaign?.paymentPlans || []).map(plan => ({ ...plan, summary: this.describe(plan) }));
+  }
+
+  // Private helper methods
+  _normalizeInstallments(installments, name) {
+    if (!Array.isArray(installments) || installments.length < 2 || installments.length > MAX_INSTALLMENTS) {
+      throw new ValidationError(`Payment plan "${name}" needs between 2 and ${MAX_INSTALLMENTS} instalments`);
+    }
+
+    const normalized = installments.map((installment, index) => {
+      const percentage = Number(installment.percentage);
+      if (!Number.isFinite(percentage) || percentage <= 0 || percentage >= 100) {
+        throw new ValidationError(`Payment plan "${name}" instalment percentages must be between 0 and 100`);
+      }
+
+      // The deposit is always due at checkout
+      if (index === 0) {
+        return { percentage };
+      }
+
+      const afterBooking = installment.dueDaysAfterBooking;
+      const beforeEvent = installment.dueDaysBeforeEvent;
+      if ((afterBooking === undefined) === (beforeEvent === undefined)) {
+        throw new ValidationError(`Payment plan "${name}" instalment ${index + 1} needs either dueDaysAfterBooking or dueDaysBeforeEvent`);
+      }
+
+      const days = Number(afterBooking ?? beforeEvent);
+      if (!Number.isInteger(days) || days < (afterBooking !== undefined ? 1 : 0) || days > 365) {
+        throw new ValidationError(`Payment plan "${name}" instalment ${index + 1} must be due within 365 days`);
+      }
+
+      return afterBooking !== undefined
+        ? { percentage, dueDaysAfterBooking: days }
+        : { percentage, dueDaysBeforeEvent: days };
+    });
+
+    const totalPercentage = normalized.reduce((sum, installment) => sum + installment.percentage, 0);
+    if (Math.abs(totalPercentage - 100) > 0.01) {
+      throw new ValidationError(`Payment plan "${name}" instalments must add up to 100%`);
+    }
+
+    return normalized;
+  }
+}
+
+export default new PaymentPlanService();
@@ -0,0 +1,308 @@
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  ConflictError
+} from '../../../shared/errors/AppError.js';
+
+/**
+ * Seller-managed promo codes scoped to a campaign or to all of a seller's campaigns
+ */
+class PromoCodeService {
+  /**
+   * Create a promo code for a campaign (or seller-wide when scope is GLOBAL)
+   */
+  async createPromoCode(sellerId, campaignId, promoData) {
+    const campaign = await this._getOwnedCampaign(sellerId, campaignId);
+
+    const {
+      code,
+      description,
+      type,
+      value,
+      scope = 'CAMPAIGN',
+      maxUses,
+      maxUsesPerUser = 1,
+      ticketTypes = [],
+      validFrom,
+      validUntil,
+      isActive = true
+    } = promoData;
+
+    const normalizedCode = code.trim().toUpperCase();
+
+    this._validateDiscount(type, value);
+    this._validateWindow(validFrom, validUntil);
+    this._validateTicketTypes(campaign, scope, ticketTypes);
+
+    const existing = await prisma.promoCode.findUnique({
+      where: {
+        sellerId_code: { sellerId, code: normalizedCode }
+      }
+    });
+
+    if (existing) {
+      throw new ConflictError(`Promo code ${normalizedCode} already exists`);
+    }
+
+    const promoCode = await prisma.promoCode.create({
+      data: {
+        sellerId,
+        campaignId: scope === 'GLOBAL' ? null : campaignId,
+        code: normalizedCode,
+        description,
+        type,
+        value,
+        maxUses: maxUses ?? null,
+        maxUsesPerUser,
+        ticketTypes,
+        validFrom: new Date(validFrom),
+        validUntil: new Date(validUntil),
+        isActive
+      }
+    });
+
+    logger.info('Promo code created', { promoCodeId: promoCode.id, sellerId, campaignId, scope });
+
+    return promoCode;
+  }
+
+  /**
+   * List promo codes that apply to a campaign, including seller-wide codes
+   */
+  async getCampaignPromoCodes(sellerId, campaignId, filters = {}) {
+    await this._getOwnedCampaign(sellerId, campaignId);
+
+    const { isActive, page = 1, limit = 20 } = filters;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      sellerId,
+      OR: [
+        { campaignId },
+        { campaignId: null }
+      ],
+      ...(isActive !== undefined && { isActive: isActive === true || isActive === 'true' })
+    };
+
+    const [promoCodes, total] = await Promise.all([
+      prisma.promoCode.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.promoCode.count({ where })
+    ]);
+
+    return {
+      promoCodes: promoCodes.map(promo => this._withStatus(promo)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a promo code with redemption statistics
+   */
+  async getPromoCode(sellerId, campaignId, promoCodeId) {
+    const promo = await this._getOwnedPromoCode(sellerId, campaignId, promoCodeId);
+
+    const [redemptions, recentUsages] = await Promise.all([
+      prisma.promoCodeUsage.aggregate({
+        where: { promoCodeId },
+        _count: { id: true },
+        _sum: { discountAmount: true }
+      }),
+      prisma.promoCodeUsage.findMany({
+        where: { promoCodeId },
+        orderBy: { createdAt: 'desc' },
+        take: 10,
+        include: {
+          booking: {
+            select: {
+              bookingRef: true,
+              status: true,
+              ticketType: true,
+              quantity: true,
+              totalAmount: true
+            }
+          }
+        }
+      })
+    ]);
+
+    return {
+      promoCode: this._withStatus(promo),
+      stats: {
+        redemptions: redemptions._count.id,
+        totalDiscount: redemptions._sum.discountAmount || 0
+      },
+      recentUsages
+    };
+  }
+
+  /**
+   * Update a promo code. Code and scope are immutable once created.
+   */
+  async updatePromoCode(sellerId, campaignId, promoCodeId, updates) {
+    const promo = await this._getOwnedPromoCode(sellerId, campaignId, promoCodeId);
+
+    const allowed = ['description', 'type', 'value', 'maxUses', 'maxUsesPerUser', 'ticketTypes', 'validFrom', 'validUntil', 'isActive'];
+    const data = {};
+    for (const field of allowed) {
+      if (updates[field] !== undefined) {
+        data[field] = updates[field];
+      }
+    }
+
+    if (data.type !== undefined || data.value !== undefined) {
+      this._validateDiscount(data.type ?? promo.type, data.value ?? Number(promo.value));
+    }
+
+    if (data.validFrom !== undefined || data.validUntil !== undefined) {
+      this._validateWindow(data.validFrom ?? promo.validFrom, data.validUntil ?? promo.validUntil);
+      if (data.validFrom !== undefined) data.validFrom = new Date(data.validFrom);
+      if (data.validUntil !== undefined) data.validUntil = new Date(data.validUntil);
+    }
+
+    if (data.maxUses !== undefined && data.maxUses !== null && data.maxUses < promo.usageCount) {
+      throw new ValidationError(`Max uses cannot be lower than current usage (${promo.usageCount})`);
+    }
+
+    if (data.ticketTypes !== undefined && promo.campaignId) {
+      this._validateTicketTypes(promo.campaign, 'CAMPAIGN', data.ticketTypes);
+    }
+
+    const updatedPromo = await prisma.promoCode.update({
+      where: { id: promoCodeId },
+      data
+    });
+
+    logger.info('Promo code updated', { promoCodeId, sellerId });
+
+    return { before: promo, after: updatedPromo };
+  }
+
+  /**
+   * Delete a promo code. Codes that have been redeemed are deactivated instead
+   * so booking history keeps its reference.
+   */
+  async deletePromoCode(sellerId, campaignId, promoCodeId) {
+    await this._getOwnedPromoCode(sellerId, campaignId, promoCodeId);
+
+    const usageCount = await prisma.promoCodeUsage.count({
+      where: { promoCodeId }
+    });
+
+    if (usageCount > 0) {
+      await prisma.promoCode.update({
+        where: { id: promoCodeId },
+        data: { isActive: false }
+      });
+
+      logger.info('Promo code deactivated', { promoCodeId, sellerId, usageCount });
+      return { deleted: false, deactivated: true };
+    }
+
+    await prisma.promoCode.delete({
+      where: { id: promoCodeId }
+    });
+
+    logger.info('Promo code deleted', { promoCodeId, sellerId });
+    return { deleted: true, deactivated: false };
+  }
+
+  // Private helper methods
+  async _getOwnedCampaign(sellerId, campaignId) {
+    const campaign = await prisma.ticketCampaign.findUnique({
+      where: { id: campaignId },
+      select: { id: true, sellerId: true, ticketTypes: true }
+    });
+
+    if (!campaign) {
+      throw new NotFoundError('Campaign');
+    }
+
+    if (campaign.sellerId !== sellerId) {
+      throw new AuthorizationError('You can only manage promo codes for your own campaigns');
+    }
+
+    return campaign;
+  }
+
+  async _getOwnedPromoCode(sellerId, campaignId, promoCodeId) {
+    await this._getOwnedCampaign(sellerId, campaignId);
+
+    const promo = await prisma.promoCode.findUnique({
+      where: { id: promoCodeId },
+      include: {
+        campaign: {
+          select: { id: true, ticketTypes: true }
+        }
+      }
+    });
+
+    if (!promo || promo.sellerId !== sellerId || (promo.campaignId && promo.campaignId !== campaignId)) {
+      throw new NotFoundError('Promo code');
+    }
+
+    return promo;
+  }
+
+  _validateDiscount(type, value) {
+    if (value <= 0) {
+      throw new ValidationError('Discount value must be greater than zero');
+    }
+
+    if (type === 'PERCENTAGE' && value > 100) {
+      throw new ValidationError('Percentage discount cannot exceed 100');
+    }
+  }
+
+  _validateWindow(validFrom, validUntil) {
+    if (new Date(validUntil) <= new Date(validFrom)) {
+      throw new ValidationError('validUntil must be after validFrom');
+    }
+  }
+
+  _validateTicketTypes(campaign, scope, ticketTypes) {
+    // Seller-wide codes may name ticket types that only exist on some campaigns
+    if (scope === 'GLOBAL' || ticketTypes.length === 0) return;
+
+    const unknown = ticketTypes.filter(type => !campaign.ticketTypes?.[type]);
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown ticket types: ${unknown.join(', ')}`);
+    }
+  }
+
+  _withStatus(promo) {
+    const now = new Date();
+    let status = 'ACTIVE';
+
+    if (!promo.isActive) {
+      status = 'INACTIVE';
+    } else if (now < promo.validFrom) {
+      status = 'SCHEDULED';
+    } else if (now > promo.validUntil) {
+      status = 'EXPIRED';
+    } else if (promo.maxUses !== null && promo.usageCount >= promo.maxUses) {
+      status = 'EXHAUSTED';
+    }
+
+    return {
+      ...promo,
+      scope: promo.campaignId ? 'CAMPAIGN' : 'GLOBAL',
+      status,
+      remainingUses: promo.maxUses !== null ? Math.max(0, promo.maxUses - promo.usageCount) : null
+    };
+  }
+}
+
+export default new PromoCodeService();
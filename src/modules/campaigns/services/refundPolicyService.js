@@ -0,0 +1,202 @@
+import { ValidationError } from '../../../shared/errors/AppError.js';
+
+export const REFUND_POLICY_TYPES = ['TIERED', 'FIXED_FEE', 'NON_REFUNDABLE'];
+export const REFUND_DESTINATIONS = ['ORIGINAL_PAYMENT', 'STORE_CREDIT'];
+
+// Applied to campaigns created before sellers could set their own policy
+export const DEFAULT_REFUND_POLICY = {
+  type: 'TIERED',
+  tiers: [
+    { hoursBeforeEvent: 168, percentage: 100 },
+    { hoursBeforeEvent: 72, percentage: 75 },
+    { hoursBeforeEvent: 24, percentage: 50 },
+  ],
+  fee: 0,
+  refundTo: 'ORIGINAL_PAYMENT',
+  cancellationCutoffHours: 24,
+  modificationCutoffHours: 48,
+};
+
+/**
+ * Per-campaign cancellation and refund policy.
+ *
+ * - TIERED: refund percentage depends on how long before the event the booking is cancelled
+ * - FIXED_FEE: full refund minus a flat fee per booking
+ * - NON_REFUNDABLE: bookings may still be cancelled but nothing is refunded
+ *
+ * `refundTo` decides whether refunds go back to the original payment or to store credit.
+ */
+class RefundPolicyService {
+  /**
+   * Validate a seller-supplied policy and fill in defaults
+   */
+  normalize(policy) {
+    if (!policy) {
+      return { ...DEFAULT_REFUND_POLICY };
+    }
+
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+      throw new ValidationError('Refund policy must be an object');
+    }
+
+    const type = policy.type || DEFAULT_REFUND_POLICY.type;
+    if (!REFUND_POLICY_TYPES.includes(type)) {
+      throw new ValidationError(`Refund policy type must be one of ${REFUND_POLICY_TYPES.join(', ')}`);
+    }
+
+    const refundTo = policy.refundTo || DEFAULT_REFUND_POLICY.refundTo;
+    if (!REFUND_DESTINATIONS.includes(refundTo)) {
+      throw new ValidationError(`Refund destination must be one of ${REFUND_DESTINATIONS.join(', ')}`);
+    }
+
+    const cancellationCutoffHours = this._hours(policy.cancellationCutoffHours, DEFAULT_REFUND_POLICY.cancellationCutoffHours, 'Cancellation cutoff');
+    const modificationCutoffHours = this._hours(policy.modificationCutoffHours, DEFAULT_REFUND_POLICY.modificationCutoffHours, 'Modification cutoff');
+
+    const normalized = { type, tiers: [], fee: 0, refundTo, cancellationCutoffHours, modificationCutoffHours };
+
+    if (type === 'TIERED') {
+      const tiers = policy.tiers || DEFAULT_REFUND_POLICY.tiers;
+      if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > 10) {
+        throw new ValidationError('Tiered refund policy needs between 1 and 10 tiers');
+      }
+
+      normalized.tiers = tiers
+        .map(tier => {
+          const hoursBeforeEvent = Number(tier.hoursBeforeEvent);
+          const percentage = Number(tier.percentage);
+          if (!Number.isFinite(hoursBeforeEvent) || hoursBeforeEvent < 0) {
+            throw new ValidationError('Refund tier hoursBeforeEvent must be zero or more');
+          }
+          if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+            throw new ValidationError('Refund tier percentage must be between 0 and 100');
+          }
+          return { hoursBeforeEvent, percentage };
+        })
+        .sort((a, b) => b.hoursBeforeEvent - a.hoursBeforeEvent);
+    }
+
+    if (type === 'FIXED_FEE') {
+      const fee = Number(policy.fee);
+      if (!Number.isFinite(fee) || fee < 0) {
+        throw new ValidationError('Refund fee must be zero or more');
+      }
+      normalized.fee = fee;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * The policy in effect for a campaign
+   */
+  getPolicy(campaign) {
+    return campaign?.refundPolicy ? { ...DEFAULT_REFUND_POLICY, ...campaign.refundPolicy } : { ...DEFAULT_REFUND_POLICY };
+  }
+
+  canCancel(booking, campaign) {
+    if (['CANCELLED', 'EXPIRED', 'COMPLETED', 'REFUNDED'].includes(booking.status)) return false;
+    if (booking.status === 'PENDING') return true;
+
+    const policy = this.getPolicy(campaign);
+    return this._hoursUntilEvent(campaign, booking) > policy.cancellationCutoffHours;
+  }
+
+  canModify(booking, campaign) {
+    if (['CANCELLED', 'EXPIRED', 'COMPLETED', 'REFUNDED'].includes(booking.status)) return false;
+
+    const policy = this.getPolicy(campaign);
+    return this._hoursUntilEvent(campaign, booking) > policy.modificationCutoffHours;
+  }
+
+  /**
+   * Refund owed for cancelling a booking now. `paid` is less than the total
+   * for bookings part-way through a payment plan.
+   */
+  calculateRefund(booking, campaign, paid = Number(booking.totalAmount)) {
+    const policy = this.getPolicy(campaign);
+    const hoursUntilEvent = this._hoursUntilEvent(campaign, booking);
+
+    let amount = 0;
+    let percentage = 0;
+
+    if (hoursUntilEvent > policy.cancellationCutoffHours) {
+      if (policy.type === 'TIERED') {
+        const tier = policy.tiers.find(t => hoursUntilEvent > t.hoursBeforeEvent);
+        percentage = tier ? tier.percentage : 0;
+        amount = (paid * percentage) / 100;
+      } else if (policy.type === 'FIXED_FEE') {
+        amount = Math.max(0, paid - policy.fee);
+        percentage = paid > 0 ? (amount / paid) * 100 : 0;
+      }
+    }
+
+    return {
+      amount: Math.round(amount * 100) / 100,
+      percentage: Math.round(percentage * 100) / 100,
+      refundTo: policy.refundTo,
+      policyType: policy.type,
+    };
+  }
+
+  /**
+   * Customer-facing summary lines for campaign pages and emails
+   */
+  describe(campaignOrPolicy) {
+    const policy = campaignOrPolicy?.type ? campaignOrPolicy : this.getPolicy(campaignOrPolicy);
+    const lines = [];
+
+    if (policy.type === 'NON_REFUNDABLE') {
+      lines.push('Tickets are non-refundable.');
+    } else if (policy.type === 'FIXED_FEE') {
+      lines.push(`Full refund minus a ${policy.fee} cancellation fee.`);
+    } else {
+      for (const tier of policy.tiers) {
+        lines.push(`${tier.percentage}% refund when cancelled more than ${this._formatHours(tier.hoursBeforeEvent)} before the event.`);
+      }
+    }
+
+    lines.push(`Cancellations close ${this._formatHours(policy.cancellationCutoffHours)} before the event.`);
+    lines.push(`Bookings can be changed until ${this._formatHours(policy.modificationCutoffHours)} before the event.`);
+
+    if (policy.type !== 'NON_REFUNDABLE' && policy.refundTo === 'STORE_CREDIT') {
+      lines.push('Refunds are issued as store credit only.');
+    }
+
+    return lines;
+  }
+
+  /**
+   * Policy with its summary, for API responses
+   */
+  present(campaign) {
+    const policy = this.getPolicy(campaign);
+    return { ...policy, summary: this.describe(policy) };
+  }
+
+  // Private helper methods
+  // Bookings of a multi-session campaign count down to their own session
+  _hoursUntilEvent(campaign, booking) {
+    const startsAt = booking?.session?.startsAt || campaign.eventDate;
+    return (new Date(startsAt) - new Date()) / (1000 * 60 * 60);
+  }
+
+  _hours(value, fallback, label) {
+    if (value === undefined || value === null) return fallback;
+
+    const hours = Number(value);
+    if (!Number.isFinite(hours) || hours < 0 || hours > 8760) {
+      throw new ValidationError(`${label} must be between 0 and 8760 hours`);
+    }
+    return hours;
+  }
+
+  _formatHours(hours) {
+    if (hours >= 24 && hours % 24 === 0) {
+      const days = hours / 24;
+      return `${days} day${days === 1 ? '' : 's'}`;
+    }
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+}
+
+export default new RefundPolicyService();
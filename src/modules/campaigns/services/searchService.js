@@ -15,6 +15,7 @@ const buildSearchQuery = (filters = {}) => {
     priceMax,
     dateFrom,
     dateTo,
+    sessionDate,
     tags,
     sellerId,
     availability
@@ -84,18 +85,34 @@ const buildSearchQuery = (filters = {}) => {
     });
   }
 
-  // Date range filtering
-  if (dateFrom || dateTo) {
+  // Date range filtering; multi-session campaigns match on any scheduled session
+  if (dateFrom || dateTo || sessionDate) {
     const dateFilter = {};
-    if (dateFrom) {
-      dateFilter.gte = new Date(dateFrom);
-    }
-    if (dateTo) {
-      dateFilter.lte = new Date(dateTo);
+    if (sessionDate) {
+      // Everything on that day
+      const day = new Date(sessionDate);
+      day.setUTCHours(0, 0, 0, 0);
+      dateFilter.gte = day;
+      dateFilter.lt = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+    } else {
+      if (dateFrom) {
+        dateFilter.gte = new Date(dateFrom);
+      }
+      if (dateTo) {
+        dateFilter.lte = new Date(dateTo);
+      }
     }
     where.AND.push({
-      eventDate: dateFilter
+      OR: [
+        { isMultiSession: false, eventDate: dateFilter },
+        {
+          isMultiSession: true,
+          sessions: { some: { status: 'SCHEDULED', startsAt: dateFilter } }
+        }
+      ]
     });
+    // This will be handled in the raw query section
+    where._dateFilter = dateFilter;
   }
 
   // Price range filtering (requires custom query for JSONB)
@@ -192,6 +209,7 @@ export const searchCampaigns = async (filters = {}, pagination = {}) => {
 
     // Remove custom filters from where clause
     delete where._priceFilter;
+    delete where._dateFilter;
 
     // Standard Prisma query
     const [campaigns, totalCount] = await Promise.all([
@@ -275,7 +293,7 @@ export const searchCampaigns = async (filters = {}, pagination = {}) => {
  * Search with price filtering using raw query
  */
 const searchWithPriceFilter = async (where, orderBy, skip, take, cacheKey) => {
-  const { _priceFilter } = where;
+  const { _priceFilter, _dateFilter } = where;
   const { _priceSort } = orderBy;
   
   // Build base query conditions
@@ -301,16 +319,6 @@ const searchWithPriceFilter = async (where, orderBy, skip, take, cacheKey) => {
         params.push(`%${condition.venueCity.contains}%`);
         paramIndex++;
       }
-      if (condition.eventDate?.gte) {
-        conditions.push(`"eventDate" >= $${paramIndex}`);
-        params.push(condition.eventDate.gte);
-        paramIndex++;
-      }
-      if (condition.eventDate?.lte) {
-        conditions.push(`"eventDate" <= $${paramIndex}`);
-        params.push(condition.eventDate.lte);
-        paramIndex++;
-      }
       if (condition.endDate?.gte) {
         conditions.push(`"endDate" >= $${paramIndex}`);
         params.push(condition.endDate.gte);
@@ -319,6 +327,27 @@ const searchWithPriceFilter = async (where, orderBy, skip, take, cacheKey) => {
     }
   }
 
+  // Add date filtering, against the sessions of multi-session campaigns
+  if (_dateFilter) {
+    const bounds = [];
+    for (const [operator, sql] of [['gte', '>='], ['lt', '<'], ['lte', '<=']]) {
+      if (_dateFilter[operator]) {
+        bounds.push({ sql, index: paramIndex });
+        params.push(_dateFilter[operator]);
+        paramIndex++;
+      }
+    }
+    const range = (column) => bounds.map(bound => `${column} ${bound.sql} $${bound.index}`).join(' AND ');
+
+    conditions.push(`(
+      ("isMultiSession" = false AND ${range('"eventDate"')})
+      OR ("isMultiSession" = true AND EXISTS (
+        SELECT 1 FROM "campaign_sessions" s
+        WHERE s."campaignId" = "ticket_campaigns".id AND s.status = 'SCHEDULED' AND ${range('s."startsAt"')}
+      ))
+    )`);
+  }
+
   // Add price filtering
   if (_priceFilter?.priceMin !== undefined) {
     conditions.push(`(
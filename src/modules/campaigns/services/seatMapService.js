@@ -0,0 +1,387 @@
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import config from '../../../config/index.js';
+import { cache, lock } from '../../../config/redis.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+  InventoryError
+} from '../../../shared/errors/AppError.js';
+
+const MAX_SEATS_PER_HOLD = 20;
+
+/**
+ * Reserved seating: venue seat maps, live availability and short-lived seat holds.
+ *
+ * A seat's ticketType is its price tier and must be one of the campaign's ticket
+ * types. Holds live in Redis only (one lock per seat) and become a database
+ * reservation when the holder books the seats.
+ */
+class SeatMapService {
+  /**
+   * Create or replace the seat map of a draft campaign
+   */
+  async createSeatMap(sellerId, campaignId, { name, layout, sections }) {
+    const campaign = await this._getOwnedCampaign(sellerId, campaignId);
+
+    if (campaign.status !== 'DRAFT') {
+      throw new ConflictError('Seat maps can only be changed while the campaign is a draft');
+    }
+
+    // Seats are reserved for the whole campaign, not per session
+    if (campaign.isMultiSession) {
+      throw new ConflictError('Multi-session campaigns cannot use reserved seating');
+    }
+
+    const seats = this._expandSections(campaign, sections);
+    const seatCounts = seats.reduce((counts, seat) => {
+      counts[seat.ticketType] = (counts[seat.ticketType] || 0) + (seat.status === 'BLOCKED' ? 0 : 1);
+      return counts;
+    }, {});
+
+    const seatMap = await prisma.$transaction(async (tx) => {
+      await tx.seatMap.deleteMany({ where: { campaignId } });
+
+      const created = await tx.seatMap.create({
+        data: { campaignId, name, layout }
+      });
+
+      await tx.seat.createMany({
+        data: seats.map(seat => ({
+          ...seat,
+          seatMapId: created.id,
+          campaignId
+        }))
+      });
+
+      // Seated tiers sell exactly as many tickets as there are seats
+      const ticketTypes = this._applySeatCounts(campaign.ticketTypes, seatCounts);
+      await tx.ticketCampaign.update({
+        where: { id: campaignId },
+        data: {
+          ticketTypes,
+          totalQuantity: Object.values(ticketTypes).reduce((sum, type) => sum + type.quantity, 0)
+        }
+      });
+
+      return created;
+    });
+
+    await cache.clearPattern('campaigns:*');
+
+    logger.info('Seat map created', { campaignId, seatMapId: seatMap.id, seats: seats.length });
+
+    return { seatMap, totalSeats: seats.length, seatCounts };
+  }
+
+  /**
+   * Remove a seat map. Not allowed once any seat has been booked.
+   */
+  async deleteSeatMap(sellerId, campaignId) {
+    await this._getOwnedCampaign(sellerId, campaignId);
+
+    const seatMap = await prisma.seatMap.findUnique({ where: { campaignId } });
+    if (!seatMap) {
+      throw new NotFoundError('Seat map');
+    }
+
+    const bookedSeats = await prisma.seat.count({
+      where: { seatMapId: seatMap.id, status: { in: ['RESERVED', 'SOLD'] } }
+    });
+
+    if (bookedSeats > 0) {
+      throw new ConflictError('Cannot remove a seat map with booked seats');
+    }
+
+    await prisma.seatMap.delete({ where: { id: seatMap.id } });
+    await cache.clearPattern('campaigns:*');
+
+    logger.info('Seat map deleted', { campaignId, seatMapId: seatMap.id });
+
+    return seatMap;
+  }
+
+  /**
+   * Live seat availability grouped by section and row. Seats held in Redis by
+   * another customer are reported as HELD.
+   */
+  async getSeatAvailability(campaignId) {
+    const seatMap = await prisma.seatMap.findUnique({
+      where: { campaignId },
+      include: {
+        campaign: { select: { ticketTypes: true } },
+        seats: { orderBy: [{ section: 'asc' }, { row: 'asc' }, { number: 'asc' }] }
+      }
+    });
+
+    if (!seatMap) {
+      throw new NotFoundError('Seat map');
+    }
+
+    const available = seatMap.seats.filter(seat => seat.status === 'AVAILABLE');
+    const held = await lock.areLocked(available.map(seat => this._seatResource(campaignId, seat.id)));
+    const heldIds = new Set(available.filter((_, i) => held[i]).map(seat => seat.id));
+
+    const sections = new Map();
+    const summary = { AVAILABLE: 0, HELD: 0, RESERVED: 0, SOLD: 0, BLOCKED: 0 };
+
+    for (const seat of seatMap.seats) {
+      const status = heldIds.has(seat.id) ? 'HELD' : seat.status;
+      summary[status]++;
+
+      if (!sections.has(seat.section)) {
+        sections.set(seat.section, new Map());
+      }
+      const rows = sections.get(seat.section);
+      if (!rows.has(seat.row)) {
+        rows.set(seat.row, []);
+      }
+      rows.get(seat.row).push({
+        id: seat.id,
+        number: seat.number,
+        ticketType: seat.ticketType,
+        price: seatMap.campaign.ticketTypes[seat.ticketType]?.price,
+        status
+      });
+    }
+
+    return {
+      seatMap: { id: seatMap.id, name: seatMap.name, layout: seatMap.layout },
+      summary,
+      sections: Array.from(sections, ([section, rows]) => ({
+        name: section,
+        rows: Array.from(rows, ([row, seats]) => ({ label: row, seats }))
+      }))
+    };
+  }
+
+  /**
+   * Hold seats for a customer while they check out. Either every seat is held
+   * or none is.
+   */
+  async holdSeats(userId, campaignId, seatIds) {
+    const uniqueIds = [...new Set(seatIds)];
+
+    if (uniqueIds.length === 0 || uniqueIds.length > MAX_SEATS_PER_HOLD) {
+      throw new ValidationError(`Select between 1 and ${MAX_SEATS_PER_HOLD} seats`);
+    }
+
+    const campaign = await prisma.ticketCampaign.findUnique({
+      where: { id: campaignId },
+      select: { id: true, status: true, endDate: true }
+    });
+
+    if (!campaign || campaign.status !== 'ACTIVE' || campaign.endDate < new Date()) {
+      throw new ValidationError('Campaign is not available for booking');
+    }
+
+    const seats = await prisma.seat.findMany({
+      where: { id: { in: uniqueIds }, campaignId }
+    });
+
+    if (seats.length !== uniqueIds.length) {
+      throw new NotFoundError('Seat');
+    }
+
+    const unavailable = seats.filter(seat => seat.status !== 'AVAILABLE');
+    if (unavailable.length > 0) {
+      throw new InventoryError(`Seats no longer available: ${unavailable.map(seat => this.formatSeat(seat)).join(', ')}`);
+    }
+
+    const holdSeconds = config.seating.holdSeconds;
+    const holds = await this._getHolds(userId, campaignId);
+    const acquired = {};
+
+    for (const seat of seats) {
+      const resource = this._seatResource(campaignId, seat.id);
+
+      // Re-holding a seat the customer already holds just extends it
+      if (holds[seat.id] && await lock.isHeldBy(resource, holds[seat.id])) {
+        await lock.release(resource, holds[seat.id]);
+      }
+
+      const token = await lock.acquire(resource, holdSeconds);
+      if (!token) {
+        await Promise.all(
+          Object.entries(acquired).map(([seatId, t]) => lock.release(this._seatResource(campaignId, seatId), t))
+        );
+        throw new InventoryError(`Seat ${this.formatSeat(seat)} is being held by another customer`);
+      }
+      acquired[seat.id] = token;
+    }
+
+    await cache.set(this._holdsKey(userId, campaignId), { ...holds, ...acquired }, holdSeconds);
+
+    logger.info('Seats held', { userId, campaignId, seats: uniqueIds.length });
+
+    return {
+      seats: seats.map(seat => ({ id: seat.id, label: this.formatSeat(seat), ticketType: seat.ticketType })),
+      expiresAt: new Date(Date.now() + holdSeconds * 1000)
+    };
+  }
+
+  /**
+   * Release a customer's seat holds (all of them when no seat IDs are given)
+   */
+  async releaseHolds(userId, campaignId, seatIds = null) {
+    const holds = await this._getHolds(userId, campaignId);
+    const toRelease = seatIds ? seatIds.filter(id => holds[id]) : Object.keys(holds);
+
+    await Promise.all(
+      toRelease.map(seatId => lock.release(this._seatResource(campaignId, seatId), holds[seatId]))
+    );
+
+    const remaining = Object.fromEntries(
+      Object.entries(holds).filter(([seatId]) => !toRelease.includes(seatId))
+    );
+
+    if (Object.keys(remaining).length > 0) {
+      await cache.set(this._holdsKey(userId, campaignId), remaining, config.seating.holdSeconds);
+    } else {
+      await cache.delete(this._holdsKey(userId, campaignId));
+    }
+
+    return { released: toRelease.length };
+  }
+
+  /**
+   * Turn a customer's held seats into a reservation for a booking. Must run in
+   * the booking transaction; the Redis holds are released after commit.
+   */
+  async reserveHeldSeats(tx, { userId, campaignId, ticketType, seatIds, bookingId }) {
+    const holds = await this._getHolds(userId, campaignId);
+
+    for (const seatId of seatIds) {
+      const token = holds[seatId];
+      if (!token || !(await lock.isHeldBy(this._seatResource(campaignId, seatId), token))) {
+        throw new InventoryError('Seat hold has expired, please select your seats again');
+      }
+    }
+
+    const result = await tx.seat.updateMany({
+      where: {
+        id: { in: seatIds },
+        campaignId,
+        ticketType,
+        status: 'AVAILABLE'
+      },
+      data: { status: 'RESERVED', bookingId }
+    });
+
+    if (result.count !== seatIds.length) {
+      throw new InventoryError(`Selected seats are not available as ${ticketType} tickets`);
+    }
+  }
+
+  /**
+   * Ticket types of a campaign that are sold as reserved seats, with the number
+   * of sellable (non-blocked) seats in each
+   */
+  async getSeatedTicketTypes(campaignId, client = prisma) {
+    const tiers = await client.seat.groupBy({
+      by: ['ticketType'],
+      where: { campaignId, status: { not: 'BLOCKED' } },
+      _count: { id: true }
+    });
+
+    return Object.fromEntries(tiers.map(tier => [tier.ticketType, tier._count.id]));
+  }
+
+  /**
+   * Keep seated tiers' quantities pinned to their seat counts when a seller
+   * edits ticket types
+   */
+  async applySeatCounts(campaignId, ticketTypes) {
+    const seatCounts = await this.getSeatedTicketTypes(campaignId);
+    return this._applySeatCounts(ticketTypes, seatCounts);
+  }
+
+  formatSeat(seat) {
+    return `${seat.section} · Row ${seat.row} · Seat ${seat.number}`;
+  }
+
+  // Private helper methods
+  async _getOwnedCampaign(sellerId, campaignId) {
+    const campaign = await prisma.ticketCampaign.findUnique({
+      where: { id: campaignId },
+      select: { id: true, sellerId: true, status: true, ticketTypes: true, isMultiSession: true }
+    });
+
+    if (!campaign) {
+      throw new NotFoundError('Campaign');
+    }
+
+    if (campaign.sellerId !== sellerId) {
+      throw new AuthorizationError('You can only manage seat maps for your own campaigns');
+    }
+
+    return campaign;
+  }
+
+  _expandSections(campaign, sections) {
+    const seats = [];
+    const seen = new Set();
+
+    for (const section of sections) {
+      for (const row of section.rows) {
+        const ticketType = row.ticketType || section.ticketType;
+
+        if (!campaign.ticketTypes[ticketType]) {
+          throw new ValidationError(`Unknown ticket type ${ticketType} in section ${section.name}`);
+        }
+
+        const numbers = Array.isArray(row.seats)
+          ? row.seats.map(String)
+          : Array.from({ length: row.seats }, (_, i) => String(i + 1));
+
+        for (const number of numbers) {
+          const key = `${section.name}|${row.label}|${number}`;
+          if (seen.has(key)) {
+            throw new ValidationError(`Duplicate seat ${section.name} ${row.label}-${number}`);
+          }
+          seen.add(key);
+
+          seats.push({
+            section: section.name,
+            row: String(row.label),
+            number,
+            ticketType,
+            status: (row.blocked || []).map(String).includes(number) ? 'BLOCKED' : 'AVAILABLE'
+          });
+        }
+      }
+    }
+
+    if (seats.length === 0) {
+      throw new ValidationError('Seat map must contain at least one seat');
+    }
+
+    return seats;
+  }
+
+  _applySeatCounts(ticketTypes, seatCounts) {
+    const updated = { ...ticketTypes };
+    for (const [type, count] of Object.entries(seatCounts)) {
+      if (updated[type]) {
+        updated[type] = { ...updated[type], quantity: count };
+      }
+    }
+    return updated;
+  }
+
+  async _getHolds(userId, campaignId) {
+    return (await cache.get(this._holdsKey(userId, campaignId))) || {};
+  }
+
+  _holdsKey(userId, campaignId) {
+    return `seatholds:${campaignId}:${userId}`;
+  }
+
+  _seatResource(campaignId, seatId) {
+    return `seat:${campaignId}:${seatId}`;
+  }
+}
+
+export default new SeatMapService();
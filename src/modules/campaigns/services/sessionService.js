@@ -0,0 +1,357 @@
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import config from '../../../config/index.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+  BookingError,
+  InventoryError
+} from '../../../shared/errors/AppError.js';
+
+/**
+ * Sessions (dated occurrences) of multi-session campaigns: a bar night, a tour
+ * slot or a hotel date sold under one campaign.
+ *
+ * A campaign becomes multi-session when its first session is added. From then on
+ * every booking picks a session, tickets only admit at their session, and the
+ * campaign's eventDate follows its last scheduled session. Ticket type quantities
+ * remain the campaign-wide inventory; a session's capacity caps how many of those
+ * tickets it admits.
+ */
+class SessionService {
+  /**
+   * Add sessions to a campaign
+   */
+  async createSessions(sellerId, campaignId, sessions) {
+    const campaign = await this._getOwnedCampaign(sellerId, campaignId);
+
+    if (['ENDED', 'CANCELLED'].includes(campaign.status)) {
+      throw new ConflictError(`Sessions cannot be added to a ${campaign.status.toLowerCase()} campaign`);
+    }
+
+    if (campaign.seatMap) {
+      throw new ConflictError('Campaigns with reserved seating cannot have sessions');
+    }
+
+    // A campaign already sold as a single event cannot be split afterwards
+    if (!campaign.isMultiSession && campaign.soldQuantity > 0) {
+      throw new ConflictError('Tickets have already been sold for this campaign as a single event');
+    }
+
+    const data = sessions.map(session => this._buildSessionData(campaign, session));
+
+    const created = await prisma.$transaction(async (tx) => {
+      const rows = [];
+      for (const session of data) {
+        rows.push(await tx.campaignSession.create({
+          data: { ...session, campaignId }
+        }));
+      }
+
+      await tx.ticketCampaign.update({
+        where: { id: campaignId },
+        data: { isMultiSession: true }
+      });
+      await this._syncEventDate(tx, campaignId);
+
+      return rows;
+    });
+
+    logger.info('Campaign sessions created', { campaignId, sellerId, count: created.length });
+
+    return created;
+  }
+
+  /**
+   * Upcoming scheduled sessions with their remaining capacity and prices
+   */
+  async getCampaignSessions(campaignId, filters = {}) {
+    const { from, to } = filters;
+
+    const campaign = await prisma.ticketCampaign.findUnique({
+      where: { id: campaignId },
+      select: { id: true, ticketTypes: true }
+    });
+
+    if (!campaign) {
+      throw new NotFoundError('Campaign');
+    }
+
+    const sessions = await prisma.campaignSession.findMany({
+      where: {
+        campaignId,
+        status: 'SCHEDULED',
+        startsAt: {
+          gte: from ? new Date(from) : new Date(),
+          ...(to && { lte: new Date(to) })
+        }
+      },
+      orderBy: { startsAt: 'asc' }
+    });
+
+    return sessions.map(session => this.present(session, campaign));
+  }
+
+  /**
+   * Reschedule or change a session's capacity and prices
+   */
+  async updateSession(sellerId, campaignId, sessionId, updates) {
+    const campaign = await this._getOwnedCampaign(sellerId, campaignId);
+    const session = await this._getSession(campaignId, sessionId);
+
+    if (session.status === 'CANCELLED') {
+      throw new ConflictError('Cancelled sessions cannot be changed');
+    }
+
+    const data = this._buildSessionData(campaign, {
+      startsAt: session.startsAt,
+      endsAt: session.endsAt,
+      label: session.label,
+      capacity: session.capacity,
+      priceOverrides: session.priceOverrides,
+      ...updates
+    }, { rescheduled: updates.startsAt !== undefined });
+
+    if (data.capacity !== null && data.capacity < session.sold) {
+      throw new ValidationError(`Capacity cannot be below the ${session.sold} tickets already sold for this session`);
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const row = await tx.campaignSession.update({
+        where: { id: sessionId },
+        data
+      });
+      await this._syncEventDate(tx, campaignId);
+      return row;
+    });
+
+    logger.info('Campaign session updated', { campaignId, sessionId, sellerId });
+
+    return updated;
+  }
+
+  /**
+   * Cancel a session that has no active bookings
+   */
+  async cancelSession(sellerId, campaignId, sessionId) {
+    await this._getOwnedCampaign(sellerId, campaignId);
+    const session = await this._getSession(campaignId, sessionId);
+
+    if (session.status === 'CANCELLED') {
+      throw new ConflictError('Session is already cancelled');
+    }
+
+    const activeBookings = await prisma.booking.count({
+      where: { sessionId, status: { in: ['PENDING', 'PARTIALLY_PAID', 'CONFIRMED'] } }
+    });
+
+    if (activeBookings > 0) {
+      throw new ConflictError(`Session has ${activeBookings} active booking(s). Cancel or move them first.`);
+    }
+
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const row = await tx.campaignSession.update({
+        where: { id: sessionId },
+        data: { status: 'CANCELLED' }
+      });
+      await this._syncEventDate(tx, campaignId);
+      return row;
+    });
+
+    logger.info('Campaign session cancelled', { campaignId, sessionId, sellerId });
+
+    return cancelled;
+  }
+
+  /**
+   * Take `quantity` places in the booked session. Campaigns without sessions
+   * return null. Door sales pass `allowStarted` to keep selling once a session
+   * has begun. Runs inside the caller's transaction.
+   */
+  async reserveSession(tx, campaign, sessionId, quantity, { allowStarted = false } = {}) {
+    if (!campaign.isMultiSession) {
+      if (sessionId) {
+        throw new ValidationError('This campaign is not sold by session');
+      }
+      return null;
+    }
+
+    if (!sessionId) {
+      throw new ValidationError('Choose a session for this campaign');
+    }
+
+    const session = await tx.campaignSession.findUnique({ where: { id: sessionId } });
+
+    if (!session || session.campaignId !== campaign.id || session.status !== 'SCHEDULED') {
+      throw new NotFoundError('Session');
+    }
+
+    if (!allowStarted && session.startsAt <= new Date()) {
+      throw new BookingError('This session has already started');
+    }
+
+    // Conditional increment so concurrent bookings of different ticket types cannot oversell
+    const updated = await tx.$executeRaw`
+      UPDATE "campaign_sessions"
+      SET "sold" = "sold" + ${quantity}, "updatedAt" = NOW()
+      WHERE "id" = ${sessionId}
+        AND ("capacity" IS NULL OR "sold" + ${quantity} <= "capacity")
+    `;
+
+    if (updated === 0) {
+      throw new InventoryError(`Only ${Math.max(0, session.capacity - session.sold)} places left in this session`);
+    }
+
+    return session;
+  }
+
+  /**
+   * Give back places in a session when its booking is cancelled or expires
+   */
+  async releaseSession(tx, sessionId, quantity) {
+    if (!sessionId) return;
+
+    await tx.campaignSession.updateMany({
+      where: { id: sessionId, sold: { gte: quantity } },
+      data: { sold: { decrement: quantity } }
+    });
+  }
+
+  /**
+   * Ticket type details with the session's price override applied
+   */
+  applyPriceOverride(session, ticketType, ticketTypeInfo) {
+    const price = session?.priceOverrides?.[ticketType];
+    return price === undefined ? ticketTypeInfo : { ...ticketTypeInfo, price };
+  }
+
+  /**
+   * Reject a ticket scanned at the wrong session. `scannerSessionId` is the
+   * session the scanner is checking in, when it says.
+   */
+  assertAdmissible(session, scannerSessionId, at = new Date()) {
+    if (!session) return;
+
+    if (scannerSessionId && scannerSessionId !== session.id) {
+      throw new ConflictError(`Ticket is for a different session (${this.describe(session)})`);
+    }
+
+    if (session.status === 'CANCELLED') {
+      throw new ConflictError('This session has been cancelled');
+    }
+
+    const windowMs = config.sessions.entryWindowMinutes * 60 * 1000;
+    const opensAt = new Date(session.startsAt.getTime() - windowMs);
+    const closesAt = session.endsAt || new Date(session.startsAt.getTime() + windowMs);
+
+    if (at < opensAt || at > closesAt) {
+      throw new ConflictError(`Ticket is for the session on ${this.describe(session)}`);
+    }
+  }
+
+  /**
+   * Session with its effective prices and remaining places, for API responses
+   */
+  present(session, campaign) {
+    const prices = Object.fromEntries(
+      Object.entries(campaign.ticketTypes).map(([type, info]) => [type, this.applyPriceOverride(session, type, info).price])
+    );
+
+    return {
+      ...session,
+      prices,
+      available: session.capacity === null ? null : Math.max(0, session.capacity - session.sold)
+    };
+  }
+
+  describe(session) {
+    const when = new Date(session.startsAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    return session.label ? `${session.label}, ${when}` : when;
+  }
+
+  // Private helper methods
+  async _getOwnedCampaign(sellerId, campaignId) {
+    const campaign = await prisma.ticketCampaign.findUnique({
+      where: { id: campaignId },
+      select: {
+        id: true,
+        sellerId: true,
+        status: true,
+        ticketTypes: true,
+        endDate: true,
+        soldQuantity: true,
+        isMultiSession: true,
+        seatMap: { select: { id: true } }
+      }
+    });
+
+    if (!campaign) {
+      throw new NotFoundError('Campaign');
+    }
+
+    if (campaign.sellerId !== sellerId) {
+      throw new AuthorizationError('You can only manage sessions for your own campaigns');
+    }
+
+    return campaign;
+  }
+
+  async _getSession(campaignId, sessionId) {
+    const session = await prisma.campaignSession.findUnique({ where: { id: sessionId } });
+
+    if (!session || session.campaignId !== campaignId) {
+      throw new NotFoundError('Session');
+    }
+
+    return session;
+  }
+
+  _buildSessionData(campaign, { startsAt, endsAt, label, capacity, priceOverrides }, { rescheduled = true } = {}) {
+    const start = new Date(startsAt);
+    const end = endsAt ? new Date(endsAt) : null;
+
+    if (rescheduled && start <= new Date()) {
+      throw new ValidationError('Sessions must start in the future');
+    }
+
+    if (start > new Date(campaign.endDate)) {
+      throw new ValidationError('Sessions must start before the campaign ends');
+    }
+
+    if (end && end <= start) {
+      throw new ValidationError('Session end must be after its start');
+    }
+
+    const unknownTypes = Object.keys(priceOverrides || {}).filter(type => !campaign.ticketTypes[type]);
+    if (unknownTypes.length > 0) {
+      throw new ValidationError(`Unknown ticket type(s) in price overrides: ${unknownTypes.join(', ')}`);
+    }
+
+    return {
+      startsAt: start,
+      endsAt: end,
+      label: label || null,
+      capacity: capacity ?? null,
+      priceOverrides: priceOverrides || {}
+    };
+  }
+
+  // eventDate follows the last scheduled session so bookability and listings keep working
+  async _syncEventDate(tx, campaignId) {
+    const last = await tx.campaignSession.findFirst({
+      where: { campaignId, status: 'SCHEDULED' },
+      orderBy: { startsAt: 'desc' }
+    });
+
+    if (last) {
+      await tx.ticketCampaign.update({
+        where: { id: campaignId },
+        data: { eventDate: last.startsAt }
+      });
+    }
+  }
+}
+
+export default new SessionService();
@@ -1,5 +1,8 @@
 import { body, param, query, validationResult } from 'express-validator';
 import { ValidationError } from '../../../shared/errors/AppError.js';
+import refundPolicyService from '../services/refundPolicyService.js';
+import checkoutQuestionService from '../services/checkoutQuestionService.js';
+import paymentPlanService from '../services/paymentPlanService.js';
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -138,6 +141,65 @@ export const validateCampaign = [
     .optional()
     .isInt({ min: 1, max: 100 }).withMessage('Max scans per ticket must be between 1 and 100'),
   
+  body('paymentDeadlineMinutes')
+    .optional()
+    .isInt({ min: 5, max: 1440 }).withMessage('Payment deadline must be between 5 and 1440 minutes')
+    .toInt(),
+  
+  body('allowTransfers')
+    .optional()
+    .isBoolean().withMessage('allowTransfers must be a boolean')
+    .toBoolean(),
+  
+  body('transferLockHours')
+    .optional()
+    .isInt({ min: 0, max: 720 }).withMessage('Transfer lock must be between 0 and 720 hours')
+    .toInt(),
+  
+  body('allowResale')
+    .optional()
+    .isBoolean().withMessage('allowResale must be a boolean')
+    .toBoolean(),
+  
+  body('resalePriceCapPercent')
+    .optional()
+    .isInt({ min: 50, max: 300 }).withMessage('Resale price cap must be between 50% and 300% of face value')
+    .toInt(),
+  
+  body('resaleRoyaltyPercent')
+    .optional()
+    .isFloat({ min: 0, max: 50 }).withMessage('Resale royalty must be between 0% and 50%')
+    .toFloat(),
+  
+  body('refundPolicy')
+    .optional({ nullable: true })
+    .isObject().withMessage('Refund policy must be an object')
+    .custom((value) => {
+      refundPolicyService.normalize(value);
+      return true;
+    }),
+  
+  body('requireAttendeeDetails')
+    .optional()
+    .isBoolean().withMessage('requireAttendeeDetails must be a boolean')
+    .toBoolean(),
+  
+  body('checkoutQuestions')
+    .optional({ nullable: true })
+    .isArray({ max: 20 }).withMessage('Checkout questions must be an array of at most 20 questions')
+    .custom((value) => {
+      checkoutQuestionService.normalize(value);
+      return true;
+    }),
+  
+  body('paymentPlans')
+    .optional({ nullable: true })
+    .isArray({ max: 5 }).withMessage('Payment plans must be an array of at most 5 plans')
+    .custom((value) => {
+      paymentPlanService.normalize(value);
+      return true;
+    }),
+  
   body('tags')
     .optional()
     .isArray().withMessage('Tags must be an array')
@@ -190,6 +252,65 @@ export const validateCampaignUpdate = [
     .optional()
     .isInt({ min: 1, max: 100 }).withMessage('Max per customer must be between 1 and 100'),
   
+  body('paymentDeadlineMinutes')
+    .optional()
+    .isInt({ min: 5, max: 1440 }).withMessage('Payment deadline must be between 5 and 1440 minutes')
+    .toInt(),
+  
+  body('allowTransfers')
+    .optional()
+    .isBoolean().withMessage('allowTransfers must be a boolean')
+    .toBoolean(),
+  
+  body('transferLockHours')
+    .optional()
+    .isInt({ min: 0, max: 720 }).withMessage('Transfer lock must be between 0 and 720 hours')
+    .toInt(),
+  
+  body('allowResale')
+    .optional()
+    .isBoolean().withMessage('allowResale must be a boolean')
+    .toBoolean(),
+  
+  body('resalePriceCapPercent')
+    .optional()
+    .isInt({ min: 50, max: 300 }).withMessage('Resale price cap must be between 50% and 300% of face value')
+    .toInt(),
+  
+  body('resaleRoyaltyPercent')
+    .optional()
+    .isFloat({ min: 0, max: 50 }).withMessage('Resale royalty must be between 0% and 50%')
+    .toFloat(),
+  
+  body('refundPolicy')
+    .optional({ nullable: true })
+    .isObject().withMessage('Refund policy must be an object')
+    .custom((value) => {
+      refundPolicyService.normalize(value);
+      return true;
+    }),
+  
+  body('requireAttendeeDetails')
+    .optional()
+    .isBoolean().withMessage('requireAttendeeDetails must be a boolean')
+    .toBoolean(),
+  
+  body('checkoutQuestions')
+    .optional({ nullable: true })
+    .isArray({ max: 20 }).withMessage('Checkout questions must be an array of at most 20 questions')
+    .custom((value) => {
+      checkoutQuestionService.normalize(value);
+      return true;
+    }),
+  
+  body('paymentPlans')
+    .optional({ nullable: true })
+    .isArray({ max: 5 }).withMessage('Payment plans must be an array of at most 5 plans')
+    .custom((value) => {
+      paymentPlanService.normalize(value);
+      return true;
+    }),
+  
   body('endDate')
     .optional()
     .isISO8601().withMessage('Invalid end date format'),
@@ -224,6 +345,10 @@ export const validateCampaignQuery = [
     .isIn(['DRAFT', 'ACTIVE', 'PAUSED', 'ENDED', 'CANCELLED'])
     .withMessage('Invalid status'),
   
+  query('sessionDate')
+    .optional()
+    .isISO8601().withMessage('Session date must be a valid date'),
+  
   query('sortBy')
     .optional()
     .isIn(['eventDate', 'createdAt', 'title', 'totalQuantity'])
@@ -235,4 +360,228 @@ export const validateCampaignQuery = [
     .withMessage('Sort order must be asc or desc'),
   
   handleValidationErrors,
-];
\ No newline at end of file
+];
+export const validatePromoCode = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Code is required')
+    .matches(/^[A-Za-z0-9]{3,20}$/).withMessage('Code must be 3-20 alphanumeric characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  
+  body('type')
+    .notEmpty().withMessage('Discount type is required')
+    .isIn(['PERCENTAGE', 'FIXED_AMOUNT']).withMessage('Invalid discount type'),
+  
+  body('value')
+    .notEmpty().withMessage('Discount value is required')
+    .isFloat({ gt: 0 }).withMessage('Discount value must be greater than zero')
+    .toFloat(),
+  
+  body('scope')
+    .optional()
+    .isIn(['CAMPAIGN', 'GLOBAL']).withMessage('Scope must be CAMPAIGN or GLOBAL'),
+  
+  body('maxUses')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Max uses must be a positive integer')
+    .toInt(),
+  
+  body('maxUsesPerUser')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Max uses per user must be a positive integer')
+    .toInt(),
+  
+  body('ticketTypes')
+    .optional()
+    .isArray().withMessage('Ticket types must be an array'),
+  
+  body('validFrom')
+    .notEmpty().withMessage('Valid from date is required')
+    .isISO8601().withMessage('Invalid valid from date format'),
+  
+  body('validUntil')
+    .notEmpty().withMessage('Valid until date is required')
+    .isISO8601().withMessage('Invalid valid until date format'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors,
+];
+
+export const validatePromoCodeUpdate = [
+  body('code')
+    .not().exists().withMessage('Promo code cannot be changed'),
+  
+  body('scope')
+    .not().exists().withMessage('Promo code scope cannot be changed'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(['PERCENTAGE', 'FIXED_AMOUNT']).withMessage('Invalid discount type'),
+  
+  body('value')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Discount value must be greater than zero')
+    .toFloat(),
+  
+  body('maxUses')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Max uses must be a positive integer')
+    .toInt(),
+  
+  body('maxUsesPerUser')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Max uses per user must be a positive integer')
+    .toInt(),
+  
+  body('ticketTypes')
+    .optional()
+    .isArray().withMessage('Ticket types must be an array'),
+  
+  body('validFrom')
+    .optional()
+    .isISO8601().withMessage('Invalid valid from date format'),
+  
+  body('validUntil')
+    .optional()
+    .isISO8601().withMessage('Invalid valid until date format'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors,
+];
+
+export const validateSeatMap = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Seat map name is required')
+    .isLength({ max: 200 }).withMessage('Seat map name must be at most 200 characters'),
+  
+  body('layout')
+    .optional()
+    .isObject().withMessage('Layout must be an object'),
+  
+  body('sections')
+    .isArray({ min: 1 }).withMessage('At least one section is required'),
+  
+  body('sections.*.name')
+    .trim()
+    .notEmpty().withMessage('Section name is required'),
+  
+  body('sections.*.rows')
+    .isArray({ min: 1 }).withMessage('Each section needs at least one row'),
+  
+  body('sections.*.rows.*.label')
+    .notEmpty().withMessage('Row label is required'),
+  
+  body('sections.*.rows.*.seats')
+    .custom((value) => {
+      if (Number.isInteger(value) && value >= 1 && value <= 500) return true;
+      if (Array.isArray(value) && value.length > 0 && value.length <= 500) return true;
+      throw new Error('Row seats must be a count (1-500) or a list of seat numbers');
+    }),
+  
+  body('sections.*')
+    .custom((section) => {
+      const missingTier = section.rows?.some(row => !row.ticketType && !section.ticketType);
+      if (missingTier) {
+        throw new Error(`Ticket type is required for every row in section ${section.name}`);
+      }
+      return true;
+    }),
+  
+  handleValidationErrors,
+];
+
+export const validateSeatHold = [
+  body('seatIds')
+    .isArray({ min: 1, max: 20 }).withMessage('Select between 1 and 20 seats'),
+  
+  body('seatIds.*')
+    .isString().notEmpty().withMessage('Invalid seat ID'),
+  
+  handleValidationErrors,
+];
+
+const validatePriceOverrides = (value) => {
+  if (value === null) return true;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Price overrides must map ticket types to prices');
+  }
+  for (const price of Object.values(value)) {
+    if (typeof price !== 'number' || price < 0) {
+      throw new Error('Override prices must be non-negative numbers');
+    }
+  }
+  return true;
+};
+
+export const validateSessions = [
+  body('sessions')
+    .isArray({ min: 1, max: 200 }).withMessage('Provide between 1 and 200 sessions'),
+  
+  body('sessions.*.startsAt')
+    .notEmpty().withMessage('Session start is required')
+    .isISO8601().withMessage('Invalid session start format'),
+  
+  body('sessions.*.endsAt')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Invalid session end format'),
+  
+  body('sessions.*.label')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Session label must be at most 100 characters'),
+  
+  body('sessions.*.capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Session capacity must be a positive integer')
+    .toInt(),
+  
+  body('sessions.*.priceOverrides')
+    .optional({ nullable: true })
+    .custom(validatePriceOverrides),
+  
+  handleValidationErrors,
+];
+
+export const validateSessionUpdate = [
+  body('startsAt')
+    .optional()
+    .isISO8601().withMessage('Invalid session start format'),
+  
+  body('endsAt')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Invalid session end format'),
+  
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Session label must be at most 100 characters'),
+  
+  body('capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Session capacity must be a positive integer')
+    .toInt(),
+  
+  body('priceOverrides')
+    .optional({ nullable: true })
+    .custom(validatePriceOverrides),
+  
+  handleValidationErrors,
+];
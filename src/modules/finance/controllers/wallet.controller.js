@@ -0,0 +1,58 @@
+import prisma from '../../../config/database.js';
+import walletService from '../services/walletService.js';
+
+/**
+ * The signed-in user's store-credit balance and ledger
+ */
+export const getMyWallet = async (req, res) => {
+  const wallet = await walletService.getWallet(req.user.id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: wallet,
+  });
+};
+
+/**
+ * A user's wallet (Admin only)
+ */
+export const getUserWallet = async (req, res) => {
+  const wallet = await walletService.getWallet(req.params.userId, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: wallet,
+  });
+};
+
+/**
+ * Grant goodwill store credit to a user (Admin only)
+ */
+export const grantWalletCredit = async (req, res) => {
+  const { userId } = req.params;
+  const adminId = req.user.id;
+  const { amount, reason } = req.body;
+
+  const entry = await walletService.grantCredit(adminId, userId, { amount, reason });
+
+  await prisma.auditLog.create({
+    data: {
+      userId: adminId,
+      action: 'WALLET_GOODWILL_CREDIT',
+      entity: 'User',
+      entityId: userId,
+      metadata: {
+        walletEntryId: entry.id,
+        amount: entry.amount,
+        balanceAfter: entry.balanceAfter,
+        reason,
+      },
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Store credit granted',
+    data: entry,
+  });
+};
@@ -1,6 +1,7 @@
 import express from 'express';
 import { asyncHandler } from '../../../shared/middleware/errorHandler.js';
-import { ensureRoles } from '../../auth/middleware/auth.middleware.js';
+import { idempotency } from '../../../shared/middleware/idempotency.js';
+import { ensureAuthenticated, ensureRoles } from '../../auth/middleware/auth.middleware.js';
 import {
   getFinancialDashboard,
   addWithdrawalMethod,
@@ -11,6 +12,12 @@ import {
   getRevenueAnalytics,
   verifyWithdrawalMethod,
 } from '../controllers/finance.controller.js';
+import {
+  getMyWallet,
+  getUserWallet,
+  grantWalletCredit,
+} from '../controllers/wallet.controller.js';
+import { validateWalletQuery, validateGoodwillCredit } from '../validators/wallet.validator.js';
 
 const router = express.Router();
 
@@ -22,14 +29,19 @@ router.post('/withdrawal-methods', ensureRoles('SELLER'), asyncHandler(addWithdr
 router.delete('/withdrawal-methods/:methodId', ensureRoles('SELLER'), asyncHandler(removeWithdrawalMethod));
 
 // Withdrawals
-router.post('/withdrawals', ensureRoles('SELLER'), asyncHandler(requestWithdrawal));
+router.post('/withdrawals', ensureRoles('SELLER'), idempotency(), asyncHandler(requestWithdrawal));
 router.get('/withdrawals', ensureRoles('SELLER'), asyncHandler(getWithdrawalHistory));
 
 // Transactions and analytics
 router.get('/transactions', ensureRoles('SELLER'), asyncHandler(getTransactionHistory));
 router.get('/analytics', ensureRoles('SELLER'), asyncHandler(getRevenueAnalytics));
 
+// Store-credit wallet (any signed-in user)
+router.get('/wallet', ensureAuthenticated, validateWalletQuery, asyncHandler(getMyWallet));
+
 // Admin routes
 router.post('/withdrawal-methods/:methodId/verify', ensureRoles('SUPER_ADMIN'), asyncHandler(verifyWithdrawalMethod));
+router.get('/wallets/:userId', ensureRoles('SUPER_ADMIN'), validateWalletQuery, asyncHandler(getUserWallet));
+router.post('/wallets/:userId/credit', ensureRoles('SUPER_ADMIN'), validateGoodwillCredit, asyncHandler(grantWalletCredit));
 
 export default router;
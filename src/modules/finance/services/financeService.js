@@ -811,7 +811,10 @@ class financeService {
       _sum: { amount: true }
     });
 
-    const getSum = (type) => periodMetrics.find(m => m.type === type)?._sum.amount || 0;
+    const getSum = (type) => Number(periodMetrics.find(m => m.type === type)?._sum.amount || 0);
+
+    // Door sales are collected by the seller directly and never reach the balances
+    const revenue = getSum('SALE') + getSum('DOOR_SALE');
 
     return {
       currentBalance: {
@@ -820,11 +823,17 @@ class financeService {
         total: finance.totalEarnings,
         withdrawn: finance.withdrawnAmount
       },
+      salesByChannel: {
+        online: finance.onlineSales,
+        door: finance.doorSales
+      },
       periodPerformance: {
-        revenue: getSum('SALE'),
+        revenue,
+        onlineRevenue: getSum('SALE'),
+        doorRevenue: getSum('DOOR_SALE'),
         withdrawals: getSum('WITHDRAWAL'),
         refunds: getSum('REFUND'),
-        netIncome: getSum('SALE') - getSum('REFUND')
+        netIncome: revenue - getSum('REFUND')
       }
     };
   }
@@ -838,9 +847,11 @@ async _getRevenueAnalytics(sellerId, period) {
       SELECT 
         DATE("createdAt") as date, 
         SUM(CASE WHEN "type" = 'SALE' THEN "amount" ELSE 0 END) as revenue,
+        SUM(CASE WHEN "type" = 'DOOR_SALE' THEN "amount" ELSE 0 END) as door_revenue,
         SUM(CASE WHEN "type" = 'REFUND' THEN "amount" ELSE 0 END) as refunds,
         SUM(CASE WHEN "type" = 'WITHDRAWAL' THEN "amount" ELSE 0 END) as withdrawals,
-        COUNT(CASE WHEN "type" = 'SALE' THEN 1 END) as sales_count
+        COUNT(CASE WHEN "type" = 'SALE' THEN 1 END) as sales_count,
+        COUNT(CASE WHEN "type" = 'DOOR_SALE' THEN 1 END) as door_sales_count
       FROM "transactions"
       WHERE "userId" = ${sellerId} 
         AND "createdAt" >= ${startDate}
@@ -0,0 +1,266 @@
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import { generateUniqueId } from '../../../shared/utils/encryption.js';
+import {
+  ValidationError,
+  NotFoundError
+} from '../../../shared/errors/AppError.js';
+
+const MAX_GOODWILL_CREDIT = 1000000;
+
+/**
+ * Customer store-credit wallet.
+ *
+ * Every change to a balance goes through `credit` or `debit`, which write a
+ * ledger entry with the balance before and after, so the wallet can always be
+ * reconciled against its entries. Credit comes from refunds and admin goodwill
+ * grants and is spent at checkout; credit applied to a booking that is never
+ * paid for is returned.
+ */
+class WalletService {
+  /**
+   * The user's balance and ledger, newest entries first
+   */
+  async getWallet(userId, filters = {}) {
+    const { page = 1, limit = 20 } = filters;
+    const skip = (page - 1) * limit;
+
+    const wallet = await prisma.wallet.findUnique({ where: { userId } });
+
+    if (!wallet) {
+      return {
+        balance: 0,
+        currency: 'UGX',
+        entries: [],
+        pagination: { page: parseInt(page), limit: parseInt(limit), total: 0, pages: 0 }
+      };
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.walletEntry.findMany({
+        where: { walletId: wallet.id },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' },
+        include: { booking: { select: { bookingRef: true } } }
+      }),
+      prisma.walletEntry.count({ where: { walletId: wallet.id } })
+    ]);
+
+    return {
+      balance: wallet.balance,
+      currency: wallet.currency,
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getBalance(userId, client = prisma) {
+    const wallet = await client.wallet.findUnique({ where: { userId } });
+    return wallet ? Number(wallet.balance) : 0;
+  }
+
+  /**
+   * Goodwill credit granted by an admin
+   */
+  async grantCredit(adminId, userId, { amount, reason }) {
+    const value = this._round(amount);
+
+    if (!(value > 0) || value > MAX_GOODWILL_CREDIT) {
+      throw new ValidationError(`Goodwill credit must be between 0 and ${MAX_GOODWILL_CREDIT}`);
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    const entry = await prisma.$transaction(async (tx) => {
+      return await this.credit(tx, userId, {
+        source: 'GOODWILL',
+        amount: value,
+        createdById: adminId,
+        description: reason
+      });
+    });
+
+    logger.info('Goodwill credit granted', { userId, adminId, amount: value });
+
+    return entry;
+  }
+
+  /**
+   * Add credit and record the ledger entry. Runs inside the caller's transaction.
+   */
+  async credit(tx, userId, { source, amount, bookingId, createdById, description, metadata }) {
+    const value = this._round(amount);
+
+    await tx.wallet.upsert({
+      where: { userId },
+      create: { userId },
+      update: {}
+    });
+
+    const wallet = await tx.wallet.update({
+      where: { userId },
+      data: { balance: { increment: value } }
+    });
+
+    return await this._recordEntry(tx, wallet, { type: 'CREDIT', source, amount: value, bookingId, createdById, description, metadata });
+  }
+
+  /**
+   * Spend credit and record the ledger entry. Fails without touching the
+   * balance when there is not enough credit. Runs inside the caller's transaction.
+   */
+  async debit(tx, userId, { source, amount, bookingId, description, metadata }) {
+    const value = this._round(amount);
+
+    const result = await tx.wallet.updateMany({
+      where: { userId, balance: { gte: value } },
+      data: { balance: { decrement: value } }
+    });
+
+    if (result.count === 0) {
+      throw new ValidationError('Insufficient store credit');
+    }
+
+    const wallet = await tx.wallet.findUnique({ where: { userId } });
+
+    return await this._recordEntry(tx, wallet, { type: 'DEBIT', source, amount: value, bookingId, description, metadata });
+  }
+
+  /**
+   * Apply the customer's credit to a new booking, up to the booking total or the
+   * amount they asked to use. Returns the amount applied.
+   */
+  async applyToBooking(tx, userId, booking, requestedAmount = null) {
+    const balance = await this.getBalance(userId, tx);
+
+    if (balance <= 0) {
+      throw new ValidationError('You have no store credit to apply');
+    }
+
+    const limit = requestedAmount ? Math.min(Number(requestedAmount), balance) : balance;
+    const amount = this._round(Math.min(limit, Number(booking.totalAmount)));
+
+    if (amount <= 0) {
+      return 0;
+    }
+
+    await this.debit(tx, userId, {
+      source: 'CHECKOUT',
+      amount,
+      bookingId: booking.id,
+      description: `Applied to booking ${booking.bookingRef}`
+    });
+
+    await tx.booking.update({
+      where: { id: booking.id },
+      data: { creditApplied: amount }
+    });
+
+    return amount;
+  }
+
+  /**
+   * Return credit applied to a booking that was never paid for
+   */
+  async releaseBookingCredit(tx, booking) {
+    const amount = Number(booking.creditApplied || 0);
+    if (amount <= 0) return null;
+
+    return await this.credit(tx, booking.customerId, {
+      source: 'CHECKOUT_REVERSAL',
+      amount,
+      bookingId: booking.id,
+      description: `Returned from unpaid booking ${booking.bookingRef}`
+    });
+  }
+
+  /**
+   * Pay a booking refund as credit and take it back from the seller's earnings.
+   * The booking must include its campaign.
+   */
+  async refundToWallet(tx, booking, amount, { description, reference, metadata } = {}) {
+    const entry = await this.credit(tx, booking.customerId, {
+      source: 'REFUND',
+      amount,
+      bookingId: booking.id,
+      description: description || `Refund for booking ${booking.bookingRef}`
+    });
+
+    await this.debitSellerForRefund(tx, booking, entry.amount, {
+      reference: reference || generateUniqueId('REF'),
+      description: `Store-credit refund for ${booking.bookingRef}`,
+      metadata
+    });
+
+    return entry;
+  }
+
+  /**
+   * Take a refund back from the seller's earnings. The reference must be unique
+   * among the seller's transactions; the booking's own ref is its sale's.
+   */
+  async debitSellerForRefund(tx, booking, amount, { reference, description, metadata }) {
+    const sellerId = booking.campaign.sellerId;
+    const finance = await tx.finance.findUnique({ where: { sellerId } });
+    if (!finance) return;
+
+    await tx.finance.update({
+      where: { id: finance.id },
+      data: {
+        pendingBalance: { decrement: amount },
+        totalEarnings: { decrement: amount },
+        onlineSales: { decrement: amount }
+      }
+    });
+
+    await tx.transaction.create({
+      data: {
+        financeId: finance.id,
+        userId: sellerId,
+        type: 'REFUND',
+        amount,
+        balanceBefore: finance.pendingBalance,
+        balanceAfter: Number(finance.pendingBalance) - Number(amount),
+        reference,
+        description: description || `Refund for booking ${booking.bookingRef}`,
+        ...(metadata && { metadata })
+      }
+    });
+  }
+
+  // Private helper methods
+  async _recordEntry(tx, wallet, { type, source, amount, bookingId, createdById, description, metadata }) {
+    const balanceAfter = Number(wallet.balance);
+    const balanceBefore = type === 'CREDIT' ? balanceAfter - amount : balanceAfter + amount;
+
+    return await tx.walletEntry.create({
+      data: {
+        walletId: wallet.id,
+        type,
+        source,
+        amount,
+        balanceBefore,
+        balanceAfter,
+        bookingId,
+        createdById,
+        description,
+        ...(metadata && { metadata })
+      }
+    });
+  }
+
+  _round(amount) {
+    return Math.round(Number(amount) * 100) / 100;
+  }
+}
+
+export default new WalletService();
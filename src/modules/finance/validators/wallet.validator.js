@@ -0,0 +1,42 @@
+import { body, query, validationResult } from 'express-validator';
+import { ValidationError } from '../../../shared/errors/AppError.js';
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.param,
+      message: error.msg,
+    }));
+    throw new ValidationError('Validation failed', errorMessages);
+  }
+  next();
+};
+
+export const validateWalletQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors,
+];
+
+export const validateGoodwillCredit = [
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ gt: 0 }).withMessage('Amount must be greater than zero')
+    .toFloat(),
+  
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters'),
+  
+  handleValidationErrors,
+];
@@ -7,25 +7,38 @@ import {
 } from '../../../shared/errors/AppError.js';
 import { generateUniqueId } from '../../../shared/utils/encryption.js';
 import paymentService from '../services/paymentService.js';
-import pesapalProvider from '../providers/pesapal.provider.js';
 import paymentAnalyticsService from '../services/paymentAnalyticsService.js';
+import paymentRoutingService from '../services/paymentRoutingService.js';
+import refundService from '../services/refundService.js';
+import bookingService from '../../bookings/services/bookingService.js';
+import paymentProviders from '../providers/registry.js';
 
 /**
  * Initialize payment using enhanced payment service
  */
 export const initializePayment = async (req, res) => {
-  const { bookingId, currency, paymentMethod, installments, metadata } = req.body;
+  const { bookingId, orderId, resaleListingId, currency, paymentMethod, metadata } = req.body;
   const userId = req.user.id;
 
+  if ([bookingId, orderId, resaleListingId].filter(Boolean).length !== 1) {
+    throw new PaymentError('Provide exactly one of bookingId, orderId or resaleListingId');
+  }
+
   try {
     const options = {
       currency: currency || 'UGX',
       paymentMethod: paymentMethod || 'card',
-      installments: installments || 1,
       metadata: metadata || {}
     };
 
-    const result = await paymentService.initializePayment(bookingId, userId, options);
+    let result;
+    if (orderId) {
+      result = await paymentService.initializeOrderPayment(orderId, userId, options);
+    } else if (resaleListingId) {
+      result = await paymentService.initializeResalePayment(resaleListingId, userId, { ...options, currency });
+    } else {
+      result = await paymentService.initializePayment(bookingId, userId, options);
+    }
 
     // Log audit event
     await prisma.auditLog.create({
@@ -36,6 +49,9 @@ export const initializePayment = async (req, res) => {
         entityId: result.payment.id,
         metadata: {
           bookingId,
+          orderId,
+          resaleListingId,
+          installmentId: result.installment?.id,
           amount: result.payment.amount,
           transactionRef: result.payment.transactionRef,
           paymentMethod: options.paymentMethod
@@ -53,12 +69,18 @@ export const initializePayment = async (req, res) => {
         amount: result.payment.amount,
         currency: result.payment.currency,
         paymentDetails: result.paymentDetails,
+        installment: result.installment && {
+          sequence: result.installment.sequence,
+          amount: result.installment.amount,
+          dueDate: result.installment.dueDate
+        },
         existing: result.existing || false
       }
     });
   } catch (error) {
     logger.error('Payment initialization failed:', {
       bookingId,
+      orderId,
       userId,
       error: error.message
     });
@@ -67,34 +89,24 @@ export const initializePayment = async (req, res) => {
 };
 
 /**
- * Handle Pesapal webhook with enhanced security
+ * Handle a gateway webhook. The legacy route without a provider is Pesapal's.
  */
 export const handleWebhook = async (req, res) => {
-  const { OrderTrackingId, OrderMerchantReference } = req.query;
-  const sourceIP = req.ip;
+  const provider = paymentProviders.get(req.params.provider || 'PESAPAL');
 
-  logger.info('Pesapal IPN received', { OrderTrackingId, OrderMerchantReference, sourceIP });
-
-  if (!OrderTrackingId || !OrderMerchantReference) {
-    logger.warn('Invalid IPN received from Pesapal', { query: req.query });
-    // Still send 200 OK so Pesapal doesn't keep retrying
-    return res.status(200).send(`pesapal_notification_id=${req.query.pesapal_notification_id}&pesapal_tracking_id=${OrderTrackingId}&pesapal_merchant_reference=${OrderMerchantReference}&status=COMPLETED`);
-  }
+  logger.info('Payment webhook received', { provider: provider.name, sourceIP: req.ip });
 
   try {
-    // Pass the query data to the service for processing
-    await paymentService.processWebhook(req.query);
+    await paymentService.processWebhook(provider.name, req);
   } catch (error) {
     logger.error('Webhook processing failed:', {
-      OrderTrackingId,
+      provider: provider.name,
       error: error.message
     });
-    // We catch errors but still respond with success to Pesapal
+    // We catch errors but still acknowledge, so the gateway doesn't keep retrying
   }
 
-  // Pesapal requires a specific response format to acknowledge the IPN
-  const responseText = `pesapal_notification_id=${req.query.pesapal_notification_id}&pesapal_tracking_id=${OrderTrackingId}&pesapal_merchant_reference=${OrderMerchantReference}&status=COMPLETED`;
-  res.status(200).send(responseText);
+  res.status(200).send(provider.webhookAcknowledgement(req));
 };
 
 /**
@@ -232,36 +244,71 @@ export const getFinancialKPIs = async (req, res) => {
 };
 
 /**
- * Enhanced refund processing
+ * Refund requests visible to the user
+ */
+export const listRefundRequests = async (req, res) => {
+  const { status, campaignId, page, limit } = req.query;
+
+  const result = await refundService.listRefundRequests(req.user, { status, campaignId, page, limit });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+};
+
+/**
+ * A single refund request
+ */
+export const getRefundRequest = async (req, res) => {
+  const refundRequest = await refundService.getRefundRequest(req.user, req.params.refundRequestId);
+
+  res.status(200).json({
+    success: true,
+    data: { refundRequest }
+  });
+};
+
+/**
+ * Approve (paying the refund out) or reject a refund request
  */
 export const processRefund = async (req, res) => {
-  const { paymentId } = req.params;
-  const refundData = req.body;
-  
+  const { refundRequestId } = req.params;
+  const { decision, notes } = req.body;
+
   try {
-    const refund = await paymentService.processRefund(paymentId, refundData);
+    const refund = await refundService.reviewRefundRequest(req.user, refundRequestId, { decision, notes });
     
     // Log audit event
     await prisma.auditLog.create({
       data: {
         userId: req.user.id,
-        action: 'REFUND_PROCESSED',
-        entity: 'Payment',
-        entityId: paymentId,
+        action: decision === 'APPROVE' ? 'REFUND_APPROVED' : 'REFUND_REJECTED',
+        entity: 'RefundRequest',
+        entityId: refundRequestId,
         metadata: {
+          bookingId: refund.bookingId,
           refundAmount: refund.amount,
-          reason: refundData.reason
+          refundTo: refund.refundTo,
+          status: refund.status,
+          notes
         }
       }
     });
+
+    const messages = {
+      COMPLETED: 'Refund processed successfully',
+      FAILED: 'The payment provider could not process the refund. You can approve it again later.',
+      REJECTED: 'Refund request rejected'
+    };
     
     res.status(200).json({
       success: true,
-      message: 'Refund processed successfully',
+      message: messages[refund.status],
       data: refund
     });
   } catch (error) {
-    logger.error('Refund processing failed:', { paymentId, refundData, error: error.message });
+    logger.error('Refund processing failed:', { refundRequestId, decision, error: error.message });
     throw error;
   }
 };
@@ -286,12 +333,52 @@ export const reconcilePayments = async (req, res) => {
   }
 };
 
+/**
+ * Payments found by reconciliation that need an admin
+ */
+export const getReconciliationIssues = async (req, res) => {
+  const { status, type, page, limit } = req.query;
+
+  const result = await paymentService.getReconciliationIssues({ status, type, page, limit });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+};
+
+/**
+ * Mark a reconciliation issue as dealt with
+ */
+export const resolveReconciliationIssue = async (req, res) => {
+  const { issueId } = req.params;
+  const { resolution } = req.body;
+
+  const issue = await paymentService.resolveReconciliationIssue(issueId, req.user.id, resolution);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'RECONCILIATION_ISSUE_RESOLVED',
+      entity: 'PaymentReconciliationIssue',
+      entityId: issue.id,
+      metadata: { paymentId: issue.paymentId, type: issue.type, resolution }
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Reconciliation issue resolved',
+    data: { issue }
+  });
+};
+
 
 /**
  * Verify payment status
  */
 export const verifyPayment = async (req, res) => {
-  const { reference } = req.params; // This is our internal transactionRef (Pesapal's OrderMerchantReference)
+  const { reference } = req.params; // Our transactionRef, the merchant reference at the gateway
 
   const payment = await prisma.payment.findUnique({
     where: { transactionRef: reference },
@@ -316,78 +403,15 @@ export const verifyPayment = async (req, res) => {
     throw new NotFoundError('Payment');
   }
 
-  // If the payment status is already resolved (SUCCESS or FAILED) in our database,
-  // return that status directly. No need to check Pesapal again.
-  if (payment.status !== 'PENDING') {
-    return res.status(200).json({
-      success: true,
-      message: `Payment status already ${payment.status}.`,
-      data: {
-        payment: { // Return a subset of payment and booking details
-          id: payment.id,
-          reference: payment.transactionRef,
-          amount: payment.amount,
-          currency: payment.currency,
-          status: payment.status,
-          booking: payment.booking,
-        },
-      },
-    });
-  }
-
-  // If the status is PENDING in our DB, we must verify the latest status with Pesapal.
-  // We need the providerTrackingId (Pesapal's OrderTrackingId) for this.
-  if (payment.providerTrackingId) {
+  // Pending payments are checked with the gateway in case the webhook was missed or delayed
+  if (payment.status === 'PENDING') {
     try {
-      logger.info('Verifying PENDING payment status with Pesapal', { reference, trackingId: payment.providerTrackingId });
-      const statusResult = await pesapalProvider.getTransactionStatus(payment.providerTrackingId);
-      logger.info('Pesapal status verification result', { reference, statusResult });
-
-      // Check Pesapal's authoritative status
-      if (statusResult.payment_status_description === 'Completed') {
-        // Payment is COMPLETED according to Pesapal. Update our record as SUCCESS.
-        // This is a crucial fallback in case the webhook (IPN) was missed or delayed.
-        await prisma.payment.update({
-          where: { id: payment.id },
-          data: {
-            status: 'SUCCESS',
-            verifiedAt: new Date(),
-            paymentMethod: statusResult.payment_method, // Capture the method used
-            webhookData: statusResult, // Store the verification result
-            paymentDetails: { ...payment.paymentDetails, verificationData: statusResult }, // Append verification data
-          },
-        });
-        payment.status = 'SUCCESS'; // Update status for the response object
-        logger.info('Payment status confirmed as SUCCESS via direct verification', { paymentId: payment.id, reference });
-
-      } else if (['Failed', 'Cancelled', 'Invalid'].includes(statusResult.payment_status_description)) {
-        // Payment FAILED according to Pesapal. Update our record.
-        await prisma.payment.update({
-          where: { id: payment.id },
-          data: {
-            status: 'FAILED',
-            failureReason: statusResult.payment_status_description || 'Verification indicated failure',
-            webhookData: statusResult,
-            paymentDetails: { ...payment.paymentDetails, verificationData: statusResult },
-          },
-        });
-        payment.status = 'FAILED'; // Update status for the response object
-        logger.warn('Payment status confirmed as FAILED via direct verification', { paymentId: payment.id, reference, reason: statusResult.payment_status_description });
-
-      }
-      // If Pesapal still reports PENDING ('Pending' status description), we do nothing here.
-      // Our database record remains PENDING, and the frontend will reflect that.
-      // The webhook (IPN) should eventually update it, or the user might retry verification later.
-
+      const verified = await paymentService.verifyPayment(reference);
+      payment.status = verified.status;
     } catch (error) {
-      logger.error('Pesapal status verification failed during verifyPayment:', { reference, trackingId: payment.providerTrackingId, error: error.message });
-      // Don't throw an error to the client. Just log it and return the current PENDING status from our DB.
-      // The frontend should handle the PENDING status appropriately (e.g., asking the user to wait or check again).
+      // Return the current PENDING status; the webhook should still update it
+      logger.error('Status verification failed during verifyPayment:', { reference, provider: payment.provider, error: error.message });
     }
-  } else {
-    // This case should ideally not happen if initialization worked correctly,
-    // but handle it defensively.
-    logger.warn('Cannot verify payment with Pesapal: providerTrackingId is missing.', { paymentId: payment.id, reference });
   }
 
   // Return the current status (which might have been updated above)
@@ -439,6 +463,12 @@ export const getPaymentHistory = async (req, res) => {
             },
           },
         },
+        order: {
+          select: {
+            orderRef: true,
+            totalAmount: true,
+          },
+        },
       },
     }),
     prisma.payment.count({ where }),
@@ -459,22 +489,15 @@ export const getPaymentHistory = async (req, res) => {
 };
 
 /**
- * Request refund for a payment
+ * Request refund for a payment. The request goes to the seller for review.
  */
 export const requestRefund = async (req, res) => {
   const { paymentId } = req.params;
-  const { reason } = req.body;
+  const { reason, amount, refundTo } = req.body;
   const customerId = req.user.id;
 
   const payment = await prisma.payment.findUnique({
     where: { id: paymentId },
-    include: {
-      booking: {
-        include: {
-          campaign: true,
-        },
-      },
-    },
   });
 
   if (!payment) {
@@ -486,129 +509,104 @@ export const requestRefund = async (req, res) => {
     throw new PaymentError('You can only request refund for your own payments');
   }
 
-  // Check payment status
-  if (payment.status !== 'SUCCESS') {
-    throw new PaymentError('Can only refund successful payments');
+  if (!payment.bookingId) {
+    throw new PaymentError('Request refunds for the individual bookings of an order');
   }
 
-  // Check if already refunded
-  if (payment.status === 'REFUNDED') {
-    throw new PaymentError('Payment already refunded');
-  }
+  const refundRequest = await bookingService.requestRefund(payment.bookingId, customerId, { reason, amount, refundTo });
 
-  // Check refund eligibility (e.g., 24 hours before event)
-  const hoursUntilEvent = (payment.booking.campaign.eventDate - new Date()) / (1000 * 60 * 60);
-  if (hoursUntilEvent < 24) {
-    throw new PaymentError('Refunds not allowed within 24 hours of the event');
-  }
+  // Log audit event
+  await prisma.auditLog.create({
+    data: {
+      userId: customerId,
+      action: 'REFUND_REQUESTED',
+      entity: 'Booking',
+      entityId: payment.bookingId,
+      metadata: { refundRequestId: refundRequest.id, paymentId, amount: refundRequest.amount, refundTo: refundRequest.refundTo },
+    },
+  });
 
-  try {
-    // Process refund with Flutterwave
-    const refundPayload = {
-      id: payment.flutterwaveRef,
-      amount: Number(payment.amount),
-      comments: reason,
-    };
+  res.status(200).json({
+    success: true,
+    message: 'Refund request submitted successfully',
+    data: refundRequest,
+  });
+};
 
-    const refundResponse = await flw.Transaction.refund(refundPayload);
-
-    if (refundResponse.status === 'success') {
-      // Update payment and booking status
-      await prisma.$transaction(async (tx) => {
-        // Update payment
-        await tx.payment.update({
-          where: { id: paymentId },
-          data: {
-            status: 'REFUNDED',
-            updatedAt: new Date(),
-          },
-        });
-
-        // Update booking
-        await tx.booking.update({
-          where: { id: payment.bookingId },
-          data: {
-            status: 'CANCELLED',
-            cancelledAt: new Date(),
-            cancellationReason: `Refund requested: ${reason}`,
-          },
-        });
-
-        // Invalidate tickets
-        await tx.ticket.updateMany({
-          where: { bookingId: payment.bookingId },
-          data: { status: 'CANCELLED' },
-        });
-
-        // Update seller finance
-        const finance = await tx.finance.findUnique({
-          where: { sellerId: payment.booking.campaign.sellerId },
-        });
-
-        if (finance) {
-          await tx.finance.update({
-            where: { id: finance.id },
-            data: {
-              pendingBalance: { decrement: payment.amount },
-              totalEarnings: { decrement: payment.amount },
-            },
-          });
-
-          // Create refund transaction
-          await tx.transaction.create({
-            data: {
-              financeId: finance.id,
-              userId: payment.booking.campaign.sellerId,
-              paymentId: payment.id,
-              type: 'REFUND',
-              amount: payment.amount,
-              balanceBefore: finance.pendingBalance,
-              balanceAfter: Number(finance.pendingBalance) - Number(payment.amount),
-              reference: `REF-${payment.transactionRef}`,
-              description: `Refund for ${payment.booking.campaign.title}`,
-            },
-          });
-        }
+/**
+ * Payment gateways and the currencies they accept
+ */
+export const listPaymentProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { providers: paymentProviders.list(), defaultProvider: config.payment.defaultProvider },
+  });
+};
 
-        // Restore inventory
-        const ticketTypes = payment.booking.campaign.ticketTypes;
-        ticketTypes[payment.booking.ticketType].sold -= payment.booking.quantity;
+/**
+ * Gateway routes visible to the seller or admin
+ */
+export const getPaymentRoutes = async (req, res) => {
+  const routes = await paymentRoutingService.listRoutes(req.user, { sellerId: req.query.sellerId });
 
-        await tx.ticketCampaign.update({
-          where: { id: payment.booking.campaignId },
-          data: {
-            ticketTypes,
-            soldQuantity: payment.booking.campaign.soldQuantity - payment.booking.quantity,
-          },
-        });
-      });
-
-      // Log audit event
-      await prisma.auditLog.create({
-        data: {
-          userId: customerId,
-          action: 'PAYMENT_REFUNDED',
-          entity: 'Payment',
-          entityId: paymentId,
-          metadata: { reason },
-        },
-      });
+  res.status(200).json({
+    success: true,
+    data: { routes },
+  });
+};
 
-      logger.info('Refund processed', { paymentId, customerId, amount: payment.amount });
+/**
+ * Choose the gateway for a seller (or the platform), currency and venue country
+ */
+export const setPaymentRoute = async (req, res) => {
+  const { route, previousProvider } = await paymentRoutingService.setRoute(req.user, req.body);
 
-      res.status(200).json({
-        success: true,
-        message: 'Refund processed successfully',
-        data: {
-          paymentId,
-          refundStatus: 'SUCCESS',
-        },
-      });
-    } else {
-      throw new PaymentError('Refund processing failed');
-    }
-  } catch (error) {
-    logger.error('Refund error:', error);
-    throw new PaymentError('Failed to process refund');
-  }
-};
\ No newline at end of file
+  await prisma.auditLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'PAYMENT_ROUTE_SET',
+      entity: 'PaymentProviderRoute',
+      entityId: route.id,
+      metadata: {
+        sellerId: route.sellerId,
+        currency: route.currency,
+        country: route.country,
+        provider: route.provider,
+        previousProvider,
+      },
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment route saved',
+    data: { route },
+  });
+};
+
+/**
+ * Remove a gateway route
+ */
+export const deletePaymentRoute = async (req, res) => {
+  const route = await paymentRoutingService.deleteRoute(req.user, req.params.routeId);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: req.user.id,
+      action: 'PAYMENT_ROUTE_DELETED',
+      entity: 'PaymentProviderRoute',
+      entityId: route.id,
+      metadata: {
+        sellerId: route.sellerId,
+        currency: route.currency,
+        country: route.country,
+        provider: route.provider,
+      },
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment route deleted',
+  });
+};
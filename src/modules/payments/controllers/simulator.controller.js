@@ -0,0 +1,28 @@
+import paymentSimulatorService from '../services/paymentSimulatorService.js';
+
+/**
+ * Hosted checkout page of the simulated gateway
+ */
+export const showSimulatedCheckout = async (req, res) => {
+  const transaction = await paymentSimulatorService.getCheckout(req.params.trackingId);
+
+  res.type('html').send(paymentSimulatorService.renderCheckoutPage(transaction));
+};
+
+/**
+ * Pay or decline a simulated payment. Browsers are sent back to the frontend
+ * callback; API clients and tests get the result as JSON.
+ */
+export const completeSimulatedCheckout = async (req, res) => {
+  const result = await paymentSimulatorService.complete(req.params.trackingId, req.body);
+
+  if (req.is('application/json')) {
+    return res.status(200).json({
+      success: true,
+      message: `Simulated payment ${result.transaction.status.toLowerCase()}`,
+      data: result,
+    });
+  }
+
+  res.redirect(303, result.callbackUrl);
+};
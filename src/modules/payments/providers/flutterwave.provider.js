@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import Flutterwave from 'flutterwave-node-v3';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+
+const API_URL = 'https://api.flutterwave.com/v3';
+
+// Flutterwave transaction statuses
+const STATUS_MAP = {
+  successful: 'SUCCESS',
+  failed: 'FAILED',
+  cancelled: 'FAILED',
+};
+
+/**
+ * Flutterwave Standard gateway: hosted checkout, signed POST webhooks and
+ * refunds through the SDK. Implements the provider interface described in
+ * ./registry.js.
+ */
+class FlutterwaveProvider {
+  name = 'FLUTTERWAVE';
+  currencies = ['NGN', 'GHS', 'KES', 'UGX', 'TZS', 'RWF', 'ZMW', 'ZAR', 'XAF', 'XOF', 'USD', 'EUR', 'GBP'];
+
+  constructor() {
+    this.config = config.flutterwave;
+    this.client = null;
+
+    if (!this.config.secretKey || !this.config.publicKey) {
+      logger.warn('Flutterwave credentials are not configured.');
+    }
+  }
+
+  /**
+   * Start a hosted checkout; the customer pays at `paymentLink`
+   */
+  async initiatePayment({ reference, amount, currency, description, customer }) {
+    const response = await fetch(`${API_URL}/payments`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${this.config.secretKey}`,
+      },
+      body: JSON.stringify({
+        tx_ref: reference,
+        amount: Number(amount),
+        currency: currency.toUpperCase(),
+        redirect_url: `${config.app.frontendUrl}/payment/callback`,
+        customer: {
+          email: customer.email,
+          phonenumber: customer.phone || undefined,
+          name: [customer.firstName, customer.lastName].filter(Boolean).join(' ') || customer.email,
+        },
+        customizations: {
+          title: config.app.name,
+          description,
+        },
+      }),
+    });
+
+    const result = await response.json();
+    if (!response.ok || result.status !== 'success' || !result.data?.link) {
+      logger.error('Flutterwave payment initiation failed', { reference, result });
+      throw new Error(result.message || 'Failed to get payment link from provider');
+    }
+
+    return {
+      paymentLink: result.data.link,
+      providerTrackingId: null, // Flutterwave assigns a transaction id once the customer pays
+      raw: result,
+    };
+  }
+
+  /**
+   * Current status of a payment, looked up by our reference
+   */
+  async verifyPayment(payment) {
+    const result = await this._client().Transaction.verify_by_tx({ tx_ref: payment.transactionRef });
+
+    if (result.status !== 'success' || !result.data) {
+      // Not found yet: the customer has not completed checkout
+      return { status: 'PENDING', raw: result };
+    }
+
+    const { data } = result;
+
+    return {
+      status: STATUS_MAP[data.status] || 'PENDING',
+      amount: data.amount,
+      currency: data.currency,
+      paymentMethod: data.payment_type,
+      paymentAccount: data.card ? `${data.card.first_6digits}******${data.card.last_4digits}` : null,
+      providerTrackingId: String(data.id),
+      failureReason: data.processor_response || data.status,
+      raw: result,
+    };
+  }
+
+  /**
+   * Webhooks are POSTed with our secret hash in `verif-hash`. The payload is
+   * only used to find the payment; its status is always re-verified.
+   */
+  parseWebhook({ headers, body }) {
+    const signature = headers['verif-hash'];
+    const secret = this.config.webhookSecret;
+
+    if (!secret || !signature || !this._safeEqual(signature, secret)) {
+      logger.warn('Flutterwave webhook with invalid signature');
+      return null;
+    }
+
+    const reference = body?.data?.tx_ref || body?.txRef;
+    if (!reference) return null;
+
+    return { reference, providerTrackingId: body.data?.id ? String(body.data.id) : null };
+  }
+
+  webhookAcknowledgement() {
+    return { status: 'success' };
+  }
+
+  /**
+   * Refund a verified payment, fully or partly
+   */
+  async refund(payment, { amount }) {
+    if (!payment.providerTrackingId) {
+      throw new Error('Payment has no Flutterwave transaction id to refund');
+    }
+
+    const result = await this._client().Transaction.refund({
+      id: payment.providerTrackingId,
+      amount: Number(amount),
+    });
+
+    if (result.status !== 'success') {
+      logger.error('Flutterwave refund rejected', { paymentId: payment.id, result });
+      return { status: 'FAILED', raw: result };
+    }
+
+    return {
+      status: result.data?.status === 'completed' ? 'SUCCESS' : 'PENDING',
+      providerRef: result.data?.id ? String(result.data.id) : null,
+      raw: result,
+    };
+  }
+
+  // The SDK throws without keys, so it is only created when first used
+  _client() {
+    if (!this.client) {
+      this.client = new Flutterwave(this.config.publicKey, this.config.secretKey);
+    }
+    return this.client;
+  }
+
+  _safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+}
+
+export default new FlutterwaveProvider();
@@ -1,7 +1,23 @@
 import config from '../../../config/index.js';
 import logger from '../../../config/logger.js';
 
+// Pesapal's payment_status_description values
+const STATUS_MAP = {
+  Completed: 'SUCCESS',
+  Failed: 'FAILED',
+  Invalid: 'FAILED',
+  Cancelled: 'FAILED',
+  Reversed: 'FAILED',
+};
+
+/**
+ * Pesapal API 3.0 gateway: hosted checkout, GET IPNs and refund requests.
+ * Implements the provider interface described in ./registry.js.
+ */
 class PesapalProvider {
+  name = 'PESAPAL';
+  currencies = ['UGX', 'KES', 'TZS', 'RWF', 'MWK', 'ZMW', 'USD'];
+
   constructor() {
     this.config = {
       consumerKey: config.pesapal.consumerKey,
@@ -55,7 +71,7 @@ class PesapalProvider {
 
     try {
       const token = await this.#getAccessToken();
-      const ipnUrlToRegister = `${config.app.url}/api/v1/payments/webhook`;
+      const ipnUrlToRegister = `${config.app.url}/api/${config.app.apiVersion}/payments/webhook/pesapal`;
       const response = await fetch(`${this.baseUrl}/api/URLSetup/RegisterIPN`, {
         method: 'POST',
         headers: {
@@ -194,6 +210,106 @@ class PesapalProvider {
       throw new Error('Failed to check payment status with Pesapal');
     }
   }
+
+  /**
+   * Start a hosted checkout; the customer pays at `paymentLink`
+   */
+  async initiatePayment({ reference, amount, currency, description, customer, countryCode }) {
+    const response = await this.submitOrderRequest({
+      id: reference,
+      currency: currency.toUpperCase(),
+      amount: Number(amount),
+      description,
+      callback_url: `${config.app.frontendUrl}/payment/callback`, // User is redirected here
+      billing_address: {
+        email_address: customer.email,
+        phone_number: customer.phone || '',
+        country_code: countryCode || 'UG',
+        first_name: customer.firstName,
+        last_name: customer.lastName,
+      },
+    });
+
+    if (!response.redirect_url) {
+      throw new Error('Failed to get payment link from provider');
+    }
+
+    return {
+      paymentLink: response.redirect_url,
+      providerTrackingId: response.order_tracking_id,
+      raw: response,
+    };
+  }
+
+  /**
+   * Current status of a payment, straight from Pesapal
+   */
+  async verifyPayment(payment) {
+    if (!payment.providerTrackingId) {
+      return { status: 'PENDING', raw: null };
+    }
+
+    const result = await this.getTransactionStatus(payment.providerTrackingId);
+
+    return {
+      status: STATUS_MAP[result.payment_status_description] || 'PENDING',
+      amount: result.amount,
+      currency: result.currency,
+      paymentMethod: result.payment_method,
+      paymentAccount: result.payment_account || null,
+      failureReason: result.payment_status_description,
+      raw: result,
+    };
+  }
+
+  /**
+   * IPNs arrive as GET query parameters and carry no status of their own
+   */
+  parseWebhook({ query }) {
+    const { OrderTrackingId, OrderMerchantReference } = query;
+    if (!OrderTrackingId || !OrderMerchantReference) return null;
+
+    return { reference: OrderMerchantReference, providerTrackingId: OrderTrackingId };
+  }
+
+  // Pesapal stops retrying an IPN once it gets this echo back
+  webhookAcknowledgement({ query }) {
+    return `pesapal_notification_id=${query.pesapal_notification_id}&pesapal_tracking_id=${query.OrderTrackingId}&pesapal_merchant_reference=${query.OrderMerchantReference}&status=COMPLETED`;
+  }
+
+  /**
+   * Request a refund. Pesapal reviews refunds, so success here means accepted.
+   */
+  async refund(payment, { amount, reason }) {
+    const confirmationCode = payment.paymentDetails?.verificationData?.confirmation_code;
+    if (!confirmationCode) {
+      throw new Error('Payment has no Pesapal confirmation code to refund against');
+    }
+
+    const token = await this.#getAccessToken();
+    const response = await fetch(`${this.baseUrl}/api/Transactions/RefundRequest`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        confirmation_code: confirmationCode,
+        amount: String(amount),
+        username: config.app.name,
+        remarks: reason || 'Customer refund',
+      }),
+    });
+
+    const result = await response.json();
+    if (!response.ok || String(result.status) !== '200') {
+      logger.error('Pesapal refund request rejected', { paymentId: payment.id, result });
+      return { status: 'FAILED', raw: result };
+    }
+
+    return { status: 'PENDING', raw: result };
+  }
 }
 
-export default new PesapalProvider();
\ No newline at end of file
+export default new PesapalProvider();
@@ -0,0 +1,64 @@
+import config from '../../../config/index.js';
+import { PaymentError } from '../../../shared/errors/AppError.js';
+import pesapalProvider from './pesapal.provider.js';
+import flutterwaveProvider from './flutterwave.provider.js';
+import simulatedProvider from './simulated.provider.js';
+
+/**
+ * Payment gateways keyed by `Payment.provider`.
+ *
+ * A provider has a `name`, the `currencies` it accepts, and implements:
+ * - initiatePayment({ reference, amount, currency, description, customer, countryCode })
+ *     -> { paymentLink, providerTrackingId, raw }
+ * - verifyPayment(payment)
+ *     -> { status: 'SUCCESS' | 'FAILED' | 'PENDING', amount, currency, paymentMethod,
+ *          paymentAccount, providerTrackingId, failureReason, raw }
+ * - parseWebhook({ query, body, headers }) -> { reference, providerTrackingId }, or null if invalid
+ * - webhookAcknowledgement({ query, body }) -> response body the gateway expects
+ * - refund(payment, { amount, reason }) -> { status: 'SUCCESS' | 'PENDING' | 'FAILED', providerRef, raw }
+ *
+ * Providers marked `selectable = false` are left out of list() and cannot be
+ * picked for a payment route; they are only used through configuration.
+ */
+class PaymentProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  get(name) {
+    const provider = this.providers.get(String(name).toUpperCase());
+    if (!provider) {
+      throw new PaymentError(`Unknown payment provider: ${name}`, 400);
+    }
+    return provider;
+  }
+
+  has(name) {
+    return this.providers.has(String(name).toUpperCase());
+  }
+
+  isSelectable(name) {
+    return this.has(name) && this.get(name).selectable !== false;
+  }
+
+  list() {
+    return [...this.providers.values()]
+      .filter(provider => provider.selectable !== false)
+      .map(({ name, currencies }) => ({ name, currencies }));
+  }
+}
+
+const paymentProviders = new PaymentProviderRegistry();
+
+paymentProviders.register(pesapalProvider);
+paymentProviders.register(flutterwaveProvider);
+
+if (config.payment.simulator.enabled) {
+  paymentProviders.register(simulatedProvider);
+}
+
+export default paymentProviders;
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { cache } from '../../../config/redis.js';
+import { generateUniqueId } from '../../../shared/utils/encryption.js';
+
+const TRANSACTION_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Fake gateway for development and automated tests, so a booking can be paid
+ * end to end without sandbox credentials. Checkout happens on a local page
+ * (see paymentSimulatorService) where the tester picks the outcome.
+ * Transactions live in Redis so the API and the workers see the same state.
+ * Implements the provider interface described in ./registry.js.
+ */
+class SimulatedProvider {
+  name = 'SIMULATED';
+  selectable = false; // Only through PAYMENT_DEFAULT_PROVIDER, never a payment route
+  currencies = ['UGX', 'KES', 'TZS', 'RWF', 'MWK', 'ZMW', 'NGN', 'GHS', 'ZAR', 'XAF', 'XOF', 'USD', 'EUR', 'GBP'];
+
+  /**
+   * Start a checkout on the local simulator page
+   */
+  async initiatePayment({ reference, amount, currency, description, customer }) {
+    const transaction = {
+      trackingId: generateUniqueId('SIM'),
+      reference,
+      amount: Number(amount),
+      currency: currency.toUpperCase(),
+      description,
+      customerEmail: customer.email,
+      status: 'PENDING',
+      refunds: [],
+      createdAt: new Date().toISOString(),
+    };
+
+    await this._save(transaction);
+
+    return {
+      paymentLink: `${config.app.url}/api/${config.app.apiVersion}/payments/simulator/${transaction.trackingId}`,
+      providerTrackingId: transaction.trackingId,
+      raw: transaction,
+    };
+  }
+
+  async verifyPayment(payment) {
+    const transaction = payment.providerTrackingId && await this.getTransaction(payment.providerTrackingId);
+
+    if (!transaction) {
+      return { status: 'PENDING', raw: null };
+    }
+
+    return {
+      status: transaction.status,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      paymentMethod: 'SIMULATED',
+      paymentAccount: transaction.paymentAccount || null,
+      providerTrackingId: transaction.trackingId,
+      failureReason: transaction.failureReason,
+      raw: transaction,
+    };
+  }
+
+  parseWebhook({ headers, body }) {
+    const { reference, trackingId } = body || {};
+    if (!reference || !trackingId) return null;
+
+    const expected = this._sign(reference, trackingId);
+    const signature = String(headers['x-simulator-signature'] || '');
+
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      logger.warn('Simulated webhook with invalid signature', { reference });
+      return null;
+    }
+
+    return { reference, providerTrackingId: trackingId };
+  }
+
+  webhookAcknowledgement() {
+    return { status: 'success' };
+  }
+
+  async refund(payment, { amount, reason }) {
+    const transaction = await this.getTransaction(payment.providerTrackingId);
+    if (!transaction || transaction.status !== 'SUCCESS') {
+      return { status: 'FAILED', raw: transaction };
+    }
+
+    const refund = { id: generateUniqueId('SIMREF'), amount: Number(amount), reason, createdAt: new Date().toISOString() };
+    transaction.refunds.push(refund);
+    await this._save(transaction);
+
+    return { status: 'SUCCESS', providerRef: refund.id, raw: refund };
+  }
+
+  async getTransaction(trackingId) {
+    return await cache.get(`simulator:payment:${trackingId}`);
+  }
+
+  /**
+   * Record the outcome the tester chose
+   */
+  async settle(trackingId, { status, paymentAccount, failureReason }) {
+    const transaction = await this.getTransaction(trackingId);
+
+    const settled = {
+      ...transaction,
+      status,
+      paymentAccount: status === 'SUCCESS' ? paymentAccount || '4242******4242' : null,
+      failureReason: status === 'FAILED' ? failureReason || 'Declined by simulator' : null,
+      settledAt: new Date().toISOString(),
+    };
+
+    await this._save(settled);
+    return settled;
+  }
+
+  /**
+   * The webhook request the simulator sends for a transaction
+   */
+  webhookRequest(transaction) {
+    return {
+      query: {},
+      body: { event: 'payment.updated', reference: transaction.reference, trackingId: transaction.trackingId },
+      headers: { 'x-simulator-signature': this._sign(transaction.reference, transaction.trackingId) },
+    };
+  }
+
+  // Private helper methods
+  async _save(transaction) {
+    await cache.set(`simulator:payment:${transaction.trackingId}`, transaction, TRANSACTION_TTL_SECONDS);
+  }
+
+  _sign(reference, trackingId) {
+    return crypto
+      .createHmac('sha256', config.payment.simulator.webhookSecret)
+      .update(`${reference}:${trackingId}`)
+      .digest('hex');
+  }
+}
+
+export default new SimulatedProvider();
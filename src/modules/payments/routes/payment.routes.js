@@ -1,21 +1,72 @@
 import express from 'express';
+import config from '../../../config/index.js';
 import { asyncHandler } from '../../../shared/middleware/errorHandler.js';
-import { ensureAuthenticated } from '../../auth/middleware/auth.middleware.js';
+import { idempotency } from '../../../shared/middleware/idempotency.js';
+import { ensureAuthenticated, ensureRoles } from '../../auth/middleware/auth.middleware.js';
 import {
   initializePayment,
   handleWebhook,
   verifyPayment,
   getPaymentHistory,
   requestRefund,
+  listPaymentProviders,
+  getPaymentRoutes,
+  setPaymentRoute,
+  deletePaymentRoute,
+  reconcilePayments,
+  getReconciliationIssues,
+  resolveReconciliationIssue,
+  listRefundRequests,
+  getRefundRequest,
+  processRefund,
 } from '../controllers/payment.controller.js';
+import {
+  showSimulatedCheckout,
+  completeSimulatedCheckout,
+} from '../controllers/simulator.controller.js';
+import {
+  validatePaymentRoute,
+  validateSimulatedCheckout,
+  validateReconciliation,
+  validateReconciliationIssues,
+  validateResolveIssue,
+  validatePaymentRefundRequest,
+  validateRefundRequestList,
+  validateRefundReview,
+} from '../validators/payment.validator.js';
 
 const router = express.Router();
 
 // Payment routes
-router.post('/initialize', ensureAuthenticated, asyncHandler(initializePayment));
-router.get('/webhook', asyncHandler(handleWebhook)); // No auth for webhook
+router.post('/initialize', ensureAuthenticated, idempotency(), asyncHandler(initializePayment));
+router.get('/webhook', asyncHandler(handleWebhook)); // No auth for webhook; legacy Pesapal IPN URL
+router.get('/webhook/:provider', asyncHandler(handleWebhook));
+router.post('/webhook/:provider', asyncHandler(handleWebhook));
 router.get('/verify/:reference', asyncHandler(verifyPayment));
 router.get('/history', ensureAuthenticated, asyncHandler(getPaymentHistory));
-router.post('/:paymentId/refund', ensureAuthenticated, asyncHandler(requestRefund));
+
+// Gateway selection
+router.get('/providers', ensureAuthenticated, asyncHandler(listPaymentProviders));
+router.get('/routes', ensureRoles('SELLER', 'SUPER_ADMIN'), asyncHandler(getPaymentRoutes));
+router.put('/routes', ensureRoles('SELLER', 'SUPER_ADMIN'), validatePaymentRoute, asyncHandler(setPaymentRoute));
+router.delete('/routes/:routeId', ensureRoles('SELLER', 'SUPER_ADMIN'), asyncHandler(deletePaymentRoute));
+
+// Reconciliation with the gateways (admin)
+router.post('/reconcile', ensureRoles('SUPER_ADMIN'), validateReconciliation, asyncHandler(reconcilePayments));
+router.get('/reconciliation/issues', ensureRoles('SUPER_ADMIN'), validateReconciliationIssues, asyncHandler(getReconciliationIssues));
+router.patch('/reconciliation/issues/:issueId', ensureRoles('SUPER_ADMIN'), validateResolveIssue, asyncHandler(resolveReconciliationIssue));
+
+// Refund requests: customers see their own, sellers review their events', admins all
+router.get('/refunds', ensureAuthenticated, validateRefundRequestList, asyncHandler(listRefundRequests));
+router.get('/refunds/:refundRequestId', ensureAuthenticated, asyncHandler(getRefundRequest));
+router.post('/refunds/:refundRequestId/review', ensureRoles('SELLER', 'SUPER_ADMIN'), validateRefundReview, asyncHandler(processRefund));
+
+// Simulated gateway checkout (development and tests only)
+if (config.payment.simulator.enabled) {
+  router.get('/simulator/:trackingId', asyncHandler(showSimulatedCheckout));
+  router.post('/simulator/:trackingId', validateSimulatedCheckout, asyncHandler(completeSimulatedCheckout));
+}
+
+router.post('/:paymentId/refund', ensureAuthenticated, validatePaymentRefundRequest, asyncHandler(requestRefund));
 
 export default router;
@@ -0,0 +1,141 @@
+import prisma from '../../../config/database.js';
+import { emailQueue } from '../../../config/rabbitmq.js';
+import logger from '../../../config/logger.js';
+import config from '../../../config/index.js';
+import bookingService from '../../bookings/services/bookingService.js';
+import guestCheckoutService from '../../bookings/services/guestCheckoutService.js';
+
+/**
+ * Follow-up on payment-plan bookings once the deposit is paid: reminders
+ * before each instalment is due, and cancellation (with the refund policy's
+ * refund) when one is still unpaid a grace period after its due date.
+ * Instalment payments themselves are recorded by the booking worker.
+ */
+class InstallmentService {
+  /**
+   * Remind customers of instalments due within `reminderDays`
+   */
+  async sendReminders({ batchSize } = {}) {
+    const settings = config.payment.installments;
+
+    const installments = await prisma.paymentInstallment.findMany({
+      where: {
+        status: 'PENDING',
+        reminderSentAt: null,
+        dueDate: { lte: new Date(Date.now() + settings.reminderDays * 24 * 60 * 60 * 1000) },
+        booking: { status: 'PARTIALLY_PAID' }
+      },
+      include: { booking: { include: this._bookingInclude() } },
+      orderBy: { dueDate: 'asc' },
+      take: batchSize ?? settings.batchSize
+    });
+
+    let sent = 0;
+
+    for (const installment of installments) {
+      try {
+        await emailQueue.sendInstallmentNotice(this._notice('REMINDER', installment, installment.booking));
+        await prisma.paymentInstallment.update({
+          where: { id: installment.id },
+          data: { reminderSentAt: new Date() }
+        });
+        sent++;
+      } catch (error) {
+        logger.error('Failed to send instalment reminder', { installmentId: installment.id, error: error.message });
+      }
+    }
+
+    return { scanned: installments.length, sent };
+  }
+
+  /**
+   * Cancel bookings with an instalment unpaid `graceHours` after its due date
+   */
+  async cancelMissed({ batchSize } = {}) {
+    const settings = config.payment.installments;
+
+    const missed = await prisma.paymentInstallment.findMany({
+      where: {
+        status: 'PENDING',
+        dueDate: { lt: new Date(Date.now() - settings.graceHours * 60 * 60 * 1000) },
+        booking: { status: 'PARTIALLY_PAID' },
+        // A successful payment the worker has not recorded yet is not missed
+        OR: [{ payment: { is: null } }, { payment: { is: { status: { not: 'SUCCESS' } } } }]
+      },
+      distinct: ['bookingId'],
+      orderBy: { dueDate: 'asc' },
+      take: batchSize ?? settings.batchSize,
+      select: { id: true, bookingId: true, sequence: true }
+    });
+
+    let cancelled = 0;
+
+    for (const installment of missed) {
+      try {
+        const { refundAmount } = await bookingService.cancelForMissedInstallment(installment.bookingId);
+        cancelled++;
+        logger.info('Booking cancelled for a missed instalment', {
+          bookingId: installment.bookingId,
+          sequence: installment.sequence,
+          refundAmount
+        });
+      } catch (error) {
+        logger.error('Failed to cancel booking for a missed instalment', {
+          bookingId: installment.bookingId,
+          error: error.message
+        });
+      }
+    }
+
+    return { scanned: missed.length, cancelled };
+  }
+
+  /**
+   * Tell the customer an instalment was received and when the next one is due
+   */
+  async notifyReceived(installmentId) {
+    const installment = await prisma.paymentInstallment.findUnique({
+      where: { id: installmentId },
+      include: { booking: { include: this._bookingInclude() } }
+    });
+
+    const next = installment.booking.installments.find(candidate => candidate.status === 'PENDING');
+
+    await emailQueue.sendInstallmentNotice({
+      ...this._notice('RECEIVED', installment, installment.booking),
+      nextInstallment: next && { sequence: next.sequence, amount: next.amount, dueDate: next.dueDate }
+    });
+  }
+
+  // Private helper methods
+  _bookingInclude() {
+    return {
+      customer: { select: { id: true, email: true, firstName: true, isGuest: true } },
+      campaign: { select: { title: true } },
+      installments: {
+        include: { payment: { select: { currency: true } } },
+        orderBy: { sequence: 'asc' }
+      }
+    };
+  }
+
+  _notice(kind, installment, booking) {
+    return {
+      kind,
+      bookingId: booking.id,
+      installmentId: installment.id,
+      customerEmail: booking.customer.email,
+      customerName: booking.customer.firstName,
+      bookingRef: booking.bookingRef,
+      eventTitle: booking.campaign.title,
+      sequence: installment.sequence,
+      installmentCount: booking.installments.length,
+      amount: installment.amount,
+      currency: booking.installments.find(candidate => candidate.payment)?.payment.currency || 'UGX',
+      dueDate: installment.dueDate,
+      payUrl: guestCheckoutService.accessUrl(booking.id, booking.customer) || `${config.app.frontendUrl}/bookings/${booking.id}`
+    };
+  }
+}
+
+export default new InstallmentService();
@@ -0,0 +1,156 @@
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import config from '../../../config/index.js';
+import paymentProviders from '../providers/registry.js';
+import {
+  NotFoundError,
+  AuthorizationError,
+  PaymentError,
+  ValidationError
+} from '../../../shared/errors/AppError.js';
+
+/**
+ * Chooses the gateway for a payment from PaymentProviderRoute rules.
+ *
+ * Admins set platform-wide routes (and may set any seller's); sellers set
+ * routes for their own campaigns. A route can be narrowed to a currency and/or
+ * a venue country. The most specific route whose provider accepts the
+ * currency wins, falling back to `config.payment.defaultProvider`.
+ */
+class PaymentRoutingService {
+  /**
+   * Provider for a payment to `sellerId` in `currency` at a venue in `country`
+   */
+  async resolve({ sellerId = null, currency, country = null }) {
+    const normalizedCurrency = currency.toUpperCase();
+    const normalizedCountry = country ? country.toUpperCase() : null;
+
+    const routes = await prisma.paymentProviderRoute.findMany({
+      where: {
+        OR: [{ sellerId: null }, ...(sellerId ? [{ sellerId }] : [])],
+        AND: [
+          { OR: [{ currency: null }, { currency: normalizedCurrency }] },
+          { OR: [{ country: null }, ...(normalizedCountry ? [{ country: normalizedCountry }] : [])] }
+        ]
+      }
+    });
+
+    const ranked = routes.sort((a, b) => this._specificity(b) - this._specificity(a));
+
+    for (const route of ranked) {
+      if (paymentProviders.isSelectable(route.provider) && this._accepts(route.provider, normalizedCurrency)) {
+        return paymentProviders.get(route.provider);
+      }
+    }
+
+    if (this._accepts(config.payment.defaultProvider, normalizedCurrency)) {
+      return paymentProviders.get(config.payment.defaultProvider);
+    }
+
+    const fallback = paymentProviders.list().find(provider => provider.currencies.includes(normalizedCurrency));
+    if (!fallback) {
+      throw new PaymentError(`No payment provider accepts ${normalizedCurrency}`, 400);
+    }
+
+    return paymentProviders.get(fallback.name);
+  }
+
+  /**
+   * Routes visible to a user: everything for admins, otherwise the seller's
+   * own and the platform-wide ones
+   */
+  async listRoutes(user, { sellerId } = {}) {
+    const where = user.role === 'SUPER_ADMIN'
+      ? (sellerId ? { sellerId } : {})
+      : { OR: [{ sellerId: user.id }, { sellerId: null }] };
+
+    return await prisma.paymentProviderRoute.findMany({
+      where,
+      orderBy: [{ sellerId: 'asc' }, { currency: 'asc' }, { country: 'asc' }]
+    });
+  }
+
+  /**
+   * Create or replace the route for a seller (or the platform), currency and country
+   */
+  async setRoute(user, { sellerId, currency, country, provider }) {
+    const ownerId = this._routeOwner(user, sellerId);
+    const normalized = {
+      sellerId: ownerId,
+      currency: currency ? currency.toUpperCase() : null,
+      country: country ? country.trim().toUpperCase() : null
+    };
+
+    if (!paymentProviders.isSelectable(provider)) {
+      throw new ValidationError(`Unknown payment provider: ${provider}`);
+    }
+
+    const gateway = paymentProviders.get(provider);
+    if (normalized.currency && !gateway.currencies.includes(normalized.currency)) {
+      throw new ValidationError(`${gateway.name} does not accept ${normalized.currency}`);
+    }
+
+    const existing = await prisma.paymentProviderRoute.findFirst({ where: normalized });
+
+    const route = existing
+      ? await prisma.paymentProviderRoute.update({
+          where: { id: existing.id },
+          data: { provider: gateway.name, createdById: user.id }
+        })
+      : await prisma.paymentProviderRoute.create({
+          data: { ...normalized, provider: gateway.name, createdById: user.id }
+        });
+
+    logger.info('Payment route set', { routeId: route.id, ...normalized, provider: gateway.name, userId: user.id });
+
+    return { route, previousProvider: existing?.provider || null };
+  }
+
+  /**
+   * Remove a route
+   */
+  async deleteRoute(user, routeId) {
+    const route = await prisma.paymentProviderRoute.findUnique({ where: { id: routeId } });
+
+    if (!route) {
+      throw new NotFoundError('Payment route');
+    }
+
+    this._routeOwner(user, route.sellerId);
+
+    await prisma.paymentProviderRoute.delete({ where: { id: routeId } });
+
+    logger.info('Payment route deleted', { routeId, userId: user.id });
+
+    return route;
+  }
+
+  // Private helper methods
+
+  // Sellers manage only their own routes; admins manage any, null meaning platform-wide
+  _routeOwner(user, sellerId) {
+    if (user.role === 'SUPER_ADMIN') {
+      return sellerId || null;
+    }
+
+    if (sellerId && sellerId !== user.id) {
+      throw new AuthorizationError('You can only manage your own payment routes');
+    }
+
+    if (sellerId === null) {
+      throw new AuthorizationError('Only admins can manage platform-wide payment routes');
+    }
+
+    return user.id;
+  }
+
+  _specificity(route) {
+    return (route.sellerId ? 4 : 0) + (route.currency ? 2 : 0) + (route.country ? 1 : 0);
+  }
+
+  _accepts(providerName, currency) {
+    return paymentProviders.has(providerName) && paymentProviders.get(providerName).currencies.includes(currency);
+  }
+}
+
+export default new PaymentRoutingService();
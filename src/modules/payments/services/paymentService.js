@@ -1,141 +1,706 @@
 import prisma from '../../../config/database.js';
-import { bookingQueue } from '../../../config/rabbitmq.js';
+import { bookingQueue, emailQueue } from '../../../config/rabbitmq.js';
 import logger from '../../../config/logger.js';
 import config from '../../../config/index.js';
 import { generateUniqueId } from '../../../shared/utils/encryption.js';
-import { NotFoundError, PaymentError } from '../../../shared/errors/AppError.js';
-import pesapalProvider from '../providers/pesapal.provider.js'; // Import our new provider
+import { NotFoundError, ConflictError, PaymentError } from '../../../shared/errors/AppError.js';
+import paymentProviders from '../providers/registry.js';
+import paymentRoutingService from './paymentRoutingService.js';
+import bookingService from '../../bookings/services/bookingService.js';
+import resaleService from '../../bookings/services/resaleService.js';
+import walletService from '../../finance/services/walletService.js';
 
 class PaymentService {
   async initializePayment(bookingId, userId, options = {}) {
-    const { currency = 'UGX' } = options;
-
     const booking = await this._validateBookingForPayment(bookingId, userId);
+
+    // Payment-plan bookings are paid one instalment at a time
+    if (booking.installments.length > 0) {
+      return await this._initializeInstallmentPayment(booking, userId, options);
+    }
+
     const existingPayment = await this._getExistingPayment(bookingId);
     if (existingPayment) {
-      return this._handleExistingPayment(existingPayment);
+      const existing = await this._handleExistingPayment(existingPayment);
+      if (existing) return existing;
+    }
+
+    return await this._createProviderPayment({
+      link: { bookingId },
+      userId,
+      customer: booking.customer,
+      // Store credit applied at checkout is already paid
+      amount: Number(booking.totalAmount) - Number(booking.creditApplied),
+      description: `Payment for ${booking.campaign.title}`,
+      currency: options.currency,
+      sellerId: booking.campaign.sellerId,
+      country: booking.campaign.venueCountry
+    });
+  }
+
+  /**
+   * Initialize a single payment covering every line of a multi-item order
+   */
+  async initializeOrderPayment(orderId, userId, options = {}) {
+    const order = await this._validateOrderForPayment(orderId, userId);
+    if (order.payment) {
+      const existing = await this._handleExistingPayment(order.payment);
+      if (existing) return existing;
+    }
+
+    const titles = [...new Set(order.bookings.map(booking => booking.campaign.title))];
+
+    return await this._createProviderPayment({
+      link: { orderId },
+      userId,
+      customer: order.customer,
+      amount: order.totalAmount,
+      description: `Payment for order ${order.orderRef} (${titles.join(', ')})`,
+      currency: options.currency,
+      sellerId: order.sellerId,
+      country: order.bookings[0]?.campaign.venueCountry
+    });
+  }
+
+  /**
+   * Initialize payment for a resale ticket. The listing is reserved for the
+   * buyer until the campaign's payment deadline.
+   */
+  async initializeResalePayment(resaleListingId, userId, options = {}) {
+    const listing = await resaleService.reserveListing(resaleListingId, userId);
+
+    const existingPayment = await prisma.payment.findUnique({
+      where: { resaleListingId }
+    });
+
+    // A payment started by an earlier buyer whose reservation lapsed is replaced
+    if (existingPayment && existingPayment.customerId === userId) {
+      const existing = await this._handleExistingPayment(existingPayment);
+      if (existing) return existing;
+    } else if (existingPayment?.status === 'SUCCESS') {
+      throw new PaymentError('Payment already completed');
+    }
+
+    const customer = await prisma.user.findUnique({ where: { id: userId } });
+
+    return await this._createProviderPayment({
+      link: { resaleListingId },
+      userId,
+      customer,
+      amount: listing.price,
+      description: `Resale ticket for ${listing.campaign.title}`,
+      currency: options.currency || listing.currency,
+      sellerId: listing.campaign.sellerId,
+      country: listing.campaign.venueCountry
+    });
+  }
+
+  /**
+   * Check a payment with its gateway and apply the result. Used by the
+   * customer's return from checkout when the webhook has not arrived yet.
+   */
+  async verifyPayment(transactionRef) {
+    const payment = await prisma.payment.findUnique({
+      where: { transactionRef }
+    });
+
+    if (!payment) {
+      throw new NotFoundError('Payment');
+    }
+
+    if (payment.status !== 'PENDING') {
+      return payment;
+    }
+
+    const result = await paymentProviders.get(payment.provider).verifyPayment(payment);
+    return await this._applyVerification(payment, result);
+  }
+
+  /**
+   * Handle a gateway notification. The payload only identifies the payment;
+   * its status is always confirmed with the gateway.
+   */
+  async processWebhook(providerName, { query = {}, body = {}, headers = {} }) {
+    const provider = paymentProviders.get(providerName);
+
+    const notification = provider.parseWebhook({ query, body, headers });
+    if (!notification) {
+      throw new PaymentError(`Invalid ${provider.name} webhook received`);
+    }
+
+    const payment = await prisma.payment.findUnique({
+      where: { transactionRef: notification.reference },
+    });
+
+    if (!payment || payment.provider !== provider.name) {
+      logger.warn('Webhook received for unknown transactionRef', { provider: provider.name, reference: notification.reference });
+      throw new NotFoundError('Payment');
+    }
+
+    if (payment.status === 'SUCCESS') {
+      logger.info('Webhook received for already successful payment, ignoring.', { paymentId: payment.id });
+      return { status: 'success', message: 'Already processed' };
+    }
+
+    const result = await provider.verifyPayment({
+      ...payment,
+      providerTrackingId: payment.providerTrackingId || notification.providerTrackingId,
+    });
+    const updated = await this._applyVerification(payment, result);
+
+    return { status: 'success', message: `Payment ${updated.status.toLowerCase()}` };
+  }
+
+  /**
+   * Refund a successful payment through the gateway that took it
+   */
+  async refundPayment(payment, { amount, reason } = {}) {
+    if (payment.status !== 'SUCCESS') {
+      throw new PaymentError('Only successful payments can be refunded');
+    }
+
+    const provider = paymentProviders.get(payment.provider);
+    const result = await provider.refund(payment, { amount: amount ?? payment.amount, reason });
+
+    logger.info('Refund submitted to provider', { paymentId: payment.id, provider: provider.name, status: result.status });
+
+    return result;
+  }
+
+  /**
+   * Pay out an APPROVED refund request: store credit goes to the customer's
+   * wallet, the rest back through the gateway that took the payment (newest
+   * instalment first for payment-plan bookings). On success the booking is
+   * refunded and its tickets cancelled. A gateway refusal, or a failure to
+   * record the refund, leaves the request FAILED so it can be approved again;
+   * gateway refunds already made are kept on it and not repeated.
+   */
+  async processRefund(refundRequestId) {
+    const refundRequest = await prisma.refundRequest.findUnique({
+      where: { id: refundRequestId },
+      include: {
+        booking: {
+          include: {
+            campaign: true,
+            customer: { select: { email: true, firstName: true } },
+            tickets: { select: { id: true } },
+            payment: true,
+            order: { include: { payment: true } },
+            installments: { include: { payment: true }, orderBy: { sequence: 'desc' } }
+          }
+        },
+        payment: true
+      }
+    });
+
+    if (!refundRequest) {
+      throw new NotFoundError('Refund request');
     }
 
-    const transactionRef = generateUniqueId('PAY'); // This is our Merchant Reference
+    if (refundRequest.status !== 'APPROVED') {
+      throw new ConflictError('Only approved refunds can be processed');
+    }
+
+    const { booking } = refundRequest;
+    const payments = this._refundablePayments(refundRequest);
+    const payment = payments[0];
+    const amount = Number(refundRequest.amount);
+
+    // Whatever the gateway did not collect (store credit used at checkout) goes back as credit
+    const gatewayPaid = payments.reduce((sum, candidate) => sum + Number(candidate.amount), 0);
+    const walletAmount = refundRequest.refundTo === 'STORE_CREDIT' ? amount : Math.max(0, amount - gatewayPaid);
+    const gatewayAmount = Math.round((amount - walletAmount) * 100) / 100;
+
+    // Refunds made before an earlier attempt failed are not repeated
+    const gatewayRefunds = [...(refundRequest.gatewayRefunds || [])];
+    let outstanding = gatewayAmount - gatewayRefunds.reduce((sum, refund) => sum + refund.amount, 0);
+
+    for (const candidate of payments) {
+      if (outstanding <= 0) break;
+
+      const alreadyRefunded = gatewayRefunds
+        .filter(refund => refund.paymentId === candidate.id)
+        .reduce((sum, refund) => sum + refund.amount, 0);
+      const share = Math.round(Math.min(outstanding, Number(candidate.amount) - alreadyRefunded) * 100) / 100;
+      if (share <= 0) continue;
+
+      let providerRefund;
+      try {
+        providerRefund = await this.refundPayment(candidate, { amount: share, reason: refundRequest.reason });
+      } catch (error) {
+        providerRefund = { status: 'FAILED', raw: { message: error.message } };
+      }
 
+      if (providerRefund.status === 'FAILED') {
+        return await this._failRefund(refundRequest, providerRefund.raw?.message || 'The payment provider refused the refund', gatewayRefunds);
+      }
+
+      gatewayRefunds.push({ paymentId: candidate.id, amount: share, providerRef: providerRefund.providerRef || null });
+      outstanding = Math.round((outstanding - share) * 100) / 100;
+
+      // Money has left the gateway: record it before anything else can fail
+      await prisma.refundRequest.update({
+        where: { id: refundRequest.id },
+        data: { gatewayRefunds }
+      });
+    }
+
+    let result;
     try {
-      // 1. Build the Pesapal-specific payload
-      const payload = {
-        id: transactionRef,
-        currency: currency.toUpperCase(),
-        amount: Number(booking.totalAmount),
-        description: `Payment for ${booking.campaign.title}`,
-        callback_url: `${config.app.frontendUrl}/payment/callback`, // User is redirected here
-        billing_address: {
-          email_address: booking.customer.email,
-          phone_number: booking.customer.phone || '',
-          country_code: 'UG',
-          first_name: booking.customer.firstName,
-          last_name: booking.customer.lastName,
+      result = await this._completeRefund(refundRequest, { payments, payment, amount, walletAmount, gatewayAmount, gatewayRefunds });
+    } catch (error) {
+      logger.error('Failed to record a paid-out refund', { refundRequestId: refundRequest.id, error: error.message });
+      return await this._failRefund(refundRequest, `Refund paid out but not recorded: ${error.message}`, gatewayRefunds);
+    }
+
+    const { completed, waitlistHolds } = result;
+
+    await bookingService._notifyWaitlistUsers(waitlistHolds);
+    await this._sendRefundStatus(completed, booking, payment);
+
+    logger.info('Refund processed', {
+      refundRequestId: refundRequest.id,
+      bookingId: booking.id,
+      walletAmount,
+      gatewayAmount,
+      gatewayPayments: gatewayRefunds.length
+    });
+
+    return completed;
+  }
+
+  /**
+   * Check payments the gateway may have settled without telling us and apply
+   * the result as a webhook would: PENDING payments that have waited
+   * `staleMinutes`, and EXPIRED ones in case the customer paid after the deadline
+   */
+  async reconcilePayments({ startDate, endDate, staleMinutes, batchSize } = {}) {
+    const settings = config.payment.reconciliation;
+    const cutoff = new Date(Date.now() - (staleMinutes ?? settings.staleMinutes) * 60 * 1000);
+
+    const payments = await prisma.payment.findMany({
+      where: {
+        OR: [{ status: 'PENDING' }, { status: 'EXPIRED', verifiedAt: null }],
+        updatedAt: { lt: cutoff },
+        createdAt: {
+          gte: startDate ? new Date(startDate) : new Date(Date.now() - settings.lookbackHours * 60 * 60 * 1000),
+          ...(endDate && { lte: new Date(endDate) }),
         },
-      };
+      },
+      orderBy: { updatedAt: 'asc' },
+      take: batchSize ?? settings.batchSize,
+    });
 
-      // 2. Submit the order to Pesapal
-      const pesapalResponse = await pesapalProvider.submitOrderRequest(payload);
-      if (!pesapalResponse.redirect_url) {
-        throw new PaymentError('Failed to get payment link from provider');
+    const startedAt = new Date();
+    const summary = { scanned: payments.length, confirmed: 0, failed: 0, unchanged: 0, errors: 0, issues: 0 };
+
+    for (const payment of payments) {
+      try {
+        const result = await paymentProviders.get(payment.provider).verifyPayment(payment);
+
+        // An expired payment only matters if the customer paid it after all
+        if (result.status === 'PENDING' || (payment.status === 'EXPIRED' && result.status !== 'SUCCESS')) {
+          // Touched so the rest of the backlog gets its turn next run
+          await prisma.payment.update({ where: { id: payment.id }, data: { updatedAt: new Date() } });
+          summary.unchanged++;
+          continue;
+        }
+
+        const updated = await this._applyVerification(payment, result);
+        if (updated.status === 'SUCCESS') summary.confirmed++;
+        else summary.failed++;
+      } catch (error) {
+        summary.errors++;
+        logger.error('Payment reconciliation failed', { paymentId: payment.id, provider: payment.provider, error: error.message });
       }
+    }
 
-      // 3. Create our internal payment record
-      const payment = await prisma.payment.create({
-        data: {
-          bookingId,
-          customerId: userId,
-          transactionRef, // Our internal ID is Pesapal's merchant_reference
-          provider: 'PESAPAL',
-          providerRef: pesapalResponse.redirect_url, // The payment link
-          providerTrackingId: pesapalResponse.order_tracking_id,
-          amount: booking.totalAmount,
-          currency,
-          status: 'PENDING',
-          paymentMethod: 'PESAPAL',
-          paymentDetails: { pesapalResponse },
+    if (summary.scanned > 0) {
+      summary.issues = await prisma.paymentReconciliationIssue.count({
+        where: { paymentId: { in: payments.map(payment => payment.id) }, updatedAt: { gte: startedAt } },
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Reconciliation issues for admins, newest first
+   */
+  async getReconciliationIssues({ status = 'OPEN', type, page = 1, limit = 20 } = {}) {
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+    const where = { ...(status && { status }), ...(type && { type }) };
+
+    const [issues, total] = await Promise.all([
+      prisma.paymentReconciliationIssue.findMany({
+        where,
+        include: {
+          payment: {
+            select: {
+              id: true,
+              transactionRef: true,
+              provider: true,
+              providerTrackingId: true,
+              amount: true,
+              currency: true,
+              status: true,
+              bookingId: true,
+              orderId: true,
+              resaleListingId: true,
+              customer: { select: { id: true, email: true, firstName: true, lastName: true } },
+            },
+          },
         },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+      }),
+      prisma.paymentReconciliationIssue.count({ where }),
+    ]);
+
+    return {
+      issues,
+      pagination: { page: Math.floor(skip / take) + 1, limit: take, total, pages: Math.ceil(total / take) },
+    };
+  }
+
+  /**
+   * Close an issue once an admin has dealt with it (refunded, reinstated, ...)
+   */
+  async resolveReconciliationIssue(issueId, adminId, resolution) {
+    const issue = await prisma.paymentReconciliationIssue.findUnique({ where: { id: issueId } });
+
+    if (!issue) {
+      throw new NotFoundError('Reconciliation issue');
+    }
+
+    if (issue.status === 'RESOLVED') {
+      throw new ConflictError('This issue is already resolved');
+    }
+
+    return await prisma.paymentReconciliationIssue.update({
+      where: { id: issueId },
+      data: { status: 'RESOLVED', resolution, resolvedById: adminId, resolvedAt: new Date() },
+    });
+  }
+
+  // Private helper methods
+  async _createProviderPayment({ link, userId, customer, amount, description, currency = 'UGX', sellerId, country }) {
+    const transactionRef = generateUniqueId('PAY'); // Our merchant reference with every gateway
+    const provider = await paymentRoutingService.resolve({ sellerId, currency, country });
+
+    try {
+      const { paymentLink, providerTrackingId, raw } = await provider.initiatePayment({
+        reference: transactionRef,
+        amount,
+        currency,
+        description,
+        customer,
+        countryCode: country,
+      });
+
+      // A failed earlier attempt is replaced
+      const paymentData = {
+        customerId: userId,
+        transactionRef,
+        provider: provider.name,
+        providerRef: paymentLink, // The payment link
+        providerTrackingId,
+        amount,
+        currency,
+        status: 'PENDING',
+        paymentMethod: provider.name,
+        paymentDetails: { initiation: raw },
+      };
+
+      const payment = await prisma.payment.upsert({
+        where: link,
+        create: { ...link, ...paymentData },
+        update: { ...paymentData, failureReason: null, retryCount: { increment: 1 }, lastRetryAt: new Date() },
       });
 
-      logger.info('Pesapal payment initialized successfully', { paymentId: payment.id, bookingId });
+      logger.info('Payment initialized successfully', { paymentId: payment.id, provider: provider.name, ...link });
 
       return {
         payment,
-        paymentLink: pesapalResponse.redirect_url,
+        paymentLink,
       };
     } catch (error) {
-      logger.error('Pesapal payment initialization failed:', { bookingId, error: error.message });
+      logger.error('Payment initialization failed:', { ...link, provider: provider.name, error: error.message });
       throw error;
     }
   }
 
-  async processWebhook(webhookData) {
-    const { OrderTrackingId, OrderMerchantReference } = webhookData;
-    if (!OrderTrackingId || !OrderMerchantReference) {
-      throw new PaymentError('Invalid Pesapal IPN data received');
+  // Checkout for the next unpaid instalment; a retry replaces a failed attempt
+  async _initializeInstallmentPayment(booking, userId, options) {
+    const installment = booking.installments.find(candidate => candidate.status === 'PENDING');
+    if (!installment) {
+      throw new PaymentError('Payment already completed');
     }
 
-    const payment = await prisma.payment.findUnique({
-      where: { transactionRef: OrderMerchantReference },
+    if (installment.payment) {
+      const existing = await this._handleExistingPayment(installment.payment);
+      if (existing) return { ...existing, installment };
+    }
+
+    const result = await this._createProviderPayment({
+      link: { installmentId: installment.id },
+      userId,
+      customer: booking.customer,
+      amount: Number(installment.amount),
+      description: `Instalment ${installment.sequence} of ${booking.installments.length} for ${booking.campaign.title}`,
+      currency: options.currency,
+      sellerId: booking.campaign.sellerId,
+      country: booking.campaign.venueCountry
     });
 
-    if (!payment) {
-      logger.warn('IPN received for unknown transactionRef', { OrderMerchantReference });
-      throw new NotFoundError('Payment');
-    }
+    return { ...result, installment };
+  }
 
-    if (payment.status === 'SUCCESS') {
-      logger.info('IPN received for already successful payment, ignoring.', { paymentId: payment.id });
-      return { status: 'success', message: 'Already processed' };
-    }
+  // Record a provider's verification result on the payment. Payments that
+  // need an admin are reported as reconciliation issues.
+  async _applyVerification(payment, result) {
+    if (result.status === 'SUCCESS') {
+      const matches = Number(result.amount) === Number(payment.amount) &&
+        String(result.currency).toUpperCase() === payment.currency.toUpperCase();
+
+      if (matches) {
+        const purchaseStatus = await this._inactivePurchaseStatus(payment);
+        if (purchaseStatus) {
+          await this._reportIssue(payment, 'PAID_AFTER_EXPIRY', {
+            purchaseStatus,
+            amount: result.amount,
+            currency: result.currency,
+            providerTrackingId: result.providerTrackingId || payment.providerTrackingId,
+          });
+        }
 
-    // Crucial step: Verify the transaction status with Pesapal's server directly
-    const statusResult = await pesapalProvider.getTransactionStatus(OrderTrackingId);
+        return await this._processSuccessfulPayment(payment, {
+          ...result.raw,
+          payment_method: result.paymentMethod,
+          payment_account: result.paymentAccount,
+          provider_tracking_id: result.providerTrackingId,
+        });
+      }
 
-    if (statusResult.payment_status_description === 'Completed') {
-      await this._processSuccessfulPayment(payment, statusResult);
-      return { status: 'success', message: 'Payment processed' };
-    } else {
-      await prisma.payment.update({
+      logger.error('Verified payment does not match the amount due', {
+        paymentId: payment.id,
+        expected: { amount: payment.amount, currency: payment.currency },
+        received: { amount: result.amount, currency: result.currency },
+      });
+      await this._reportIssue(payment, 'AMOUNT_MISMATCH', {
+        expected: { amount: Number(payment.amount), currency: payment.currency },
+        received: { amount: Number(result.amount), currency: result.currency },
+        providerTrackingId: result.providerTrackingId || payment.providerTrackingId,
+      });
+      result = { ...result, status: 'FAILED', failureReason: 'Amount or currency mismatch' };
+    }
+
+    if (result.status === 'FAILED') {
+      const failed = await prisma.payment.update({
         where: { id: payment.id },
         data: {
           status: 'FAILED',
-          failureReason: statusResult.payment_status_description || 'Verification failed',
-          webhookData: statusResult,
+          failureReason: result.failureReason || 'Verification failed',
+          webhookData: result.raw,
         },
       });
-      logger.warn('Payment failed verification via IPN', { paymentId: payment.id, status: statusResult.payment_status_description });
-      return { status: 'success', message: 'Payment failed' };
+      logger.warn('Payment failed verification', { paymentId: payment.id, reason: result.failureReason });
+      return failed;
+    }
+
+    // Still waiting on the customer
+    return payment;
+  }
+
+  // Gateway payments a refund can go back to. A payment-plan booking was paid
+  // instalment by instalment; the newest payment is refunded first.
+  _refundablePayments(refundRequest) {
+    const { booking } = refundRequest;
+    const payment = refundRequest.payment || booking.payment || booking.order?.payment;
+
+    if (payment) {
+      return payment.provider === 'STORE_CREDIT' ? [] : [payment];
     }
+
+    return booking.installments
+      .map(installment => installment.payment)
+      .filter(candidate => candidate && candidate.status === 'SUCCESS');
+  }
+
+  // Record a paid-out refund: store credit, the seller's debit, the payments,
+  // tickets and booking, all or nothing
+  async _completeRefund(refundRequest, { payments, payment, amount, walletAmount, gatewayAmount, gatewayRefunds }) {
+    const { booking } = refundRequest;
+
+    // Tickets given back to inventory are counted under the booking lock
+    return await bookingService._withInventoryLock(booking.campaignId, booking.ticketType, async () => {
+      return await prisma.$transaction(async (tx) => {
+        if (walletAmount > 0) {
+          await walletService.refundToWallet(tx, booking, walletAmount, {
+            description: `Refund ${refundRequest.id} for booking ${booking.bookingRef}`,
+            reference: `REF-${refundRequest.id}-CREDIT`,
+            metadata: { refundRequestId: refundRequest.id, bookingId: booking.id }
+          });
+        }
+
+        if (gatewayAmount > 0) {
+          await walletService.debitSellerForRefund(tx, booking, gatewayAmount, {
+            reference: `REF-${refundRequest.id}`,
+            metadata: { refundRequestId: refundRequest.id, bookingId: booking.id, paymentId: payment.id, provider: payment.provider }
+          });
+
+          // An order's payment also covers its other bookings
+          const ownPayments = payments.filter(candidate =>
+            (candidate.bookingId === booking.id || candidate.installmentId) &&
+            gatewayRefunds.some(refund => refund.paymentId === candidate.id)
+          );
+          await tx.payment.updateMany({
+            where: { id: { in: ownPayments.map(candidate => candidate.id) } },
+            data: { status: 'REFUNDED' }
+          });
+        }
+
+        // A confirmed booking gives its tickets back; a cancelled one already has
+        let waitlistHolds = [];
+        if (booking.status === 'CONFIRMED') {
+          waitlistHolds = await bookingService._returnTickets(tx, booking);
+          await bookingService._updateCancellationAnalytics(tx, booking);
+        }
+
+        await tx.booking.update({
+          where: { id: booking.id },
+          data: {
+            status: 'REFUNDED',
+            cancelledAt: booking.cancelledAt || new Date(),
+            cancellationReason: booking.cancellationReason || refundRequest.reason,
+            metadata: { ...booking.metadata, refundRequestId: refundRequest.id, refundAmount: amount, refundTo: refundRequest.refundTo }
+          }
+        });
+
+        const completed = await tx.refundRequest.update({
+          where: { id: refundRequest.id },
+          data: {
+            status: 'COMPLETED',
+            processedAt: new Date(),
+            paymentId: gatewayAmount > 0 ? payment.id : refundRequest.paymentId,
+            providerRefundRef: gatewayRefunds.map(refund => refund.providerRef).filter(Boolean).join(',') || null,
+            gatewayRefunds: gatewayRefunds.length > 0 ? gatewayRefunds : undefined,
+            failureReason: null
+          }
+        });
+
+        return { completed, waitlistHolds };
+      });
+    });
+  }
+
+  async _failRefund(refundRequest, failureReason, gatewayRefunds = []) {
+    const failed = await prisma.refundRequest.update({
+      where: { id: refundRequest.id },
+      data: { status: 'FAILED', failureReason, ...(gatewayRefunds.length > 0 && { gatewayRefunds }) }
+    });
+
+    logger.error('Refund failed', { refundRequestId: refundRequest.id, failureReason });
+    await this._sendRefundStatus(failed, refundRequest.booking, refundRequest.payment);
+
+    return failed;
+  }
+
+  async _sendRefundStatus(refundRequest, booking, payment) {
+    await emailQueue.sendRefundStatus({
+      bookingId: booking.id,
+      refundRequestId: refundRequest.id,
+      status: refundRequest.status,
+      customerEmail: booking.customer.email,
+      customerName: booking.customer.firstName,
+      bookingRef: booking.bookingRef,
+      eventTitle: booking.campaign.title,
+      amount: refundRequest.amount,
+      currency: payment?.currency || 'UGX',
+      refundTo: refundRequest.refundTo,
+      notes: refundRequest.reviewNotes
+    });
+  }
+
+  // Status of the booking, order or resale listing when it can no longer take this payment
+  async _inactivePurchaseStatus(payment) {
+    if (payment.resaleListingId) {
+      const listing = await prisma.resaleListing.findUnique({
+        where: { id: payment.resaleListingId },
+        select: { status: true, buyerId: true },
+      });
+      const heldForPayer = listing.buyerId === payment.customerId && ['RESERVED', 'SOLD'].includes(listing.status);
+      return heldForPayer ? null : `RESALE_${listing.status}`;
+    }
+
+    if (payment.installmentId) {
+      const installment = await prisma.paymentInstallment.findUnique({
+        where: { id: payment.installmentId },
+        select: { status: true, booking: { select: { status: true } } },
+      });
+      if (installment.status === 'CANCELLED') return installment.booking.status;
+    }
+
+    const purchase = payment.orderId
+      ? await prisma.order.findUnique({ where: { id: payment.orderId }, select: { status: true } })
+      : payment.bookingId && await prisma.booking.findUnique({ where: { id: payment.bookingId }, select: { status: true } });
+
+    if (!purchase) return null;
+
+    return ['EXPIRED', 'CANCELLED'].includes(purchase.status) ? purchase.status : null;
+  }
+
+  async _reportIssue(payment, type, details) {
+    const issue = await prisma.paymentReconciliationIssue.upsert({
+      where: { paymentId_type: { paymentId: payment.id, type } },
+      create: { paymentId: payment.id, type, details },
+      update: { details, status: 'OPEN', resolution: null, resolvedById: null, resolvedAt: null },
+    });
+
+    logger.warn('Payment reconciliation issue reported', { issueId: issue.id, paymentId: payment.id, type });
+
+    return issue;
   }
 
   async _processSuccessfulPayment(payment, verificationData) {
-    // This function remains largely the same! It just updates the payment and publishes the event.
-    const updatedPayment = await prisma.payment.update({
-      where: { id: payment.id },
+    // A webhook, the return redirect and a status poll can all verify the same
+    // payment; only the one that moves it to SUCCESS publishes the confirmation
+    const settled = await prisma.payment.updateMany({
+      where: { id: payment.id, status: { not: 'SUCCESS' } },
       data: {
         status: 'SUCCESS',
         verifiedAt: new Date(),
         paymentMethod: verificationData.payment_method,
+        paymentAccount: verificationData.payment_account || null,
+        ...(verificationData.provider_tracking_id && { providerTrackingId: verificationData.provider_tracking_id }),
         paymentDetails: { ...payment.paymentDetails, verificationData },
         webhookData: verificationData,
       },
     });
 
+    const updatedPayment = await prisma.payment.findUnique({ where: { id: payment.id } });
+
+    if (settled.count === 0) {
+      logger.info('Payment already confirmed', { paymentId: payment.id });
+      return updatedPayment;
+    }
+
     logger.info('Payment status updated to SUCCESS', { paymentId: updatedPayment.id });
 
     // Publish event for the booking worker to handle confirmation
-    await bookingQueue.confirmBooking(payment.bookingId, payment.id);
-  }
+    if (payment.installmentId) {
+      await bookingQueue.recordInstallment(payment.installmentId, payment.id);
+    } else if (payment.orderId) {
+      await bookingQueue.confirmOrder(payment.orderId, payment.id);
+    } else if (payment.resaleListingId) {
+      await bookingQueue.completeResale(payment.resaleListingId, payment.id);
+    } else {
+      await bookingQueue.confirmBooking(payment.bookingId, payment.id);
+    }
 
-  _isPaymentVerified(verification, payment, webhookData) {
-    return (
-      verification.status === 'success' &&
-      verification.data.status === 'successful' &&
-      Number(verification.data.amount) === Number(payment.amount) &&
-      verification.data.currency.toUpperCase() === payment.currency.toUpperCase()
-    );
+    return updatedPayment;
   }
 
   async _validateBookingForPayment(bookingId, userId) {
@@ -144,7 +709,11 @@ class PaymentService {
       include: {
         campaign: true,
         customer: true,
-        payment: true
+        payment: true,
+        installments: {
+          include: { payment: true },
+          orderBy: { sequence: 'asc' }
+        }
       }
     });
 
@@ -156,21 +725,57 @@ class PaymentService {
       throw new PaymentError('You can only pay for your own bookings');
     }
 
-    if (booking.status !== 'PENDING') {
+    if (booking.channel === 'COMP') {
+      throw new PaymentError('Complimentary bookings do not need payment');
+    }
+
+    if (!['PENDING', 'PARTIALLY_PAID'].includes(booking.status)) {
       throw new PaymentError('Booking is not pending payment');
     }
 
-    if (booking.paymentDeadline && new Date() > booking.paymentDeadline) {
-      await prisma.booking.update({
-        where: { id: bookingId },
-        data: { status: 'EXPIRED' }
-      });
+    // Once the deposit is in, missed instalments are handled by the instalment sweep
+    if (booking.status === 'PENDING' && booking.paymentDeadline && new Date() > booking.paymentDeadline) {
+      await bookingService.expireBooking(bookingId);
       throw new PaymentError('Payment deadline has passed');
     }
 
     return booking;
   }
 
+  async _validateOrderForPayment(orderId, userId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        customer: true,
+        payment: true,
+        bookings: {
+          include: {
+            campaign: { select: { title: true, venueCountry: true } }
+          }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new NotFoundError('Order');
+    }
+
+    if (order.customerId !== userId) {
+      throw new PaymentError('You can only pay for your own orders');
+    }
+
+    if (order.status !== 'PENDING') {
+      throw new PaymentError('Order is not pending payment');
+    }
+
+    if (new Date() > order.paymentDeadline) {
+      await bookingService.expireOrder(orderId);
+      throw new PaymentError('Payment deadline has passed');
+    }
+
+    return order;
+  }
+
   async _getExistingPayment(bookingId) {
     return await prisma.payment.findUnique({
       where: { bookingId },
@@ -190,8 +795,7 @@ async _handleExistingPayment(payment) {
       throw new PaymentError('Payment already completed');
     }
     if (payment.status === 'PENDING') {
-      // --- FIX HERE ---
-      // Use providerRef which stores the Pesapal redirect URL
+      // providerRef stores the gateway's checkout URL
       const paymentLink = payment.providerRef;
 
       if (paymentLink) {
@@ -206,26 +810,6 @@ async _handleExistingPayment(payment) {
     return null;
   }
 
-  async _calculatePaymentDetails(booking, currency, installments) {
-    const baseAmount = Number(booking.totalAmount);
-    
-    const processingFeeRate = config.payment.processingFeeRate || 0.029;
-    const processingFee = baseAmount * processingFeeRate;
-    
-    const installmentAmount = installments > 1 ? 
-      Math.ceil((baseAmount + processingFee) / installments * 100) / 100 : 
-      baseAmount + processingFee;
-
-    return {
-      baseAmount,
-      processingFee,
-      totalAmount: baseAmount + processingFee,
-      installmentAmount,
-      installments,
-      currency
-    };
-  }
-
   async _queuePaymentMonitoring(paymentId, transactionRef) {
     await paymentQueue.monitorPayment({
       paymentId,
@@ -233,30 +817,6 @@ async _handleExistingPayment(payment) {
       checkAfter: config.payment.timeoutMinutes * 60 * 1000
     });
   }
-
-  async _handleFailedPayment(data) {
-    const payment = await prisma.payment.findUnique({
-      where: { transactionRef: data.tx_ref }
-    });
-
-    if (payment) {
-      await prisma.payment.update({
-        where: { id: payment.id },
-        data: {
-          status: 'FAILED',
-          failureReason: data.processor_response || 'Payment failed',
-          webhookData: data
-        }
-      });
-
-      logger.info('Payment marked as failed', {
-        paymentId: payment.id,
-        reason: data.processor_response
-      });
-    }
-
-    return { status: 'success', message: 'Failed payment processed' };
-  }
 }
 
 export default new PaymentService(); 
\ No newline at end of file
@@ -0,0 +1,110 @@
+import logger from '../../../config/logger.js';
+import config from '../../../config/index.js';
+import simulatedProvider from '../providers/simulated.provider.js';
+import paymentService from './paymentService.js';
+import { NotFoundError, ConflictError } from '../../../shared/errors/AppError.js';
+
+/**
+ * Hosted checkout of the SIMULATED gateway.
+ *
+ * The tester opens the payment link, picks success or failure, optionally a
+ * delay before the webhook and a duplicate webhook, and is sent back to the
+ * frontend callback like with a real gateway. The webhook goes through
+ * `paymentService.processWebhook`, exactly as `handleWebhook` would pass it;
+ * the signed request is also returned so tests can replay it over HTTP.
+ */
+class PaymentSimulatorService {
+  async getCheckout(trackingId) {
+    const transaction = await simulatedProvider.getTransaction(trackingId);
+
+    if (!transaction) {
+      throw new NotFoundError('Simulated payment');
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Settle a simulated payment and notify the API
+   */
+  async complete(trackingId, { outcome, delaySeconds = 0, duplicate = false, paymentAccount }) {
+    const transaction = await this.getCheckout(trackingId);
+
+    if (transaction.status !== 'PENDING') {
+      throw new ConflictError(`This simulated payment is already ${transaction.status}`);
+    }
+
+    const settled = await simulatedProvider.settle(trackingId, { status: outcome, paymentAccount });
+    const webhook = simulatedProvider.webhookRequest(settled);
+    const copies = duplicate ? 2 : 1;
+
+    let deliveries = null;
+    if (delaySeconds > 0) {
+      setTimeout(() => this._deliver(webhook, copies), delaySeconds * 1000).unref();
+    } else {
+      deliveries = await this._deliver(webhook, copies);
+    }
+
+    logger.info('Simulated payment completed', { trackingId, reference: settled.reference, outcome, delaySeconds, duplicate });
+
+    return {
+      transaction: settled,
+      webhook,
+      deliveries,
+      callbackUrl: `${config.app.frontendUrl}/payment/callback?OrderTrackingId=${trackingId}&OrderMerchantReference=${settled.reference}`
+    };
+  }
+
+  /**
+   * The checkout page served at the payment link
+   */
+  renderCheckoutPage(transaction) {
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+    const action = `${config.app.url}/api/${config.app.apiVersion}/payments/simulator/${escape(transaction.trackingId)}`;
+    const settled = transaction.status !== 'PENDING';
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Simulated checkout</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 480px; margin: 40px auto; color: #333; }
+    .notice { background: #fff3cd; padding: 10px; border-radius: 4px; }
+    .amount { font-size: 28px; font-weight: bold; margin: 20px 0; }
+    label { display: block; margin: 10px 0; }
+    button { padding: 10px 20px; margin-right: 10px; border: 0; border-radius: 4px; color: white; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <p class="notice">Simulated gateway. No money is moved.</p>
+  <h2>${escape(transaction.description)}</h2>
+  <p class="amount">${escape(transaction.currency)} ${escape(transaction.amount.toLocaleString())}</p>
+  <p>Reference: ${escape(transaction.reference)}<br>Customer: ${escape(transaction.customerEmail)}</p>
+  ${settled ? `<p>This payment is already <strong>${escape(transaction.status)}</strong>.</p>` : `
+  <form method="POST" action="${action}">
+    <label>Delay before webhook (seconds) <input type="number" name="delaySeconds" min="0" max="300" value="0"></label>
+    <label><input type="checkbox" name="duplicate" value="true"> Send the webhook twice</label>
+    <button type="submit" name="outcome" value="SUCCESS" style="background: #28a745;">Pay</button>
+    <button type="submit" name="outcome" value="FAILED" style="background: #dc3545;">Decline</button>
+  </form>`}
+</body>
+</html>`;
+  }
+
+  // Private helper methods
+
+  // Duplicates are sent concurrently, like a gateway retrying before our reply
+  async _deliver(webhook, copies) {
+    return await Promise.all(
+      Array.from({ length: copies }, () =>
+        paymentService.processWebhook(simulatedProvider.name, webhook).catch((error) => {
+          logger.error('Simulated webhook processing failed:', { reference: webhook.body.reference, error: error.message });
+          return { status: 'error', message: error.message };
+        })
+      )
+    );
+  }
+}
+
+export default new PaymentSimulatorService();
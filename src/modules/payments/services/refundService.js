@@ -0,0 +1,144 @@
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import paymentService from './paymentService.js';
+import {
+  NotFoundError,
+  AuthorizationError,
+  ConflictError
+} from '../../../shared/errors/AppError.js';
+
+/**
+ * Review of refund requests.
+ *
+ * Customers request refunds (bookingService.requestRefund, or by cancelling a
+ * paid booking). The event's seller or an admin then approves or rejects each
+ * request; approved ones are paid out by paymentService.processRefund.
+ */
+class RefundService {
+  /**
+   * Refund requests a user may see: all for admins, their events' for
+   * sellers, otherwise their own
+   */
+  async listRefundRequests(user, { status, campaignId, page = 1, limit = 20 } = {}) {
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const where = {
+      ...this._visibleTo(user),
+      ...(status && { status }),
+      ...(campaignId && { booking: { ...this._visibleTo(user).booking, campaignId } })
+    };
+
+    const [refundRequests, total] = await Promise.all([
+      prisma.refundRequest.findMany({
+        where,
+        include: this._include(),
+        orderBy: { requestedAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.refundRequest.count({ where })
+    ]);
+
+    return {
+      refundRequests,
+      pagination: { page: Math.floor(skip / take) + 1, limit: take, total, pages: Math.ceil(total / take) }
+    };
+  }
+
+  async getRefundRequest(user, refundRequestId) {
+    const refundRequest = await prisma.refundRequest.findFirst({
+      where: { id: refundRequestId, ...this._visibleTo(user) },
+      include: this._include()
+    });
+
+    if (!refundRequest) {
+      throw new NotFoundError('Refund request');
+    }
+
+    return refundRequest;
+  }
+
+  /**
+   * Approve (and pay out) or reject a refund request. FAILED requests can be
+   * approved again once the problem at the gateway is fixed.
+   */
+  async reviewRefundRequest(user, refundRequestId, { decision, notes }) {
+    const refundRequest = await prisma.refundRequest.findUnique({
+      where: { id: refundRequestId },
+      include: {
+        booking: {
+          include: {
+            campaign: { select: { title: true, sellerId: true } },
+            customer: { select: { email: true, firstName: true } }
+          }
+        },
+        payment: { select: { currency: true } }
+      }
+    });
+
+    if (!refundRequest) {
+      throw new NotFoundError('Refund request');
+    }
+
+    if (user.role !== 'SUPER_ADMIN' && refundRequest.booking.campaign.sellerId !== user.id) {
+      throw new AuthorizationError('You can only review refunds for your own events');
+    }
+
+    const reviewable = decision === 'APPROVE' ? ['PENDING', 'FAILED'] : ['PENDING'];
+
+    // Claimed atomically so two reviewers cannot pay the same refund twice
+    const claimed = await prisma.refundRequest.updateMany({
+      where: { id: refundRequestId, status: { in: reviewable } },
+      data: {
+        status: decision === 'APPROVE' ? 'APPROVED' : 'REJECTED',
+        reviewNotes: notes || null,
+        reviewedById: user.id,
+        reviewedAt: new Date()
+      }
+    });
+
+    if (claimed.count === 0) {
+      throw new ConflictError(`This refund request is already ${refundRequest.status.toLowerCase()}`);
+    }
+
+    logger.info('Refund request reviewed', { refundRequestId, decision, reviewerId: user.id });
+
+    if (decision === 'APPROVE') {
+      return await paymentService.processRefund(refundRequestId);
+    }
+
+    const rejected = await prisma.refundRequest.findUnique({ where: { id: refundRequestId } });
+    await paymentService._sendRefundStatus(rejected, refundRequest.booking, refundRequest.payment);
+
+    return rejected;
+  }
+
+  // Private helper methods
+  _visibleTo(user) {
+    if (user.role === 'SUPER_ADMIN') return {};
+    if (user.role === 'SELLER') return { booking: { campaign: { sellerId: user.id } } };
+    return { customerId: user.id };
+  }
+
+  _include() {
+    return {
+      booking: {
+        select: {
+          id: true,
+          bookingRef: true,
+          status: true,
+          ticketType: true,
+          quantity: true,
+          totalAmount: true,
+          campaign: { select: { id: true, title: true, eventDate: true } }
+        }
+      },
+      customer: { select: { id: true, email: true, firstName: true, lastName: true } },
+      reviewedBy: { select: { id: true, firstName: true, lastName: true } },
+      payment: { select: { id: true, transactionRef: true, provider: true, amount: true, currency: true, status: true } }
+    };
+  }
+}
+
+export default new RefundService();
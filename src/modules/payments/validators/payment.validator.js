@@ -0,0 +1,143 @@
+import { body, query, validationResult } from 'express-validator';
+import { ValidationError } from '../../../shared/errors/AppError.js';
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.param,
+      message: error.msg,
+    }));
+    throw new ValidationError('Validation failed', errorMessages);
+  }
+  next();
+};
+
+export const validatePaymentRoute = [
+  body('provider')
+    .trim()
+    .notEmpty().withMessage('Provider is required')
+    .toUpperCase(),
+  
+  body('sellerId')
+    .optional({ nullable: true })
+    .isString().withMessage('Invalid seller ID'),
+  
+  body('currency')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code')
+    .toUpperCase(),
+  
+  body('country')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Country must be between 2 and 100 characters'),
+  
+  handleValidationErrors,
+];
+
+export const validateSimulatedCheckout = [
+  body('outcome')
+    .trim()
+    .toUpperCase()
+    .isIn(['SUCCESS', 'FAILED']).withMessage('Outcome must be SUCCESS or FAILED'),
+  
+  body('delaySeconds')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 0, max: 300 }).withMessage('Delay must be between 0 and 300 seconds')
+    .toInt(),
+  
+  body('duplicate')
+    .optional()
+    .isBoolean().withMessage('Duplicate must be boolean')
+    .toBoolean(),
+  
+  body('paymentAccount')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Payment account must be at most 50 characters'),
+  
+  handleValidationErrors,
+];
+
+export const validateReconciliation = [
+  body(['startDate', 'endDate'])
+    .optional()
+    .isISO8601().withMessage('Dates must be ISO 8601'),
+  
+  handleValidationErrors,
+];
+
+export const validateReconciliationIssues = [
+  query('status')
+    .optional()
+    .isIn(['OPEN', 'RESOLVED']).withMessage('Status must be OPEN or RESOLVED'),
+  
+  query('type')
+    .optional()
+    .isIn(['AMOUNT_MISMATCH', 'PAID_AFTER_EXPIRY']).withMessage('Invalid issue type'),
+  
+  query(['page', 'limit'])
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page and limit must be positive whole numbers'),
+  
+  handleValidationErrors,
+];
+
+export const validateResolveIssue = [
+  body('resolution')
+    .trim()
+    .notEmpty().withMessage('Describe how the issue was resolved')
+    .isLength({ max: 1000 }).withMessage('Resolution must be at most 1000 characters'),
+  
+  handleValidationErrors,
+];
+
+export const validatePaymentRefundRequest = [
+  body('reason')
+    .notEmpty().withMessage('Reason for refund is required')
+    .trim()
+    .isLength({ min: 10, max: 500 }).withMessage('Reason must be between 10 and 500 characters'),
+  
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Refund amount must be a positive number'),
+  
+  body('refundTo')
+    .optional()
+    .isIn(['ORIGINAL_PAYMENT', 'STORE_CREDIT']).withMessage('Refund destination must be ORIGINAL_PAYMENT or STORE_CREDIT'),
+  
+  handleValidationErrors,
+];
+
+export const validateRefundRequestList = [
+  query('status')
+    .optional()
+    .isIn(['PENDING', 'APPROVED', 'REJECTED', 'COMPLETED', 'FAILED']).withMessage('Invalid refund status'),
+  
+  query(['page', 'limit'])
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page and limit must be positive whole numbers'),
+  
+  handleValidationErrors,
+];
+
+export const validateRefundReview = [
+  body('decision')
+    .trim()
+    .toUpperCase()
+    .isIn(['APPROVE', 'REJECT']).withMessage('Decision must be APPROVE or REJECT'),
+  
+  body('notes')
+    .if(body('decision').equals('REJECT'))
+    .trim()
+    .notEmpty().withMessage('Tell the customer why the refund was rejected'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters'),
+  
+  handleValidationErrors,
+];
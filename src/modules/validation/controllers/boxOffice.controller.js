@@ -0,0 +1,151 @@
+import prisma from '../../../config/database.js';
+import boxOfficeService from '../services/boxOfficeService.js';
+import { AuthorizationError } from '../../../shared/errors/AppError.js';
+
+const getManager = (req) => {
+  const manager = req.user.managerAccount;
+  if (!manager) throw new AuthorizationError('Manager access required');
+  return manager;
+};
+
+/**
+ * Open a box-office shift at a campaign
+ */
+export const openShift = async (req, res) => {
+  const manager = getManager(req);
+
+  const shift = await boxOfficeService.openShift(manager, req.body);
+
+  // Managers act on behalf of their seller, who owns the audit trail
+  await prisma.auditLog.create({
+    data: {
+      userId: manager.sellerId,
+      action: 'BOX_OFFICE_SHIFT_OPENED',
+      entity: 'BoxOfficeShift',
+      entityId: shift.id,
+      metadata: {
+        managerId: manager.id,
+        campaignId: shift.campaignId,
+        openingFloat: shift.openingFloat,
+      },
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Box-office shift opened',
+    data: shift,
+  });
+};
+
+/**
+ * The manager's open shift with its running totals
+ */
+export const getCurrentShift = async (req, res) => {
+  const manager = getManager(req);
+
+  const shift = await boxOfficeService.getCurrentShift(manager.id);
+
+  res.status(200).json({
+    success: true,
+    data: shift ? await boxOfficeService.getShiftReport(shift.id, { managerId: manager.id }) : null,
+  });
+};
+
+/**
+ * Sell tickets at the door
+ */
+export const sellTickets = async (req, res) => {
+  const manager = getManager(req);
+
+  const result = await boxOfficeService.sellTickets(manager, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: manager.sellerId,
+      action: 'BOX_OFFICE_SALE',
+      entity: 'Booking',
+      entityId: result.booking.id,
+      metadata: {
+        managerId: manager.id,
+        saleId: result.sale.id,
+        shiftId: result.sale.shiftId,
+        paymentMethod: result.sale.paymentMethod,
+        amount: result.sale.amount,
+      },
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Tickets sold',
+    data: result,
+  });
+};
+
+/**
+ * Close a shift with the counted cash
+ */
+export const closeShift = async (req, res) => {
+  const manager = getManager(req);
+  const { shiftId } = req.params;
+
+  const report = await boxOfficeService.closeShift(manager, shiftId, req.body);
+
+  await prisma.auditLog.create({
+    data: {
+      userId: manager.sellerId,
+      action: 'BOX_OFFICE_SHIFT_CLOSED',
+      entity: 'BoxOfficeShift',
+      entityId: shiftId,
+      metadata: {
+        managerId: manager.id,
+        ...report.reconciliation,
+      },
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Box-office shift closed',
+    data: report,
+  });
+};
+
+/**
+ * Cash reconciliation report for one of the manager's shifts
+ */
+export const getShiftReport = async (req, res) => {
+  const manager = getManager(req);
+
+  const report = await boxOfficeService.getShiftReport(req.params.shiftId, { managerId: manager.id });
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+};
+
+/**
+ * Box-office shifts across the seller's campaigns
+ */
+export const getSellerShifts = async (req, res) => {
+  const result = await boxOfficeService.getSellerShifts(req.user.id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+};
+
+/**
+ * Reconciliation report for a shift on one of the seller's campaigns
+ */
+export const getSellerShiftReport = async (req, res) => {
+  const report = await boxOfficeService.getShiftReport(req.params.shiftId, { sellerId: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+};
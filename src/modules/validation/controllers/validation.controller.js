@@ -933,7 +933,7 @@ export const validateQRCode = async (req, res) => {
 
   // FIX: Accept 'QRCode' (from Postman) OR 'qrData' (Standard)
   const qrData = req.body.qrData || req.body.QRCode; 
-  const { location } = req.body;
+  const { location, sessionId, campaignId } = req.body;
   
   // Validation check
   if (!qrData) {
@@ -951,6 +951,10 @@ export const validateQRCode = async (req, res) => {
 
   const context = {
     location,
+    // Session being checked in, for multi-session campaigns
+    sessionId,
+    // Event being checked in, so a pass knows which of its tickets to admit
+    campaignId,
     ipAddress: req.ip,
     method: 'QR_SCAN'
   };
@@ -1034,9 +1038,22 @@ export const getOfflineData = async (req, res) => {
     where: {
       sellerId: manager.sellerId,
       status: 'ACTIVE',
-      eventDate: { gte: today, lte: nextWeek }
+      OR: [
+        { isMultiSession: false, eventDate: { gte: today, lte: nextWeek } },
+        { isMultiSession: true, sessions: { some: { status: 'SCHEDULED', startsAt: { gte: today, lte: nextWeek } } } }
+      ]
     },
-    select: { id: true, title: true, isMultiScan: true, maxScansPerTicket: true }
+    select: {
+      id: true,
+      title: true,
+      isMultiScan: true,
+      maxScansPerTicket: true,
+      sessions: {
+        where: { status: 'SCHEDULED', startsAt: { gte: today, lte: nextWeek } },
+        select: { id: true, startsAt: true, endsAt: true, label: true },
+        orderBy: { startsAt: 'asc' }
+      }
+    }
   });
 
   const campaignIds = campaigns.map(c => c.id);
@@ -1054,7 +1071,10 @@ export const getOfflineData = async (req, res) => {
       status: true,
       scanCount: true,
       maxScans: true,
-      campaignId: true
+      campaignId: true,
+      sessionId: true,
+      // Pass tickets are matched by their pass QR code
+      passPurchase: { select: { id: true, qrCode: true } }
     }
   });
 
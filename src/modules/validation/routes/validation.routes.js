@@ -64,16 +64,35 @@
 
 import express from 'express';
 import { asyncHandler } from '../../../shared/middleware/errorHandler.js';
-import { ensureManagerAuthenticated } from '../../auth/middleware/auth.middleware.js'; // Assuming you have these
+import { ensureAuthenticated, ensureRoles, ensureManagerAuthenticated } from '../../auth/middleware/auth.middleware.js'; // Assuming you have these
 import {
   validateQRCode,
   getOfflineData,
   syncOfflineValidations,
   getValidatorStats
 } from '../controllers/validation.controller.js';
+import {
+  openShift,
+  getCurrentShift,
+  sellTickets,
+  closeShift,
+  getShiftReport,
+  getSellerShifts,
+  getSellerShiftReport
+} from '../controllers/boxOffice.controller.js';
+import {
+  validateOpenShift,
+  validateBoxOfficeSale,
+  validateCloseShift,
+  validateShiftQuery
+} from '../validators/boxOffice.validator.js';
 
 const router = express.Router();
 
+// Box-office reports for the seller (registered before the manager-only guard)
+router.get('/box-office/seller/shifts', ensureAuthenticated, ensureRoles('SELLER'), validateShiftQuery, asyncHandler(getSellerShifts));
+router.get('/box-office/seller/shifts/:shiftId', ensureAuthenticated, ensureRoles('SELLER'), asyncHandler(getSellerShiftReport));
+
 // All validation routes require authentication (Manager or Seller)
 router.use(ensureManagerAuthenticated);
 
@@ -92,4 +111,12 @@ router.get('/offline/download', asyncHandler(getOfflineData));
 // Upload offline scans (Managers only)
 router.post('/offline/sync', asyncHandler(syncOfflineValidations));
 
+// 4. Box Office (Managers only)
+// Door sales paid in cash or on the seller's card terminal
+router.post('/box-office/shifts', validateOpenShift, asyncHandler(openShift));
+router.get('/box-office/shifts/current', asyncHandler(getCurrentShift));
+router.get('/box-office/shifts/:shiftId', asyncHandler(getShiftReport));
+router.post('/box-office/shifts/:shiftId/close', validateCloseShift, asyncHandler(closeShift));
+router.post('/box-office/sales', validateBoxOfficeSale, asyncHandler(sellTickets));
+
 export default router;
\ No newline at end of file
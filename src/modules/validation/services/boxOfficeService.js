@@ -0,0 +1,473 @@
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import { lock } from '../../../config/redis.js';
+import { emailQueue, pdfQueue } from '../../../config/rabbitmq.js';
+import bookingService from '../../bookings/services/bookingService.js';
+import invoiceService from '../../bookings/services/invoiceService.js';
+import seatMapService from '../../campaigns/services/seatMapService.js';
+import sessionService from '../../campaigns/services/sessionService.js';
+import {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+  BookingError
+} from '../../../shared/errors/AppError.js';
+
+export const BOX_OFFICE_PAYMENT_METHODS = ['CASH', 'CARD_TERMINAL'];
+
+const MAX_TICKETS_PER_SALE = 20;
+
+/**
+ * Box-office point of sale for door staff.
+ *
+ * A manager opens a shift at one campaign with a cash float, sells tickets paid
+ * in cash or on the seller's own card terminal, and closes the shift with a cash
+ * count. Door sales are confirmed and admitted on the spot. The money never
+ * passes through the platform, so it is reported in the seller's finance record
+ * but kept out of the withdrawable balances.
+ */
+class BoxOfficeService {
+  /**
+   * Open a shift. A manager can only have one open shift at a time.
+   */
+  async openShift(manager, { campaignId, openingFloat = 0 }) {
+    const campaign = await prisma.ticketCampaign.findUnique({
+      where: { id: campaignId },
+      select: { id: true, title: true, sellerId: true, status: true }
+    });
+
+    if (!campaign) {
+      throw new NotFoundError('Campaign');
+    }
+
+    if (campaign.sellerId !== manager.sellerId) {
+      throw new AuthorizationError('Manager not authorized for this campaign');
+    }
+
+    if (campaign.status !== 'ACTIVE') {
+      throw new BookingError('Campaign is not active');
+    }
+
+    const openShift = await this.getCurrentShift(manager.id);
+    if (openShift) {
+      throw new ConflictError('You already have an open box-office shift. Close it first.');
+    }
+
+    const shift = await prisma.boxOfficeShift.create({
+      data: {
+        managerId: manager.id,
+        sellerId: manager.sellerId,
+        campaignId,
+        openingFloat
+      }
+    });
+
+    logger.info('Box-office shift opened', { shiftId: shift.id, managerId: manager.id, campaignId });
+
+    return shift;
+  }
+
+  async getCurrentShift(managerId) {
+    return await prisma.boxOfficeShift.findFirst({
+      where: { managerId, status: 'OPEN' },
+      include: { campaign: { select: { id: true, title: true, eventDate: true, venue: true } } }
+    });
+  }
+
+  /**
+   * Sell tickets at the door on the manager's open shift. The booking is
+   * confirmed and, unless `admit` is false, its tickets are scanned in straight away.
+   */
+  async sellTickets(manager, saleData) {
+    const {
+      ticketType,
+      quantity,
+      paymentMethod,
+      terminalReference,
+      buyerEmail,
+      buyerName,
+      issuanceType = 'SEPARATE',
+      sessionId,
+      admit = true
+    } = saleData;
+
+    if (!BOX_OFFICE_PAYMENT_METHODS.includes(paymentMethod)) {
+      throw new ValidationError(`Payment method must be one of ${BOX_OFFICE_PAYMENT_METHODS.join(', ')}`);
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_TICKETS_PER_SALE) {
+      throw new ValidationError(`Between 1 and ${MAX_TICKETS_PER_SALE} tickets can be sold at a time`);
+    }
+
+    if (!['SINGLE', 'SEPARATE'].includes(issuanceType)) {
+      throw new ValidationError('Invalid issuance type. Must be SINGLE or SEPARATE');
+    }
+
+    const shift = await this.getCurrentShift(manager.id);
+    if (!shift) {
+      throw new BookingError('Open a box-office shift before selling tickets');
+    }
+
+    const { campaignId } = shift;
+    const lockKey = `booking:lock:${campaignId}:${ticketType}`;
+    const lockToken = await lock.acquire(lockKey, 10);
+
+    if (!lockToken) {
+      throw new BookingError('System is busy. Please try again.');
+    }
+
+    let result;
+
+    try {
+      result = await prisma.$transaction(async (tx) => {
+        const campaign = await tx.ticketCampaign.findUnique({
+          where: { id: campaignId }
+        });
+
+        // Doors open after the event starts, so only the campaign end closes sales
+        if (campaign.status !== 'ACTIVE' || new Date() > campaign.endDate) {
+          throw new BookingError('Ticket sales for this event have closed');
+        }
+
+        const seatedTypes = await seatMapService.getSeatedTicketTypes(campaignId, tx);
+        if (seatedTypes[ticketType]) {
+          throw new BookingError('Reserved seating ticket types cannot be sold at the box office');
+        }
+
+        const campaignTicketType = await bookingService._validateTicketType(campaign, ticketType, quantity);
+        const session = await sessionService.reserveSession(tx, campaign, sessionId, quantity, { allowStarted: true });
+        const ticketTypeInfo = sessionService.applyPriceOverride(session, ticketType, campaignTicketType);
+        const pricingInfo = await bookingService._calculateBookingPrice(ticketTypeInfo, quantity, null);
+
+        // Walk-up buyers without an email are booked to the seller's own account
+        const customer = buyerEmail
+          ? await bookingService._findOrCreateCustomer(tx, { email: buyerEmail, ...this._splitName(buyerName) })
+          : await tx.user.findUnique({ where: { id: campaign.sellerId } });
+
+        const booking = await bookingService._createBookingRecord(tx, {
+          userId: customer.id,
+          campaignId,
+          ticketType,
+          quantity,
+          issuanceType,
+          pricingInfo,
+          campaign,
+          session,
+          channel: 'BOX_OFFICE',
+          paymentDeadline: new Date()
+        });
+
+        await bookingService._updateInventory(tx, campaign, ticketType, quantity);
+
+        const { booking: confirmedBooking, tickets } = await bookingService.issueBookingTickets(tx, { ...booking, campaign });
+
+        const admittedTickets = admit
+          ? await this._admitTickets(tx, tickets, manager.id)
+          : tickets;
+
+        const sale = await tx.boxOfficeSale.create({
+          data: {
+            shiftId: shift.id,
+            bookingId: booking.id,
+            managerId: manager.id,
+            paymentMethod,
+            amount: pricingInfo.totalAmount,
+            terminalReference
+          }
+        });
+
+        await this._recordDoorSale(tx, {
+          sellerId: campaign.sellerId,
+          amount: pricingInfo.totalAmount,
+          reference: booking.bookingRef,
+          description: `Box office: ${quantity}x ${ticketType} - ${campaign.title}`,
+          metadata: { saleId: sale.id, shiftId: shift.id, paymentMethod }
+        });
+
+        const invoice = await invoiceService.issueForBooking(tx, { ...booking, campaign, session }, {
+          paymentMethod,
+          paymentRef: terminalReference
+        });
+
+        return { sale, booking: confirmedBooking, tickets: admittedTickets, invoice, customer, campaign, session };
+      });
+    } finally {
+      await lock.release(lockKey, lockToken);
+    }
+
+    await pdfQueue.generateInvoice({ invoiceId: result.invoice.id });
+
+    // Buyers who gave an email also get their tickets as usual
+    if (buyerEmail) {
+      for (const ticket of result.tickets) {
+        await pdfQueue.generateTicket({ ticketId: ticket.id });
+      }
+
+      await emailQueue.sendBookingConfirmation({
+        bookingId: result.booking.id,
+        invoiceId: result.invoice.id,
+        customerEmail: result.customer.email,
+        customerName: buyerName || result.customer.email,
+        bookingRef: result.booking.bookingRef,
+        eventTitle: result.campaign.title,
+        eventDate: result.session?.startsAt || result.campaign.eventDate,
+        ticketCount: result.tickets.length
+      });
+    }
+
+    logger.info('Box-office sale recorded', {
+      saleId: result.sale.id,
+      shiftId: shift.id,
+      managerId: manager.id,
+      bookingId: result.booking.id,
+      paymentMethod,
+      amount: result.sale.amount
+    });
+
+    return {
+      sale: result.sale,
+      booking: result.booking,
+      tickets: result.tickets.map(ticket => ({
+        id: ticket.id,
+        ticketNumber: ticket.ticketNumber,
+        status: ticket.status,
+        scans: `${ticket.scanCount}/${ticket.maxScans}`
+      }))
+    };
+  }
+
+  /**
+   * Close a shift with the counted cash and fix its totals
+   */
+  async closeShift(manager, shiftId, { countedCash, notes }) {
+    const shift = await prisma.boxOfficeShift.findUnique({ where: { id: shiftId } });
+
+    if (!shift || shift.managerId !== manager.id) {
+      throw new NotFoundError('Box-office shift');
+    }
+
+    if (shift.status !== 'OPEN') {
+      throw new ConflictError('This shift is already closed');
+    }
+
+    const totals = await this._getShiftTotals(shiftId);
+    const expectedCash = Number(shift.openingFloat) + totals.cash;
+    const variance = Math.round((Number(countedCash) - expectedCash) * 100) / 100;
+
+    const result = await prisma.boxOfficeShift.updateMany({
+      where: { id: shiftId, status: 'OPEN' },
+      data: {
+        status: 'CLOSED',
+        cashSales: totals.cash,
+        terminalSales: totals.terminal,
+        expectedCash,
+        countedCash,
+        cashVariance: variance,
+        notes,
+        closedAt: new Date()
+      }
+    });
+
+    if (result.count === 0) {
+      throw new ConflictError('This shift is already closed');
+    }
+
+    logger.info('Box-office shift closed', { shiftId, managerId: manager.id, expectedCash, countedCash, variance });
+
+    return await this.getShiftReport(shiftId, { managerId: manager.id });
+  }
+
+  /**
+   * Cash reconciliation report for a shift. Managers see their own shifts,
+   * sellers see every shift on their campaigns.
+   */
+  async getShiftReport(shiftId, { managerId, sellerId } = {}) {
+    const shift = await prisma.boxOfficeShift.findUnique({
+      where: { id: shiftId },
+      include: {
+        manager: { select: { id: true, name: true, email: true } },
+        campaign: { select: { id: true, title: true, eventDate: true, venue: true } },
+        sales: {
+          orderBy: { createdAt: 'asc' },
+          include: { booking: { select: { bookingRef: true, ticketType: true, quantity: true } } }
+        }
+      }
+    });
+
+    const allowed = shift && (managerId ? shift.managerId === managerId : shift.sellerId === sellerId);
+    if (!allowed) {
+      throw new NotFoundError('Box-office shift');
+    }
+
+    const totals = this._summarizeSales(shift.sales);
+    const expectedCash = Number(shift.openingFloat) + totals.cash;
+
+    return {
+      shift: {
+        id: shift.id,
+        status: shift.status,
+        openedAt: shift.openedAt,
+        closedAt: shift.closedAt,
+        manager: shift.manager,
+        campaign: shift.campaign,
+        notes: shift.notes
+      },
+      reconciliation: {
+        openingFloat: Number(shift.openingFloat),
+        cashSales: totals.cash,
+        terminalSales: totals.terminal,
+        totalSales: totals.cash + totals.terminal,
+        expectedCash,
+        countedCash: shift.countedCash === null ? null : Number(shift.countedCash),
+        cashVariance: shift.cashVariance === null ? null : Number(shift.cashVariance)
+      },
+      byTicketType: totals.byTicketType,
+      sales: shift.sales.map(sale => ({
+        id: sale.id,
+        bookingRef: sale.booking.bookingRef,
+        ticketType: sale.booking.ticketType,
+        quantity: sale.booking.quantity,
+        paymentMethod: sale.paymentMethod,
+        amount: Number(sale.amount),
+        terminalReference: sale.terminalReference,
+        createdAt: sale.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Shifts on a seller's campaigns, newest first
+   */
+  async getSellerShifts(sellerId, { campaignId, status, page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const where = {
+      sellerId,
+      ...(campaignId && { campaignId }),
+      ...(status && { status })
+    };
+
+    const [shifts, total] = await Promise.all([
+      prisma.boxOfficeShift.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { openedAt: 'desc' },
+        include: {
+          manager: { select: { id: true, name: true } },
+          campaign: { select: { id: true, title: true } }
+        }
+      }),
+      prisma.boxOfficeShift.count({ where })
+    ]);
+
+    return {
+      shifts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Private helper methods
+
+  // Scan the tickets in as if they had been presented at the gate
+  async _admitTickets(tx, tickets, managerId) {
+    const admitted = [];
+
+    for (const ticket of tickets) {
+      const updated = await tx.ticket.update({
+        where: { id: ticket.id },
+        data: {
+          scanCount: 1,
+          status: ticket.maxScans <= 1 ? 'USED' : 'VALID',
+          usedAt: new Date()
+        }
+      });
+
+      await tx.ticketValidation.create({
+        data: {
+          ticketId: ticket.id,
+          campaignId: ticket.campaignId,
+          validatedBy: managerId,
+          validationMethod: 'BOX_OFFICE',
+          scanNumber: 1,
+          isValid: true
+        }
+      });
+
+      admitted.push(updated);
+    }
+
+    return admitted;
+  }
+
+  // Door takings are reported to the seller but never credited to the balances
+  async _recordDoorSale(tx, { sellerId, amount, reference, description, metadata }) {
+    const finance = await tx.finance.upsert({
+      where: { sellerId },
+      create: { sellerId },
+      update: {}
+    });
+
+    await tx.finance.update({
+      where: { id: finance.id },
+      data: { doorSales: { increment: amount } }
+    });
+
+    await tx.transaction.create({
+      data: {
+        financeId: finance.id,
+        userId: sellerId,
+        type: 'DOOR_SALE',
+        amount,
+        balanceBefore: finance.pendingBalance,
+        balanceAfter: finance.pendingBalance,
+        reference,
+        description,
+        metadata
+      }
+    });
+  }
+
+  async _getShiftTotals(shiftId) {
+    const sales = await prisma.boxOfficeSale.findMany({
+      where: { shiftId },
+      include: { booking: { select: { ticketType: true, quantity: true } } }
+    });
+
+    return this._summarizeSales(sales);
+  }
+
+  _summarizeSales(sales) {
+    const totals = { cash: 0, terminal: 0, byTicketType: {} };
+
+    for (const sale of sales) {
+      const amount = Number(sale.amount);
+      if (sale.paymentMethod === 'CASH') {
+        totals.cash += amount;
+      } else {
+        totals.terminal += amount;
+      }
+
+      const line = totals.byTicketType[sale.booking.ticketType] ||= { tickets: 0, amount: 0 };
+      line.tickets += sale.booking.quantity;
+      line.amount += amount;
+    }
+
+    totals.cash = Math.round(totals.cash * 100) / 100;
+    totals.terminal = Math.round(totals.terminal * 100) / 100;
+
+    return totals;
+  }
+
+  _splitName(name) {
+    const [firstName, ...rest] = (name || '').trim().split(/\s+/);
+    return { firstName: firstName || null, lastName: rest.join(' ') || null };
+  }
+}
+
+export default new BoxOfficeService();
@@ -617,6 +617,9 @@
 import prisma from '../../../config/database.js';
 import logger from '../../../config/logger.js';
 import { verifyQRData } from '../../../shared/utils/encryption.js';
+import resaleService from '../../bookings/services/resaleService.js';
+import sessionService from '../../campaigns/services/sessionService.js';
+import passService from '../../bookings/services/passService.js';
 import { 
   ValidationError, 
   NotFoundError,
@@ -640,7 +643,11 @@ class ValidationService {
       throw new ValidationError(verification.error || 'Invalid QR Code');
     }
 
-    const { ticketId } = verification.data;
+    // A pass QR admits the pass's ticket for the event being checked in
+    const { passPurchaseId } = verification.data;
+    const ticketId = passPurchaseId
+      ? await passService.resolveAdmissionTicket(passPurchaseId, qrData, context)
+      : verification.data.ticketId;
 
     // 2. Atomic Database Transaction
     return await prisma.$transaction(async (tx) => {
@@ -665,7 +672,13 @@ class ValidationService {
                 select: { firstName: true, lastName: true, email: true }
               }
             }
-          }
+          },
+          seats: {
+            select: { section: true, row: true, number: true },
+            orderBy: [{ section: 'asc' }, { row: 'asc' }, { number: 'asc' }]
+          },
+          session: true,
+          passPurchase: { select: { id: true, qrCode: true } }
         }
       });
 
@@ -674,7 +687,13 @@ class ValidationService {
       // B. STRICT SECURITY CHECK: Version Match
       // Does the scanned QR string match the latest one stored in the DB?
       // This invalidates old PDFs if the ticket was re-issued/regenerated.
-      if (ticket.qrCode !== qrData) {
+      if (passPurchaseId) {
+        if (ticket.passPurchase?.qrCode !== qrData) {
+          throw new ConflictError('This pass has been revoked or re-issued. Please use the latest pass.');
+        }
+      } else if (ticket.passPurchaseId) {
+        throw new ConflictError('This ticket is part of a pass. Scan the pass QR code instead.');
+      } else if (ticket.qrCode !== qrData) {
         throw new ConflictError('This ticket has been revoked or re-issued. Please use the latest ticket.');
       }
 
@@ -686,9 +705,18 @@ class ValidationService {
       // Check Authorization
       await this._verifyValidatorAuthorization(validatorInfo, ticket.campaign.sellerId, tx);
 
+      // Session tickets only admit at their own session
+      sessionService.assertAdmissible(ticket.session, context.sessionId);
+
       // D. Ticket Status Logic
       if (ticket.status === 'CANCELLED') throw new ConflictError('Ticket is CANCELLED');
       if (ticket.status === 'EXPIRED') throw new ConflictError('Ticket is EXPIRED');
+
+      // A ticket on the resale marketplace may be sold at any moment
+      const resaleListing = await resaleService.getOpenListing(ticketId, tx);
+      if (resaleListing) {
+        throw new ConflictError('Ticket is listed for resale. The holder must withdraw the listing before entry.');
+      }
       
       // E. Multi-Scan Logic
       const currentScans = ticket.scanCount;
@@ -735,12 +763,19 @@ class ValidationService {
           ticketNumber: updatedTicket.ticketNumber,
           status: updatedTicket.status,
           scans: `${newScanCount}/${maxScans}`,
-          holder: `${ticket.booking.customer.firstName} ${ticket.booking.customer.lastName}`
+          holder: `${ticket.booking.customer.firstName} ${ticket.booking.customer.lastName}`,
+          seats: ticket.seats,
+          attendee: ticket.attendeeName || ticket.attendeeAnswers
+            ? { name: ticket.attendeeName, email: ticket.attendeeEmail, answers: ticket.attendeeAnswers || [] }
+            : null
         },
         campaign: {
           title: ticket.campaign.title,
           venue: ticket.campaign.venue
         },
+        session: ticket.session
+          ? { id: ticket.session.id, startsAt: ticket.session.startsAt, label: ticket.session.label }
+          : null,
         validationId: validation.id
       };
     });
@@ -771,10 +806,13 @@ class ValidationService {
           if (!ticket) throw new Error('Ticket not found');
 
           // Check if ticket state on server matches offline expectation
-          let conflict = false;
+          let conflictReason = null;
           if (ticket.scanCount >= ticket.maxScans) {
-            conflict = true; // Ticket was fully used on server already
+            conflictReason = 'Already used on server'; // Ticket was fully used on server already
+          } else if (ticket.sessionId && record.sessionId && ticket.sessionId !== record.sessionId) {
+            conflictReason = 'Scanned at the wrong session';
           }
+          const conflict = conflictReason !== null;
 
           if (!conflict) {
              // Update ticket state if it makes sense
@@ -801,7 +839,7 @@ class ValidationService {
               createdAt: new Date(record.timestamp), // Use actual scan time
               metadata: {
                 syncedAt: new Date(),
-                conflictReason: conflict ? 'Already used on server' : null
+                conflictReason
               }
             }
           });
@@ -0,0 +1,107 @@
+import { body, param, query, validationResult } from 'express-validator';
+import { ValidationError } from '../../../shared/errors/AppError.js';
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => ({
+      field: error.param,
+      message: error.msg,
+    }));
+    throw new ValidationError('Validation failed', errorMessages);
+  }
+  next();
+};
+
+export const validateOpenShift = [
+  body('campaignId')
+    .notEmpty().withMessage('Campaign ID is required'),
+  
+  body('openingFloat')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Opening float must be zero or more')
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+export const validateBoxOfficeSale = [
+  body('ticketType')
+    .trim()
+    .notEmpty().withMessage('Ticket type is required')
+    .isLength({ min: 1, max: 50 }).withMessage('Ticket type must be between 1 and 50 characters'),
+  
+  body('quantity')
+    .notEmpty().withMessage('Quantity is required')
+    .isInt({ min: 1, max: 20 }).withMessage('Quantity must be between 1 and 20')
+    .toInt(),
+  
+  body('paymentMethod')
+    .isIn(['CASH', 'CARD_TERMINAL']).withMessage('Payment method must be CASH or CARD_TERMINAL'),
+  
+  body('terminalReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Terminal reference must be at most 100 characters'),
+  
+  body('buyerEmail')
+    .optional()
+    .trim()
+    .isEmail().withMessage('Buyer email must be valid')
+    .normalizeEmail(),
+  
+  body('buyerName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Buyer name must be at most 100 characters'),
+  
+  body('issuanceType')
+    .optional()
+    .isIn(['SINGLE', 'SEPARATE']).withMessage('Issuance type must be SINGLE or SEPARATE'),
+  
+  body('sessionId')
+    .optional()
+    .isString().trim().notEmpty().withMessage('Invalid session ID'),
+  
+  body('admit')
+    .optional()
+    .isBoolean().withMessage('Admit must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+export const validateCloseShift = [
+  param('shiftId')
+    .notEmpty().withMessage('Shift ID is required'),
+  
+  body('countedCash')
+    .notEmpty().withMessage('Counted cash is required')
+    .isFloat({ min: 0 }).withMessage('Counted cash must be zero or more')
+    .toFloat(),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes must be at most 500 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateShiftQuery = [
+  query('status')
+    .optional()
+    .isIn(['OPEN', 'CLOSED']).withMessage('Status must be OPEN or CLOSED'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
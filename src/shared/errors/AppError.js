@@ -47,6 +47,13 @@ export class ConflictError extends AppError {
   }
 }
 
+export class IdempotencyError extends AppError {
+  constructor(message = 'Idempotency-Key was already used with a different request') {
+    super(message, 422);
+    this.name = 'IdempotencyError';
+  }
+}
+
 export class RateLimitError extends AppError {
   constructor(message = 'Too many requests') {
     super(message, 429);
@@ -68,6 +75,14 @@ export class BookingError extends AppError {
   }
 }
 
+export class BookingChallengeError extends AppError {
+  constructor(message = 'Additional verification required', data = {}) {
+    super(message, 428);
+    this.name = 'BookingChallengeError';
+    this.data = data;
+  }
+}
+
 export class InventoryError extends AppError {
   constructor(message = 'Inventory not available', statusCode = 409) {
     super(message, statusCode);
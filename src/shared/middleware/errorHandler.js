@@ -91,6 +91,7 @@ export const errorHandler = (err, req, res, next) => {
     success: false,
     status: error.status || 'error',
     message: error.message || 'Internal server error',
+    ...(error.data && { data: error.data }),
     ...(process.env.NODE_ENV === 'development' && {
       error: err,
       stack: err.stack,
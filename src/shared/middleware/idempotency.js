@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import config from '../../config/index.js';
+import logger from '../../config/logger.js';
+import { idempotencyStore } from '../../config/redis.js';
+import { ValidationError, ConflictError, IdempotencyError } from '../errors/AppError.js';
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Make a POST endpoint safe to retry with an `Idempotency-Key` header.
+ *
+ * The first request with a key runs normally and its successful response is
+ * stored; retries with the same key and payload get that response back with an
+ * `Idempotent-Replayed: true` header. Reusing a key for a different payload is
+ * rejected with 422. Failed requests release the key so they can be retried.
+ *
+ * Keys are scoped to the signed-in user and route, so mount after authentication.
+ * Unauthenticated routes pass `scope` to name the caller from the request
+ * instead, and `omit` lists `data` fields that must never be replayed.
+ * Requests without the header are not affected.
+ */
+export const idempotency = ({ scope, omit = [] } = {}) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return next(new ValidationError(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`));
+    }
+
+    const scopedKey = `${req.user?.id || scope?.(req) || 'anonymous'}:${req.method}:${req.baseUrl}${req.path}:${key}`;
+    const fingerprint = fingerprintRequest(req);
+
+    let existing;
+    try {
+      existing = await idempotencyStore.begin(scopedKey, fingerprint, config.idempotency.lockSeconds);
+    } catch (error) {
+      // Without Redis the request still goes through, just without retry protection
+      logger.warn('Idempotency store unavailable, processing request without it', { error: error.message });
+      return next();
+    }
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return next(new IdempotencyError());
+      }
+
+      if (existing.state === 'IN_PROGRESS') {
+        return next(new ConflictError('A request with this Idempotency-Key is still being processed'));
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.body);
+    }
+
+    // Capture the response as it is sent
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const { statusCode } = res;
+      const settle = statusCode >= 200 && statusCode < 300
+        ? idempotencyStore.complete(scopedKey, { fingerprint, statusCode, body: omitFields(body, omit) }, config.idempotency.ttlSeconds)
+        : idempotencyStore.release(scopedKey);
+
+      settle.catch(error => logger.error('Failed to record idempotent response', { error: error.message }));
+
+      return originalJson(body);
+    };
+
+    next();
+  };
+};
+
+const omitFields = (body, fields) => {
+  if (fields.length === 0 || !body?.data) {
+    return body;
+  }
+
+  const data = { ...body.data };
+  fields.forEach(field => delete data[field]);
+  return { ...body, data };
+};
+
+// Method, route and body with keys sorted, so property order does not matter
+const fingerprintRequest = (req) => {
+  const payload = stableStringify({ method: req.method, path: `${req.baseUrl}${req.path}`, body: req.body || {} });
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
@@ -150,9 +150,13 @@ export const sendBookingConfirmationEmail = async (bookingData) => {
     eventDate,
     ticketCount,
     bookingId,
+    refundPolicy = [],
+    isComp = false,
+    accessUrl = null,
+    attachments = [],
   } = bookingData;
 
-  const subject = `Booking Confirmed - ${eventTitle}`;
+  const subject = isComp ? `Your complimentary tickets - ${eventTitle}` : `Booking Confirmed - ${eventTitle}`;
   const htmlContent = `
     <!DOCTYPE html>
     <html>
@@ -178,7 +182,9 @@ export const sendBookingConfirmationEmail = async (bookingData) => {
         </div>
         <div class="content">
           <h3>Hello ${customerName},</h3>
-          <p>Great news! Your booking has been confirmed. Your tickets are ready!</p>
+          <p>${isComp
+            ? 'Great news! The organiser has sent you complimentary tickets. Your tickets are ready!'
+            : 'Great news! Your booking has been confirmed. Your tickets are ready!'}</p>
           
           <div class="booking-details">
             <h4>Booking Details:</h4>
@@ -196,10 +202,25 @@ export const sendBookingConfirmationEmail = async (bookingData) => {
               <li><strong>Number of Tickets:</strong> ${ticketCount}</li>
             </ul>
           </div>
+          ${refundPolicy.length > 0 ? `
+          <div class="booking-details">
+            <h4>Cancellation &amp; Refund Policy:</h4>
+            <ul>
+              ${refundPolicy.map(line => `<li>${line}</li>`).join('')}
+            </ul>
+          </div>
+          ` : ''}
           
           <p><strong>Your tickets are being generated and will be available in your account shortly.</strong></p>
+          ${attachments.some(file => file.filename.endsWith('.ics')) ? '<p>Open the attached .ics file to add the event to your calendar.</p>' : ''}
+          ${attachments.some(file => file.filename.endsWith('.pdf')) ? '<p>Your invoice is attached to this email.</p>' : ''}
           
+          ${accessUrl ? `
+          <p>You can view and download your tickets here: <a href="${accessUrl}">View Booking &amp; Tickets</a>. Keep this link private. Create an account with this email address to keep all your bookings in one place.</p>
+          <p>Make sure to have your tickets ready (either printed or on your phone) when you arrive at the venue.</p>
+          ` : `
           <p>You can view and download your tickets from your dashboard. Make sure to have them ready (either printed or on your phone) when you arrive at the venue.</p>
+          `}
           
           <p><strong>Important:</strong></p>
           <ul>
@@ -225,6 +246,7 @@ export const sendBookingConfirmationEmail = async (bookingData) => {
       to: customerEmail,
       subject,
       html: htmlContent,
+      attachments,
     });
 
     logger.info('Booking confirmation email sent', { customerEmail, bookingRef });
@@ -419,4 +441,933 @@ export const sendManagerInvitationEmail = async (userData) => {
     });
     throw error;
   }
-}; 
\ No newline at end of file
+}; 
+/**
+ * Send waitlist notification email when tickets are held for a customer
+ */
+export const sendWaitlistNotificationEmail = async (waitlistData) => {
+  const {
+    customerEmail,
+    customerName,
+    campaignId,
+    eventTitle,
+    eventDate,
+    venue,
+    ticketType,
+    quantity,
+    reservationExpiry,
+  } = waitlistData;
+
+  const subject = `Tickets Available - ${eventTitle}`;
+  const expiresAt = new Date(reservationExpiry);
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Tickets Available</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #059669; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+        .details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .button { display: inline-block; background: #059669; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; }
+        .expiry-note { color: #dc2626; font-weight: bold; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>Good news - tickets are available!</h2>
+        </div>
+        <div class="content">
+          <h3>Hello ${customerName},</h3>
+          <p>Tickets you were waiting for have been released and we are holding them for you.</p>
+
+          <div class="details">
+            <h4>Reservation Details:</h4>
+            <ul>
+              <li><strong>Event:</strong> ${eventTitle}</li>
+              <li><strong>Date:</strong> ${new Date(eventDate).toLocaleDateString()}</li>
+              <li><strong>Venue:</strong> ${venue}</li>
+              <li><strong>Ticket Type:</strong> ${ticketType}</li>
+              <li><strong>Quantity:</strong> ${quantity}</li>
+            </ul>
+          </div>
+
+          <p class="expiry-note">
+            Your reservation expires at ${expiresAt.toLocaleString()}. After that the tickets go to the next person in line.
+          </p>
+
+          <div style="text-align: center;">
+            <a href="${config.app.frontendUrl}/campaigns/${campaignId}" class="button">Book Now</a>
+          </div>
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: customerEmail,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Waitlist notification email sent', { customerEmail, campaignId, ticketType });
+  } catch (error) {
+    logger.error('Failed to send waitlist notification email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a ticket transfer offer to the recipient
+ */
+export const sendTicketTransferOfferEmail = async (transferData) => {
+  const {
+    recipientEmail,
+    senderName,
+    eventTitle,
+    eventDate,
+    venue,
+    ticketType,
+    message,
+    acceptToken,
+    expiresAt,
+  } = transferData;
+
+  const subject = `${senderName} sent you a ticket - ${eventTitle}`;
+  const acceptUrl = `${config.app.frontendUrl}/tickets/transfers/accept?token=${acceptToken}`;
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Ticket Transfer</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+        .details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .button { display: inline-block; background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; }
+        .note { color: #6b7280; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>You've been sent a ticket!</h2>
+        </div>
+        <div class="content">
+          <p>${senderName} wants to transfer a ticket to you.</p>
+          ${message ? `<p><em>"${message}"</em></p>` : ''}
+
+          <div class="details">
+            <h4>Ticket Details:</h4>
+            <ul>
+              <li><strong>Event:</strong> ${eventTitle}</li>
+              <li><strong>Date:</strong> ${new Date(eventDate).toLocaleDateString()}</li>
+              <li><strong>Venue:</strong> ${venue}</li>
+              <li><strong>Ticket Type:</strong> ${ticketType}</li>
+            </ul>
+          </div>
+
+          <div style="text-align: center;">
+            <a href="${acceptUrl}" class="button">Accept Ticket</a>
+          </div>
+
+          <p class="note">
+            You will need to sign in (or create an account) with ${recipientEmail} to accept.
+            This offer expires at ${new Date(expiresAt).toLocaleString()}.
+          </p>
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: recipientEmail,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Ticket transfer offer email sent', { recipientEmail, eventTitle });
+  } catch (error) {
+    logger.error('Failed to send ticket transfer offer email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tell the original owner their ticket transfer was accepted
+ */
+export const sendTicketTransferAcceptedEmail = async (transferData) => {
+  const {
+    senderEmail,
+    senderName,
+    recipientName,
+    eventTitle,
+    ticketNumber,
+  } = transferData;
+
+  const subject = `Ticket transfer accepted - ${eventTitle}`;
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Ticket Transfer Accepted</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #059669; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>Transfer Complete</h2>
+        </div>
+        <div class="content">
+          <h3>Hello ${senderName},</h3>
+          <p>${recipientName} has accepted ticket <strong>${ticketNumber}</strong> for ${eventTitle}.</p>
+          <p>The ticket now belongs to them and your copy of it is no longer valid for entry.</p>
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: senderEmail,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Ticket transfer accepted email sent', { senderEmail, ticketNumber });
+  } catch (error) {
+    logger.error('Failed to send ticket transfer accepted email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send resale confirmation to the buyer or the holder who sold the ticket
+ */
+export const sendResaleNotificationEmail = async (resaleData) => {
+  const {
+    role,
+    recipientEmail,
+    recipientName,
+    eventTitle,
+    ticketNumber,
+    amount,
+  } = resaleData;
+
+  const isBuyer = role === 'BUYER';
+  const subject = isBuyer
+    ? `Your resale ticket for ${eventTitle}`
+    : `Your ticket for ${eventTitle} has been sold`;
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>${isBuyer ? 'Resale Purchase' : 'Ticket Sold'}</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #059669; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+        .details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>${isBuyer ? 'Purchase Complete' : 'Ticket Sold'}</h2>
+        </div>
+        <div class="content">
+          <h3>Hello ${recipientName},</h3>
+          ${isBuyer
+            ? '<p>Your resale ticket purchase is complete. A new ticket has been issued in your name and will be available in your account shortly.</p>'
+            : '<p>Your ticket has been sold on the resale marketplace. Your copy of the ticket is no longer valid for entry.</p>'}
+
+          <div class="details">
+            <ul>
+              <li><strong>Event:</strong> ${eventTitle}</li>
+              <li><strong>Ticket:</strong> ${ticketNumber}</li>
+              <li><strong>${isBuyer ? 'Amount Paid' : 'Payout'}:</strong> ${amount}</li>
+            </ul>
+          </div>
+
+          ${isBuyer ? '' : '<p>The payout has been added to your pending balance.</p>'}
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: recipientEmail,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Resale notification email sent', { recipientEmail, role, ticketNumber });
+  } catch (error) {
+    logger.error('Failed to send resale notification email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send the download link for a finished attendee export
+ */
+export const sendExportReadyEmail = async (exportData) => {
+  const {
+    recipientEmail,
+    recipientName,
+    campaignTitle,
+    format,
+    rowCount,
+    downloadUrl,
+    expiresAt,
+  } = exportData;
+
+  const subject = `Your attendee export for ${campaignTitle} is ready`;
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Export Ready</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+        .details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .button { display: inline-block; padding: 12px 24px; background: #2563eb; color: white; text-decoration: none; border-radius: 5px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>Export Ready</h2>
+        </div>
+        <div class="content">
+          <h3>Hello ${recipientName},</h3>
+          <p>The attendee list you requested is ready to download.</p>
+
+          <div class="details">
+            <ul>
+              <li><strong>Event:</strong> ${campaignTitle}</li>
+              <li><strong>Format:</strong> ${format}</li>
+              <li><strong>Tickets:</strong> ${rowCount}</li>
+            </ul>
+          </div>
+
+          <p style="text-align: center;">
+            <a href="${downloadUrl}" class="button">Download Export</a>
+          </p>
+
+          <p>You need to be signed in to download it. The link works until ${new Date(expiresAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}.</p>
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: recipientEmail,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Export ready email sent', { recipientEmail, campaignTitle });
+  } catch (error) {
+    logger.error('Failed to send export ready email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a guest their magic link to a booking
+ */
+export const sendGuestAccessLinkEmail = async (accessData) => {
+  const {
+    email,
+    firstName,
+    bookingRef,
+    eventTitle,
+    accessUrl,
+  } = accessData;
+
+  const subject = `Your booking for ${eventTitle}`;
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Your Booking</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #059669; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+        .button { display: inline-block; padding: 12px 24px; background: #059669; color: white; text-decoration: none; border-radius: 5px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>Your Booking</h2>
+        </div>
+        <div class="content">
+          <h3>Hello ${firstName || 'there'},</h3>
+          <p>Here is your link to booking <strong>${bookingRef}</strong> for <strong>${eventTitle}</strong>.</p>
+
+          <p style="text-align: center;">
+            <a href="${accessUrl}" class="button">View Booking &amp; Tickets</a>
+          </p>
+
+          <p>Anyone with this link can see your booking and download its tickets, so do not share it.</p>
+          <p>Create an account with this email address to keep all your bookings in one place.</p>
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: email,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Guest access link email sent', { email, bookingRef });
+  } catch (error) {
+    logger.error('Failed to send guest access link email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a guest the link to set a password and turn their bookings into an account
+ */
+export const sendAccountClaimEmail = async (claimData) => {
+  const { email, firstName, claimUrl } = claimData;
+
+  const subject = `Finish creating your ${config.app.name} account`;
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Create Your Account</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #059669; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+        .button { display: inline-block; padding: 12px 24px; background: #059669; color: white; text-decoration: none; border-radius: 5px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>Create Your Account</h2>
+        </div>
+        <div class="content">
+          <h3>Hello ${firstName || 'there'},</h3>
+          <p>Someone asked to create an account with this email address. Your existing bookings will be added to it once you set a password.</p>
+
+          <p style="text-align: center;">
+            <a href="${claimUrl}" class="button">Set Your Password</a>
+          </p>
+
+          <p>This link expires in 24 hours. If you did not ask for an account, you can ignore this email.</p>
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: email,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Account claim email sent', { email });
+  } catch (error) {
+    logger.error('Failed to send account claim email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send the verification code for a booking that needs an extra check
+ */
+export const sendBookingChallengeEmail = async (challengeData) => {
+  const {
+    email,
+    firstName,
+    code,
+    expiresInMinutes,
+  } = challengeData;
+
+  const subject = `Your booking verification code: ${code}`;
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Booking Verification</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+        .code { font-size: 32px; letter-spacing: 8px; font-weight: bold; text-align: center; background: white; padding: 20px; border-radius: 5px; margin: 20px 0; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>Confirm Your Booking</h2>
+        </div>
+        <div class="content">
+          <h3>Hello ${firstName || 'there'},</h3>
+          <p>To protect ticket sales from bots we need to confirm it is you. Enter this code to continue your booking:</p>
+
+          <div class="code">${code}</div>
+
+          <p>The code expires in ${expiresInMinutes} minutes. If you did not try to book tickets, you can ignore this email.</p>
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: email,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Booking challenge email sent', { email });
+  } catch (error) {
+    logger.error('Failed to send booking challenge email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tell a customer their booking was cancelled
+ */
+export const sendBookingCancelledEmail = async (cancellationData) => {
+  const {
+    customerEmail,
+    customerName,
+    bookingRef,
+    eventTitle,
+    refundAmount,
+    refundTo,
+    currency,
+  } = cancellationData;
+
+  const refundLine = !refundAmount
+    ? '<p>No refund is due for this booking.</p>'
+    : refundTo === 'STORE_CREDIT'
+      ? `<p>${currency} ${Number(refundAmount).toLocaleString()} has been added to your store credit.</p>`
+      : `<p>Your refund of ${currency} ${Number(refundAmount).toLocaleString()} will be reviewed and paid back to your original payment method. We will email you at each step.</p>`;
+
+  const subject = `Booking cancelled - ${eventTitle}`;
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Booking Cancelled</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #6b7280; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>Booking Cancelled</h2>
+        </div>
+        <div class="content">
+          <h3>Hello ${customerName || 'there'},</h3>
+          <p>Your booking <strong>${bookingRef}</strong> for <strong>${eventTitle}</strong> has been cancelled and its tickets are no longer valid.</p>
+          ${refundLine}
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: customerEmail,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Booking cancelled email sent', { customerEmail, bookingRef });
+  } catch (error) {
+    logger.error('Failed to send booking cancelled email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Ask a seller or admin to review a refund request
+ */
+export const sendRefundRequestNotificationEmail = async (refundData) => {
+  const {
+    recipientEmail,
+    recipientName,
+    customerName,
+    customerEmail,
+    bookingRef,
+    eventTitle,
+    amount,
+    currency,
+    refundTo,
+    reason,
+    reviewUrl,
+  } = refundData;
+
+  const subject = `Refund request for ${eventTitle} (${bookingRef})`;
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Refund Request</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #d97706; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .details { background: white; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+        .button { display: inline-block; padding: 12px 24px; background: #d97706; color: white; text-decoration: none; border-radius: 5px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>Refund Request</h2>
+        </div>
+        <div class="content">
+          <h3>Hello ${recipientName || 'there'},</h3>
+          <p>A customer has asked for a refund. Please approve or reject it.</p>
+
+          <div class="details">
+            <p><strong>Event:</strong> ${eventTitle}</p>
+            <p><strong>Booking:</strong> ${bookingRef}</p>
+            <p><strong>Customer:</strong> ${customerName} (${customerEmail})</p>
+            <p><strong>Amount:</strong> ${currency} ${Number(amount).toLocaleString()}</p>
+            <p><strong>Refund to:</strong> ${refundTo === 'STORE_CREDIT' ? 'Store credit' : 'Original payment method'}</p>
+            ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+          </div>
+
+          <p style="text-align: center;">
+            <a href="${reviewUrl}" class="button">Review Refund</a>
+          </p>
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: recipientEmail,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Refund request notification sent', { recipientEmail, bookingRef });
+  } catch (error) {
+    logger.error('Failed to send refund request notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Keep a customer informed as their refund request moves along
+ */
+export const sendRefundStatusEmail = async (refundData) => {
+  const {
+    customerEmail,
+    customerName,
+    bookingRef,
+    eventTitle,
+    status,
+    amount,
+    currency,
+    refundTo,
+    notes,
+  } = refundData;
+
+  const formattedAmount = `${currency} ${Number(amount).toLocaleString()}`;
+  const messages = {
+    PENDING: {
+      title: 'Refund Requested',
+      color: '#2563eb',
+      body: `We have received your request for a refund of ${formattedAmount}. The organiser will review it shortly.`,
+    },
+    REJECTED: {
+      title: 'Refund Declined',
+      color: '#dc2626',
+      body: `Your request for a refund of ${formattedAmount} was declined. Your booking and tickets remain valid.`,
+    },
+    COMPLETED: {
+      title: 'Refund Issued',
+      color: '#059669',
+      body: refundTo === 'STORE_CREDIT'
+        ? `${formattedAmount} has been added to your store credit. Your booking has been cancelled.`
+        : `Your refund of ${formattedAmount} has been sent to your original payment method. It can take a few business days to appear. Your booking has been cancelled.`,
+    },
+    FAILED: {
+      title: 'Refund Delayed',
+      color: '#d97706',
+      body: `We could not complete your refund of ${formattedAmount} yet. Our team has been notified and will try again.`,
+    },
+  };
+  const message = messages[status];
+
+  const subject = `${message.title} - ${eventTitle} (${bookingRef})`;
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>${message.title}</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: ${message.color}; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .notes { background: white; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>${message.title}</h2>
+        </div>
+        <div class="content">
+          <h3>Hello ${customerName || 'there'},</h3>
+          <p>About your booking <strong>${bookingRef}</strong> for <strong>${eventTitle}</strong>:</p>
+          <p>${message.body}</p>
+          ${notes ? `<div class="notes"><strong>Note from the organiser:</strong><br>${notes}</div>` : ''}
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: customerEmail,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Refund status email sent', { customerEmail, bookingRef, status });
+  } catch (error) {
+    logger.error('Failed to send refund status email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Payment-plan notices: an instalment was received, or the next one is due soon
+ */
+export const sendInstallmentEmail = async (installmentData) => {
+  const {
+    kind,
+    customerEmail,
+    customerName,
+    bookingRef,
+    eventTitle,
+    sequence,
+    installmentCount,
+    amount,
+    currency,
+    dueDate,
+    nextInstallment,
+    payUrl,
+  } = installmentData;
+
+  const formatAmount = (value) => `${currency} ${Number(value).toLocaleString()}`;
+  const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+
+  const messages = {
+    RECEIVED: {
+      title: 'Instalment Received',
+      body: `We have received instalment ${sequence} of ${installmentCount} (${formatAmount(amount)}).`
+        + (nextInstallment ? ` Your next instalment of ${formatAmount(nextInstallment.amount)} is due on ${formatDate(nextInstallment.dueDate)}.` : ''),
+    },
+    REMINDER: {
+      title: 'Instalment Due Soon',
+      body: `Instalment ${sequence} of ${installmentCount} (${formatAmount(amount)}) is due on ${formatDate(dueDate)}. If it is not paid in time your booking will be cancelled and refunded under the event's refund policy.`,
+    },
+  };
+  const message = messages[kind];
+
+  const subject = `${message.title} - ${eventTitle} (${bookingRef})`;
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>${message.title}</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .button { display: inline-block; padding: 12px 24px; background: #2563eb; color: white; text-decoration: none; border-radius: 5px; }
+        .footer { background: #374151; color: white; padding: 20px; text-align: center; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${config.app.name}</h1>
+          <h2>${message.title}</h2>
+        </div>
+        <div class="content">
+          <h3>Hello ${customerName || 'there'},</h3>
+          <p>About your booking <strong>${bookingRef}</strong> for <strong>${eventTitle}</strong>:</p>
+          <p>${message.body}</p>
+          <p>Your tickets will be issued once every instalment is paid.</p>
+          ${kind === 'REMINDER' && payUrl ? `<p style="text-align: center;"><a href="${payUrl}" class="button">Pay Now</a></p>` : ''}
+        </div>
+        <div class="footer">
+          <p>&copy; 2024 ${config.app.name}. All rights reserved.</p>
+          <p>Support: support@ticketingmarketplace.com</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: config.email.from,
+      to: customerEmail,
+      subject,
+      html: htmlContent,
+    });
+
+    logger.info('Instalment email sent', { customerEmail, bookingRef, kind, sequence });
+  } catch (error) {
+    logger.error('Failed to send instalment email:', error);
+    throw error;
+  }
+};
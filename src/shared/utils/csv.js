@@ -0,0 +1,39 @@
+/**
+ * CSV helpers for exports
+ */
+
+// Values starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Escape a single CSV cell
+ */
+export const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document from column definitions ({ header, value }) and rows
+ */
+export const toCSV = (columns, rows) => {
+  const header = columns.map(column => escapeCSVValue(column.header)).join(',');
+
+  return rows.length > 0 ? `${header}\r\n${toCSVRows(columns, rows)}` : header;
+};
+
+/**
+ * CSV lines for rows without the header, for writing a document in batches
+ */
+export const toCSVRows = (columns, rows) => {
+  return rows
+    .map(row => columns.map(column => escapeCSVValue(column.value(row))).join(','))
+    .join('\r\n');
+};
@@ -150,6 +150,23 @@ export const generateQRData = (ticketData) => {
     timestamp,
   };
   
+  return signQRPayload(data);
+};
+
+/**
+ * Generate QR code data for a season pass. verifyQRData returns it with a
+ * passPurchaseId instead of a ticketId.
+ */
+export const generatePassQRData = (passPurchase) => {
+  return signQRPayload({
+    passPurchaseId: passPurchase.id,
+    passNumber: passPurchase.passNumber,
+    nonce: crypto.randomBytes(8).toString('hex'),
+    timestamp: Date.now(),
+  });
+};
+
+const signQRPayload = (data) => {
   // Create signature
   const signatureData = JSON.stringify(data);
   const signature = crypto
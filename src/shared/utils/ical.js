@@ -0,0 +1,77 @@
+/**
+ * iCalendar (RFC 5545) helpers for calendar downloads and feeds
+ */
+
+/**
+ * Escape a TEXT property value
+ */
+export const escapeICalText = (value) => {
+  if (value === null || value === undefined) return '';
+
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Format a date as UTC date-time, e.g. 20250614T180000Z
+ */
+export const formatICalDate = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build a VCALENDAR document from events
+ * ({ uid, start, end, summary, description, location, url, lastModified, status })
+ */
+export const toICal = (events, { name, prodId = '-//Ticketing Marketplace//Bookings//EN' } = {}) => {
+  const now = formatICalDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${prodId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeICalText(name)}`] : [])
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${now}`,
+      `DTSTART:${formatICalDate(event.start)}`,
+      `DTEND:${formatICalDate(event.end)}`,
+      `SUMMARY:${escapeICalText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeICalText(event.description)}`] : []),
+      ...(event.location ? [`LOCATION:${escapeICalText(event.location)}`] : []),
+      ...(event.url ? [`URL:${event.url}`] : []),
+      ...(event.lastModified ? [`LAST-MODIFIED:${formatICalDate(event.lastModified)}`] : []),
+      `STATUS:${event.status || 'CONFIRMED'}`,
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
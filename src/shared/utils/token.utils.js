@@ -43,7 +43,19 @@ export const generatePasswordResetToken = (userId, email) => {
 };
 
 /**
- * Verify special purpose tokens (email verification, password reset)
+ * Generate a guest's magic link token for one booking
+ */
+export const generateBookingAccessToken = (userId, email, bookingId) => {
+  const payload = { id: userId, email, bookingId, type: 'booking_access' };
+  return jwt.sign(payload, config.auth.jwt.secret, {
+    expiresIn: `${config.guestCheckout.linkTtlDays}d`,
+    issuer: 'ticketing-marketplace',
+    audience: 'booking-access'
+  });
+};
+
+/**
+ * Verify special purpose tokens (email verification, password reset, booking access)
  */
 export const verifySpecialToken = (token, expectedType, expectedAudience) => {
   try {
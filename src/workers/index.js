@@ -85,7 +85,7 @@
 // /**
 //  * Booking worker - processes booking confirmation tasks
 //  */
-// const startBookingWorker = async () => {
+// export const startBookingWorker = async () => {
 //   logger.info('Starting Booking Worker...');
 //   await consumeQueue(QUEUES.BOOKING_CONFIRMATION, async (data, message) => {
 //     try {
@@ -461,15 +461,37 @@
 
 import rabbitmq, { QUEUES, consumeQueue } from '../config/rabbitmq.js';
 import logger from '../config/logger.js';
-import { generateTicketPDF, generateInvoicePDF } from '../shared/services/pdfService.js';
+import { generateTicketPDF, generateInvoicePDF, renderInvoicePDF } from '../shared/services/pdfService.js';
 import { 
   sendWelcomeEmail, 
   sendBookingConfirmationEmail, 
   sendPaymentNotificationEmail, 
-  sendManagerInvitationEmail 
+  sendManagerInvitationEmail,
+  sendWaitlistNotificationEmail,
+  sendTicketTransferOfferEmail,
+  sendTicketTransferAcceptedEmail,
+  sendResaleNotificationEmail,
+  sendExportReadyEmail,
+  sendGuestAccessLinkEmail,
+  sendAccountClaimEmail,
+  sendBookingChallengeEmail,
+  sendBookingCancelledEmail,
+  sendRefundRequestNotificationEmail,
+  sendRefundStatusEmail,
+  sendInstallmentEmail
 } from '../shared/services/emailService.js';
-import { generateUniqueId } from '../shared/utils/encryption.js';
+import { generateQRData } from '../shared/utils/encryption.js';
 import prisma from '../config/database.js';
+import config from '../config/index.js';
+import bookingService from '../modules/bookings/services/bookingService.js';
+import passService from '../modules/bookings/services/passService.js';
+import invoiceService from '../modules/bookings/services/invoiceService.js';
+import calendarService from '../modules/bookings/services/calendarService.js';
+import attendeeExportService from '../modules/bookings/services/attendeeExportService.js';
+import guestCheckoutService from '../modules/bookings/services/guestCheckoutService.js';
+import paymentService from '../modules/payments/services/paymentService.js';
+import installmentService from '../modules/payments/services/installmentService.js';
+import refundPolicyService from '../modules/campaigns/services/refundPolicyService.js';
 import crypto from 'crypto'; // ADD THIS IMPORT
 
 // ADD THIS HELPER FUNCTION
@@ -493,7 +515,10 @@ const startEmailWorker = async () => {
           break;
           
         case 'BOOKING_CONFIRMATION':
-          await sendBookingConfirmationEmail(emailData);
+          await sendBookingConfirmationEmail({
+            ...emailData,
+            attachments: await buildConfirmationAttachments(emailData),
+          });
           break;
           
         case 'PAYMENT_NOTIFICATION':
@@ -503,6 +528,54 @@ const startEmailWorker = async () => {
         case 'MANAGER_INVITATION':
           await sendManagerInvitationEmail(emailData);
           break;
+
+        case 'WAITLIST_NOTIFICATION':
+          await sendWaitlistNotificationEmail(emailData);
+          break;
+
+        case 'TICKET_TRANSFER_OFFER':
+          await sendTicketTransferOfferEmail(emailData);
+          break;
+
+        case 'TICKET_TRANSFER_ACCEPTED':
+          await sendTicketTransferAcceptedEmail(emailData);
+          break;
+
+        case 'RESALE_NOTIFICATION':
+          await sendResaleNotificationEmail(emailData);
+          break;
+
+        case 'EXPORT_READY':
+          await sendExportReadyEmail(emailData);
+          break;
+
+        case 'GUEST_ACCESS_LINK':
+          await sendGuestAccessLinkEmail(emailData);
+          break;
+
+        case 'ACCOUNT_CLAIM':
+          await sendAccountClaimEmail(emailData);
+          break;
+
+        case 'BOOKING_CHALLENGE':
+          await sendBookingChallengeEmail(emailData);
+          break;
+
+        case 'BOOKING_CANCELLED':
+          await sendBookingCancelledEmail(emailData);
+          break;
+
+        case 'REFUND_REQUEST_NOTIFICATION':
+          await sendRefundRequestNotificationEmail(emailData);
+          break;
+
+        case 'REFUND_STATUS':
+          await sendRefundStatusEmail(emailData);
+          break;
+
+        case 'INSTALLMENT_NOTICE':
+          await sendInstallmentEmail(emailData);
+          break;
           
         default:
           logger.warn('Unknown email type:', type);
@@ -537,7 +610,7 @@ const startPDFWorker = async () => {
           
         case 'INVOICE':
           const invoiceUrl = await generateInvoicePDF(pdfData);
-          logger.info('Invoice PDF generated', { invoiceUrl });
+          logger.info('Invoice PDF generated', { invoiceId: pdfData.invoiceId, invoiceUrl });
           break;
           
         default:
@@ -550,17 +623,47 @@ const startPDFWorker = async () => {
   });
 };
 
+/**
+ * Export worker - builds large attendee exports and emails the download link
+ */
+const startExportWorker = async () => {
+  logger.info('Starting Export Worker...');
+
+  await consumeQueue(QUEUES.EXPORTS, async (data, message) => {
+    try {
+      const { type, exportJobId } = data;
+
+      if (type === 'ATTENDEES') {
+        await attendeeExportService.processExport(exportJobId);
+      } else {
+        logger.warn('Unknown export task type:', type);
+      }
+    } catch (error) {
+      logger.error('Export worker error:', error);
+      throw error;
+    }
+  });
+};
+
 /**
  * Booking worker - processes booking confirmation tasks
  */
-const startBookingWorker = async () => {
+export const startBookingWorker = async () => {
   logger.info('Starting Booking Worker...');
   await consumeQueue(QUEUES.BOOKING_CONFIRMATION, async (data, message) => {
     try {
-      const { type, bookingId, paymentId } = data;
+      const { type, bookingId, orderId, resaleListingId, installmentId, paymentId } = data;
       
       if (type === 'CONFIRM_BOOKING') {
         await confirmBookingAndFinalize(bookingId, paymentId);
+      } else if (type === 'RECORD_INSTALLMENT') {
+        await recordInstallmentAndFinalize(installmentId, paymentId);
+      } else if (type === 'CONFIRM_ORDER') {
+        await confirmOrderAndFinalize(orderId, paymentId);
+      } else if (type === 'COMPLETE_RESALE') {
+        await completeResaleAndFinalize(resaleListingId, paymentId);
+      } else if (type === 'ISSUE_COMP') {
+        await issueCompAndFinalize(bookingId);
       } else {
         logger.warn('Unknown booking task type:', type);
       }
@@ -758,6 +861,252 @@ const updateCampaignAnalytics = async (data) => {
   }
 };
 
+/**
+ * Credit the seller's pending balance and record the SALE transaction.
+ * Runs inside the caller's transaction.
+ */
+const recordSellerSale = async (tx, { sellerId, paymentId, amount, reference, description }) => {
+  // 4. Update seller's finance
+  const finance = await tx.finance.findUnique({ where: { sellerId } });
+  if (finance) {
+    const newPendingBalance = Number(finance.pendingBalance) + Number(amount);
+    await tx.finance.update({
+      where: { id: finance.id },
+      data: {
+        pendingBalance: { increment: amount },
+        totalEarnings: { increment: amount },
+        onlineSales: { increment: amount },
+      },
+    });
+
+    // 5. Create transaction record
+    await tx.transaction.create({
+      data: {
+        financeId: finance.id,
+        userId: sellerId,
+        paymentId,
+        type: 'SALE',
+        amount,
+        balanceBefore: finance.pendingBalance,
+        balanceAfter: newPendingBalance,
+        reference,
+        description,
+      },
+    });
+  }
+};
+
+/**
+ * Credit a user's pending balance (creating their finance record if needed)
+ * and record the transaction. Runs inside the caller's transaction.
+ */
+const creditFinance = async (tx, { userId, type, paymentId, amount, reference, description, metadata }) => {
+  const finance = await tx.finance.upsert({
+    where: { sellerId: userId },
+    create: { sellerId: userId },
+    update: {},
+  });
+
+  await tx.finance.update({
+    where: { id: finance.id },
+    data: {
+      pendingBalance: { increment: amount },
+      totalEarnings: { increment: amount },
+    },
+  });
+
+  return await tx.transaction.create({
+    data: {
+      financeId: finance.id,
+      userId,
+      paymentId,
+      type,
+      amount,
+      balanceBefore: finance.pendingBalance,
+      balanceAfter: Number(finance.pendingBalance) + Number(amount),
+      reference,
+      description,
+      metadata,
+    },
+  });
+};
+
+/**
+ * Complete a paid resale: move the ticket to the buyer with a fresh QR, pay the
+ * holder and the organiser's royalty.
+ */
+const completeResaleAndFinalize = async (resaleListingId, paymentId) => {
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      const listing = await tx.resaleListing.findUnique({
+        where: { id: resaleListingId },
+        include: {
+          campaign: true,
+          ticket: true,
+          listedBy: true,
+          buyer: true,
+        },
+      });
+      const payment = await tx.payment.findUnique({ where: { id: paymentId } });
+
+      if (!listing || !payment) {
+        logger.warn('Resale listing or payment not found', { resaleListingId, paymentId });
+        return null;
+      }
+
+      if (listing.status === 'SOLD') {
+        logger.warn('Resale already completed, skipping finalization.', { resaleListingId });
+        return null;
+      }
+
+      // The reservation lapsed and the listing moved on, or the ticket changed under it
+      if (
+        listing.status !== 'RESERVED' ||
+        listing.buyerId !== payment.customerId ||
+        listing.ticket.customerId !== listing.listedById ||
+        listing.ticket.status !== 'VALID'
+      ) {
+        logger.warn('Payment received for a resale that can no longer complete, needs review.', {
+          resaleListingId,
+          paymentId,
+          status: listing.status,
+        });
+        return null;
+      }
+
+      const history = listing.ticket.metadata?.resaleHistory || [];
+
+      const ticket = await tx.ticket.update({
+        where: { id: listing.ticketId },
+        data: {
+          customerId: listing.buyerId,
+          qrCode: generateQRData(listing.ticket),
+          qrSecurityKey: generateSecureToken(16),
+          pdfUrl: null,
+          // A named ticket is now for the buyer
+          ...(listing.ticket.attendeeName && {
+            attendeeName: `${listing.buyer.firstName} ${listing.buyer.lastName}`,
+            attendeeEmail: listing.buyer.email,
+          }),
+          metadata: {
+            ...listing.ticket.metadata,
+            resaleHistory: [
+              ...history,
+              { listingId: listing.id, fromUserId: listing.listedById, toUserId: listing.buyerId, price: listing.price, at: new Date() },
+            ],
+          },
+        },
+      });
+
+      await tx.resaleListing.update({
+        where: { id: listing.id },
+        data: { status: 'SOLD', soldAt: new Date() },
+      });
+
+      const payoutAmount = Number(listing.price) - Number(listing.royaltyAmount);
+
+      await creditFinance(tx, {
+        userId: listing.listedById,
+        type: 'RESALE_PAYOUT',
+        paymentId,
+        amount: payoutAmount,
+        reference: `${payment.transactionRef}-PAYOUT`,
+        description: `Resale of ticket ${ticket.ticketNumber} for ${listing.campaign.title}`,
+        metadata: { resaleListingId, ticketId: ticket.id },
+      });
+
+      if (Number(listing.royaltyAmount) > 0) {
+        await creditFinance(tx, {
+          userId: listing.campaign.sellerId,
+          type: 'ROYALTY',
+          amount: listing.royaltyAmount,
+          reference: `${payment.transactionRef}-ROYALTY`,
+          description: `Resale royalty for ticket ${ticket.ticketNumber}`,
+          metadata: { resaleListingId, ticketId: ticket.id, paymentId },
+        });
+      }
+
+      return { listing, ticket, payoutAmount };
+    });
+
+    if (!result) return;
+
+    const { listing, ticket, payoutAmount } = result;
+    const buyerName = `${listing.buyer.firstName} ${listing.buyer.lastName}`;
+
+    await rabbitmq.pdfQueue.generateTicket({
+      ticketId: ticket.id,
+      ticketNumber: ticket.ticketNumber,
+      customerName: buyerName,
+    });
+
+    await rabbitmq.emailQueue.sendResaleNotification({
+      role: 'BUYER',
+      recipientEmail: listing.buyer.email,
+      recipientName: buyerName,
+      eventTitle: listing.campaign.title,
+      ticketNumber: ticket.ticketNumber,
+      amount: listing.price,
+    });
+
+    await rabbitmq.emailQueue.sendResaleNotification({
+      role: 'SELLER',
+      recipientEmail: listing.listedBy.email,
+      recipientName: `${listing.listedBy.firstName} ${listing.listedBy.lastName}`,
+      eventTitle: listing.campaign.title,
+      ticketNumber: ticket.ticketNumber,
+      amount: payoutAmount,
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: listing.buyerId,
+        action: 'TICKET_RESOLD',
+        entity: 'Ticket',
+        entityId: ticket.id,
+        changes: {
+          before: { customerId: listing.listedById },
+          after: { customerId: listing.buyerId },
+        },
+        metadata: { resaleListingId, paymentId, price: listing.price, royaltyAmount: listing.royaltyAmount },
+      },
+    });
+
+    logger.info('Resale completed successfully', { resaleListingId, paymentId });
+  } catch (error) {
+    logger.error('Error in completeResaleAndFinalize:', error);
+    throw error;
+  }
+};
+
+/**
+ * Calendar entry and invoice PDF for a confirmation email. The invoice is
+ * rendered on the spot so it never waits on the PDF queue's upload.
+ */
+const buildConfirmationAttachments = async ({ bookingId, orderId, invoiceId, bookingRef }) => {
+  const attachments = [];
+
+  const calendar = await calendarService.getConfirmationCalendar({ bookingId, orderId });
+  if (calendar) {
+    attachments.push({
+      filename: `${bookingRef || 'booking'}.ics`,
+      content: calendar,
+      contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+    });
+  }
+
+  const invoice = invoiceId && await prisma.invoice.findUnique({ where: { id: invoiceId } });
+  if (invoice) {
+    attachments.push({
+      filename: `${invoice.invoiceNumber}.pdf`,
+      content: await renderInvoicePDF(invoice),
+      contentType: 'application/pdf',
+    });
+  }
+
+  return attachments;
+};
+
 /**
  * Logic to confirm a booking, generate tickets, and update finances.
  */
@@ -767,7 +1116,7 @@ const confirmBookingAndFinalize = async (bookingId, paymentId) => {
       // Get booking and payment details
       const booking = await tx.booking.findUnique({
         where: { id: bookingId },
-        include: { campaign: true, customer: true },
+        include: { campaign: true, session: true, customer: true },
       });
       const payment = await tx.payment.findUnique({ where: { id: paymentId } });
 
@@ -781,72 +1130,33 @@ const confirmBookingAndFinalize = async (bookingId, paymentId) => {
         return null;
       }
 
-      // 1. Update booking status
-      const updatedBooking = await tx.booking.update({
-        where: { id: bookingId },
-        data: { status: 'CONFIRMED', confirmedAt: new Date() },
-      });
-
-      // 2. Generate tickets
-      const tickets = [];
-      const ticketCount = booking.issuanceType === 'SINGLE' ? 1 : booking.quantity;
-      for (let i = 0; i < ticketCount; i++) {
-        const ticket = await tx.ticket.create({
-          data: {
-            ticketNumber: generateUniqueId('TKT'),
-            bookingId,
-            campaignId: booking.campaignId,
-            customerId: booking.customerId,
-            ticketType: booking.ticketType,
-            qrCode: '',
-            qrSecurityKey: generateSecureToken(16), // NOW THIS WORKS
-            status: 'VALID',
-            maxScans: booking.campaign.isMultiScan ? booking.campaign.maxScansPerTicket : 1,
-            validFrom: booking.campaign.startDate,
-            validUntil: booking.campaign.endDate,
-          },
+      // Expired/cancelled bookings have already released their inventory
+      if (!['PENDING', 'PARTIALLY_PAID'].includes(booking.status)) {
+        logger.warn('Payment received for a booking that is no longer pending, needs review.', {
+          bookingId,
+          paymentId,
+          status: booking.status,
         });
-        tickets.push(ticket);
+        return null;
       }
 
-      // 3. Update campaign analytics
-      await tx.campaignAnalytics.update({
-        where: { campaignId: booking.campaignId },
-        data: {
-          completedBookings: { increment: 1 },
-          totalRevenue: { increment: booking.totalAmount },
-        },
-      });
+      const { booking: updatedBooking, tickets } = await bookingService.issueBookingTickets(tx, booking);
 
-      // 4. Update seller's finance
-      const finance = await tx.finance.findUnique({ where: { sellerId: booking.campaign.sellerId } });
-      if (finance) {
-        const newPendingBalance = Number(finance.pendingBalance) + Number(booking.totalAmount);
-        await tx.finance.update({
-          where: { id: finance.id },
-          data: {
-            pendingBalance: { increment: booking.totalAmount },
-            totalEarnings: { increment: booking.totalAmount },
-          },
-        });
-        
-        // 5. Create transaction record
-        await tx.transaction.create({
-          data: {
-            financeId: finance.id,
-            userId: booking.campaign.sellerId,
-            paymentId,
-            type: 'SALE',
-            amount: booking.totalAmount,
-            balanceBefore: finance.pendingBalance,
-            balanceAfter: newPendingBalance,
-            reference: booking.bookingRef,
-            description: `Ticket sale for ${booking.campaign.title}`,
-          },
+      // Payment-plan bookings were credited to the seller instalment by instalment
+      const installmentCount = await tx.paymentInstallment.count({ where: { bookingId } });
+      if (installmentCount === 0) {
+        await recordSellerSale(tx, {
+          sellerId: booking.campaign.sellerId,
+          paymentId,
+          amount: booking.totalAmount,
+          reference: booking.bookingRef,
+          description: `Ticket sale for ${booking.campaign.title}`,
         });
       }
 
-      return { booking: updatedBooking, tickets, customer: booking.customer, campaign: booking.campaign };
+      const invoice = await invoiceService.issueForBooking(tx, booking, { payment });
+
+      return { booking: updatedBooking, tickets, invoice, customer: booking.customer, campaign: booking.campaign, session: booking.session };
     });
 
     if (!result) return;
@@ -855,15 +1165,19 @@ const confirmBookingAndFinalize = async (bookingId, paymentId) => {
     for (const ticket of result.tickets) {
       await rabbitmq.pdfQueue.generateTicket({ ticketId: ticket.id });
     }
+    await rabbitmq.pdfQueue.generateInvoice({ invoiceId: result.invoice.id });
 
     await rabbitmq.emailQueue.sendBookingConfirmation({
       bookingId,
+      invoiceId: result.invoice.id,
       customerEmail: result.customer.email,
       customerName: `${result.customer.firstName} ${result.customer.lastName}`,
       bookingRef: result.booking.bookingRef,
       eventTitle: result.campaign.title,
-      eventDate: result.campaign.eventDate,
+      eventDate: result.session?.startsAt || result.campaign.eventDate,
       ticketCount: result.tickets.length,
+      refundPolicy: refundPolicyService.describe(result.campaign),
+      accessUrl: guestCheckoutService.accessUrl(bookingId, result.customer),
     });
 
     logger.info('Booking confirmed and finalized successfully', { bookingId, paymentId });
@@ -873,6 +1187,302 @@ const confirmBookingAndFinalize = async (bookingId, paymentId) => {
   }
 };
 
+/**
+ * Record a paid instalment of a payment-plan booking and credit the seller.
+ * The last instalment confirms the booking and issues its tickets.
+ */
+const recordInstallmentAndFinalize = async (installmentId, paymentId) => {
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      const installment = await tx.paymentInstallment.findUnique({
+        where: { id: installmentId },
+        include: { booking: { include: { campaign: true } } },
+      });
+      const payment = await tx.payment.findUnique({ where: { id: paymentId } });
+
+      if (!installment || !payment) {
+        logger.warn('Instalment or payment not found', { installmentId, paymentId });
+        return null;
+      }
+
+      const { booking } = installment;
+
+      if (!['PENDING', 'PARTIALLY_PAID'].includes(booking.status)) {
+        logger.warn('Instalment paid for a booking that is no longer open, needs review.', {
+          bookingId: booking.id,
+          installmentId,
+          paymentId,
+          status: booking.status,
+        });
+        return null;
+      }
+
+      // A redelivered message finds the instalment already paid
+      const recorded = await tx.paymentInstallment.updateMany({
+        where: { id: installmentId, status: 'PENDING' },
+        data: { status: 'PAID', paidAt: new Date() },
+      });
+
+      if (recorded.count > 0) {
+        await recordSellerSale(tx, {
+          sellerId: booking.campaign.sellerId,
+          paymentId,
+          amount: payment.amount,
+          reference: `${booking.bookingRef}-${installment.sequence}`,
+          description: `Instalment ${installment.sequence} for ${booking.campaign.title}`,
+        });
+      }
+
+      const remaining = await tx.paymentInstallment.count({
+        where: { bookingId: booking.id, status: 'PENDING' },
+      });
+
+      if (remaining > 0 && booking.status === 'PENDING') {
+        await tx.booking.update({ where: { id: booking.id }, data: { status: 'PARTIALLY_PAID' } });
+      }
+
+      return { bookingId: booking.id, paidInFull: remaining === 0, recorded: recorded.count > 0 };
+    });
+
+    if (!result) return;
+
+    if (result.paidInFull) {
+      await confirmBookingAndFinalize(result.bookingId, paymentId);
+    } else if (result.recorded) {
+      await installmentService.notifyReceived(installmentId);
+    }
+
+    logger.info('Instalment recorded', { installmentId, paymentId, paidInFull: result.paidInFull });
+  } catch (error) {
+    logger.error('Error in recordInstallmentAndFinalize:', error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm a seller-issued comp booking. No payment and no seller sale; the
+ * customer gets the usual ticket PDFs and confirmation email.
+ */
+const issueCompAndFinalize = async (bookingId) => {
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      const booking = await tx.booking.findUnique({
+        where: { id: bookingId },
+        include: { campaign: true, session: true, customer: true },
+      });
+
+      if (!booking || booking.channel !== 'COMP') {
+        logger.warn('Comp booking not found', { bookingId });
+        return null;
+      }
+
+      if (booking.status !== 'PENDING') {
+        logger.warn('Comp booking is no longer pending, skipping issuance.', { bookingId, status: booking.status });
+        return null;
+      }
+
+      const { booking: updatedBooking, tickets } = await bookingService.issueBookingTickets(tx, booking);
+
+      return { booking: updatedBooking, tickets, customer: booking.customer, campaign: booking.campaign, session: booking.session };
+    });
+
+    if (!result) return;
+
+    for (const ticket of result.tickets) {
+      await rabbitmq.pdfQueue.generateTicket({ ticketId: ticket.id });
+    }
+
+    const customerName = [result.customer.firstName, result.customer.lastName].filter(Boolean).join(' ');
+
+    await rabbitmq.emailQueue.sendBookingConfirmation({
+      bookingId,
+      customerEmail: result.customer.email,
+      customerName: customerName || result.customer.email,
+      bookingRef: result.booking.bookingRef,
+      eventTitle: result.campaign.title,
+      eventDate: result.session?.startsAt || result.campaign.eventDate,
+      ticketCount: result.tickets.length,
+      isComp: true,
+      accessUrl: guestCheckoutService.accessUrl(bookingId, result.customer),
+    });
+
+    logger.info('Comp booking issued', { bookingId });
+  } catch (error) {
+    logger.error('Error in issueCompAndFinalize:', error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm every line of a multi-item order paid with a single payment.
+ */
+const confirmOrderAndFinalize = async (orderId, paymentId) => {
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({
+        where: { id: orderId },
+        include: {
+          customer: true,
+          bookings: { include: { campaign: true, session: true } },
+        },
+      });
+      const payment = await tx.payment.findUnique({ where: { id: paymentId } });
+
+      if (!order || !payment) {
+        logger.warn('Order or payment not found', { orderId, paymentId });
+        return null;
+      }
+
+      if (order.status === 'CONFIRMED') {
+        logger.warn('Order already confirmed, skipping finalization.', { orderId });
+        return null;
+      }
+
+      if (order.status !== 'PENDING') {
+        logger.warn('Payment received for an order that is no longer pending, needs review.', {
+          orderId,
+          paymentId,
+          status: order.status,
+        });
+        return null;
+      }
+
+      await tx.order.update({
+        where: { id: orderId },
+        data: { status: 'CONFIRMED', confirmedAt: new Date() },
+      });
+
+      const tickets = [];
+      for (const booking of order.bookings) {
+        const issued = await bookingService.issueBookingTickets(tx, booking);
+        tickets.push(...issued.tickets);
+      }
+
+      // Pass orders admit with the pass QR code rather than per-ticket PDFs
+      const passPurchase = await passService.activatePurchase(tx, orderId, tickets);
+
+      // One payment, one SALE transaction for the order's seller
+      await recordSellerSale(tx, {
+        sellerId: order.sellerId,
+        paymentId,
+        amount: order.totalAmount,
+        reference: order.orderRef,
+        description: `Ticket sale for order ${order.orderRef}`,
+      });
+
+      const invoice = await invoiceService.issueForOrder(tx, order, { payment });
+
+      return { order, tickets, passPurchase, invoice };
+    });
+
+    if (!result) return;
+
+    const { order, passPurchase, invoice } = result;
+    await rabbitmq.pdfQueue.generateInvoice({ invoiceId: invoice.id });
+
+    if (!passPurchase) {
+      for (const ticket of result.tickets) {
+        await rabbitmq.pdfQueue.generateTicket({ ticketId: ticket.id });
+      }
+    }
+
+    const campaigns = [...new Map(order.bookings.map(booking => [booking.campaignId, booking.campaign])).values()];
+    const eventDates = order.bookings.map(booking => new Date(booking.session?.startsAt || booking.campaign.eventDate));
+
+    await rabbitmq.emailQueue.sendBookingConfirmation({
+      orderId,
+      invoiceId: invoice.id,
+      customerEmail: order.customer.email,
+      customerName: `${order.customer.firstName} ${order.customer.lastName}`,
+      bookingRef: passPurchase ? passPurchase.passNumber : order.orderRef,
+      eventTitle: passPurchase
+        ? `${passPurchase.pass.name} (${order.bookings.length} events)`
+        : campaigns.map(campaign => campaign.title).join(', '),
+      eventDate: new Date(Math.min(...eventDates)),
+      ticketCount: result.tickets.length,
+      refundPolicy: campaigns.length === 1
+        ? refundPolicyService.describe(campaigns[0])
+        : campaigns.flatMap(campaign => refundPolicyService.describe(campaign).map(line => `${campaign.title}: ${line}`)),
+    });
+
+    logger.info('Order confirmed and finalized successfully', { orderId, paymentId });
+  } catch (error) {
+    logger.error('Error in confirmOrderAndFinalize:', error);
+    throw error;
+  }
+};
+
+/**
+ * Run a periodic sweep; errors are logged so the next tick still runs
+ */
+const sweepTimers = [];
+
+const scheduleSweep = (name, intervalSeconds, sweep) => {
+  logger.info(`Starting ${name}...`);
+
+  sweepTimers.push(setInterval(async () => {
+    try {
+      await sweep();
+    } catch (error) {
+      logger.error(`${name} error:`, error);
+    }
+  }, intervalSeconds * 1000));
+};
+
+/**
+ * Waitlist sweeper - expires unclaimed reservations and passes tickets down the queue
+ */
+const startWaitlistSweeper = async () => {
+  scheduleSweep('Waitlist Sweeper', config.waitlist.sweepIntervalSeconds, async () => {
+    const { expiredCount, passedOnCount } = await bookingService.expireWaitlistReservations();
+
+    if (expiredCount > 0) {
+      logger.info('Waitlist reservations expired', { expiredCount, passedOnCount });
+    }
+  });
+};
+
+/**
+ * Booking expiry sweeper - expires unpaid PENDING bookings past their payment deadline
+ */
+const startBookingExpirySweeper = async () => {
+  scheduleSweep('Booking Expiry Sweeper', config.booking.expirySweepIntervalSeconds, async () => {
+    const { scannedCount, expiredCount } = await bookingService.expireOverdueBookings();
+
+    if (scannedCount > 0) {
+      logger.info('Overdue bookings expired', { scannedCount, expiredCount });
+    }
+  });
+};
+
+/**
+ * Payment reconciler - settles payments whose gateway webhook never arrived
+ */
+const startPaymentReconciler = async () => {
+  scheduleSweep('Payment Reconciler', config.payment.reconciliation.intervalSeconds, async () => {
+    const summary = await paymentService.reconcilePayments();
+
+    if (summary.scanned > 0) {
+      logger.info('Payments reconciled', summary);
+    }
+  });
+};
+
+/**
+ * Instalment sweeper - reminds customers of upcoming instalments and cancels
+ * payment-plan bookings with a missed one
+ */
+const startInstallmentSweeper = async () => {
+  scheduleSweep('Instalment Sweeper', config.payment.installments.intervalSeconds, async () => {
+    const reminders = await installmentService.sendReminders();
+    const missed = await installmentService.cancelMissed();
+
+    if (reminders.scanned > 0 || missed.scanned > 0) {
+      logger.info('Instalments swept', { remindersSent: reminders.sent, cancelledBookings: missed.cancelled });
+    }
+  });
+};
+
 /**
  * Start all workers
  */
@@ -887,6 +1497,11 @@ export const startAllWorkers = async () => {
       startFinanceWorker(),
       startAnalyticsWorker(),
       startBookingWorker(),
+      startExportWorker(),
+      startWaitlistSweeper(),
+      startBookingExpirySweeper(),
+      startPaymentReconciler(),
+      startInstallmentSweeper(),
     ]);
     
     logger.info('🚀 All background workers started successfully');
@@ -901,6 +1516,7 @@ export const startAllWorkers = async () => {
  */
 export const stopAllWorkers = async () => {
   try {
+    sweepTimers.forEach(clearInterval);
     await rabbitmq.disconnect();
     logger.info('All workers stopped successfully');
   } catch (error) {
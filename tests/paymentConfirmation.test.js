@@ -0,0 +1,57 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { createFakePrisma } from './support/fakePrisma.js';
+
+/**
+ * A payment verified more than once (webhook, return redirect, status poll)
+ * must be confirmed once. Runs against an in-memory payments table.
+ */
+const prisma = createFakePrisma(['payment']);
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+  default: prisma,
+  testDatabaseConnection: async () => true,
+}));
+
+describe('confirming a successful payment', () => {
+  let paymentService;
+  let bookingQueue;
+  let payment;
+
+  const verification = { payment_method: 'MOBILE_MONEY', payment_account: '256700000001' };
+
+  beforeAll(async () => {
+    ({ default: paymentService } = await import('../src/modules/payments/services/paymentService.js'));
+    ({ bookingQueue } = await import('../src/config/rabbitmq.js'));
+  });
+
+  beforeEach(() => {
+    prisma.payment.rows.clear();
+    payment = prisma.payment.seed({ id: 'pay-1', bookingId: 'booking-1', status: 'PENDING', paymentDetails: {} });
+    jest.spyOn(bookingQueue, 'confirmBooking').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('publishes the booking confirmation once for concurrent verifications', async () => {
+    const [first, second] = await Promise.all([
+      paymentService._processSuccessfulPayment(payment, verification),
+      paymentService._processSuccessfulPayment(payment, verification),
+    ]);
+
+    expect(first.status).toBe('SUCCESS');
+    expect(second.status).toBe('SUCCESS');
+    expect(bookingQueue.confirmBooking).toHaveBeenCalledTimes(1);
+    expect(bookingQueue.confirmBooking).toHaveBeenCalledWith('booking-1', 'pay-1');
+  });
+
+  test('does not publish again for a payment already confirmed', async () => {
+    const confirmedPayment = prisma.payment.seed({ ...payment, status: 'SUCCESS' });
+
+    const confirmed = await paymentService._processSuccessfulPayment(confirmedPayment, verification);
+
+    expect(confirmed.status).toBe('SUCCESS');
+    expect(bookingQueue.confirmBooking).not.toHaveBeenCalled();
+  });
+});
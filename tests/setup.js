@@ -0,0 +1,22 @@
+import { jest } from '@jest/globals';
+import FakeRedis from './support/fakeRedis.js';
+import { fakeAmqp } from './support/fakeBroker.js';
+
+// Tests pay through the simulated gateway. Redis and RabbitMQ are replaced by
+// in-process fakes, so queue consumers started by a test run in its process.
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.PAYMENT_SIMULATOR_ENABLED = 'true';
+process.env.PAYMENT_SIMULATOR_SECRET = process.env.PAYMENT_SIMULATOR_SECRET || 'test-simulator-secret';
+process.env.PAYMENT_DEFAULT_PROVIDER = 'SIMULATED';
+
+// Google sign-in is configured at startup but never called
+process.env.GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || 'test-google-client-id';
+process.env.GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET || 'test-google-client-secret';
+
+if (process.env.TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+}
+
+jest.unstable_mockModule('ioredis', () => ({ default: FakeRedis }));
+jest.unstable_mockModule('amqplib', () => fakeAmqp);
@@ -0,0 +1,116 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { broker } from './support/fakeBroker.js';
+
+/**
+ * Book → pay → confirm → tickets, end to end through the simulated gateway.
+ *
+ * Needs a database with the schema applied (`prisma db push`), given as
+ * TEST_DATABASE_URL; without it the suite is skipped. Redis and RabbitMQ are
+ * the in-process fakes from the test setup.
+ */
+const describeWithServices = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+describeWithServices('guest checkout through the simulated gateway', () => {
+  let app;
+  let io;
+  let prisma;
+  let campaign;
+
+  const apiPrefix = `/api/${process.env.API_VERSION || 'v1'}`;
+  const runId = Date.now();
+
+  const checkout = (email) => request(app)
+    .post(`${apiPrefix}/bookings/guest/checkout`)
+    .send({
+      email,
+      firstName: 'Test',
+      lastName: 'Guest',
+      phone: '256700000001',
+      campaignId: campaign.id,
+      ticketType: 'general',
+      quantity: 2,
+      issuanceType: 'SEPARATE',
+      currency: 'UGX',
+    })
+    .expect(201);
+
+  // Returns once the booking worker has handled the confirmation
+  const pay = async (paymentLink, outcome) => {
+    await request(app)
+      .post(`${apiPrefix}/payments/simulator/${paymentLink.split('/').pop()}`)
+      .send({ outcome })
+      .expect(200);
+    await broker.drain();
+  };
+
+  const viewBooking = (accessToken) => request(app)
+    .get(`${apiPrefix}/bookings/guest/${accessToken}`)
+    .expect(200);
+
+  beforeAll(async () => {
+    ({ app, io } = await import('../src/app.js'));
+    ({ default: prisma } = await import('../src/config/database.js'));
+
+    // Payment confirmation is the booking worker's job
+    const { startBookingWorker } = await import('../src/workers/index.js');
+    await startBookingWorker();
+
+    const seller = await prisma.user.create({
+      data: { email: `seller-${runId}@example.com`, firstName: 'Test', lastName: 'Seller', role: 'SELLER' },
+    });
+
+    const eventDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    campaign = await prisma.ticketCampaign.create({
+      data: {
+        sellerId: seller.id,
+        title: 'Simulated Checkout Night',
+        description: 'Campaign for the simulated checkout test',
+        eventType: 'event',
+        ticketTypes: { general: { price: 50000, quantity: 100, description: 'General Admission' } },
+        totalQuantity: 100,
+        startDate: new Date(),
+        endDate: eventDate,
+        eventDate,
+        venue: 'Test Hall',
+        venueAddress: 'Plot 1, Test Road',
+        venueCity: 'Kampala',
+        venueCountry: 'UG',
+        status: 'ACTIVE',
+        analytics: { create: {} },
+      },
+    });
+  });
+
+  afterAll(async () => {
+    io?.close();
+    await prisma?.$disconnect();
+  });
+
+  test('a paid booking is confirmed and its tickets issued', async () => {
+    const booked = await checkout(`paid-${runId}@example.com`);
+    const { booking, accessToken, paymentLink } = booked.body.data;
+
+    expect(booking.status).toBe('PENDING');
+    expect(paymentLink).toContain('/payments/simulator/');
+
+    await pay(paymentLink, 'SUCCESS');
+
+    const { body } = await viewBooking(accessToken);
+    expect(body.data.booking.status).toBe('CONFIRMED');
+    expect(body.data.booking.payment.status).toBe('SUCCESS');
+    expect(body.data.booking.tickets).toHaveLength(2);
+  });
+
+  test('a declined payment leaves the booking unpaid and without tickets', async () => {
+    const booked = await checkout(`declined-${runId}@example.com`);
+    const { accessToken, paymentLink } = booked.body.data;
+
+    await pay(paymentLink, 'FAILED');
+
+    const { body } = await viewBooking(accessToken);
+    expect(body.data.booking.status).toBe('PENDING');
+    expect(body.data.booking.payment.status).toBe('FAILED');
+    expect(body.data.booking.tickets).toHaveLength(0);
+  });
+});
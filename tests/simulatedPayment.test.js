@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll, jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakePrisma } from './support/fakePrisma.js';
+import { broker } from './support/fakeBroker.js';
+
+/**
+ * Each choice on the simulated checkout page, through the API: the webhook it
+ * sends is verified and the booking confirmation is published exactly once for
+ * a paid booking. Runs without a database; see simulatedCheckout.test.js for
+ * the whole flow against one.
+ */
+const prisma = createFakePrisma(['payment', 'booking']);
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+  default: prisma,
+  testDatabaseConnection: async () => true,
+}));
+
+describe('simulated gateway checkout', () => {
+  let app;
+  let io;
+  let simulatedProvider;
+  let payment;
+
+  const apiPrefix = `/api/${process.env.API_VERSION || 'v1'}`;
+
+  const pay = (choices) => request(app)
+    .post(`${apiPrefix}/payments/simulator/${payment.providerTrackingId}`)
+    .send(choices)
+    .expect(200);
+
+  const paymentStatus = async () => (await prisma.payment.findUnique({ where: { id: payment.id } })).status;
+
+  const waitFor = async (condition, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for the simulated webhook');
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  };
+
+  beforeAll(async () => {
+    ({ app, io } = await import('../src/app.js'));
+    ({ default: simulatedProvider } = await import('../src/modules/payments/providers/simulated.provider.js'));
+  });
+
+  beforeEach(async () => {
+    broker.reset();
+    prisma.booking.seed({ id: 'booking-1', status: 'PENDING' });
+
+    const reference = `PAY_${Date.now()}`;
+    const checkout = await simulatedProvider.initiatePayment({
+      reference,
+      amount: 100000,
+      currency: 'UGX',
+      description: 'Tickets for Simulated Night',
+      customer: { email: 'guest@example.com' },
+    });
+
+    payment = prisma.payment.seed({
+      id: reference,
+      bookingId: 'booking-1',
+      provider: 'SIMULATED',
+      transactionRef: reference,
+      providerTrackingId: checkout.providerTrackingId,
+      amount: 100000,
+      currency: 'UGX',
+      status: 'PENDING',
+      paymentDetails: {},
+    });
+  });
+
+  afterAll(() => {
+    io?.close();
+  });
+
+  test('a successful payment is verified and the booking confirmation published', async () => {
+    const { body } = await pay({ outcome: 'SUCCESS' });
+
+    expect(body.data.transaction.status).toBe('SUCCESS');
+    expect(await paymentStatus()).toBe('SUCCESS');
+    expect(broker.messages('booking.confirm')).toEqual([
+      expect.objectContaining({ bookingId: 'booking-1', paymentId: payment.id }),
+    ]);
+  });
+
+  test('a declined payment fails without confirming the booking', async () => {
+    const { body } = await pay({ outcome: 'FAILED' });
+
+    expect(body.data.transaction.status).toBe('FAILED');
+    expect(await paymentStatus()).toBe('FAILED');
+    expect(broker.messages('booking.confirm')).toHaveLength(0);
+  });
+
+  test('a delayed webhook confirms the payment only once it arrives', async () => {
+    const { body } = await pay({ outcome: 'SUCCESS', delaySeconds: 1 });
+
+    expect(body.data.deliveries).toBeNull();
+    expect(await paymentStatus()).toBe('PENDING');
+    expect(broker.messages('booking.confirm')).toHaveLength(0);
+
+    await waitFor(async () => (await paymentStatus()) === 'SUCCESS');
+    expect(broker.messages('booking.confirm')).toHaveLength(1);
+  });
+
+  test('a duplicate webhook confirms the booking once', async () => {
+    const { body } = await pay({ outcome: 'SUCCESS', duplicate: true });
+
+    expect(body.data.deliveries).toHaveLength(2);
+    expect(await paymentStatus()).toBe('SUCCESS');
+    expect(broker.messages('booking.confirm')).toHaveLength(1);
+  });
+
+  test('a settled payment cannot be paid again', async () => {
+    await pay({ outcome: 'FAILED' });
+
+    await request(app)
+      .post(`${apiPrefix}/payments/simulator/${payment.providerTrackingId}`)
+      .send({ outcome: 'SUCCESS' })
+      .expect(409);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * In-process stand-in for the RabbitMQ broker, served through a fake amqplib.
+ * Register it in place of amqplib before importing app code:
+ *
+ *   jest.unstable_mockModule('amqplib', () => fakeAmqp);
+ *
+ * Published messages are recorded in `broker.published` and routed like the
+ * topic exchange to consumers started in the same process. Delivery is
+ * asynchronous, as with a real broker; `await broker.drain()` waits until
+ * every delivered message, and anything it published in turn, is handled.
+ */
+const bindings = [];
+const queues = new Map();
+const consumers = new Map();
+const deliveries = new Set();
+
+// Topic exchange matching: `*` is one word, `#` any number of words
+const matchesBinding = (pattern, routingKey) => {
+  const words = pattern.split('.').map(word => (word === '*' ? '[^.]+' : word === '#' ? '.*' : word));
+  return new RegExp(`^${words.join('\\.')}$`).test(routingKey);
+};
+
+const enqueue = (queueName, message) => {
+  if (!queues.has(queueName)) queues.set(queueName, []);
+  queues.get(queueName).push(message);
+  dispatch(queueName);
+};
+
+const dispatch = (queueName) => {
+  const consumer = consumers.get(queueName);
+  const pending = queues.get(queueName) || [];
+  if (!consumer) return;
+
+  while (pending.length > 0) {
+    const message = pending.shift();
+    const delivery = new Promise(resolve => setImmediate(resolve))
+      .then(() => consumer(message))
+      .finally(() => deliveries.delete(delivery));
+    deliveries.add(delivery);
+  }
+};
+
+const toMessage = (queueName, routingKey, content, options = {}) => ({
+  content: Buffer.from(content),
+  fields: { routingKey, queueName },
+  properties: { ...options, headers: { ...options.headers } },
+});
+
+export const broker = {
+  published: [],
+  deadLettered: [],
+
+  // Messages published with a routing key, parsed
+  messages(routingKey) {
+    return this.published.filter(message => message.routingKey === routingKey).map(message => message.content);
+  },
+
+  async drain() {
+    while (deliveries.size > 0) {
+      await Promise.allSettled([...deliveries]);
+    }
+  },
+
+  reset() {
+    this.published.length = 0;
+    this.deadLettered.length = 0;
+    queues.clear();
+  },
+};
+
+const channel = {
+  async prefetch() {},
+  async assertExchange() {},
+  async assertQueue() {},
+  async close() {},
+
+  async bindQueue(queueName, exchange, pattern) {
+    if (!bindings.some(binding => binding.queueName === queueName && binding.pattern === pattern)) {
+      bindings.push({ queueName, exchange, pattern });
+    }
+  },
+
+  publish(exchange, routingKey, content, options) {
+    broker.published.push({ routingKey, content: JSON.parse(content.toString()), options });
+
+    bindings
+      .filter(binding => binding.exchange === exchange && matchesBinding(binding.pattern, routingKey))
+      .forEach(binding => enqueue(binding.queueName, toMessage(binding.queueName, routingKey, content, options)));
+
+    return true;
+  },
+
+  sendToQueue(queueName, content, options) {
+    enqueue(queueName, toMessage(queueName, queueName, content, options));
+    return true;
+  },
+
+  async consume(queueName, onMessage) {
+    consumers.set(queueName, onMessage);
+    dispatch(queueName);
+    return { consumerTag: queueName };
+  },
+
+  ack() {},
+
+  nack(message) {
+    broker.deadLettered.push(message);
+  },
+};
+
+const connection = {
+  async createChannel() {
+    return channel;
+  },
+  on() {
+    return this;
+  },
+  async close() {},
+};
+
+const connect = async () => connection;
+
+export const fakeAmqp = { default: { connect }, connect };
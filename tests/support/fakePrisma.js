@@ -0,0 +1,62 @@
+/**
+ * In-memory stand-in for the Prisma client, with just the tables and queries
+ * a test needs. Register it in place of the database module:
+ *
+ *   const prisma = createFakePrisma(['payment', 'booking']);
+ *   jest.unstable_mockModule('../src/config/database.js', () => ({ default: prisma }));
+ *
+ * `where` supports equality, `{ not }` and `{ in }`; `select` and `include`
+ * are ignored. Rows are seeded with `prisma.<table>.seed(row)`.
+ */
+const matches = (row, where = {}) => Object.entries(where).every(([field, condition]) => {
+  if (condition && typeof condition === 'object' && 'not' in condition) return row[field] !== condition.not;
+  if (condition && typeof condition === 'object' && 'in' in condition) return condition.in.includes(row[field]);
+  return row[field] === condition;
+});
+
+const createTable = () => {
+  const rows = new Map();
+
+  return {
+    rows,
+
+    seed(row) {
+      rows.set(row.id, { ...row });
+      return rows.get(row.id);
+    },
+
+    async findUnique({ where }) {
+      return [...rows.values()].find(row => matches(row, where)) ?? null;
+    },
+
+    async findFirst({ where } = {}) {
+      return [...rows.values()].find(row => matches(row, where)) ?? null;
+    },
+
+    async findMany({ where } = {}) {
+      return [...rows.values()].filter(row => matches(row, where));
+    },
+
+    async update({ where, data }) {
+      const row = [...rows.values()].find(candidate => matches(candidate, where));
+      if (!row) throw new Error('Record to update not found');
+      rows.set(row.id, { ...row, ...data });
+      return rows.get(row.id);
+    },
+
+    async updateMany({ where, data }) {
+      const updated = [...rows.values()].filter(row => matches(row, where));
+      updated.forEach(row => rows.set(row.id, { ...row, ...data }));
+      return { count: updated.length };
+    },
+  };
+};
+
+export const createFakePrisma = (tables) => {
+  const prisma = Object.fromEntries(tables.map(table => [table, createTable()]));
+
+  prisma.$transaction = async (callback) => callback(prisma);
+  prisma.$disconnect = async () => {};
+
+  return prisma;
+};
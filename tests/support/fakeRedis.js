@@ -0,0 +1,113 @@
+/**
+ * In-memory stand-in for an ioredis client, covering the commands the app
+ * uses. Register it in place of ioredis before importing app code:
+ *
+ *   jest.unstable_mockModule('ioredis', () => ({ default: FakeRedis }));
+ *
+ * Every client shares one store, like connections to the same server.
+ */
+const store = new Map();
+
+const live = (key) => {
+  const entry = store.get(key);
+  if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+    store.delete(key);
+    return undefined;
+  }
+  return entry;
+};
+
+const globToRegExp = (pattern) =>
+  new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+
+export default class FakeRedis {
+  static reset() {
+    store.clear();
+  }
+
+  on() {
+    return this;
+  }
+
+  async connect() {}
+
+  async quit() {
+    return 'OK';
+  }
+
+  disconnect() {}
+
+  async get(key) {
+    return live(key)?.value ?? null;
+  }
+
+  async mget(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async set(key, value, ...args) {
+    const options = args.map(arg => (typeof arg === 'string' ? arg.toUpperCase() : arg));
+    if (options.includes('NX') && live(key)) {
+      return null;
+    }
+
+    const ex = options.indexOf('EX');
+    const expiresAt = ex >= 0 ? Date.now() + Number(options[ex + 1]) * 1000 : null;
+    store.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async setex(key, ttl, value) {
+    return this.set(key, value, 'EX', ttl);
+  }
+
+  async del(...keys) {
+    return keys.flat().filter(key => live(key) && store.delete(key)).length;
+  }
+
+  async incr(key) {
+    return this.incrby(key, 1);
+  }
+
+  async decr(key) {
+    return this.incrby(key, -1);
+  }
+
+  async incrby(key, amount) {
+    const entry = live(key);
+    const value = Number(entry?.value || 0) + amount;
+    store.set(key, { value: String(value), expiresAt: entry?.expiresAt ?? null });
+    return value;
+  }
+
+  async expire(key, ttl) {
+    const entry = live(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + ttl * 1000;
+    return 1;
+  }
+
+  async ttl(key) {
+    const entry = live(key);
+    if (!entry) return -2;
+    return entry.expiresAt ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : -1;
+  }
+
+  async scan(cursor, ...args) {
+    const match = args.indexOf('MATCH');
+    const pattern = globToRegExp(match >= 0 ? args[match + 1] : '*');
+    return ['0', [...store.keys()].filter(key => live(key) && pattern.test(key))];
+  }
+
+  // Only the compare-and-delete script used to release locks
+  async eval(script, numKeys, key, token) {
+    if ((await this.get(key)) !== token) return 0;
+    return this.del(key);
+  }
+
+  async publish() {
+    return 0;
+  }
+
+  async subscribe() {}
+}